@@ -24,12 +24,17 @@
  * - Flexible: Can disable waiting for fast form interactions
  */
 
-import { getBrowser, domainPages } from '../core/browser.js';
-import { extractAndProcessHtml, waitForPageStability } from '../core/page.js';
+import { getBrowser, findPage, markTabUsed, getTabInfo } from '../core/browser.js';
+import { extractAndProcessHtml, waitForPageStability, findElement, refSelector } from '../core/page.js';
 import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { listDownloads, routeDownloads, DOWNLOAD_INFO_SCHEMA } from '../core/downloads.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
 
 /**
  * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/downloads.js').DownloadInfo} DownloadInfo
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
  */
 
 // ============================================================================
@@ -43,10 +48,13 @@ export class ClickElementSuccessResponse extends MCPResponse {
   /**
    * @param {string} currentUrl - URL after click
    * @param {string} message - Success message
-   * @param {string|null} html - Page HTML if returnHtml was true
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
    * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DownloadInfo[]} [downloads=[]] - Downloads started by the click
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs the click raised
    */
-  constructor(currentUrl, message, html, nextSteps) {
+  constructor(currentUrl, message, html, nextSteps, outputFormat = 'html', downloads = [], dialogs = []) {
     super(nextSteps);
     
     if (typeof currentUrl !== 'string') {
@@ -58,17 +66,32 @@ export class ClickElementSuccessResponse extends MCPResponse {
     if (html !== null && typeof html !== 'string') {
       throw new TypeError('html must be a string or null');
     }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(downloads)) {
+      throw new TypeError('downloads must be an array');
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
     
     this.currentUrl = currentUrl;
     this.message = message;
     this.html = html;
+    this.outputFormat = outputFormat;
+    this.downloads = downloads;
+    this.dialogs = dialogs;
   }
 
   _getAdditionalFields() {
     return {
       currentUrl: this.currentUrl,
       message: this.message,
-      html: this.html
+      html: this.html,
+      outputFormat: this.outputFormat,
+      downloads: this.downloads,
+      dialogs: this.dialogs
     };
   }
 
@@ -87,17 +110,22 @@ export class ClickElementSuccessResponse extends MCPResponse {
 export const CLICK_ELEMENT_TOOL = {
   name: "click_element",
   title: "Click Element",
-  description: "**BROWSER INTERACTION** - Clicks elements on browser-loaded pages. Use this for navigation (clicking links/buttons), form submission, and any user interaction that requires clicking.\n\nWorks with any clickable element including buttons, links, or elements with onclick handlers. Can target by CSS selector or text content. Waits for page stability and returns updated HTML by default.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  description: "**BROWSER INTERACTION** - Clicks elements on browser-loaded pages. Use this for navigation (clicking links/buttons), form submission, and any user interaction that requires clicking.\n\nWorks with any clickable element including buttons, links, or elements with onclick handlers. Can target by CSS selector, text content, or an element ref from snapshot_page. Waits for page stability and returns updated HTML by default. Files the click downloads are saved to the download directory and listed in downloads. JavaScript dialogs (alert, confirm, prompt, beforeunload) the click raises are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
   inputSchema: {
     type: "object",
     properties: {
       url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
       selector: { type: "string", description: "CSS selector for the element to click (e.g., '#submit-btn', '.login-button')" },
-      text: { type: "string", description: "Text content to search for if selector is not provided (e.g., 'Sign In', 'Submit')" },
+      text: { type: "string", description: "Text content to search for if selector is not provided (e.g., 'Sign In', 'Submit'). Exact matches of the text or accessible name (aria-label, label) win; if several elements match equally well, the error lists them with refs" },
+      ref: { type: "string", description: "Element ref from snapshot_page (e.g., 'e42'). Most reliable way to target an element; valid until the page navigates." },
       waitForElementTimeout: { type: "number", description: "Maximum time to wait for element in milliseconds", default: 1000 },
       returnHtml: { type: "boolean", description: "Whether to wait for stability and return HTML after clicking. Set to false for fast form interactions (checkboxes, radio buttons).", default: true },
       removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
-      postClickWait: { type: "number", description: "Milliseconds to wait after click for SPAs to render dynamic content.", default: 1000 }
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      postClickWait: { type: "number", description: "Milliseconds to wait after click for SPAs to render dynamic content.", default: 1000 },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs the click raises: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog the click raises; the prompt is accepted unless dialogAction says otherwise" }
     },
     required: ["url"],
     additionalProperties: false,
@@ -109,7 +137,18 @@ export const CLICK_ELEMENT_TOOL = {
       message: { type: "string", description: "Success message" },
       html: { 
         type: ["string", "null"], 
-        description: "Page HTML if returnHtml was true, null otherwise" 
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise" 
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      downloads: {
+        type: "array",
+        items: DOWNLOAD_INFO_SCHEMA,
+        description: "Files the click started downloading; use get_download with their id to get the file"
+      },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs the click raised and how they were answered"
       },
       nextSteps: { 
         type: "array", 
@@ -117,7 +156,7 @@ export const CLICK_ELEMENT_TOOL = {
         description: "Suggested next actions"
       }
     },
-    required: ["currentUrl", "message", "html", "nextSteps"],
+    required: ["currentUrl", "message", "html", "outputFormat", "downloads", "dialogs", "nextSteps"],
     additionalProperties: false
   }
 };
@@ -126,17 +165,45 @@ export const CLICK_ELEMENT_TOOL = {
 // ACTION FUNCTION
 // ============================================================================
 
+/**
+ * Add started downloads and raised dialogs to the click message.
+ * @param {string} message - Click message
+ * @param {DownloadInfo[]} downloads - Downloads started by the click
+ * @param {DialogInfo[]} dialogs - Dialogs raised by the click
+ * @returns {string}
+ */
+function describeClick(message, downloads, dialogs) {
+  if (downloads.length > 0) {
+    message = `${message}. Started download: ${downloads.map(d => `${d.filename} (${d.state})`).join(', ')}`;
+  }
+  return dialogs.length > 0 ? `${message}. ${describeDialogs(dialogs)}` : message;
+}
+
+/**
+ * Suggest get_download for downloads started by the click.
+ * @param {DownloadInfo[]} downloads - Downloads started by the click
+ * @returns {string[]}
+ */
+function downloadSteps(downloads) {
+  return downloads.map(d => `Use get_download with id "${d.id}" to get ${d.filename}`);
+}
+
 /**
  * Click on an element on the page
  * 
  * @param {Object} params - Click parameters
  * @param {string} params.url - The URL of the page to interact with
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
  * @param {string} [params.selector] - CSS selector for the element to click
  * @param {string} [params.text] - Text content to search for (alternative to selector)
+ * @param {string} [params.ref] - Element ref from snapshot_page (alternative to selector and text)
  * @param {number} [params.waitForElementTimeout=30000] - Maximum time (ms) to wait for element to appear before failing
  * @param {boolean} [params.returnHtml=true] - Whether to wait for stability and return HTML
  * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
  * @param {number} [params.postClickWait=1000] - Milliseconds to wait after click for SPAs to render dynamic content
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {string} [params.dialogAction] - How to answer dialogs the click raises (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt the click raises
  * @returns {Promise<Object>} Result object with success status and details
  * 
  * @example
@@ -152,15 +219,25 @@ export const CLICK_ELEMENT_TOOL = {
  *   returnHtml: false 
  * });
  */
-export async function clickElement({ url, selector, text, waitForElementTimeout = 30000, returnHtml = true, removeUnnecessaryHTML = true, postClickWait = 1000 }) {
+export async function clickElement({ url, tabId, selector, text, ref, waitForElementTimeout = 30000, returnHtml = true, removeUnnecessaryHTML = true, postClickWait = 1000, outputFormat = "html", dialogAction, promptText }) {
   if (!url) {
     throw new Error("url parameter is required");
   }
   
-  if (!selector && !text) {
-    throw new Error("Either selector or text parameter is required");
+  if (!selector && !text && !ref) {
+    throw new Error("Either selector or text parameter is required (or ref from snapshot_page)");
   }
 
+  if (ref) {
+    refSelector(ref); // Throws on malformed refs
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
   let hostname;
   try {
     hostname = new URL(url).hostname;
@@ -169,51 +246,36 @@ export async function clickElement({ url, selector, text, waitForElementTimeout
   }
 
   const browser = await getBrowser();
-  let page = domainPages.get(hostname);
+  let page = findPage(hostname, tabId);
   
   if (!page || page.isClosed()) {
     return new ErrorResponse(
-      `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
       [
         "Use fetch_webpage to load the page first"
       ]
     );
   }
 
+  markTabUsed(page);
+
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  let stopDownloadRouting = null;
   try {
-    let elementHandle;
-    
-    if (selector) {
-      // Use CSS selector
-      await page.waitForSelector(selector, { timeout: waitForElementTimeout, visible: true });
-      elementHandle = await page.$(selector);
-    } else {
-      // Search by text content
-      await page.waitForFunction(
-        (searchText) => {
-          const elements = Array.from(document.querySelectorAll('*'));
-          return elements.some(el => {
-            const text = el.textContent?.trim();
-            return text && text.includes(searchText) && el.offsetParent !== null;
-          });
-        },
-        { timeout: waitForElementTimeout },
-        text
-      );
-      
-      elementHandle = await page.evaluateHandle((searchText) => {
-        const elements = Array.from(document.querySelectorAll('*'));
-        // Prioritize smaller elements (more specific matches)
-        const matches = elements.filter(el => {
-          const elText = el.textContent?.trim();
-          return elText && elText.includes(searchText) && el.offsetParent !== null;
-        });
-        matches.sort((a, b) => a.textContent.length - b.textContent.length);
-        return matches[0];
-      }, text);
-    }
+    const elementHandle = await findElement(page, { ref, selector, text, timeout: waitForElementTimeout });
 
-    if (!elementHandle || !elementHandle.asElement()) {
+    if (!elementHandle) {
+      if (ref) {
+        return new ErrorResponse(
+          `Element ref ${ref} not found. Refs expire when the page navigates.`,
+          [
+            "Use snapshot_page to get fresh refs",
+            "Use get_current_html to verify page content"
+          ]
+        );
+      }
       return new ErrorResponse(
         selector ? `Element not found: ${selector}` : `Element with text "${text}" not found`,
         [
@@ -224,6 +286,8 @@ export async function clickElement({ url, selector, text, waitForElementTimeout
       );
     }
 
+    const target = ref ? `ref ${ref}` : selector;
+
     // Scroll element into view and click
     // For automation, use instant scroll instead of smooth animation to avoid delays
     await page.evaluate(el => el.scrollIntoView({ behavior: 'auto', block: 'center' }), elementHandle);
@@ -232,6 +296,10 @@ export async function clickElement({ url, selector, text, waitForElementTimeout
     // await page.evaluate(el => el.scrollIntoView({ behavior: 'smooth', block: 'center' }), elementHandle);
     // await new Promise(r => setTimeout(r, 300)); // Brief delay after scroll
     
+    // Files the click downloads are saved to the download directory while the click runs
+    const clickedTabId = getTabInfo(page)?.tabId;
+    stopDownloadRouting = await routeDownloads(page, clickedTabId);
+    const clickedAt = Date.now();
     await elementHandle.click();
     
     if (returnHtml) {
@@ -245,18 +313,25 @@ export async function clickElement({ url, selector, text, waitForElementTimeout
       }
       
       const currentUrl = page.url();
-      const html = await extractAndProcessHtml(page, removeUnnecessaryHTML);
+      const html = await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat);
+      await stopDownloadRouting();
+      const downloads = listDownloads({ since: clickedAt, tabId: clickedTabId });
+      const dialogs = stopDialogCapture();
       
       return new ClickElementSuccessResponse(
         currentUrl,
-        selector ? `Clicked element: ${selector}` : `Clicked element with text: "${text}"`,
+        describeClick(target ? `Clicked element: ${target}` : `Clicked element with text: "${text}"`, downloads, dialogs),
         html,
         [
+          ...downloadSteps(downloads),
           "Use click_element again to navigate further",
           "Use type_text to fill forms if needed",
           "Use get_current_html to refresh page state",
           "Use close_tab when finished"
-        ]
+        ],
+        outputFormat,
+        downloads,
+        dialogs
       );
     } else {
       // Wait for page to stabilize even for fast clicks (ensures JS has finished)
@@ -268,16 +343,23 @@ export async function clickElement({ url, selector, text, waitForElementTimeout
       }
       
       const currentUrl = page.url();
+      await stopDownloadRouting();
+      const downloads = listDownloads({ since: clickedAt, tabId: clickedTabId });
+      const dialogs = stopDialogCapture();
       
       return new ClickElementSuccessResponse(
         currentUrl,
-        selector ? `Clicked element: ${selector}` : `Clicked element with text: "${text}"`,
+        describeClick(target ? `Clicked element: ${target}` : `Clicked element with text: "${text}"`, downloads, dialogs),
         null,
         [
+          ...downloadSteps(downloads),
           "Use get_current_html to see updated page state",
           "Use click_element or type_text for more interactions",
           "Use close_tab when finished"
-        ]
+        ],
+        outputFormat,
+        downloads,
+        dialogs
       );
     }
   } catch (err) {
@@ -289,5 +371,8 @@ export async function clickElement({ url, selector, text, waitForElementTimeout
         "Try fetch_webpage to reload if page is stale"
       ]
     );
+  } finally {
+    stopDialogCapture();
+    await stopDownloadRouting?.();
   }
 }
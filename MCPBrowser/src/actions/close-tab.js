@@ -2,7 +2,7 @@
  * close-tab.js - Close a tab for a specific domain
  */
 
-import { domainPages } from '../core/browser.js';
+import { domainPages, tabPages, forgetTab } from '../core/browser.js';
 import { MCPResponse, ErrorResponse } from '../core/responses.js';
 
 /**
@@ -58,11 +58,12 @@ export class CloseTabSuccessResponse extends MCPResponse {
 export const CLOSE_TAB_TOOL = {
   name: "close_tab",
   title: "Close Tab",
-  description: "**BROWSER MANAGEMENT** - Closes the browser tab for the given URL's hostname. This removes the page from the tab pool and forces a fresh session on the next visit to that hostname. Useful for memory management or when you need to clear session state. Note: Uses exact hostname match (www.example.com and example.com are treated as different tabs).",
+  description: "**BROWSER MANAGEMENT** - Closes the browser tab for the given URL's hostname. This removes the page from the tab pool and forces a fresh session on the next visit to that hostname. Useful for memory management or to start over with a fresh page. Cookies are kept, so the site stays logged in; use manage_cookies to delete them. Note: Uses exact hostname match (www.example.com and example.com are treated as different tabs). Pass tabId to close one specific tab, e.g. an extra tab opened with fetch_webpage newTab. When the hostname's default tab is closed and another tab of the hostname is open, that tab becomes the default.",
   inputSchema: {
     type: "object",
     properties: {
-      url: { type: "string", description: "The URL whose hostname tab should be closed" }
+      url: { type: "string", description: "The URL whose hostname tab should be closed" },
+      tabId: { type: "string", description: "ID of the tab to close, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" }
     },
     required: ["url"],
     additionalProperties: false
@@ -92,9 +93,10 @@ export const CLOSE_TAB_TOOL = {
  * This forces a fresh session on the next visit to that hostname.
  * @param {object} params - Parameters
  * @param {string} params.url - The URL whose hostname tab should be closed
+ * @param {string} [params.tabId] - ID of the tab to close (defaults to the tab for the url's hostname)
  * @returns {Promise<object>} Result indicating success or failure
  */
-export async function closeTab({ url }) {
+export async function closeTab({ url, tabId }) {
   try {
     // Validate URL
     if (!url || typeof url !== 'string') {
@@ -119,6 +121,34 @@ export async function closeTab({ url }) {
       );
     }
     
+    // A tab ID selects one tab directly, including extra tabs opened with newTab
+    if (tabId) {
+      const page = tabPages.get(tabId);
+      if (!page || page.isClosed()) {
+        if (page) forgetTab(page);
+        return new CloseTabSuccessResponse(
+          `No open tab found with ID ${tabId}`,
+          hostname,
+          [
+            "Use list_tabs to see open tabs"
+          ]
+        );
+      }
+
+      await page.close();
+      forgetTab(page);
+
+      console.error(`[MCPBrowser] Closed tab: ${tabId}`);
+
+      return new CloseTabSuccessResponse(
+        `Successfully closed tab ${tabId}`,
+        hostname,
+        [
+          "Use fetch_webpage to open a new page if needed"
+        ]
+      );
+    }
+    
     // Check if we have a tab for this hostname
     if (!domainPages.has(hostname)) {
       // Hostname not found - try to find by actual page URL
@@ -155,7 +185,7 @@ export async function closeTab({ url }) {
     
     // Check if page is already closed
     if (page.isClosed()) {
-      domainPages.delete(hostname);
+      forgetTab(page);
       return new CloseTabSuccessResponse(
         'Tab was already closed',
         hostname,
@@ -169,7 +199,7 @@ export async function closeTab({ url }) {
     await page.close();
     
     // Remove from domain pool
-    domainPages.delete(hostname);
+    forgetTab(page);
     
     console.error(`[MCPBrowser] Closed tab for hostname: ${hostname}`);
     
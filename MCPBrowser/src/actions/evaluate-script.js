@@ -0,0 +1,429 @@
+/**
+ * evaluate-script.js - Run JavaScript in a page and return the result
+ *
+ * For values that are hard to get out of HTML: JS globals, computed styles or text,
+ * framework state such as window.__INITIAL_STATE__. The script is either an expression
+ * or a function body (use return); promises are awaited. The result is JSON-serialized
+ * in the page (DOM nodes, cycles, Maps and Sets are made readable) and returned with its
+ * type, and exceptions thrown by the script are reported instead of a result.
+ *
+ * Running arbitrary JavaScript in a logged-in session is powerful, so the tool is
+ * disabled unless MCPBROWSER_ENABLE_EVALUATE is set, and only works on domains listed
+ * in MCPBROWSER_EVALUATE_DOMAINS. Both the requested URL and the page's current URL
+ * must be allowed.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { isDomainAllowed } from '../utils.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
+ */
+
+/**
+ * @typedef {Object} EvaluationResult
+ * @property {string} type - JavaScript type (object, string, number, boolean, undefined, function, symbol, bigint)
+ * @property {string|null} subtype - Object subtype (array, null, node, regexp, date, map, set, error, promise...)
+ * @property {string|null} className - Constructor name for objects (e.g. HTMLDivElement, Object)
+ * @property {string} description - Short human-readable description of the value
+ * @property {string|null} json - JSON-serialized value, null if it has no JSON form (undefined, NaN, symbols)
+ * @property {boolean} truncated - Whether json was cut at maxResultLength
+ */
+
+/**
+ * @typedef {Object} EvaluationException
+ * @property {string} message - Exception message (e.g. "TypeError: x is undefined")
+ * @property {number|null} lineNumber - Line of the script where it was thrown (1-based)
+ * @property {number|null} columnNumber - Column where it was thrown (1-based)
+ */
+
+// Object group for remote objects created by an evaluation, released afterwards
+const OBJECT_GROUP = "mcpbrowser-evaluate";
+
+const AsyncFunction = (async () => {}).constructor;
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful evaluate_script operations
+ */
+export class EvaluateScriptSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - URL of the page the script ran in
+   * @param {EvaluationResult|null} result - The script's result, null if it threw
+   * @param {EvaluationException|null} exception - Exception thrown by the script, null if it completed
+   * @param {string[]} nextSteps - Suggested next actions
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs the script raised
+   */
+  constructor(currentUrl, result, exception, nextSteps, dialogs = []) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (result !== null && typeof result !== 'object') {
+      throw new TypeError('result must be an object or null');
+    }
+    if (exception !== null && typeof exception !== 'object') {
+      throw new TypeError('exception must be an object or null');
+    }
+    if ((result === null) === (exception === null)) {
+      throw new TypeError('Exactly one of result and exception must be set');
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
+
+    this.currentUrl = currentUrl;
+    this.result = result;
+    this.exception = exception;
+    this.dialogs = dialogs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      result: this.result,
+      exception: this.exception,
+      dialogs: this.dialogs
+    };
+  }
+
+  getTextSummary() {
+    const dialogs = this.dialogs.length > 0 ? `\n${describeDialogs(this.dialogs)}` : '';
+    if (this.exception) {
+      const line = this.exception.lineNumber ? ` (line ${this.exception.lineNumber})` : '';
+      return `Script threw: ${this.exception.message}${line}${dialogs}`;
+    }
+    const { type, subtype, json, description, truncated } = this.result;
+    const kind = subtype ? `${type}/${subtype}` : type;
+    return `Result (${kind}): ${json ?? description}${truncated ? ' [truncated]' : ''}${dialogs}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const EVALUATE_SCRIPT_TOOL = {
+  name: "evaluate_script",
+  title: "Evaluate Script",
+  description: "**BROWSER STATE EXTRACTION** - Runs JavaScript in an already-loaded page and returns the JSON-serialized result with its type. Use this for single values that are hard to get from HTML: JS globals, computed text or styles, framework state such as window.__INITIAL_STATE__. The script can be an expression (e.g. 'document.title') or a function body with return; promises are awaited. Exceptions are returned with their message and line. JavaScript dialogs the script raises (alert, confirm, prompt) are answered according to dialogAction and listed in dialogs.\n\nDisabled unless the user enables it (MCPBROWSER_ENABLE_EVALUATE) and only allowed on the domains they list (MCPBROWSER_EVALUATE_DOMAINS). Prefer get_current_html or snapshot_page when the information is in the page content.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      script: { type: "string", description: "JavaScript expression (e.g. 'window.__INITIAL_STATE__.user') or function body using return (e.g. 'const rows = document.querySelectorAll(\"tr\"); return rows.length;')" },
+      timeout: { type: "number", description: "Maximum milliseconds to wait for the script (including awaited promises)", default: 5000 },
+      maxResultLength: { type: "number", description: "Maximum length of the JSON result; longer results are truncated", default: 50000 },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs the script raises: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog the script raises; the prompt is accepted unless dialogAction says otherwise" }
+    },
+    required: ["url", "script"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "URL of the page the script ran in" },
+      result: {
+        type: ["object", "null"],
+        description: "The script's result, null if it threw",
+        properties: {
+          type: { type: "string", description: "JavaScript type (object, string, number, boolean, undefined, function, symbol, bigint)" },
+          subtype: { type: ["string", "null"], description: "Object subtype (array, null, node, date, map, set, error...)" },
+          className: { type: ["string", "null"], description: "Constructor name for objects" },
+          description: { type: "string", description: "Short human-readable description of the value" },
+          json: { type: ["string", "null"], description: "JSON-serialized value, null if it has no JSON form (undefined, NaN, symbols)" },
+          truncated: { type: "boolean", description: "Whether json was cut at maxResultLength" }
+        },
+        required: ["type", "subtype", "className", "description", "json", "truncated"],
+        additionalProperties: false
+      },
+      exception: {
+        type: ["object", "null"],
+        description: "Exception thrown by the script, null if it completed",
+        properties: {
+          message: { type: "string", description: "Exception message" },
+          lineNumber: { type: ["number", "null"], description: "Line of the script where it was thrown (1-based)" },
+          columnNumber: { type: ["number", "null"], description: "Column where it was thrown (1-based)" }
+        },
+        required: ["message", "lineNumber", "columnNumber"],
+        additionalProperties: false
+      },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs the script raised and how they were answered"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "result", "exception", "dialogs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Read the evaluate_script settings from the environment.
+ * Read on every call so the settings can change without restarting the server.
+ * @returns {{enabled: boolean, domains: string[]}}
+ */
+function getEvaluateConfig() {
+  const enabled = ['1', 'true', 'yes'].includes((process.env.MCPBROWSER_ENABLE_EVALUATE || '').trim().toLowerCase());
+  const domains = (process.env.MCPBROWSER_EVALUATE_DOMAINS || '').split(',').map(d => d.trim()).filter(Boolean);
+  return { enabled, domains };
+}
+
+/**
+ * Wrap the script so expressions and function bodies both work and promises are awaited.
+ * The script starts on its own line, so line numbers in exceptions match the script's lines.
+ * @param {string} script - Expression or function body
+ * @returns {string} Expression to evaluate
+ */
+function wrapScript(script) {
+  const expression = script.trim().replace(/;+$/, '');
+  try {
+    // Only compiles the code (never runs it) to find out whether it is an expression
+    new AsyncFunction(`return (\n${expression}\n);`);
+    return `(async () => { return (\n${expression}\n); })()`;
+  } catch {
+    return `(async () => {\n${script}\n})()`;
+  }
+}
+
+/**
+ * JSON-serialize the value bound to `this`, making values JSON can't represent readable.
+ * Runs in the browser context via Runtime.callFunctionOn.
+ * @returns {string|undefined} JSON text
+ */
+function serializeResult() {
+  const ancestors = [];
+  return JSON.stringify(this, function (key, value) {
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (typeof value === 'symbol') return value.toString();
+    if (typeof value !== 'object' || value === null) return value;
+    if (value === window) return '[Window]';
+    if (value instanceof Element) {
+      const id = value.id ? `#${value.id}` : '';
+      const classes = typeof value.className === 'string' && value.className.trim() ? `.${value.className.trim().split(/\s+/).join('.')}` : '';
+      return `<${value.tagName.toLowerCase()}${id}${classes}>`;
+    }
+    if (value instanceof Node) return value.nodeName;
+    if (value instanceof Error) value = { name: value.name, message: value.message, stack: value.stack };
+    else if (value instanceof Map) value = Object.fromEntries(value);
+    else if (value instanceof Set) value = [...value];
+
+    // Replace references back to an ancestor (cycles); shared references are serialized again
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+    if (ancestors.includes(value)) return '[Circular]';
+    ancestors.push(value);
+    return value;
+  });
+}
+
+/**
+ * Convert a CDP RemoteObject into the tool result, serializing objects in the page.
+ * @param {CDPSession} client - CDP session attached to the page
+ * @param {Object} remote - Runtime.RemoteObject returned by the evaluation
+ * @param {number} maxResultLength - Maximum JSON length
+ * @returns {Promise<EvaluationResult>}
+ */
+async function toEvaluationResult(client, remote, maxResultLength) {
+  let json = null;
+  if (remote.objectId) {
+    const { result } = await client.send('Runtime.callFunctionOn', {
+      objectId: remote.objectId,
+      functionDeclaration: serializeResult.toString(),
+      returnByValue: true
+    });
+    json = typeof result.value === 'string' ? result.value : null;
+  } else if (remote.type !== 'undefined' && remote.unserializableValue === undefined) {
+    json = JSON.stringify(remote.value);
+  }
+
+  const truncated = json !== null && json.length > maxResultLength;
+  return {
+    type: remote.type,
+    subtype: remote.subtype || null,
+    className: remote.className || null,
+    description: remote.description ?? remote.unserializableValue ?? String(remote.value),
+    json: truncated ? json.slice(0, maxResultLength) : json,
+    truncated
+  };
+}
+
+/**
+ * Evaluate JavaScript in a loaded page
+ * @param {Object} params - Evaluation parameters
+ * @param {string} params.url - The URL of the page to run the script in
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} params.script - Expression or function body
+ * @param {number} [params.timeout=5000] - Maximum time to wait for the script
+ * @param {number} [params.maxResultLength=50000] - Maximum length of the JSON result
+ * @param {string} [params.dialogAction] - How to answer dialogs the script raises (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt() dialog the script raises
+ * @returns {Promise<Object>} Result object with the serialized value or the exception
+ *
+ * @example
+ * // Read the app's bootstrapped state
+ * await evaluateScript({ url, script: "window.__INITIAL_STATE__.user" });
+ *
+ * @example
+ * // Function body with return
+ * await evaluateScript({ url, script: "const rows = document.querySelectorAll('tr'); return rows.length;" });
+ */
+export async function evaluateScript({ url, tabId, script, timeout = 5000, maxResultLength = 50000, dialogAction, promptText }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!script || typeof script !== 'string') {
+    throw new Error("script parameter is required");
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const { enabled, domains } = getEvaluateConfig();
+  if (!enabled) {
+    return new ErrorResponse(
+      "evaluate_script is disabled. It must be enabled by the user with MCPBROWSER_ENABLE_EVALUATE=true and MCPBROWSER_EVALUATE_DOMAINS.",
+      [
+        "Use get_current_html or snapshot_page to read the page content instead",
+        "Ask the user to enable evaluate_script for this domain if the value is not in the page content"
+      ]
+    );
+  }
+
+  if (!isDomainAllowed(hostname, domains)) {
+    return new ErrorResponse(
+      `evaluate_script is not allowed on ${hostname}. Allowed domains: ${domains.join(', ') || '(none)'}`,
+      [
+        "Use get_current_html or snapshot_page to read the page content instead",
+        `Ask the user to add ${hostname} to MCPBROWSER_EVALUATE_DOMAINS`
+      ]
+    );
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  // The tab may have navigated to another domain (e.g. an SSO page) since it was fetched
+  const currentHostname = new URL(page.url()).hostname;
+  if (!isDomainAllowed(currentHostname, domains)) {
+    return new ErrorResponse(
+      `evaluate_script is not allowed on ${currentHostname} (the tab for ${hostname} is currently at ${page.url()})`,
+      [
+        "Use fetch_webpage to load an allowed page first",
+        `Ask the user to add ${currentHostname} to MCPBROWSER_EVALUATE_DOMAINS`
+      ]
+    );
+  }
+
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  let client;
+  try {
+    client = await page.createCDPSession();
+
+    const evaluation = client.send('Runtime.evaluate', {
+      expression: wrapScript(script),
+      objectGroup: OBJECT_GROUP,
+      awaitPromise: true,
+      userGesture: true
+    });
+    evaluation.catch(() => {}); // Handled below; avoids an unhandled rejection after a timeout
+
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        // Stops a script stuck in a loop; a promise that never settles is dropped on detach
+        client.send('Runtime.terminateExecution').catch(() => {});
+        reject(new Error(`Script did not finish within ${timeout}ms`));
+      }, timeout);
+    });
+    const { result, exceptionDetails } = await Promise.race([evaluation, timedOut]).finally(() => clearTimeout(timer));
+
+    if (exceptionDetails) {
+      const thrown = exceptionDetails.exception;
+      const message = thrown?.description?.split('\n')[0]
+        ?? (thrown && 'value' in thrown ? String(thrown.value) : exceptionDetails.text);
+      return new EvaluateScriptSuccessResponse(
+        page.url(),
+        null,
+        {
+          message,
+          lineNumber: exceptionDetails.lineNumber > 0 ? exceptionDetails.lineNumber : null,
+          columnNumber: exceptionDetails.lineNumber > 0 ? exceptionDetails.columnNumber + 1 : null
+        },
+        [
+          "Fix the script and run evaluate_script again",
+          "Use get_current_html to check the page state"
+        ],
+        stopDialogCapture()
+      );
+    }
+
+    const evaluationResult = await toEvaluationResult(client, result, maxResultLength);
+
+    return new EvaluateScriptSuccessResponse(
+      page.url(),
+      evaluationResult,
+      null,
+      [
+        ...(evaluationResult.truncated ? ["Return a smaller part of the value, or raise maxResultLength"] : []),
+        "Use evaluate_script again to read other values",
+        "Use get_current_html to see the page content"
+      ],
+      stopDialogCapture()
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to evaluate script: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  } finally {
+    stopDialogCapture();
+    await client?.send('Runtime.releaseObjectGroup', { objectGroup: OBJECT_GROUP }).catch(() => {});
+    await client?.detach().catch(() => {});
+  }
+}
@@ -0,0 +1,323 @@
+/**
+ * extract-links.js - List the links on the live page with absolute URLs
+ *
+ * Reads raw href attributes from the DOM and resolves them against the document's
+ * base URL with the same resolution enrichHtml uses, so the URLs match the ones in
+ * get_current_html output. Filtering and deduplication run here rather than in the page.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { resolveUrl } from '../core/html.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+/**
+ * @typedef {Object} LinkInfo
+ * @property {string} href - Absolute URL
+ * @property {string} text - Visible link text, or its aria-label, image alt or title
+ * @property {string|null} rel - rel attribute, null if not set
+ * @property {string} location - Page region the link is in: nav, header, main, aside, footer or other
+ */
+
+const LINK_LOCATIONS = ["nav", "header", "main", "aside", "footer", "other"];
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful extract_links operations
+ */
+export class ExtractLinksSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {LinkInfo[]} links - Links after filtering and deduplication
+   * @param {number} totalLinks - Number of links on the page before filtering
+   * @param {boolean} truncated - Whether links were cut off at maxLinks
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, links, totalLinks, truncated, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (!Array.isArray(links)) {
+      throw new TypeError('links must be an array');
+    }
+    if (typeof totalLinks !== 'number') {
+      throw new TypeError('totalLinks must be a number');
+    }
+    if (typeof truncated !== 'boolean') {
+      throw new TypeError('truncated must be a boolean');
+    }
+
+    this.currentUrl = currentUrl;
+    this.links = links;
+    this.totalLinks = totalLinks;
+    this.truncated = truncated;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      links: this.links,
+      totalLinks: this.totalLinks,
+      truncated: this.truncated
+    };
+  }
+
+  getTextSummary() {
+    if (this.links.length === 0) {
+      return `No matching links on: ${this.currentUrl} (${this.totalLinks} link(s) before filtering)`;
+    }
+    const truncated = this.truncated ? ', truncated' : '';
+    const lines = this.links.map(link => `- [${link.location}] ${link.text || '(no text)'} → ${link.href}`);
+    return `${this.links.length} link(s) on: ${this.currentUrl} (${this.totalLinks} before filtering${truncated})\n${lines.join('\n')}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const EXTRACT_LINKS_TOOL = {
+  name: "extract_links",
+  title: "Extract Links",
+  description: "**BROWSER STATE EXTRACTION** - Lists the links on a browser-loaded page with absolute URL, text, rel and the page region they are in (nav, header, main, aside, footer). Use this to crawl documentation or find pages to visit next instead of scraping hrefs out of get_current_html. Supports same-origin filtering, include/exclude regular expressions and deduplication.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool reads from an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      selector: { type: "string", description: "CSS selector of a container to only list the links inside it, e.g. 'main' or '.sidebar'" },
+      sameOrigin: { type: "boolean", description: "Only list links to the page's own origin", default: false },
+      include: { type: "string", description: "Regular expression the absolute URL must match, e.g. '/docs/'" },
+      exclude: { type: "string", description: "Regular expression to drop matching absolute URLs, e.g. '/blog/'" },
+      locations: {
+        type: "array",
+        items: { type: "string", enum: LINK_LOCATIONS },
+        description: "Only list links in these page regions"
+      },
+      dedupe: { type: "boolean", description: "List each URL once, keeping the first link to it", default: true },
+      includeFragments: { type: "boolean", description: "Include links to anchors on the current page (#section)", default: false },
+      maxLinks: { type: "number", description: "Maximum number of links to return", default: 500 }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      links: {
+        type: "array",
+        description: "Links in document order",
+        items: {
+          type: "object",
+          properties: {
+            href: { type: "string", description: "Absolute URL" },
+            text: { type: "string", description: "Link text, or its aria-label, image alt or title" },
+            rel: { type: ["string", "null"], description: "rel attribute, e.g. 'next' or 'nofollow'" },
+            location: { type: "string", enum: LINK_LOCATIONS, description: "Page region the link is in" }
+          },
+          required: ["href", "text", "rel", "location"],
+          additionalProperties: false
+        }
+      },
+      totalLinks: { type: "number", description: "Number of links on the page (or in selector) before filtering" },
+      truncated: { type: "boolean", description: "Whether links were cut off at maxLinks" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "links", "totalLinks", "truncated", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Collect raw links with their text and region. Runs in the browser context.
+ * @param {string|null} scopeSelector - Container selector, null for the whole page
+ * @returns {{baseUrl?: string, links?: Array<Object>, error?: string}}
+ */
+function collectLinksInPage(scopeSelector) {
+  const REGIONS = [
+    ['nav', 'nav, [role="navigation"]'],
+    ['header', 'header, [role="banner"]'],
+    ['main', 'main, [role="main"]'],
+    ['aside', 'aside, [role="complementary"]'],
+    ['footer', 'footer, [role="contentinfo"]']
+  ];
+  const REGION_QUERY = REGIONS.map(([, query]) => query).join(', ');
+  const normalize = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+
+  const scope = scopeSelector ? document.querySelector(scopeSelector) : document;
+  if (!scope) return { error: `No element matches selector: ${scopeSelector}` };
+
+  const links = Array.from(scope.querySelectorAll('a[href], area[href]')).map(link => {
+    // The closest region wins, so a nav inside a header counts as nav
+    const region = link.closest(REGION_QUERY);
+    const location = region ? REGIONS.find(([, query]) => region.matches(query))[0] : 'other';
+    const image = link.querySelector('img[alt]');
+    return {
+      href: link.getAttribute('href'),
+      text: normalize(link.innerText || link.getAttribute('aria-label') || image?.alt || link.getAttribute('title') || link.alt),
+      rel: link.getAttribute('rel') || null,
+      location
+    };
+  });
+
+  return { baseUrl: document.baseURI, links };
+}
+
+/**
+ * Compile a filter pattern, naming the parameter when it is not a valid regular expression
+ * @param {string|undefined} pattern - Regular expression source
+ * @param {string} name - Parameter name for the error message
+ * @returns {RegExp|null} The compiled expression, null if no pattern was given
+ */
+function compilePattern(pattern, name) {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern);
+  } catch (err) {
+    throw new Error(`Invalid ${name} pattern: ${err.message}`);
+  }
+}
+
+/**
+ * List the links on the current page
+ * @param {Object} params - Extraction parameters
+ * @param {string} params.url - The URL of the page to read
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.selector] - Container to list links in (defaults to the whole page)
+ * @param {boolean} [params.sameOrigin=false] - Only list links to the page's origin
+ * @param {string} [params.include] - Regular expression absolute URLs must match
+ * @param {string} [params.exclude] - Regular expression to drop matching absolute URLs
+ * @param {string[]} [params.locations] - Only list links in these page regions
+ * @param {boolean} [params.dedupe=true] - List each URL once
+ * @param {boolean} [params.includeFragments=false] - Include links to anchors on the current page
+ * @param {number} [params.maxLinks=500] - Maximum number of links to return
+ * @returns {Promise<Object>} Result object with the links
+ */
+export async function extractLinks({ url, tabId, selector, sameOrigin = false, include, exclude, locations, dedupe = true, includeFragments = false, maxLinks = 500 }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (locations !== undefined && (!Array.isArray(locations) || locations.some(location => !LINK_LOCATIONS.includes(location)))) {
+    throw new Error(`Invalid locations: ${JSON.stringify(locations)}. Must be a list of: ${LINK_LOCATIONS.join(', ')}`);
+  }
+
+  const includePattern = compilePattern(include, 'include');
+  const excludePattern = compilePattern(exclude, 'exclude');
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  try {
+    const result = await page.evaluate(collectLinksInPage, selector || null);
+
+    if (result.error) {
+      return new ErrorResponse(
+        result.error,
+        [
+          "Use snapshot_page to find the right container selector",
+          "Omit selector to list every link on the page"
+        ]
+      );
+    }
+
+    const currentUrl = page.url();
+    const current = new URL(currentUrl);
+    const seen = new Set();
+    const links = [];
+    let truncated = false;
+
+    for (const link of result.links) {
+      const href = resolveUrl(link.href, result.baseUrl);
+      if (!href) continue;
+
+      const target = new URL(href);
+      if (target.protocol === 'javascript:') continue;
+      if (!includeFragments && target.hash && target.origin === current.origin &&
+        target.pathname === current.pathname && target.search === current.search) {
+        continue;
+      }
+      if (sameOrigin && target.origin !== current.origin) continue;
+      if (locations && !locations.includes(link.location)) continue;
+      if (includePattern && !includePattern.test(href)) continue;
+      if (excludePattern && excludePattern.test(href)) continue;
+
+      if (dedupe) {
+        if (seen.has(href)) continue;
+        seen.add(href);
+      }
+
+      if (links.length >= maxLinks) {
+        truncated = true;
+        break;
+      }
+      links.push({ ...link, href });
+    }
+
+    return new ExtractLinksSuccessResponse(
+      currentUrl,
+      links,
+      result.links.length,
+      truncated,
+      links.length > 0
+        ? [
+            "Use fetch_webpage to open a link",
+            "Use include, exclude or locations to narrow the list",
+            "Use click_element for links that need the current page's state"
+          ]
+        : [
+            "Loosen sameOrigin, include, exclude or locations filters",
+            "Use wait_for_element if links are still loading"
+          ]
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to extract links: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Check that the selector is a valid CSS selector",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  }
+}
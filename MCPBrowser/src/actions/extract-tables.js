@@ -0,0 +1,355 @@
+/**
+ * extract-tables.js - Extract tables from the live page as structured rows
+ *
+ * Reads the rendered DOM instead of cleaned HTML, so cell text keeps its visible
+ * line breaks and spacing is normalized per cell. Native <table> elements and ARIA
+ * grids (role="grid", "table", "treegrid") are laid out into a rectangular grid:
+ * rowspan cells repeat down, header cells spanning several columns repeat across,
+ * and multi-row headers are joined per column ("Q1 / Revenue").
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { formatCsv, formatMarkdownTable } from '../utils.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+/**
+ * @typedef {Object} ExtractedTable
+ * @property {number} index - Position among the tables found, in document order
+ * @property {string|null} caption - <caption>, aria-label or aria-labelledby text
+ * @property {string[]} headers - Column names ("Column N" where the table has no header)
+ * @property {boolean} hasHeader - Whether the headers come from the table itself
+ * @property {string[][]} rows - Body rows, one value per column
+ * @property {number} rowCount - Number of body rows in the table
+ * @property {boolean} truncated - Whether rows were cut off at maxRows
+ * @property {string|null} csv - CSV rendering (header line included) if requested
+ * @property {string|null} markdown - Markdown rendering if requested
+ */
+
+const TABLE_FORMATS = ["csv", "markdown"];
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful extract_tables operations
+ */
+export class ExtractTablesSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {ExtractedTable[]} tables - Extracted tables
+   * @param {number} totalTables - Number of non-empty tables found (may exceed tables.length)
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, tables, totalTables, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (!Array.isArray(tables)) {
+      throw new TypeError('tables must be an array');
+    }
+    if (typeof totalTables !== 'number') {
+      throw new TypeError('totalTables must be a number');
+    }
+
+    this.currentUrl = currentUrl;
+    this.tables = tables;
+    this.totalTables = totalTables;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      tables: this.tables,
+      totalTables: this.totalTables
+    };
+  }
+
+  getTextSummary() {
+    if (this.tables.length === 0) {
+      return `No tables found on: ${this.currentUrl}`;
+    }
+    const shown = this.totalTables > this.tables.length ? ` (showing ${this.tables.length} of ${this.totalTables})` : '';
+    const lines = this.tables.map(table => {
+      const caption = table.caption ? ` "${table.caption}"` : '';
+      const truncated = table.truncated ? ` (showing ${table.rows.length})` : '';
+      return `- Table ${table.index}${caption}: ${table.headers.length} columns, ${table.rowCount} rows${truncated}`;
+    });
+    return `Found ${this.totalTables} table(s) on: ${this.currentUrl}${shown}\n${lines.join('\n')}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const EXTRACT_TABLES_TOOL = {
+  name: "extract_tables",
+  title: "Extract Tables",
+  description: "**BROWSER STATE EXTRACTION** - Extracts tables from a browser-loaded page as JSON rows with column headers, plus optional CSV or markdown. Use this for reports, dashboards and data grids instead of reading them from get_current_html, where merged cells and collapsed whitespace make columns hard to line up.\n\nHandles <table> elements and ARIA grids (role=grid/table/treegrid), header rows, rowspan and colspan. Layout tables that wrap other tables are skipped.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool reads from an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      selector: { type: "string", description: "CSS selector for one table, or for a container to extract the tables inside it. Defaults to the whole page." },
+      maxTables: { type: "number", description: "Maximum number of tables to return", default: 20 },
+      maxRows: { type: "number", description: "Maximum number of body rows to return per table", default: 500 },
+      formats: {
+        type: "array",
+        items: { type: "string", enum: TABLE_FORMATS },
+        description: "Extra renderings to include per table: 'csv' and/or 'markdown'",
+        default: []
+      }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      tables: {
+        type: "array",
+        description: "Extracted tables in document order",
+        items: {
+          type: "object",
+          properties: {
+            index: { type: "number", description: "Position among the tables found, starting at 1" },
+            caption: { type: ["string", "null"], description: "Table caption or accessible name" },
+            headers: { type: "array", items: { type: "string" }, description: "Column names; multi-row headers are joined with ' / '" },
+            hasHeader: { type: "boolean", description: "Whether the table has header rows (otherwise headers are 'Column 1', 'Column 2', ...)" },
+            rows: {
+              type: "array",
+              items: { type: "array", items: { type: "string" } },
+              description: "Body rows, one value per column in headers order"
+            },
+            rowCount: { type: "number", description: "Number of body rows in the table" },
+            truncated: { type: "boolean", description: "Whether rows were cut off at maxRows" },
+            csv: { type: ["string", "null"], description: "CSV rendering if requested in formats" },
+            markdown: { type: ["string", "null"], description: "Markdown table if requested in formats" }
+          },
+          required: ["index", "caption", "headers", "hasHeader", "rows", "rowCount", "truncated", "csv", "markdown"],
+          additionalProperties: false
+        }
+      },
+      totalTables: { type: "number", description: "Number of non-empty tables found" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "tables", "totalTables", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Find tables and lay them out into header and body rows. Runs in the browser context.
+ * @param {string|null} scopeSelector - Table or container selector, null for the whole page
+ * @param {number} maxTables - Maximum number of tables to return
+ * @param {number} maxRows - Maximum number of body rows per table
+ * @returns {{tables?: Array<Object>, totalTables?: number, error?: string}}
+ */
+function extractTablesInPage(scopeSelector, maxTables, maxRows) {
+  const TABLE_QUERY = 'table, [role="grid"], [role="table"], [role="treegrid"]';
+  const CELL_QUERY = '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+  const normalize = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+  const isVisible = (el) => el.getClientRects().length > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+
+  let candidates;
+  if (scopeSelector) {
+    const scope = document.querySelector(scopeSelector);
+    if (!scope) return { error: `No element matches selector: ${scopeSelector}` };
+    candidates = scope.matches(TABLE_QUERY) ? [scope] : Array.from(scope.querySelectorAll(TABLE_QUERY));
+  } else {
+    candidates = Array.from(document.querySelectorAll(TABLE_QUERY));
+  }
+  candidates = candidates.filter(el => isVisible(el) && !['presentation', 'none'].includes(el.getAttribute('role')));
+  // Layout tables wrap the data tables; keep the innermost ones
+  candidates = candidates.filter(el => !candidates.some(other => other !== el && el.contains(other)));
+
+  const getRows = (table) => {
+    if (table.tagName === 'TABLE') {
+      return Array.from(table.rows).map(row => ({ row, cells: Array.from(row.cells) }));
+    }
+    return Array.from(table.querySelectorAll('[role="row"]'))
+      .filter(row => row.parentElement.closest(TABLE_QUERY) === table)
+      .map(row => ({ row, cells: Array.from(row.querySelectorAll(CELL_QUERY)).filter(cell => cell.closest('[role="row"]') === row) }));
+  };
+  const isHeaderCell = (cell) => cell.tagName === 'TH' || cell.getAttribute('role') === 'columnheader';
+  const span = (cell, kind) => {
+    const native = kind === 'col' ? cell.colSpan : cell.rowSpan;
+    if (cell.tagName === 'TD' || cell.tagName === 'TH') return native;
+    return parseInt(cell.getAttribute(`aria-${kind}span`), 10) || 1;
+  };
+  const captionOf = (table) => {
+    const labelledBy = (table.getAttribute('aria-labelledby') || '')
+      .split(/\s+/)
+      .map(id => document.getElementById(id)?.innerText || '')
+      .join(' ');
+    return normalize(table.caption?.innerText || table.getAttribute('aria-label') || labelledBy) || null;
+  };
+
+  // Empty tables are neither numbered nor counted against maxTables
+  const tables = [];
+  let totalTables = 0;
+  for (const table of candidates) {
+    const rows = getRows(table).filter(({ cells }) => cells.length > 0);
+    if (rows.length === 0) continue;
+    totalTables++;
+    if (tables.length >= maxTables) continue;
+
+    // Header rows: a <thead>, or leading rows made only of header cells
+    let headerCount = 0;
+    while (headerCount < rows.length &&
+      (rows[headerCount].row.parentElement.tagName === 'THEAD' || rows[headerCount].cells.every(isHeaderCell))) {
+      headerCount++;
+    }
+    const laidOut = rows.slice(0, headerCount + maxRows);
+
+    const grid = laidOut.map(() => []);
+    laidOut.forEach(({ cells }, r) => {
+      let column = 0;
+      for (const cell of cells) {
+        while (grid[r][column] !== undefined) column++;
+        const text = normalize(cell.innerText);
+        const header = r < headerCount;
+        const colspan = Math.max(1, span(cell, 'col'));
+        // rowspan="0" spans to the end of the table
+        const rowspan = Math.min(span(cell, 'row') || laidOut.length, laidOut.length - r);
+        for (let i = 0; i < Math.max(1, rowspan); i++) {
+          for (let j = 0; j < colspan; j++) {
+            // Header text repeats across spanned columns so every column gets a name
+            grid[r + i][column + j] = j === 0 || header ? text : '';
+          }
+        }
+        column += colspan;
+      }
+    });
+
+    const width = Math.max(...grid.map(row => row.length));
+    const filled = grid.map(row => Array.from({ length: width }, (_, i) => row[i] ?? ''));
+    const headerRows = filled.slice(0, headerCount);
+    const headers = Array.from({ length: width }, (_, i) => {
+      const parts = headerRows.map(row => row[i]).filter((text, k, all) => text && all.indexOf(text) === k);
+      return parts.join(' / ') || `Column ${i + 1}`;
+    });
+    const body = filled.slice(headerCount).filter(row => row.some(text => text));
+
+    tables.push({
+      caption: captionOf(table),
+      headers,
+      hasHeader: headerCount > 0,
+      rows: body,
+      rowCount: rows.length - headerCount,
+      truncated: rows.length - headerCount > maxRows
+    });
+  }
+
+  return { tables, totalTables };
+}
+
+/**
+ * Extract tables from the current page as structured rows
+ * @param {Object} params - Extraction parameters
+ * @param {string} params.url - The URL of the page to read
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.selector] - Table or container selector (defaults to the whole page)
+ * @param {number} [params.maxTables=20] - Maximum number of tables to return
+ * @param {number} [params.maxRows=500] - Maximum number of body rows per table
+ * @param {string[]} [params.formats=[]] - Extra renderings: csv, markdown
+ * @returns {Promise<Object>} Result object with the tables
+ */
+export async function extractTables({ url, tabId, selector, maxTables = 20, maxRows = 500, formats = [] }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!Array.isArray(formats) || formats.some(format => !TABLE_FORMATS.includes(format))) {
+    throw new Error(`Invalid formats: ${JSON.stringify(formats)}. Must be a list of: ${TABLE_FORMATS.join(', ')}`);
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  try {
+    const result = await page.evaluate(extractTablesInPage, selector || null, maxTables, maxRows);
+
+    if (result.error) {
+      return new ErrorResponse(
+        result.error,
+        [
+          "Use get_interactive_elements or snapshot_page to find the right selector",
+          "Omit selector to extract every table on the page"
+        ]
+      );
+    }
+
+    const tables = result.tables.map((table, i) => ({
+      index: i + 1,
+      ...table,
+      csv: formats.includes('csv') ? formatCsv([table.headers, ...table.rows]) : null,
+      markdown: formats.includes('markdown') ? formatMarkdownTable(table.headers, table.rows) : null
+    }));
+
+    return new ExtractTablesSuccessResponse(
+      page.url(),
+      tables,
+      result.totalTables,
+      tables.length > 0
+        ? [
+            "Use selector to extract a single table",
+            "Use formats to also get CSV or markdown",
+            "Use scroll_page first if the grid loads more rows while scrolling"
+          ]
+        : [
+            "Use wait_for_element if the table is still loading",
+            "Use get_current_html to check how the data is laid out"
+          ]
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to extract tables: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Check that the selector is a valid CSS selector",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  }
+}
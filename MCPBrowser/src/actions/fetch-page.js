@@ -3,15 +3,31 @@
  * Handles web page fetching with authentication flows and tab reuse
  */
 
-import { getBrowser, domainPages } from '../core/browser.js';
+import { getBrowser, getTabInfo, remapTab } from '../core/browser.js';
 import { getOrCreatePage, navigateToUrl, extractAndProcessHtml, waitForPageStability } from '../core/page.js';
 import { detectRedirectType, waitForAutoAuth, waitForManualAuth } from '../core/auth.js';
 import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { waitForNewDownload, waitForDownload, routeDownloads, DOWNLOAD_INFO_SCHEMA } from '../core/downloads.js';
+import { isPdfPage, capturePdfResponses, extractPdfText, formatPdfText } from '../core/pdf.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
 
 /**
  * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/downloads.js').DownloadInfo} DownloadInfo
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
  */
 
+/**
+ * @typedef {Object} PdfInfo
+ * @property {string|null} title - Document title, null if not set
+ * @property {string|null} author - Document author, null if not set
+ * @property {number} pageCount - Number of pages
+ */
+
+// How long to wait for a download to start after a navigation is aborted
+const DOWNLOAD_START_TIMEOUT = 2000;
+
 // ============================================================================
 // RESPONSE CLASS
 // ============================================================================
@@ -22,10 +38,15 @@ import { MCPResponse, ErrorResponse } from '../core/responses.js';
 export class FetchPageSuccessResponse extends MCPResponse {
   /**
    * @param {string} currentUrl - Final URL after redirects
-   * @param {string} html - Page HTML content
+   * @param {string} html - Page content in the requested output format
    * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DownloadInfo|null} [download=null] - Download started instead of a page load (file URLs)
+   * @param {string|null} [tabId=null] - ID of the tab the page was loaded in
+   * @param {PdfInfo|null} [pdf=null] - Document info when the URL was a PDF (html then holds its text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs raised while the page loaded
    */
-  constructor(currentUrl, html, nextSteps) {
+  constructor(currentUrl, html, nextSteps, outputFormat = 'html', download = null, tabId = null, pdf = null, dialogs = []) {
     super(nextSteps);
     
     if (typeof currentUrl !== 'string') {
@@ -34,20 +55,56 @@ export class FetchPageSuccessResponse extends MCPResponse {
     if (typeof html !== 'string') {
       throw new TypeError('html must be a string');
     }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (download !== null && typeof download !== 'object') {
+      throw new TypeError('download must be an object or null');
+    }
+    if (tabId !== null && typeof tabId !== 'string') {
+      throw new TypeError('tabId must be a string or null');
+    }
+    if (pdf !== null && typeof pdf !== 'object') {
+      throw new TypeError('pdf must be an object or null');
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
     
     this.currentUrl = currentUrl;
     this.html = html;
+    this.outputFormat = outputFormat;
+    this.download = download;
+    this.tabId = tabId;
+    this.pdf = pdf;
+    this.dialogs = dialogs;
   }
 
   _getAdditionalFields() {
     return {
       currentUrl: this.currentUrl,
-      html: this.html
+      html: this.html,
+      outputFormat: this.outputFormat,
+      download: this.download,
+      tabId: this.tabId,
+      pdf: this.pdf,
+      dialogs: this.dialogs
     };
   }
 
   getTextSummary() {
-    return `Successfully fetched: ${this.currentUrl}`;
+    let summary;
+    if (this.download) {
+      summary = `Downloaded file: ${this.download.filename} (${this.download.state})`;
+    } else if (this.pdf) {
+      const title = this.pdf.title ? ` "${this.pdf.title}"` : '';
+      summary = `Fetched PDF${title}: ${this.currentUrl} (${this.pdf.pageCount} page(s))`;
+    } else {
+      summary = this.tabId
+        ? `Successfully fetched: ${this.currentUrl} (tab ${this.tabId})`
+        : `Successfully fetched: ${this.currentUrl}`;
+    }
+    return this.dialogs.length > 0 ? `${summary}. ${describeDialogs(this.dialogs)}` : summary;
   }
 }
 
@@ -61,13 +118,17 @@ export class FetchPageSuccessResponse extends MCPResponse {
 export const FETCH_WEBPAGE_TOOL = {
   name: "fetch_webpage",
   title: "Fetch Web Page",
-  description: "Fetches web pages using Chrome/Edge browser with full JavaScript rendering and authentication support. **REQUIRED for corporate/enterprise sites, any page requiring login/SSO, anti-bot/CAPTCHA pages, and JavaScript-heavy applications.** Use this as the DEFAULT for all webpage fetching - it handles simple HTML pages too. Opens browser for user authentication when needed. Never use generic HTTP fetch for pages that might require authentication.",
+  description: "Fetches web pages using Chrome/Edge browser with full JavaScript rendering and authentication support. **REQUIRED for corporate/enterprise sites, any page requiring login/SSO, anti-bot/CAPTCHA pages, and JavaScript-heavy applications.** Use this as the DEFAULT for all webpage fetching - it handles simple HTML pages too. Opens browser for user authentication when needed. Never use generic HTTP fetch for pages that might require authentication. Pages of the same hostname share one tab unless newTab is set; pass the returned tabId to other tools to work with a specific tab. URLs that serve a file download (CSV, ZIP...) save the file and return it in download; use get_download to read it. PDF documents return their text page by page in html (outputFormat 'text') with title and page count in pdf. JavaScript dialogs the page raises while loading (e.g. an alert() on load) are answered according to dialogAction and listed in dialogs.",
   inputSchema: {
     type: "object",
     properties: {
       url: { type: "string", description: "The URL to fetch" },
       removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%.", default: true },
-      postLoadWait: { type: "number", description: "Milliseconds to wait after page load for SPAs to render dynamic content.", default: 1000 }
+      postLoadWait: { type: "number", description: "Milliseconds to wait after page load for SPAs to render dynamic content.", default: 1000 },
+      newTab: { type: "boolean", description: "Open the URL in a new tab even if this hostname already has one (e.g. to compare two pages side by side). The existing tab stays the default for the hostname; use the returned tabId to work with the new tab.", default: false },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text).", default: "html" },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs the page raises while loading: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog the page raises while loading; the prompt is accepted unless dialogAction says otherwise" }
     },
     required: ["url"],
     additionalProperties: false
@@ -76,14 +137,37 @@ export const FETCH_WEBPAGE_TOOL = {
     type: "object",
     properties: {
       currentUrl: { type: "string", description: "Final URL after any redirects" },
-      html: { type: "string", description: "Page HTML content" },
+      html: { type: "string", description: "Page content in the requested outputFormat (empty if the URL was a file download, PDF text with '--- Page N ---' markers for PDFs)" },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      download: {
+        ...DOWNLOAD_INFO_SCHEMA,
+        type: ["object", "null"],
+        description: "File downloaded instead of a page load (e.g. CSV or ZIP URLs), null for normal pages"
+      },
+      tabId: { type: ["string", "null"], description: "ID of the tab the page was loaded in; pass it as tabId to other tools to use this tab" },
+      pdf: {
+        type: ["object", "null"],
+        properties: {
+          title: { type: ["string", "null"], description: "Document title" },
+          author: { type: ["string", "null"], description: "Document author" },
+          pageCount: { type: "number", description: "Number of pages" }
+        },
+        required: ["title", "author", "pageCount"],
+        additionalProperties: false,
+        description: "Document info when the URL was a PDF, null for other pages"
+      },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs raised while the page loaded and how they were answered"
+      },
       nextSteps: { 
         type: "array", 
         items: { type: "string" },
         description: "Suggested next actions"
       }
     },
-    required: ["currentUrl", "html", "nextSteps"],
+    required: ["currentUrl", "html", "outputFormat", "download", "tabId", "pdf", "dialogs", "nextSteps"],
     additionalProperties: false
   }
 };
@@ -92,18 +176,63 @@ export const FETCH_WEBPAGE_TOOL = {
 // ACTION FUNCTION
 // ============================================================================
 
+/**
+ * Return the text of a PDF shown in Chrome's viewer, whose DOM is only an <embed> wrapper
+ * @param {Page} page - The Puppeteer page instance showing the PDF
+ * @param {string|null} tabId - ID of the tab
+ * @param {Object} pdfCapture - Capture of this navigation's PDF responses, from capturePdfResponses()
+ * @param {() => DialogInfo[]} stopDialogCapture - Stops the dialog capture of this fetch, from captureDialogs()
+ * @returns {Promise<Object>} Result object with the PDF text, or an error
+ */
+async function fetchPdf(page, tabId, pdfCapture, stopDialogCapture) {
+  let pdf;
+  try {
+    pdf = await extractPdfText(pdfCapture.getPdfBytes(page.url()));
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to extract PDF text: ${err.message}`,
+      [
+        "Use take_screenshot to read the PDF from the viewer",
+        "Use close_tab when finished to free browser resources"
+      ]
+    );
+  }
+
+  console.error(`[MCPBrowser] URL is a PDF: ${pdf.pageCount} page(s)`);
+  const hasText = pdf.pages.some(text => text);
+  return new FetchPageSuccessResponse(
+    page.url(),
+    formatPdfText(pdf),
+    [
+      hasText
+        ? "Use the '--- Page N ---' markers in html to cite or navigate pages"
+        : "The PDF has no text layer (scanned pages); use take_screenshot to read it",
+      "Use close_tab when finished to free browser resources"
+    ],
+    'text',
+    null,
+    tabId,
+    { title: pdf.title, author: pdf.author, pageCount: pdf.pageCount },
+    stopDialogCapture()
+  );
+}
+
 /**
  * Fetch a web page using Chrome browser, with support for authentication flows and tab reuse.
  * Reuses existing tabs per domain when possible. Handles authentication redirects by waiting
  * for user to complete login (up to 10 minutes). Processes HTML to remove unnecessary elements
- * and convert relative URLs to absolute.
+ * and convert relative URLs to absolute. PDF documents return their text instead of HTML.
  * @param {Object} params - Fetch parameters
  * @param {string} params.url - The URL to fetch
  * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (removes scripts, styles, etc.)
  * @param {number} [params.postLoadWait=1000] - Milliseconds to wait after page load for SPAs to render
+ * @param {boolean} [params.newTab=false] - Open a new tab even if the hostname already has one
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text)
+ * @param {string} [params.dialogAction] - How to answer dialogs the page raises while loading (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt() dialog the page raises while loading
  * @returns {Promise<Object>} Result object with success status, URL, HTML content, or error details
  */
-export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWait = 1000 }) {
+export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWait = 1000, outputFormat = "html", newTab = false, dialogAction, promptText }) {
   // Handle missing URL with environment variable fallback
   if (!url) {
     const fallbackUrl = process.env.DEFAULT_FETCH_URL || process.env.MCP_DEFAULT_FETCH_URL;
@@ -117,12 +246,18 @@ export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWai
     }
   }
   
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+  
   // Hardcoded smart defaults - use 'domcontentloaded' for fastest loading
   // (waits for HTML parsed, not all resources loaded - much faster for SPAs)
   const waitUntil = "domcontentloaded";
   const navigationTimeout = 30000;
   const authCompletionTimeout = 600000;
-  const reuseLastKeptPage = true;
+  const reuseLastKeptPage = !newTab;
 
   // Parse hostname for domain-based tab reuse
   let hostname;
@@ -134,14 +269,56 @@ export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWai
 
   const browser = await getBrowser();
   let page = null;
+  let pdfCapture = null;
+  let stopDownloadRouting = null;
+  let stopDialogCapture = null;
   
   try {
     // Get or create page for this domain
     page = await getOrCreatePage(browser, hostname, reuseLastKeptPage);
+    const tabId = getTabInfo(page)?.tabId ?? null;
+
+    // An alert() on load blocks the navigation until it is answered
+    stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+
+    // PDF bodies are only available from the navigation response itself
+    pdfCapture = await capturePdfResponses(page);
     
+    // Save a file the URL downloads to the download directory, only while the navigation starts it
+    stopDownloadRouting = await routeDownloads(page, tabId);
+
     // Navigate to URL with fallback strategy
-    await navigateToUrl(page, url, waitUntil, navigationTimeout);
+    const navigationStart = Date.now();
+    try {
+      await navigateToUrl(page, url, waitUntil, navigationTimeout);
+    } catch (err) {
+      // Chrome aborts the navigation when the URL turns out to be a file download
+      if (!err.message?.includes('net::ERR_ABORTED')) throw err;
+      const started = await waitForNewDownload(navigationStart, DOWNLOAD_START_TIMEOUT, tabId);
+      await stopDownloadRouting();
+      if (!started) throw err;
+
+      const download = await waitForDownload(started.id, navigationTimeout);
+      console.error(`[MCPBrowser] URL is a file download: ${download.filename} (${download.state})`);
+      return new FetchPageSuccessResponse(
+        page.url(),
+        "",
+        [
+          download.state === 'inProgress'
+            ? `Use get_download with id "${download.id}" and waitForCompletion to wait for the download`
+            : `Use get_download with id "${download.id}" to get the file path or content`,
+          "Use list_downloads to see all downloads"
+        ],
+        outputFormat,
+        download,
+        tabId,
+        null,
+        stopDialogCapture()
+      );
+    }
     
+    await stopDownloadRouting();
+
     const currentUrl = page.url();
     const currentHostname = new URL(currentUrl).hostname;
     console.error(`[MCPBrowser] Navigation completed: ${currentUrl}`);
@@ -153,15 +330,13 @@ export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWai
       console.error(`[MCPBrowser] User requested auth page directly, returning content`);
       // Update domain mapping if needed
       if (redirectInfo.currentHostname !== hostname) {
-        domainPages.delete(hostname);
-        domainPages.set(redirectInfo.currentHostname, page);
+        remapTab(page, hostname, redirectInfo.currentHostname);
         hostname = redirectInfo.currentHostname;
       }
     } else if (redirectInfo.type === 'permanent') {
       console.error(`[MCPBrowser] Permanent redirect detected: ${hostname} → ${redirectInfo.currentHostname}`);
       console.error(`[MCPBrowser] Accepting redirect and updating domain mapping`);
-      domainPages.delete(hostname);
-      domainPages.set(redirectInfo.currentHostname, page);
+      remapTab(page, hostname, redirectInfo.currentHostname);
       hostname = redirectInfo.currentHostname;
     } else if (redirectInfo.type === 'auth') {
       console.error(`[MCPBrowser] Authentication flow detected (${redirectInfo.flowType})`);
@@ -173,8 +348,7 @@ export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWai
       if (autoAuthResult.success) {
         // Update hostname if changed
         if (autoAuthResult.hostname !== hostname) {
-          domainPages.delete(hostname);
-          domainPages.set(autoAuthResult.hostname, page);
+          remapTab(page, hostname, autoAuthResult.hostname);
           hostname = autoAuthResult.hostname;
         }
       } else {
@@ -194,8 +368,7 @@ export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWai
         
         // Update hostname if changed
         if (manualAuthResult.hostname !== hostname) {
-          domainPages.delete(hostname);
-          domainPages.set(manualAuthResult.hostname, page);
+          remapTab(page, hostname, manualAuthResult.hostname);
           hostname = manualAuthResult.hostname;
         }
       }
@@ -204,13 +377,18 @@ export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWai
       await waitForPageStability(page);
     }
     
+    // The PDF viewer has nothing to render, so skip the SPA wait
+    if (await isPdfPage(page)) {
+      return await fetchPdf(page, tabId, pdfCapture, stopDialogCapture);
+    }
+    
     // Wait for SPAs to render dynamic content after page load
     if (postLoadWait > 0) {
       await new Promise(resolve => setTimeout(resolve, postLoadWait));
     }
     
     // Extract and process HTML
-    const processedHtml = await extractAndProcessHtml(page, removeUnnecessaryHTML);
+    const processedHtml = await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat);
     
     return new FetchPageSuccessResponse(
       page.url(),
@@ -220,7 +398,12 @@ export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWai
         "Use type_text to fill in form fields",
         "Use get_current_html to re-check page state after interactions",
         "Use close_tab when finished to free browser resources"
-      ]
+      ],
+      outputFormat,
+      null,
+      tabId,
+      null,
+      stopDialogCapture()
     );
   } catch (err) {
     return new ErrorResponse(
@@ -233,5 +416,8 @@ export async function fetchPage({ url, removeUnnecessaryHTML = true, postLoadWai
     );
   } finally {
     // Tab always stays open - domain-aware reuse handles cleanup
+    stopDialogCapture?.();
+    await pdfCapture?.stop();
+    await stopDownloadRouting?.();
   }
 }
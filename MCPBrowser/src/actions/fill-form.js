@@ -0,0 +1,634 @@
+/**
+ * fill-form.js - Fill several form fields in one call
+ *
+ * Text fields are typed into with the keyboard like type_text, so input masks and
+ * framework listeners see real keystrokes. Selects, checkboxes and radios are set in
+ * the page and fire the events frameworks listen for. Each field reports its own
+ * result; the page is only waited on once, after the last field (and the submit).
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { extractAndProcessHtml, waitForPageStability, refSelector, selectNativeOptions } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
+ */
+
+/**
+ * @typedef {Object} FilledField
+ * @property {string} field - How the field was addressed, e.g. 'label "Email"'
+ * @property {string|null} type - Field type (input type, textarea, select, contenteditable), null if not found
+ * @property {boolean} success - Whether the field was filled
+ * @property {string|boolean|string[]|null} value - Value of the field afterwards, null if it was not filled
+ * @property {string|null} error - Why the field could not be filled
+ */
+
+// Inputs whose value can't be typed reliably (locale-specific pickers), so it is set directly
+const DIRECT_VALUE_TYPES = ["date", "datetime-local", "month", "week", "time", "color", "range"];
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful fill_form operations
+ */
+export class FillFormSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - URL after filling (and submitting)
+   * @param {string} message - Success message
+   * @param {FilledField[]} fields - Result of each field, in request order
+   * @param {boolean} submitted - Whether the form was submitted
+   * @param {string|null} submitError - Why the form was not submitted, if submit was requested
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
+   * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs raised while filling or submitting
+   */
+  constructor(currentUrl, message, fields, submitted, submitError, html, nextSteps, outputFormat = 'html', dialogs = []) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+    if (!Array.isArray(fields)) {
+      throw new TypeError('fields must be an array');
+    }
+    if (typeof submitted !== 'boolean') {
+      throw new TypeError('submitted must be a boolean');
+    }
+    if (submitError !== null && typeof submitError !== 'string') {
+      throw new TypeError('submitError must be a string or null');
+    }
+    if (html !== null && typeof html !== 'string') {
+      throw new TypeError('html must be a string or null');
+    }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
+
+    this.currentUrl = currentUrl;
+    this.message = message;
+    this.fields = fields;
+    this.submitted = submitted;
+    this.submitError = submitError;
+    this.html = html;
+    this.outputFormat = outputFormat;
+    this.dialogs = dialogs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      message: this.message,
+      fields: this.fields,
+      submitted: this.submitted,
+      submitError: this.submitError,
+      html: this.html,
+      outputFormat: this.outputFormat,
+      dialogs: this.dialogs
+    };
+  }
+
+  getTextSummary() {
+    const failures = this.fields
+      .filter(field => !field.success)
+      .map(field => `- ${field.field}: ${field.error}`);
+    return failures.length > 0 ? `${this.message}\n${failures.join('\n')}` : this.message;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const FILL_FORM_TOOL = {
+  name: "fill_form",
+  title: "Fill Form",
+  description: "**BROWSER INTERACTION** - Fills many form fields in one call, instead of one type_text or select_option call per field. Handles text inputs, textareas, native <select> elements, checkboxes and radio buttons. Address each field by CSS selector, visible label, name attribute or snapshot_page ref.\n\nReports success or failure per field, can submit the form at the end, and waits for page stability only once. Returns updated HTML by default. JavaScript dialogs raised while filling or submitting (e.g. a confirm() in the submit handler) are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      fields: {
+        type: "array",
+        description: "Fields to fill, in order. Give each exactly one of selector, label, name or ref, plus a value.",
+        items: {
+          type: "object",
+          properties: {
+            selector: { type: "string", description: "CSS selector for the field (e.g., '#email')" },
+            label: { type: "string", description: "Visible label of the field (<label>, aria-label or placeholder); for radio groups also the <legend>" },
+            name: { type: "string", description: "name attribute of the field (for radio groups, the group name)" },
+            ref: { type: "string", description: "Element ref from snapshot_page (e.g., 'e42')" },
+            value: {
+              type: ["string", "number", "boolean", "array"],
+              items: { type: "string" },
+              description: "Text to type; option value or label for selects (array for multi-select); true/false for checkboxes; option value or label for radio groups (or true to check the addressed radio)"
+            }
+          },
+          required: ["value"],
+          additionalProperties: false
+        }
+      },
+      submit: { type: "boolean", description: "Submit the form of the last filled field after filling. Skipped if any field failed.", default: false },
+      typeDelay: { type: "number", description: "Delay between keystrokes in text fields in milliseconds", default: 0 },
+      waitForElementTimeout: { type: "number", description: "Maximum time to wait for each field in milliseconds", default: 5000 },
+      returnHtml: { type: "boolean", description: "Whether to return HTML after filling.", default: true },
+      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      postFillWait: { type: "number", description: "Milliseconds to wait after filling (and submitting) for SPAs to render dynamic content.", default: 1000 },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs raised while filling or submitting: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog raised while filling or submitting; the prompt is accepted unless dialogAction says otherwise" }
+    },
+    required: ["url", "fields"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "URL after filling (changes if the form was submitted)" },
+      message: { type: "string", description: "Summary message" },
+      fields: {
+        type: "array",
+        description: "Result of each field, in request order",
+        items: {
+          type: "object",
+          properties: {
+            field: { type: "string", description: "How the field was addressed" },
+            type: { type: ["string", "null"], description: "Field type (input type such as text or checkbox, textarea, select, contenteditable), null if not found" },
+            success: { type: "boolean", description: "Whether the field was filled" },
+            value: {
+              type: ["string", "boolean", "array", "null"],
+              items: { type: "string" },
+              description: "Value of the field afterwards (checked state for checkboxes and radios, selected values for selects)"
+            },
+            error: { type: ["string", "null"], description: "Why the field could not be filled" }
+          },
+          required: ["field", "type", "success", "value", "error"],
+          additionalProperties: false
+        }
+      },
+      submitted: { type: "boolean", description: "Whether the form was submitted" },
+      submitError: { type: ["string", "null"], description: "Why the form was not submitted, if submit was requested" },
+      html: {
+        type: ["string", "null"],
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise"
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs raised while filling or submitting and how they were answered"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "message", "fields", "submitted", "submitError", "html", "outputFormat", "dialogs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Find a form field by label, name or selector. Runs in the browser context.
+ * @param {{selector?: string, label?: string, name?: string}} field - How the field is addressed
+ * @returns {Element|null} The field, or null if nothing matched
+ */
+function locateField(field) {
+  if (field.selector) {
+    return document.querySelector(field.selector);
+  }
+  if (field.name) {
+    return document.querySelector(`[name="${CSS.escape(field.name)}"]`);
+  }
+
+  const normalize = (s) => String(s ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const wanted = normalize(field.label);
+  const controls = Array.from(document.querySelectorAll('input, textarea, select, [contenteditable]'))
+    .filter(el => !['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type));
+
+  // <label> (for= or wrapping), exact text first, then a prefix match for "Email *" style labels
+  const labels = Array.from(document.querySelectorAll('label')).filter(label => label.control);
+  const label = labels.find(l => normalize(l.textContent) === wanted) ||
+    labels.find(l => normalize(l.textContent).startsWith(wanted));
+  if (label) return label.control;
+
+  const labelledBy = (el) => normalize((el.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map(id => document.getElementById(id)?.textContent || '')
+    .join(' '));
+  const byAria = controls.find(el => normalize(el.getAttribute('aria-label')) === wanted) ||
+    controls.find(el => el.hasAttribute('aria-labelledby') && labelledBy(el) === wanted) ||
+    controls.find(el => normalize(el.getAttribute('placeholder')) === wanted);
+  if (byAria) return byAria;
+
+  // A fieldset legend labels a whole radio group
+  const legend = Array.from(document.querySelectorAll('legend')).find(l => normalize(l.textContent) === wanted);
+  return legend?.parentElement?.querySelector('input[type="radio"]') || null;
+}
+
+/**
+ * Describe what kind of field an element is and whether it can be filled. Runs in the browser context.
+ * @param {Element} el - The field
+ * @returns {{type: string|null, error?: string}}
+ */
+function inspectField(el) {
+  let type = null;
+  if (el.tagName === 'SELECT') type = 'select';
+  else if (el.tagName === 'TEXTAREA') type = 'textarea';
+  else if (el.tagName === 'INPUT') type = (el.getAttribute('type') || 'text').toLowerCase();
+  else if (el.isContentEditable) type = 'contenteditable';
+
+  if (!type || ['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(type)) {
+    return { type, error: `Element is not a fillable field (${type ? `input type ${type}` : el.tagName.toLowerCase()})` };
+  }
+  if (el.disabled) {
+    return { type, error: 'Field is disabled' };
+  }
+  if (el.readOnly && type !== 'checkbox' && type !== 'radio') {
+    return { type, error: 'Field is read-only' };
+  }
+  return { type };
+}
+
+/**
+ * Focus a text field and select its content, so typing replaces it. Runs in the browser context.
+ * @param {Element} el - The field
+ * @returns {boolean} True if the field has focus
+ */
+function focusAndSelect(el) {
+  el.scrollIntoView({ block: 'center' });
+  el.focus();
+  if (typeof el.select === 'function') {
+    el.select();
+  } else {
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+  return document.activeElement === el;
+}
+
+/**
+ * Set the value of an input directly and fire input/change events. Runs in the browser context.
+ * Uses the prototype setter so frameworks that track the value property (React) see the change.
+ * @param {HTMLInputElement} el - The input
+ * @param {string} value - New value
+ * @returns {string} The value afterwards
+ */
+function setInputValue(el, value) {
+  const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+  setter.call(el, value);
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+  return el.value;
+}
+
+/**
+ * Check or uncheck a checkbox, or check a radio button (picking the group member matching value).
+ * Uses a DOM click so the page's own handlers run, even for visually hidden inputs. Runs in the browser context.
+ * @param {HTMLInputElement} el - The checkbox or radio button
+ * @param {string|boolean} value - Checked state, or the value/label of the radio to pick
+ * @returns {{value?: boolean|string, error?: string}}
+ */
+function setChoice(el, value) {
+  const normalize = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+  const labelOf = (input) => normalize(Array.from(input.labels || []).map(l => l.textContent).join(' '));
+
+  let target = el;
+  if (el.type === 'radio' && typeof value === 'string') {
+    const scope = el.form || document;
+    const group = el.name
+      ? Array.from(scope.querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`))
+      : [el];
+    target = group.find(radio => radio.value === value) ||
+      group.find(radio => labelOf(radio).toLowerCase() === normalize(value).toLowerCase());
+    if (!target) {
+      const available = group.map(radio => labelOf(radio) || radio.value).join(', ');
+      return { error: `No radio option ${JSON.stringify(value)}. Available options: ${available}` };
+    }
+    if (target.disabled) {
+      return { error: `Radio option ${JSON.stringify(value)} is disabled` };
+    }
+    value = true;
+  }
+
+  if (el.type === 'radio' && value === false) {
+    return { error: 'A radio button cannot be unchecked; pick another option of the group instead' };
+  }
+
+  if (target.checked !== value) {
+    target.click();
+  }
+  if (target.checked !== value) {
+    return { error: 'The page prevented changing the checked state' };
+  }
+  return { value: el.type === 'radio' ? target.value : target.checked };
+}
+
+/**
+ * Convert a checkbox value to a checked state
+ * @param {string|number|boolean} value - true/false, or "true"/"on"/"yes"/"1" and their opposites
+ * @returns {boolean|null} The checked state, or null if the value isn't a boolean
+ */
+function toChecked(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'on', 'yes', '1', 'checked'].includes(text)) return true;
+  if (['false', 'off', 'no', '0', 'unchecked', ''].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Describe how a field was addressed, for messages
+ * @param {Object} field - Field entry from the request
+ * @returns {string} Description such as 'label "Email"'
+ */
+function describeField(field) {
+  if (field.ref) return `ref ${field.ref}`;
+  if (field.selector) return `selector ${JSON.stringify(field.selector)}`;
+  if (field.name) return `name ${JSON.stringify(field.name)}`;
+  return `label ${JSON.stringify(field.label)}`;
+}
+
+/**
+ * Fill one field
+ * @param {Page} page - The Puppeteer page instance
+ * @param {ElementHandle} handle - The field
+ * @param {string} type - Field type from inspectField
+ * @param {*} value - Requested value
+ * @param {number} typeDelay - Delay between keystrokes
+ * @returns {Promise<{value?: string|boolean|string[], error?: string}>}
+ */
+async function fillField(page, handle, type, value, typeDelay) {
+  if (type === 'select') {
+    const wanted = (Array.isArray(value) ? value : [value]).map(String);
+    let result = await handle.evaluate(selectNativeOptions, 'value', wanted);
+    if (result.error) {
+      result = await handle.evaluate(selectNativeOptions, 'label', wanted);
+    }
+    if (result.error) return { error: result.error };
+    const values = result.selected.map(opt => opt.value);
+    return { value: Array.isArray(value) ? values : (values[0] ?? '') };
+  }
+
+  if (Array.isArray(value)) {
+    return { error: 'A list of values is only supported for multi-select fields' };
+  }
+
+  if (type === 'checkbox') {
+    const checked = toChecked(value);
+    if (checked === null) {
+      return { error: `Checkbox value must be true or false, got ${JSON.stringify(value)}` };
+    }
+    return await handle.evaluate(setChoice, checked);
+  }
+
+  if (type === 'radio') {
+    return await handle.evaluate(setChoice, typeof value === 'boolean' ? value : String(value));
+  }
+
+  const text = String(value);
+  if (DIRECT_VALUE_TYPES.includes(type)) {
+    const actual = await handle.evaluate(setInputValue, text);
+    return actual === text ? { value: actual } : { error: `The field did not accept ${JSON.stringify(text)}` };
+  }
+
+  const focused = await handle.evaluate(focusAndSelect);
+  if (!focused) {
+    return { error: 'Field could not be focused (is it hidden?)' };
+  }
+  await page.keyboard.press('Backspace');
+  if (text) {
+    await page.keyboard.type(text, { delay: typeDelay });
+  }
+
+  const actual = await handle.evaluate(el => el.isContentEditable ? el.innerText.trim() : el.value);
+  if (text && !actual) {
+    return { error: 'Field is still empty after typing' };
+  }
+  return { value: actual };
+}
+
+/**
+ * Submit the form a field belongs to, like pressing its submit button (runs validation and submit handlers).
+ * Runs in the browser context.
+ * @param {Element} el - A field of the form
+ * @returns {{error?: string}}
+ */
+function submitForm(el) {
+  const form = el.form || el.closest('form');
+  if (!form) {
+    return { error: 'The last filled field is not inside a <form>; use click_element on the submit button instead' };
+  }
+  if (!form.checkValidity()) {
+    const invalid = Array.from(form.elements)
+      .filter(field => field.willValidate && !field.validity.valid)
+      .slice(0, 5)
+      .map(field => `${field.name || field.id || field.tagName.toLowerCase()}: ${field.validationMessage}`);
+    form.reportValidity();
+    return { error: `The form has invalid fields: ${invalid.join('; ')}` };
+  }
+  form.requestSubmit();
+  return {};
+}
+
+/**
+ * Fill several fields of a form in one call
+ * @param {Object} params - Fill parameters
+ * @param {string} params.url - The URL of the page to interact with
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {Array<Object>} params.fields - Fields to fill: one of selector, label, name or ref, plus value
+ * @param {boolean} [params.submit=false] - Submit the form of the last filled field afterwards
+ * @param {number} [params.typeDelay=0] - Delay between keystrokes in text fields in ms
+ * @param {number} [params.waitForElementTimeout=5000] - Maximum time to wait for each field in ms
+ * @param {boolean} [params.returnHtml=true] - Whether to return HTML after filling
+ * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {number} [params.postFillWait=1000] - Milliseconds to wait after filling for SPAs to render
+ * @param {string} [params.dialogAction] - How to answer dialogs raised while filling or submitting (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt raised while filling or submitting
+ * @returns {Promise<Object>} Result object with per-field results
+ *
+ * @example
+ * await fillForm({
+ *   url,
+ *   fields: [
+ *     { label: "Email", value: "jane@example.com" },
+ *     { name: "country", value: "Canada" },
+ *     { label: "I accept the terms", value: true }
+ *   ],
+ *   submit: true
+ * });
+ */
+export async function fillForm({ url, tabId, fields, submit = false, typeDelay = 0, waitForElementTimeout = 5000, returnHtml = true, removeUnnecessaryHTML = true, outputFormat = "html", postFillWait = 1000, dialogAction, promptText }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error("fields parameter is required (a non-empty array of { selector|label|name|ref, value })");
+  }
+
+  fields.forEach((field, i) => {
+    const targets = ['selector', 'label', 'name', 'ref'].filter(key => field?.[key]);
+    if (targets.length !== 1) {
+      throw new Error(`fields[${i}] must have exactly one of selector, label, name or ref`);
+    }
+    if (field.value === undefined || field.value === null) {
+      throw new Error(`fields[${i}] value is required`);
+    }
+    if (field.ref) {
+      refSelector(field.ref); // Throws on malformed refs
+    }
+  });
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const handles = [];
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  try {
+    const results = [];
+    let lastFilled = null;
+
+    for (const field of fields) {
+      const description = describeField(field);
+      const locator = field.ref ? { selector: refSelector(field.ref) } : field;
+
+      // Wait for the field to appear, like the other tools wait for their element
+      let handle;
+      try {
+        const found = await page.waitForFunction(locateField, { timeout: waitForElementTimeout }, locator);
+        handle = found.asElement();
+      } catch (err) {
+        // A timeout means no match; anything else is e.g. an invalid CSS selector
+        const error = err.name === 'TimeoutError' ? 'Field not found' : err.message;
+        results.push({ field: description, type: null, success: false, value: null, error });
+        continue;
+      }
+      handles.push(handle);
+
+      const { type, error } = await handle.evaluate(inspectField);
+      const outcome = error ? { error } : await fillField(page, handle, type, field.value, typeDelay);
+      if (outcome.error) {
+        results.push({ field: description, type, success: false, value: null, error: outcome.error });
+      } else {
+        results.push({ field: description, type, success: true, value: outcome.value, error: null });
+        lastFilled = handle;
+      }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    let submitted = false;
+    let submitError = null;
+    if (submit) {
+      if (failed > 0) {
+        submitError = `Not submitted because ${failed} field(s) failed`;
+      } else {
+        const submitResult = await lastFilled.evaluate(submitForm);
+        submitError = submitResult.error ?? null;
+        submitted = !submitResult.error;
+      }
+    }
+
+    // Wait once for validation, dependent fields and the navigation a submit starts
+    await waitForPageStability(page);
+
+    if (postFillWait > 0) {
+      await new Promise(resolve => setTimeout(resolve, postFillWait));
+    }
+
+    const currentUrl = page.url();
+    const html = returnHtml ? await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat) : null;
+
+    let message = `Filled ${results.length - failed} of ${results.length} field(s)`;
+    if (submitted) message += ' and submitted the form';
+    else if (submitError) message += `; form not submitted: ${submitError}`;
+    const dialogs = stopDialogCapture();
+    if (dialogs.length > 0) message += `. ${describeDialogs(dialogs)}`;
+
+    return new FillFormSuccessResponse(
+      currentUrl,
+      message,
+      results,
+      submitted,
+      submitError,
+      html,
+      failed > 0
+        ? [
+            "Use snapshot_page or get_interactive_elements to find the fields that failed",
+            "Call fill_form again with only the failed fields",
+            "Use select_option for custom (non-<select>) dropdowns"
+          ]
+        : [
+            submitted ? "Use get_current_html to check the result of the submission" : "Use click_element to submit the form",
+            "Use get_current_html to check for validation messages",
+            "Use close_tab when finished"
+          ],
+      outputFormat,
+      dialogs
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to fill form: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Check that the selectors, labels or names are correct",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  } finally {
+    stopDialogCapture();
+    // Handles of a page that navigated away are already gone
+    await Promise.all(handles.map(handle => handle.dispose().catch(() => {})));
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * get-console-logs.js - List the console output and errors of a tab
+ *
+ * Every tab in the pool records its console messages, uncaught exceptions and browser-reported
+ * problems such as failed resource loads (see core/console-log.js). Each response returns a
+ * cursor; passing it back as since lists only the messages logged after that call.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { hasConsoleLog, listConsoleMessages, MAX_CONSOLE_ENTRIES, CONSOLE_LEVELS, CONSOLE_MESSAGE_SCHEMA } from '../core/console-log.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/console-log.js').ConsoleMessageInfo} ConsoleMessageInfo
+ */
+
+// Severity used by the level filter; log and info are equally severe
+const LEVEL_SEVERITY = { debug: 0, log: 1, info: 1, warning: 2, error: 3 };
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful get_console_logs operations
+ */
+export class GetConsoleLogsSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {ConsoleMessageInfo[]} messages - Matching messages, oldest first
+   * @param {number} totalMatched - Number of recorded messages that matched the filters
+   * @param {number} cursor - ID of the newest recorded message, to pass as since next time
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, messages, totalMatched, cursor, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (!Array.isArray(messages)) {
+      throw new TypeError('messages must be an array');
+    }
+    if (typeof totalMatched !== 'number') {
+      throw new TypeError('totalMatched must be a number');
+    }
+    if (typeof cursor !== 'number') {
+      throw new TypeError('cursor must be a number');
+    }
+
+    this.currentUrl = currentUrl;
+    this.messages = messages;
+    this.totalMatched = totalMatched;
+    this.cursor = cursor;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      messages: this.messages,
+      totalMatched: this.totalMatched,
+      cursor: this.cursor
+    };
+  }
+
+  getTextSummary() {
+    if (this.messages.length === 0) {
+      return `No matching console messages for: ${this.currentUrl} (cursor: ${this.cursor})`;
+    }
+    const lines = this.messages.map(message => {
+      const location = message.url ? ` (${message.url}${message.lineNumber ? `:${message.lineNumber}` : ''})` : '';
+      const source = message.source === 'console' ? '' : ` ${message.source}`;
+      return `- [${message.level}${source}] ${message.text}${location}`;
+    });
+    const shown = this.messages.length < this.totalMatched ? `last ${this.messages.length} of ${this.totalMatched}` : `${this.totalMatched}`;
+    return `${shown} console message(s) for: ${this.currentUrl} (cursor: ${this.cursor})\n${lines.join('\n')}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const GET_CONSOLE_LOGS_TOOL = {
+  name: "get_console_logs",
+  title: "Get Console Logs",
+  description: `**BROWSER STATE EXTRACTION** - Lists the JavaScript console output of a browser tab: console.log/warn/error messages, uncaught exceptions with their stack, and problems the browser reports itself such as failed resource loads or blocked requests. Use this when click_element or type_text seemed to do nothing, or a page is broken, to find the script error behind it. Filter by minimum level; pass the returned cursor as since to list only messages logged after the previous call. Each tab keeps its last ${MAX_CONSOLE_ENTRIES} messages, recorded from the moment MCPBrowser opened or adopted it.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool reads from an already-loaded page in the browser.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      level: { type: "string", enum: CONSOLE_LEVELS, description: "Minimum level to list, e.g. 'warning' for warnings and errors only", default: "debug" },
+      since: { type: "number", description: "Cursor from a previous get_console_logs call; only messages logged after it are listed" },
+      limit: { type: "number", description: "Maximum number of messages to return; the most recent are kept", default: 100 }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      messages: {
+        type: "array",
+        items: CONSOLE_MESSAGE_SCHEMA,
+        description: "Matching messages, oldest first"
+      },
+      totalMatched: { type: "number", description: "Number of recorded messages that matched the filters, before limit" },
+      cursor: { type: "number", description: "Pass as since in the next call to only get newer messages" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "messages", "totalMatched", "cursor", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * List the console messages of a tab
+ * @param {Object} params - Filter parameters
+ * @param {string} params.url - The URL of the page whose tab to read
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.level='debug'] - Minimum level to list (debug, log, info, warning, error)
+ * @param {number} [params.since] - Cursor from a previous call; only newer messages are listed
+ * @param {number} [params.limit=100] - Maximum number of messages to return (the most recent are kept)
+ * @returns {Promise<Object>} Result object with the matching messages and the next cursor
+ */
+export async function getConsoleLogs({ url, tabId, level = 'debug', since, limit = 100 }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!CONSOLE_LEVELS.includes(level)) {
+    throw new Error(`Invalid level: ${level}. Must be one of: ${CONSOLE_LEVELS.join(', ')}`);
+  }
+
+  if (since !== undefined && (typeof since !== 'number' || since < 0)) {
+    throw new Error(`Invalid since: ${since}. Must be a cursor returned by get_console_logs`);
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  if (!hasConsoleLog(page)) {
+    return new ErrorResponse(
+      "Console messages are not being recorded for this tab (the console listener could not be attached).",
+      [
+        "Use fetch_webpage with newTab to open the page in a new tab and try again"
+      ]
+    );
+  }
+
+  const { messages: recorded, cursor } = listConsoleMessages(page, { since });
+  const matched = recorded.filter(message => LEVEL_SEVERITY[message.level] >= LEVEL_SEVERITY[level]);
+  const messages = matched.slice(Math.max(0, matched.length - limit));
+
+  return new GetConsoleLogsSuccessResponse(
+    page.url(),
+    messages,
+    matched.length,
+    cursor,
+    messages.length > 0
+      ? [
+          `Use get_console_logs with since: ${cursor} after your next action to see only new messages`,
+          "Use get_network_log with errorsOnly to check failed requests behind the errors",
+          "Use get_current_html to check current page state"
+        ]
+      : [
+          `Use get_console_logs with since: ${cursor} after your next action to see only new messages`,
+          "Use a lower level to include less severe messages"
+        ]
+  );
+}
@@ -2,9 +2,10 @@
  * get-current-html.js - Get current HTML from an already-loaded page
  */
 
-import { getBrowser, domainPages } from '../core/browser.js';
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
 import { extractAndProcessHtml } from '../core/page.js';
 import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
 
 /**
  * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
@@ -20,10 +21,11 @@ import { MCPResponse, ErrorResponse } from '../core/responses.js';
 export class GetCurrentHtmlSuccessResponse extends MCPResponse {
   /**
    * @param {string} currentUrl - Current page URL
-   * @param {string} html - Page HTML content
+   * @param {string} html - Page content in the requested output format
    * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
    */
-  constructor(currentUrl, html, nextSteps) {
+  constructor(currentUrl, html, nextSteps, outputFormat = 'html') {
     super(nextSteps);
     
     if (typeof currentUrl !== 'string') {
@@ -32,15 +34,20 @@ export class GetCurrentHtmlSuccessResponse extends MCPResponse {
     if (typeof html !== 'string') {
       throw new TypeError('html must be a string');
     }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
     
     this.currentUrl = currentUrl;
     this.html = html;
+    this.outputFormat = outputFormat;
   }
 
   _getAdditionalFields() {
     return {
       currentUrl: this.currentUrl,
-      html: this.html
+      html: this.html,
+      outputFormat: this.outputFormat
     };
   }
 
@@ -64,7 +71,9 @@ export const GET_CURRENT_HTML_TOOL = {
     type: "object",
     properties: {
       url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
-      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%.", default: true }
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%.", default: true },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text).", default: "html" }
     },
     required: ["url"],
     additionalProperties: false
@@ -73,14 +82,15 @@ export const GET_CURRENT_HTML_TOOL = {
     type: "object",
     properties: {
       currentUrl: { type: "string", description: "Current page URL" },
-      html: { type: "string", description: "Page HTML content" },
+      html: { type: "string", description: "Page content in the requested outputFormat" },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
       nextSteps: { 
         type: "array", 
         items: { type: "string" },
         description: "Suggested next actions"
       }
     },
-    required: ["currentUrl", "html", "nextSteps"],
+    required: ["currentUrl", "html", "outputFormat", "nextSteps"],
     additionalProperties: false
   }
 };
@@ -94,14 +104,20 @@ export const GET_CURRENT_HTML_TOOL = {
  * Use this after interactions (click, type, wait) to get updated DOM state
  * @param {Object} params - Parameters
  * @param {string} params.url - The URL of the page to get HTML from
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
  * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text)
  * @returns {Promise<Object>} Result object with current HTML
  */
-export async function getCurrentHtml({ url, removeUnnecessaryHTML = true }) {
+export async function getCurrentHtml({ url, tabId, removeUnnecessaryHTML = true, outputFormat = "html" }) {
   if (!url) {
     throw new Error("url parameter is required");
   }
 
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
   let hostname;
   try {
     hostname = new URL(url).hostname;
@@ -110,20 +126,24 @@ export async function getCurrentHtml({ url, removeUnnecessaryHTML = true }) {
   }
 
   const browser = await getBrowser();
-  let page = domainPages.get(hostname);
+  let page = findPage(hostname, tabId);
   
   if (!page || page.isClosed()) {
     return new ErrorResponse(
-      `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
       [
         "Use fetch_webpage to load the page first"
       ]
     );
   }
 
+  markTabUsed(page);
+
   try {
     const currentUrl = page.url();
-    const html = await extractAndProcessHtml(page, removeUnnecessaryHTML);
+    const html = await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat);
     
     return new GetCurrentHtmlSuccessResponse(
       currentUrl,
@@ -132,7 +152,8 @@ export async function getCurrentHtml({ url, removeUnnecessaryHTML = true }) {
         "Use click_element to interact with elements",
         "Use type_text to fill forms",
         "Use close_tab to free resources when done"
-      ]
+      ],
+      outputFormat
     );
   } catch (err) {
     return new ErrorResponse(
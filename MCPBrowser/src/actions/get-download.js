@@ -0,0 +1,208 @@
+/**
+ * get-download.js - Get a downloaded file's details and, for text formats, its content
+ *
+ * Downloads are tracked by core/downloads.js. This tool can wait for a download that
+ * is still in progress, and reads the start of text files (CSV, JSON, TXT, ...) so the
+ * agent doesn't need file system access. Binary files only report their path.
+ */
+
+import { open } from 'fs/promises';
+import { getDownload as getTrackedDownload, waitForDownload, isTextMimeType, DOWNLOAD_INFO_SCHEMA } from '../core/downloads.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/downloads.js').DownloadInfo} DownloadInfo
+ */
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful get_download operations
+ */
+export class GetDownloadSuccessResponse extends MCPResponse {
+  /**
+   * @param {DownloadInfo} download - Download details
+   * @param {string|null} content - File content if requested and the file is text, null otherwise
+   * @param {boolean} truncated - Whether content was cut at maxContentLength
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(download, content, truncated, nextSteps) {
+    super(nextSteps);
+
+    if (!download || typeof download !== 'object') {
+      throw new TypeError('download must be an object');
+    }
+    if (content !== null && typeof content !== 'string') {
+      throw new TypeError('content must be a string or null');
+    }
+    if (typeof truncated !== 'boolean') {
+      throw new TypeError('truncated must be a boolean');
+    }
+
+    this.download = download;
+    this.content = content;
+    this.truncated = truncated;
+  }
+
+  _getAdditionalFields() {
+    return {
+      download: this.download,
+      content: this.content,
+      truncated: this.truncated
+    };
+  }
+
+  getTextSummary() {
+    const { filename, state, path, receivedBytes, mimeType } = this.download;
+    if (state !== 'completed') {
+      return `Download ${filename} is ${state} (${receivedBytes} bytes received)`;
+    }
+    return `Downloaded ${filename} (${mimeType}, ${receivedBytes} bytes) to ${path}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const GET_DOWNLOAD_TOOL = {
+  name: "get_download",
+  title: "Get Download",
+  description: "**BROWSER STATE EXTRACTION** - Returns a downloaded file's path, size, MIME type and state by id (from list_downloads, click_element or fetch_webpage). Can wait for a download that is still in progress. For text formats (CSV, JSON, TXT, XML, HTML...) set includeContent to also return the file content; binary files (ZIP, PDF, XLSX...) only return their path.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      id: { type: "string", description: "Download id from list_downloads, click_element or fetch_webpage" },
+      waitForCompletion: { type: "number", description: "Milliseconds to wait for the download to finish if it is still in progress", default: 0 },
+      includeContent: { type: "boolean", description: "Return the file content for text formats", default: false },
+      maxContentLength: { type: "number", description: "Maximum bytes of content to return; longer files are truncated", default: 100000 }
+    },
+    required: ["id"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      download: { ...DOWNLOAD_INFO_SCHEMA, description: "Download details" },
+      content: {
+        type: ["string", "null"],
+        description: "File content if includeContent was true and the file is a completed text file, null otherwise"
+      },
+      truncated: { type: "boolean", description: "Whether content was cut at maxContentLength" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["download", "content", "truncated", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Read the start of a text file.
+ * @param {string} filePath - File to read
+ * @param {number} maxBytes - Maximum bytes to read
+ * @returns {Promise<{content: string, truncated: boolean}>}
+ */
+async function readTextContent(filePath, maxBytes) {
+  const file = await open(filePath, 'r');
+  try {
+    const { size } = await file.stat();
+    const buffer = Buffer.alloc(Math.min(size, maxBytes));
+    const { bytesRead } = await file.read(buffer, 0, buffer.length, 0);
+    return { content: buffer.toString('utf8', 0, bytesRead), truncated: size > bytesRead };
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Get a tracked download, optionally waiting for it and reading its content
+ * @param {Object} params - Download parameters
+ * @param {string} params.id - Download id
+ * @param {number} [params.waitForCompletion=0] - Milliseconds to wait for an in-progress download
+ * @param {boolean} [params.includeContent=false] - Whether to return the content of text files
+ * @param {number} [params.maxContentLength=100000] - Maximum bytes of content to return
+ * @returns {Promise<Object>} Result object with download details and optional content
+ *
+ * @example
+ * // Export a report, then read the CSV
+ * await clickElement({ url, text: "Export CSV" });
+ * const [download] = (await listDownloads()).downloads;
+ * await getDownload({ id: download.id, waitForCompletion: 30000, includeContent: true });
+ */
+export async function getDownload({ id, waitForCompletion = 0, includeContent = false, maxContentLength = 100000 }) {
+  if (!id) {
+    throw new Error("id parameter is required");
+  }
+
+  let download = getTrackedDownload(id);
+  if (!download) {
+    return new ErrorResponse(
+      `Download not found: ${id}`,
+      [
+        "Use list_downloads to see download ids",
+        "Downloads are only tracked for the current server session"
+      ]
+    );
+  }
+
+  if (download.state === 'inProgress' && waitForCompletion > 0) {
+    download = await waitForDownload(id, waitForCompletion);
+  }
+
+  if (download.state === 'inProgress') {
+    return new GetDownloadSuccessResponse(download, null, false, [
+      "Use get_download with waitForCompletion to wait for the download to finish"
+    ]);
+  }
+
+  if (download.state === 'canceled') {
+    return new GetDownloadSuccessResponse(download, null, false, [
+      "Start the download again with click_element or fetch_webpage"
+    ]);
+  }
+
+  const isText = isTextMimeType(download.mimeType);
+  let content = null;
+  let truncated = false;
+
+  if (includeContent && isText) {
+    try {
+      ({ content, truncated } = await readTextContent(download.path, maxContentLength));
+    } catch (err) {
+      return new ErrorResponse(
+        `Failed to read download ${download.filename}: ${err.message}`,
+        [
+          "Use list_downloads to check the download still exists",
+          "The file may have been moved or deleted"
+        ]
+      );
+    }
+  }
+
+  const nextSteps = [];
+  if (truncated) {
+    nextSteps.push("Use get_download with a larger maxContentLength to read more of the file");
+  }
+  if (includeContent && !isText) {
+    nextSteps.push(`Content is not returned for ${download.mimeType} files; open the file at its path instead`);
+  } else if (!includeContent && isText) {
+    nextSteps.push("Use get_download with includeContent to read the file");
+  }
+  nextSteps.push("Use list_downloads to see other downloads");
+
+  return new GetDownloadSuccessResponse(download, content, truncated, nextSteps);
+}
@@ -0,0 +1,308 @@
+/**
+ * get-interactive-elements.js - List interactive elements on an already-loaded page
+ *
+ * Returns links, buttons, inputs and other clickable elements together with a
+ * suggested CSS selector for each one. The selector is verified in the page to
+ * match exactly one element, so it can be passed straight to click_element or
+ * type_text instead of guessing selectors from the page HTML.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+/**
+ * @typedef {Object} InteractiveElement
+ * @property {string} tag - Lowercase tag name
+ * @property {string} text - Visible text content (first 100 chars)
+ * @property {string} selector - CSS selector that uniquely matches the element
+ * @property {string|null} href - Absolute link URL (if applicable)
+ * @property {string|null} type - Input/button type (if applicable)
+ * @property {string|null} name - Element name attribute
+ * @property {string|null} id - Element ID
+ * @property {boolean} hasOnClick - Whether element has an onclick handler
+ * @property {string|null} role - ARIA role
+ */
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful get_interactive_elements operations
+ */
+export class GetInteractiveElementsSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {InteractiveElement[]} elements - Interactive elements found on the page
+   * @param {number} totalFound - Total number of interactive elements before applying limit
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, elements, totalFound, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (!Array.isArray(elements)) {
+      throw new TypeError('elements must be an array');
+    }
+    if (typeof totalFound !== 'number') {
+      throw new TypeError('totalFound must be a number');
+    }
+
+    this.currentUrl = currentUrl;
+    this.count = elements.length;
+    this.totalFound = totalFound;
+    this.elements = elements;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      count: this.count,
+      totalFound: this.totalFound,
+      elements: this.elements
+    };
+  }
+
+  getTextSummary() {
+    const truncated = this.totalFound > this.count ? ` (showing ${this.count} of ${this.totalFound})` : '';
+    return `Found ${this.count} interactive elements on: ${this.currentUrl}${truncated}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const GET_INTERACTIVE_ELEMENTS_TOOL = {
+  name: "get_interactive_elements",
+  title: "Get Interactive Elements",
+  description: "**BROWSER STATE EXTRACTION** - Lists interactive elements (links, buttons, inputs, selects, elements with onclick handlers or ARIA roles) on an already-loaded page, each with a verified unique CSS selector. Use this to discover what can be clicked or typed into, then pass the returned selector to click_element or type_text instead of guessing selectors from HTML.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool reads from an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      limit: { type: "number", description: "Maximum number of elements to return", default: 50 }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      count: { type: "number", description: "Number of elements returned" },
+      totalFound: { type: "number", description: "Total number of visible interactive elements on the page" },
+      elements: {
+        type: "array",
+        description: "Interactive elements in document order",
+        items: {
+          type: "object",
+          properties: {
+            tag: { type: "string", description: "HTML tag name" },
+            text: { type: "string", description: "Visible text content (first 100 chars)" },
+            selector: { type: "string", description: "CSS selector that uniquely matches this element" },
+            href: { type: ["string", "null"], description: "Link URL (if applicable)" },
+            type: { type: ["string", "null"], description: "Input type (if applicable)" },
+            name: { type: ["string", "null"], description: "Element name attribute" },
+            id: { type: ["string", "null"], description: "Element ID" },
+            hasOnClick: { type: "boolean", description: "Whether element has onclick handler" },
+            role: { type: ["string", "null"], description: "ARIA role" }
+          },
+          required: ["tag", "text", "selector", "href", "type", "name", "id", "hasOnClick", "role"],
+          additionalProperties: false
+        }
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "count", "totalFound", "elements", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Collect visible interactive elements in the page and build a unique selector for each.
+ * Elements without a unique selector are left out, since no other tool could target them.
+ * Runs in the browser context, so it must be self-contained.
+ * @param {number} limit - Maximum number of elements to describe
+ * @returns {{elements: InteractiveElement[], totalFound: number}}
+ */
+function collectInteractiveElements(limit) {
+  const INTERACTIVE_SELECTOR = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[onclick]', '[contenteditable=""]', '[contenteditable="true"]',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+    '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[role="combobox"]', '[role="textbox"]',
+    '[tabindex]:not([tabindex="-1"])'
+  ].join(',');
+
+  const isVisible = (el) => {
+    if (el.getClientRects().length === 0) return false;
+    const style = window.getComputedStyle(el);
+    return style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  const isUnique = (selector, el) => {
+    try {
+      const matches = document.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === el;
+    } catch {
+      return false;
+    }
+  };
+
+  const attrSelector = (el, attr) => {
+    const value = el.getAttribute(attr);
+    if (!value) return null;
+    return `${el.tagName.toLowerCase()}[${attr}="${CSS.escape(value)}"]`;
+  };
+
+  // Position of el among siblings with the same tag, as used by :nth-of-type
+  const nthOfType = (el) => {
+    let index = 1;
+    let sibling = el.previousElementSibling;
+    while (sibling) {
+      if (sibling.tagName === el.tagName) index++;
+      sibling = sibling.previousElementSibling;
+    }
+    return index;
+  };
+
+  const buildSelector = (el) => {
+    // Prefer stable, human-readable attributes first
+    if (el.id && isUnique(`#${CSS.escape(el.id)}`, el)) {
+      return `#${CSS.escape(el.id)}`;
+    }
+    for (const attr of ['data-testid', 'name', 'aria-label', 'href', 'placeholder', 'title']) {
+      const candidate = attrSelector(el, attr);
+      if (candidate && isUnique(candidate, el)) return candidate;
+    }
+
+    // Fall back to a structural path, anchored at the nearest ancestor with a unique id
+    const parts = [];
+    let current = el;
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      if (current !== el && current.id && isUnique(`#${CSS.escape(current.id)}`, current)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      const currentTag = current.tagName.toLowerCase();
+      parts.unshift(currentTag === 'body' ? 'body' : `${currentTag}:nth-of-type(${nthOfType(current)})`);
+
+      const candidate = parts.join(' > ');
+      if (isUnique(candidate, el)) return candidate;
+      current = current.parentElement;
+    }
+
+    const path = parts.join(' > ');
+    return isUnique(path, el) ? path : null;
+  };
+
+  const getText = (el) => {
+    const text = (el.innerText || el.value || el.getAttribute('aria-label') ||
+      el.getAttribute('placeholder') || el.getAttribute('title') || el.getAttribute('alt') || '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return text.slice(0, 100);
+  };
+
+  const candidates = Array.from(document.querySelectorAll(INTERACTIVE_SELECTOR)).filter(isVisible);
+
+  const elements = [];
+  for (const el of candidates) {
+    if (elements.length >= limit) break;
+    const selector = buildSelector(el);
+    if (!selector) continue;
+    elements.push({
+      tag: el.tagName.toLowerCase(),
+      text: getText(el),
+      selector,
+      href: el.href && typeof el.href === 'string' ? el.href : null,
+      type: el.getAttribute('type'),
+      name: el.getAttribute('name'),
+      id: el.id || null,
+      hasOnClick: typeof el.onclick === 'function' || el.hasAttribute('onclick'),
+      role: el.getAttribute('role')
+    });
+  }
+
+  return { elements, totalFound: candidates.length };
+}
+
+/**
+ * List interactive elements on an already-loaded page
+ * @param {Object} params - Parameters
+ * @param {string} params.url - The URL of the page to inspect
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {number} [params.limit=50] - Maximum number of elements to return
+ * @returns {Promise<Object>} Result object with the list of interactive elements
+ */
+export async function getInteractiveElements({ url, tabId, limit = 50 }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  try {
+    const safeLimit = Math.max(1, Math.floor(Number(limit) || 50));
+    const { elements, totalFound } = await page.evaluate(collectInteractiveElements, safeLimit);
+
+    return new GetInteractiveElementsSuccessResponse(
+      page.url(),
+      elements,
+      totalFound,
+      [
+        "Use click_element with a returned selector to click an element",
+        "Use type_text with a returned selector to fill an input",
+        "Increase limit if the element you need is not listed"
+      ]
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to get interactive elements: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Try fetch_webpage to reload the page"
+      ]
+    );
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * get-network-log.js - List the network requests a tab made
+ *
+ * Every tab in the pool records its most recent requests (see core/network.js) from
+ * the moment it joins the pool, so this shows what a page loaded even when its content
+ * gives no hint, e.g. an API call that returned 401 and left the page blank.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { hasNetworkLog, listNetworkRequests, clearNetworkLog, getResponseBody, MAX_NETWORK_ENTRIES, RESOURCE_TYPES, NETWORK_REQUEST_SCHEMA } from '../core/network.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/network.js').NetworkRequestInfo} NetworkRequestInfo
+ */
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful get_network_log operations
+ */
+export class GetNetworkLogSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {NetworkRequestInfo[]} requests - Matching requests, oldest first
+   * @param {number} totalMatched - Number of recorded requests that matched the filters
+   * @param {number} totalCaptured - Number of requests recorded for the tab
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, requests, totalMatched, totalCaptured, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (!Array.isArray(requests)) {
+      throw new TypeError('requests must be an array');
+    }
+    if (typeof totalMatched !== 'number') {
+      throw new TypeError('totalMatched must be a number');
+    }
+    if (typeof totalCaptured !== 'number') {
+      throw new TypeError('totalCaptured must be a number');
+    }
+
+    this.currentUrl = currentUrl;
+    this.requests = requests;
+    this.totalMatched = totalMatched;
+    this.totalCaptured = totalCaptured;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      requests: this.requests,
+      totalMatched: this.totalMatched,
+      totalCaptured: this.totalCaptured
+    };
+  }
+
+  getTextSummary() {
+    if (this.requests.length === 0) {
+      return `No matching requests for: ${this.currentUrl} (${this.totalCaptured} recorded)`;
+    }
+    const lines = this.requests.map(request => {
+      const outcome = request.state === 'failed' ? request.errorText : (request.status ?? 'pending');
+      const duration = request.durationMs !== null ? ` (${request.durationMs} ms)` : '';
+      return `- #${request.id} ${request.method} ${outcome} [${request.resourceType}] ${request.url}${duration}`;
+    });
+    const shown = this.requests.length < this.totalMatched ? `last ${this.requests.length} of ${this.totalMatched}` : `${this.totalMatched}`;
+    return `${shown} request(s) for: ${this.currentUrl} (${this.totalCaptured} recorded)\n${lines.join('\n')}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const GET_NETWORK_LOG_TOOL = {
+  name: "get_network_log",
+  title: "Get Network Log",
+  description: `**BROWSER STATE EXTRACTION** - Lists the network requests a browser tab made: URL, method, status, resource type, timing and transfer size, plus network errors of failed requests. Use this when a page renders blank or incomplete to find the API call that failed (e.g. a 401 or 500 from an XHR/fetch), or to see which endpoints a page calls. Filter by URL pattern, method, status and type; set includeBodies to also return JSON/text response bodies. Each tab keeps its last ${MAX_NETWORK_ENTRIES} requests, recorded from the moment MCPBrowser opened or adopted it.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool reads from an already-loaded page in the browser.`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      urlPattern: { type: "string", description: "Regular expression the request URL must match, e.g. '/api/'" },
+      method: { type: "string", description: "Only requests with this HTTP method, e.g. 'POST'" },
+      status: { type: "string", description: "Only responses with this status code ('401') or class ('4xx')" },
+      types: {
+        type: "array",
+        items: { type: "string", enum: RESOURCE_TYPES },
+        description: "Only requests of these resource types, e.g. ['xhr', 'fetch'] for API calls"
+      },
+      errorsOnly: { type: "boolean", description: "Only requests that failed or got a 4xx/5xx status", default: false },
+      limit: { type: "number", description: "Maximum number of requests to return; the most recent are kept", default: 50 },
+      includeBodies: { type: "boolean", description: "Include response bodies of text responses (JSON, HTML, XML, plain text...)", default: false },
+      maxBodyLength: { type: "number", description: "Maximum characters per response body", default: 10000 },
+      clear: { type: "boolean", description: "Clear the tab's log after reading, so the next call only shows new requests", default: false }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      requests: {
+        type: "array",
+        items: NETWORK_REQUEST_SCHEMA,
+        description: "Matching requests, oldest first"
+      },
+      totalMatched: { type: "number", description: "Number of recorded requests that matched the filters, before limit" },
+      totalCaptured: { type: "number", description: "Number of requests recorded for the tab" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "requests", "totalMatched", "totalCaptured", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Build a test for a status filter such as '404' or '4xx'
+ * @param {string|undefined} status - Status code or class
+ * @returns {((code: number|null) => boolean)|null} The test, null if no filter was given
+ */
+function compileStatusFilter(status) {
+  if (status === undefined || status === null || status === '') return null;
+  const value = String(status).toLowerCase();
+  if (!/^[1-5](\d\d|xx)$/.test(value)) {
+    throw new Error(`Invalid status: ${status}. Must be a status code like 404 or a class like 4xx`);
+  }
+  return value.endsWith('xx')
+    ? (code) => code !== null && Math.floor(code / 100) === Number(value[0])
+    : (code) => code === Number(value);
+}
+
+/**
+ * List the network requests of a tab
+ * @param {Object} params - Filter parameters
+ * @param {string} params.url - The URL of the page whose tab to read
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.urlPattern] - Regular expression request URLs must match
+ * @param {string} [params.method] - Only requests with this HTTP method
+ * @param {string} [params.status] - Only responses with this status code or class (e.g. '401', '4xx')
+ * @param {string[]} [params.types] - Only requests of these resource types
+ * @param {boolean} [params.errorsOnly=false] - Only failed requests and 4xx/5xx responses
+ * @param {number} [params.limit=50] - Maximum number of requests to return (the most recent are kept)
+ * @param {boolean} [params.includeBodies=false] - Include text response bodies
+ * @param {number} [params.maxBodyLength=10000] - Maximum characters per response body
+ * @param {boolean} [params.clear=false] - Clear the log after reading
+ * @returns {Promise<Object>} Result object with the matching requests
+ */
+export async function getNetworkLog({ url, tabId, urlPattern, method, status, types, errorsOnly = false, limit = 50, includeBodies = false, maxBodyLength = 10000, clear = false }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (types !== undefined && (!Array.isArray(types) || types.some(type => !RESOURCE_TYPES.includes(type)))) {
+    throw new Error(`Invalid types: ${JSON.stringify(types)}. Must be a list of: ${RESOURCE_TYPES.join(', ')}`);
+  }
+
+  const statusFilter = compileStatusFilter(status);
+
+  let pattern = null;
+  if (urlPattern) {
+    try {
+      pattern = new RegExp(urlPattern);
+    } catch (err) {
+      throw new Error(`Invalid urlPattern: ${err.message}`);
+    }
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  if (!hasNetworkLog(page)) {
+    return new ErrorResponse(
+      "Network requests are not being recorded for this tab (the network listener could not be attached).",
+      [
+        "Use fetch_webpage with newTab to open the page in a new tab and try again"
+      ]
+    );
+  }
+
+  const recorded = listNetworkRequests(page);
+  const matched = recorded.filter(request => {
+    if (pattern && !pattern.test(request.url)) return false;
+    if (method && request.method.toUpperCase() !== method.toUpperCase()) return false;
+    if (statusFilter && !statusFilter(request.status)) return false;
+    if (types && !types.includes(request.resourceType)) return false;
+    if (errorsOnly && request.state !== 'failed' && !(request.status >= 400)) return false;
+    return true;
+  });
+  const requests = matched.slice(Math.max(0, matched.length - limit));
+
+  if (includeBodies) {
+    for (const request of requests) {
+      const { body, truncated } = await getResponseBody(page, request.id, maxBodyLength);
+      request.body = body;
+      request.bodyTruncated = truncated;
+    }
+  }
+
+  if (clear) {
+    clearNetworkLog(page);
+  }
+
+  return new GetNetworkLogSuccessResponse(
+    page.url(),
+    requests,
+    matched.length,
+    recorded.length,
+    requests.length > 0
+      ? [
+          "Use includeBodies with urlPattern to read the response of a specific API call",
+          "Use clear, then repeat the action and call get_network_log again to see only its requests",
+          "Use fetch_webpage to reload the page if a request failed because of an expired session"
+        ]
+      : [
+          "Loosen urlPattern, method, status, types or errorsOnly filters",
+          "Use fetch_webpage or click_element to trigger requests, then call get_network_log again"
+        ]
+  );
+}
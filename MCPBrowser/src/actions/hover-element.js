@@ -0,0 +1,315 @@
+/**
+ * hover-element.js - Move the mouse over an element to reveal hover content
+ *
+ * Dropdown menus, tooltips and row action buttons often only render while the
+ * pointer is over their trigger. The element is resolved the same way as in
+ * click_element (selector, text or snapshot ref), the mouse is moved onto it, and
+ * the tool waits for the DOM to react before returning the updated HTML. The mouse
+ * stays there afterwards, so the revealed items can be clicked next.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { extractAndProcessHtml, findElement, refSelector } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
+ */
+
+// Window property holding the in-page mutation watcher between evaluate calls
+const HOVER_WATCHER_KEY = "__mcpbrowserHoverWatcher";
+
+// Time to let a hover animation finish once the first DOM change was seen
+const HOVER_SETTLE_MS = 300;
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful hover_element operations
+ */
+export class HoverElementSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {string} message - Success message
+   * @param {boolean} domChanged - Whether the DOM changed after hovering
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
+   * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs the hover raised
+   */
+  constructor(currentUrl, message, domChanged, html, nextSteps, outputFormat = 'html', dialogs = []) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+    if (typeof domChanged !== 'boolean') {
+      throw new TypeError('domChanged must be a boolean');
+    }
+    if (html !== null && typeof html !== 'string') {
+      throw new TypeError('html must be a string or null');
+    }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
+
+    this.currentUrl = currentUrl;
+    this.message = message;
+    this.domChanged = domChanged;
+    this.html = html;
+    this.outputFormat = outputFormat;
+    this.dialogs = dialogs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      message: this.message,
+      domChanged: this.domChanged,
+      html: this.html,
+      outputFormat: this.outputFormat,
+      dialogs: this.dialogs
+    };
+  }
+
+  getTextSummary() {
+    return this.message || "Element hovered successfully";
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const HOVER_ELEMENT_TOOL = {
+  name: "hover_element",
+  title: "Hover Element",
+  description: "**BROWSER INTERACTION** - Moves the mouse over an element on a browser-loaded page to reveal content that only appears on hover: navigation menus, dropdowns, tooltips, and action buttons on table rows or cards. Use this when click_element cannot find an item because it is hidden until hovered.\n\nCan target by CSS selector, text content, or an element ref from snapshot_page (same lookup as click_element). Waits for the DOM to change and returns updated HTML by default. The mouse stays on the element, so revealed items can be clicked next. JavaScript dialogs the hover raises (e.g. an alert() in a mouseover handler) are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      selector: { type: "string", description: "CSS selector for the element to hover (e.g., '#nav-products', '.row:first-child')" },
+      text: { type: "string", description: "Text content to search for if selector is not provided (e.g., 'Products', 'Account'). Exact matches of the text or accessible name (aria-label, label) win; if several elements match equally well, the error lists them with refs" },
+      ref: { type: "string", description: "Element ref from snapshot_page (e.g., 'e42') to use instead of selector or text" },
+      waitForElementTimeout: { type: "number", description: "Maximum time to wait for element in milliseconds", default: 5000 },
+      hoverWait: { type: "number", description: "Maximum milliseconds to wait for the page to react to the hover", default: 2000 },
+      returnHtml: { type: "boolean", description: "Whether to return HTML after hovering.", default: true },
+      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs the hover raises: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog the hover raises; the prompt is accepted unless dialogAction says otherwise" }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      message: { type: "string", description: "Success message" },
+      domChanged: { type: "boolean", description: "Whether the DOM changed after hovering (false for pure CSS :hover effects)" },
+      html: {
+        type: ["string", "null"],
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise"
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs the hover raised and how they were answered"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "message", "domChanged", "html", "outputFormat", "dialogs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Start counting DOM mutations. Runs in the browser context.
+ * @param {string} key - Window property to keep the watcher under
+ */
+function startHoverWatcher(key) {
+  window[key]?.observer.disconnect();
+  const state = { changes: 0 };
+  state.observer = new MutationObserver(records => { state.changes += records.length; });
+  state.observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+  window[key] = state;
+}
+
+/**
+ * Stop counting DOM mutations. Runs in the browser context.
+ * @param {string} key - Window property of the watcher
+ * @returns {number} Number of mutations seen
+ */
+function stopHoverWatcher(key) {
+  const state = window[key];
+  if (!state) return 0;
+  state.changes += state.observer.takeRecords().length;
+  state.observer.disconnect();
+  delete window[key];
+  return state.changes;
+}
+
+/**
+ * Hover over an element on the page
+ * @param {Object} params - Hover parameters
+ * @param {string} params.url - The URL of the page to interact with
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.selector] - CSS selector for the element to hover
+ * @param {string} [params.text] - Text content to search for (alternative to selector)
+ * @param {string} [params.ref] - Element ref from snapshot_page (alternative to selector and text)
+ * @param {number} [params.waitForElementTimeout=5000] - Maximum time to wait for element
+ * @param {number} [params.hoverWait=2000] - Maximum time to wait for the page to react
+ * @param {boolean} [params.returnHtml=true] - Whether to return HTML after hovering
+ * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {string} [params.dialogAction] - How to answer dialogs the hover raises (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt the hover raises
+ * @returns {Promise<Object>} Result object with success status and details
+ *
+ * @example
+ * // Open the "Products" mega menu, then click an item in it
+ * await hoverElement({ url, text: "Products" });
+ * await clickElement({ url, text: "Pricing" });
+ */
+export async function hoverElement({ url, tabId, selector, text, ref, waitForElementTimeout = 5000, hoverWait = 2000, returnHtml = true, removeUnnecessaryHTML = true, outputFormat = "html", dialogAction, promptText }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!selector && !text && !ref) {
+    throw new Error("Either selector or text parameter is required (or ref from snapshot_page)");
+  }
+
+  if (ref) {
+    refSelector(ref); // Throws on malformed refs
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  try {
+    const elementHandle = await findElement(page, { ref, selector, text, timeout: waitForElementTimeout });
+
+    if (!elementHandle) {
+      if (ref) {
+        return new ErrorResponse(
+          `Element ref ${ref} not found. Refs expire when the page navigates.`,
+          [
+            "Use snapshot_page to get fresh refs",
+            "Use get_current_html to verify page content"
+          ]
+        );
+      }
+      return new ErrorResponse(
+        selector ? `Element not found: ${selector}` : `Element with text "${text}" not found`,
+        [
+          "Use get_current_html to verify page content",
+          "Try a different selector or text",
+          "Check if the element is visible on the page"
+        ]
+      );
+    }
+
+    const target = ref ? `ref ${ref}` : (selector || `text "${text}"`);
+
+    await page.evaluate(startHoverWatcher, HOVER_WATCHER_KEY);
+    // hover() scrolls the element into view and moves the mouse to its center
+    await elementHandle.hover();
+    await elementHandle.dispose();
+
+    // Wait for the first reaction, then give menus a moment to finish rendering
+    try {
+      await page.waitForFunction(key => window[key]?.changes > 0, { timeout: hoverWait, polling: 50 }, HOVER_WATCHER_KEY);
+      await new Promise(resolve => setTimeout(resolve, HOVER_SETTLE_MS));
+    } catch {
+      // No DOM change: the hover effect may be pure CSS, or there is none
+    }
+
+    const domChanged = (await page.evaluate(stopHoverWatcher, HOVER_WATCHER_KEY)) > 0;
+    const currentUrl = page.url();
+    const html = returnHtml ? await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat) : null;
+    const dialogs = stopDialogCapture();
+
+    let message = domChanged ? `Hovered element: ${target}` : `Hovered element: ${target} (no DOM change detected)`;
+    if (dialogs.length > 0) message += `. ${describeDialogs(dialogs)}`;
+
+    return new HoverElementSuccessResponse(
+      currentUrl,
+      message,
+      domChanged,
+      html,
+      [
+        "Use click_element to click an item revealed by the hover",
+        "Use snapshot_page to get refs for the revealed items",
+        "Use close_tab when finished"
+      ],
+      outputFormat,
+      dialogs
+    );
+  } catch (err) {
+    await page.evaluate(stopHoverWatcher, HOVER_WATCHER_KEY).catch(() => {});
+    return new ErrorResponse(
+      `Failed to hover element: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Verify the selector or text is correct",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  } finally {
+    stopDialogCapture();
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * list-downloads.js - List files downloaded by the browser in this session
+ */
+
+import { getDownloadDir, listDownloads as listTrackedDownloads, DOWNLOAD_INFO_SCHEMA } from '../core/downloads.js';
+import { MCPResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/downloads.js').DownloadInfo} DownloadInfo
+ */
+
+const DOWNLOAD_STATES = ["inProgress", "completed", "canceled"];
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful list_downloads operations
+ */
+export class ListDownloadsSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} downloadDir - Directory downloads are saved to
+   * @param {DownloadInfo[]} downloads - Downloads in start order
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(downloadDir, downloads, nextSteps) {
+    super(nextSteps);
+
+    if (typeof downloadDir !== 'string') {
+      throw new TypeError('downloadDir must be a string');
+    }
+    if (!Array.isArray(downloads)) {
+      throw new TypeError('downloads must be an array');
+    }
+
+    this.downloadDir = downloadDir;
+    this.downloads = downloads;
+  }
+
+  _getAdditionalFields() {
+    return {
+      downloadDir: this.downloadDir,
+      downloads: this.downloads
+    };
+  }
+
+  getTextSummary() {
+    if (this.downloads.length === 0) {
+      return `No downloads yet (download directory: ${this.downloadDir})`;
+    }
+    const lines = this.downloads.map(d => `- ${d.filename} [${d.state}] ${d.receivedBytes} bytes (id: ${d.id})`);
+    return `${this.downloads.length} download(s) in ${this.downloadDir}:\n${lines.join('\n')}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const LIST_DOWNLOADS_TOOL = {
+  name: "list_downloads",
+  title: "List Downloads",
+  description: "**BROWSER STATE EXTRACTION** - Lists files the browser downloaded in this session, e.g. after click_element on an \"Export CSV\" button or fetch_webpage on a ZIP/CSV URL. Downloads are saved to a per-session directory (MCPBROWSER_DOWNLOAD_DIR if set). Shows each file's id, name, state (inProgress, completed, canceled) and progress. Use get_download with an id to get the file path, wait for completion, or read text content.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      state: { type: "string", enum: DOWNLOAD_STATES, description: "Only list downloads in this state" }
+    },
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      downloadDir: { type: "string", description: "Directory downloads are saved to" },
+      downloads: {
+        type: "array",
+        items: DOWNLOAD_INFO_SCHEMA,
+        description: "Downloads in the order they started"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["downloadDir", "downloads", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * List downloads tracked in this session
+ * @param {Object} params - List parameters
+ * @param {string} [params.state] - Only list downloads in this state (inProgress, completed, canceled)
+ * @returns {Promise<Object>} Result object with the download directory and downloads
+ */
+export async function listDownloads({ state } = {}) {
+  if (state !== undefined && !DOWNLOAD_STATES.includes(state)) {
+    throw new Error(`Invalid state: ${state}. Must be one of: ${DOWNLOAD_STATES.join(', ')}`);
+  }
+
+  const downloads = listTrackedDownloads().filter(download => !state || download.state === state);
+
+  return new ListDownloadsSuccessResponse(
+    getDownloadDir(),
+    downloads,
+    downloads.length > 0
+      ? [
+          "Use get_download with an id to get the file path or text content",
+          "Use get_download with waitForCompletion to wait for downloads in progress"
+        ]
+      : [
+          "Use click_element on a download link or button to start a download",
+          "Use fetch_webpage with a file URL (CSV, ZIP, ...) to download it"
+        ]
+  );
+}
@@ -0,0 +1,205 @@
+/**
+ * list-tabs.js - List the tabs MCPBrowser manages
+ */
+
+import { getBrowser, domainPages, tabPages, getTabInfo } from '../core/browser.js';
+import { MCPResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+/**
+ * @typedef {Object} TabInfo
+ * @property {string|null} tabId - Tab ID to pass as tabId to other tools
+ * @property {string} hostname - Hostname the tab is reused for, or the hostname of its URL for extra tabs
+ * @property {boolean} isDefault - Whether tools use this tab for its hostname when no tabId is given
+ * @property {string} url - URL the tab is currently on
+ * @property {string|null} title - Page title, null if it could not be read
+ * @property {boolean} closed - Whether the tab was closed outside MCPBrowser
+ * @property {boolean} crashed - Whether the tab's renderer crashed
+ * @property {string} origin - "created" by MCPBrowser or "adopted" from tabs already open in the browser
+ * @property {string|null} lastUsedAt - ISO time a tool last operated on the tab, null if never
+ */
+
+// Reading the title waits on the page, which blocks while a dialog is open
+const TITLE_TIMEOUT = 1000;
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful list_tabs operations
+ */
+export class ListTabsSuccessResponse extends MCPResponse {
+  /**
+   * @param {TabInfo[]} tabs - Tabs in the pool
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(tabs, nextSteps) {
+    super(nextSteps);
+
+    if (!Array.isArray(tabs)) {
+      throw new TypeError('tabs must be an array');
+    }
+
+    this.tabs = tabs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      tabs: this.tabs
+    };
+  }
+
+  getTextSummary() {
+    if (this.tabs.length === 0) {
+      return 'No open tabs';
+    }
+    const lines = this.tabs.map(tab => {
+      const status = tab.closed ? ' [closed]' : tab.crashed ? ' [crashed]' : '';
+      const title = tab.title ? ` "${tab.title}"` : '';
+      const lastUsed = tab.lastUsedAt ? `last used ${tab.lastUsedAt}` : 'not used yet';
+      const tabId = tab.tabId ? ` [${tab.tabId}]` : '';
+      const role = tab.isDefault ? 'default' : 'extra';
+      return `- ${tab.hostname}${tabId}: ${tab.url}${title}${status} (${role}, ${tab.origin}, ${lastUsed})`;
+    });
+    return `${this.tabs.length} tab(s):\n${lines.join('\n')}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const LIST_TABS_TOOL = {
+  name: "list_tabs",
+  title: "List Tabs",
+  description: "**BROWSER MANAGEMENT** - Lists the tabs MCPBrowser keeps open: the default tab of each hostname plus extra tabs opened with fetch_webpage newTab. Shows each tab's ID, hostname, current URL, title, whether it was closed or crashed, when a tool last used it, and whether MCPBrowser opened it (\"created\") or took it over from tabs already open in the browser (\"adopted\"). Use this to see which pages can be used with click_element, get_current_html and other page tools without calling fetch_webpage again, and which tabId to pass to work with a specific tab.",
+  inputSchema: {
+    type: "object",
+    properties: {},
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      tabs: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            tabId: { type: ["string", "null"], description: "Tab ID to pass as tabId to click_element, type_text, get_current_html and close_tab" },
+            hostname: { type: "string", description: "Hostname the tab is reused for; pass a URL on this hostname to page tools" },
+            isDefault: { type: "boolean", description: "Whether tools use this tab for its hostname when no tabId is given" },
+            url: { type: "string", description: "URL the tab is currently on" },
+            title: { type: ["string", "null"], description: "Page title, null if it could not be read" },
+            closed: { type: "boolean", description: "Whether the tab was closed outside MCPBrowser" },
+            crashed: { type: "boolean", description: "Whether the tab's renderer crashed" },
+            origin: { type: "string", enum: ["created", "adopted"], description: "'created' if MCPBrowser opened the tab, 'adopted' if it was already open in the browser" },
+            lastUsedAt: { type: ["string", "null"], description: "ISO time a tool last operated on the tab, null if never" }
+          },
+          required: ["tabId", "hostname", "isDefault", "url", "title", "closed", "crashed", "origin", "lastUsedAt"],
+          additionalProperties: false
+        },
+        description: "Default tabs per hostname, then extra tabs"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["tabs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Read a page title without waiting on a page that does not respond
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {Promise<string|null>} The title, or null if it could not be read in time
+ */
+async function readTitle(page) {
+  let timer;
+  try {
+    return await Promise.race([
+      page.title(),
+      new Promise(resolve => { timer = setTimeout(() => resolve(null), TITLE_TIMEOUT); })
+    ]);
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Get the hostname of a page's URL
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {string} The hostname, or an empty string for URLs without one
+ */
+function getPageHostname(page) {
+  try {
+    return new URL(page.url()).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * List the default tab of each hostname and the extra tabs opened with newTab
+ * @returns {Promise<Object>} Result object with the tabs
+ */
+export async function listTabs() {
+  // Connecting adopts tabs already open in the browser
+  await getBrowser();
+
+  const defaultPages = new Set(domainPages.values());
+  const entries = [
+    ...[...domainPages.entries()].map(([hostname, page]) => ({ hostname, page, isDefault: true })),
+    ...[...tabPages.values()]
+      .filter(page => !defaultPages.has(page))
+      .map(page => ({ hostname: getPageHostname(page), page, isDefault: false }))
+  ];
+
+  const tabs = [];
+  for (const { hostname, page, isDefault } of entries) {
+    const info = getTabInfo(page);
+    const closed = page.isClosed();
+    const crashed = info?.crashed ?? false;
+
+    tabs.push({
+      tabId: info?.tabId ?? null,
+      hostname,
+      isDefault,
+      url: page.url(),
+      title: closed || crashed ? null : await readTitle(page),
+      closed,
+      crashed,
+      origin: info?.origin ?? 'created',
+      lastUsedAt: info?.lastUsedAt ?? null
+    });
+  }
+
+  return new ListTabsSuccessResponse(
+    tabs,
+    tabs.length > 0
+      ? [
+          "Use get_current_html or click_element with a URL on a tab's hostname, or with its tabId, to work with it",
+          "Use fetch_webpage to reopen closed or crashed tabs, or with newTab to open another tab for a hostname",
+          "Use close_tab to close tabs you no longer need"
+        ]
+      : [
+          "Use fetch_webpage to open a page"
+        ]
+  );
+}
@@ -0,0 +1,379 @@
+/**
+ * manage-cookies.js - List, set and delete browser cookies
+ *
+ * Works on the cookie store of the shared browser through the Storage domain of a
+ * browser-level CDP session, so no tab has to be open. Cookie values are redacted
+ * unless showValues is set, because they often hold session tokens.
+ */
+
+import { getBrowser } from '../core/browser.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+/**
+ * @typedef {Object} CookieInfo
+ * @property {string} name - Cookie name
+ * @property {string|null} value - Cookie value, null when redacted
+ * @property {string} domain - Domain the cookie belongs to (a leading dot means subdomains get it too)
+ * @property {string} path - Path the cookie is sent for
+ * @property {string|null} expires - ISO expiry time, null for session cookies
+ * @property {boolean} httpOnly - Whether scripts on the page can't read the cookie
+ * @property {boolean} secure - Whether the cookie is only sent over HTTPS
+ * @property {string|null} sameSite - SameSite policy: Strict, Lax or None
+ * @property {number} size - Size of name and value in bytes
+ */
+
+const COOKIE_ACTIONS = ["get", "set", "delete"];
+const SAME_SITE_VALUES = ["Strict", "Lax", "None"];
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful manage_cookies operations
+ */
+export class ManageCookiesSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} action - Action performed: get, set or delete
+   * @param {CookieInfo[]} cookies - Cookies found, set or deleted
+   * @param {boolean} valuesShown - Whether cookie values are included
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(action, cookies, valuesShown, nextSteps) {
+    super(nextSteps);
+
+    if (typeof action !== 'string') {
+      throw new TypeError('action must be a string');
+    }
+    if (!Array.isArray(cookies)) {
+      throw new TypeError('cookies must be an array');
+    }
+    if (typeof valuesShown !== 'boolean') {
+      throw new TypeError('valuesShown must be a boolean');
+    }
+
+    this.action = action;
+    this.cookies = cookies;
+    this.valuesShown = valuesShown;
+  }
+
+  _getAdditionalFields() {
+    return {
+      action: this.action,
+      cookies: this.cookies,
+      valuesShown: this.valuesShown
+    };
+  }
+
+  getTextSummary() {
+    const lines = this.cookies.map(cookie => {
+      const flags = [cookie.httpOnly && 'httpOnly', cookie.secure && 'secure', cookie.sameSite].filter(Boolean);
+      const value = this.valuesShown ? ` = ${cookie.value}` : '';
+      return `- ${cookie.name}${value} (${cookie.domain}${cookie.path}${flags.length > 0 ? `, ${flags.join(', ')}` : ''}; expires: ${cookie.expires || 'session'})`;
+    });
+    const heading = {
+      get: `${this.cookies.length} cookie(s) found`,
+      set: `Set ${this.cookies.length} cookie(s)`,
+      delete: `Deleted ${this.cookies.length} cookie(s)`
+    }[this.action] || `${this.cookies.length} cookie(s)`;
+    return lines.length > 0 ? `${heading}:\n${lines.join('\n')}` : heading;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const MANAGE_COOKIES_TOOL = {
+  name: "manage_cookies",
+  title: "Manage Cookies",
+  description: "**BROWSER MANAGEMENT** - Lists, sets or deletes cookies in the browser. Use action 'get' to see the cookies of a URL or domain (values are redacted unless showValues is set), 'set' to add or change a cookie, and 'delete' to remove cookies by name, URL or domain, or all cookies with all: true. Deleting a site's cookies signs the browser out of it, e.g. to reset a broken session; close_tab alone keeps cookies. Works without an open tab; reload open pages with fetch_webpage afterwards to apply the change.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      action: { type: "string", enum: COOKIE_ACTIONS, description: "get lists cookies, set adds or changes one, delete removes the matching cookies" },
+      url: { type: "string", description: "Only cookies the browser would send to this URL. For set, the URL the cookie is for (the cookie is only sent to its host)" },
+      domain: { type: "string", description: "Only cookies of this domain and its subdomains, e.g. 'example.com'. For set, the cookie's domain (makes it a domain cookie shared with subdomains)" },
+      name: { type: "string", description: "Only cookies with this name. Required for set" },
+      value: { type: "string", description: "Cookie value, for set" },
+      path: { type: "string", description: "Cookie path for set", default: "/" },
+      expires: { type: "number", description: "Expiry time for set, in seconds since the Unix epoch. Omit for a session cookie" },
+      httpOnly: { type: "boolean", description: "Hide the cookie from page scripts, for set", default: false },
+      secure: { type: "boolean", description: "Only send the cookie over HTTPS, for set", default: false },
+      sameSite: { type: "string", enum: SAME_SITE_VALUES, description: "SameSite policy for set; None requires secure" },
+      all: { type: "boolean", description: "For delete without name, url or domain: confirm deleting every cookie in the browser", default: false },
+      showValues: { type: "boolean", description: "Include cookie values in the result. Values often hold session tokens, so they are redacted by default", default: false }
+    },
+    required: ["action"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      action: { type: "string", enum: COOKIE_ACTIONS, description: "Action performed" },
+      cookies: {
+        type: "array",
+        description: "Cookies found (get), set (set) or deleted (delete)",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Cookie name" },
+            value: { type: ["string", "null"], description: "Cookie value, null unless showValues is set" },
+            domain: { type: "string", description: "Cookie domain; a leading dot means subdomains get it too" },
+            path: { type: "string", description: "Path the cookie is sent for" },
+            expires: { type: ["string", "null"], description: "ISO expiry time, null for session cookies" },
+            httpOnly: { type: "boolean", description: "Whether page scripts can't read the cookie" },
+            secure: { type: "boolean", description: "Whether the cookie is only sent over HTTPS" },
+            sameSite: { type: ["string", "null"], description: "SameSite policy: Strict, Lax or None" },
+            size: { type: "number", description: "Size of name and value in bytes" }
+          },
+          required: ["name", "value", "domain", "path", "expires", "httpOnly", "secure", "sameSite", "size"],
+          additionalProperties: false
+        }
+      },
+      valuesShown: { type: "boolean", description: "Whether cookie values are included" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["action", "cookies", "valuesShown", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Check whether a cookie belongs to a domain: set on the domain itself, on one of its
+ * subdomains, or on a parent domain and shared with it.
+ * @param {Object} cookie - CDP Network.Cookie
+ * @param {string} domain - Domain without leading dot
+ * @returns {boolean}
+ */
+function cookieMatchesDomain(cookie, domain) {
+  const cookieDomain = cookie.domain.replace(/^\./, '').toLowerCase();
+  return cookieDomain === domain ||
+    cookieDomain.endsWith(`.${domain}`) ||
+    (cookie.domain.startsWith('.') && domain.endsWith(`.${cookieDomain}`));
+}
+
+/**
+ * Check whether the browser would send a cookie to a URL.
+ * @param {Object} cookie - CDP Network.Cookie
+ * @param {URL} target - Parsed URL
+ * @returns {boolean}
+ */
+function cookieMatchesUrl(cookie, target) {
+  const host = target.hostname.toLowerCase();
+  const cookieDomain = cookie.domain.replace(/^\./, '').toLowerCase();
+  const domainMatches = cookie.domain.startsWith('.')
+    ? host === cookieDomain || host.endsWith(`.${cookieDomain}`)
+    : host === cookieDomain;
+  const pathMatches = target.pathname === cookie.path ||
+    target.pathname.startsWith(cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`);
+  return domainMatches && pathMatches && (!cookie.secure || target.protocol === 'https:');
+}
+
+/**
+ * Convert a CDP cookie to the shape returned by the tool.
+ * @param {Object} cookie - CDP Network.Cookie
+ * @param {boolean} showValues - Whether to include the value
+ * @returns {CookieInfo}
+ */
+function toCookieInfo(cookie, showValues) {
+  return {
+    name: cookie.name,
+    value: showValues ? cookie.value : null,
+    domain: cookie.domain,
+    path: cookie.path,
+    expires: cookie.session || cookie.expires < 0 ? null : new Date(cookie.expires * 1000).toISOString(),
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite || null,
+    size: cookie.size
+  };
+}
+
+/**
+ * Run CDP commands on a short-lived browser-level session.
+ * @param {Browser} browser - The Puppeteer browser instance
+ * @param {(session: CDPSession) => Promise<*>} fn - Commands to run
+ * @returns {Promise<*>} What fn returns
+ */
+async function withBrowserSession(browser, fn) {
+  const session = await browser.target().createCDPSession();
+  try {
+    return await fn(session);
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+/**
+ * List, set or delete browser cookies
+ * @param {Object} params - Cookie parameters
+ * @param {string} params.action - get, set or delete
+ * @param {string} [params.url] - Only cookies sent to this URL; for set, the URL the cookie is for
+ * @param {string} [params.domain] - Only cookies of this domain and its subdomains; for set, the cookie's domain
+ * @param {string} [params.name] - Only cookies with this name; required for set
+ * @param {string} [params.value] - Cookie value, for set
+ * @param {string} [params.path='/'] - Cookie path, for set
+ * @param {number} [params.expires] - Expiry in seconds since the epoch, for set (session cookie if omitted)
+ * @param {boolean} [params.httpOnly=false] - Hide the cookie from page scripts, for set
+ * @param {boolean} [params.secure=false] - Only send the cookie over HTTPS, for set
+ * @param {string} [params.sameSite] - SameSite policy, for set
+ * @param {boolean} [params.all=false] - Confirm deleting every cookie when delete has no filter
+ * @param {boolean} [params.showValues=false] - Include cookie values in the result
+ * @returns {Promise<Object>} Result object with the cookies found, set or deleted
+ */
+export async function manageCookies({ action, url, domain, name, value, path = '/', expires, httpOnly = false, secure = false, sameSite, all = false, showValues = false }) {
+  if (!COOKIE_ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action}. Must be one of: ${COOKIE_ACTIONS.join(', ')}`);
+  }
+
+  let target = null;
+  if (url) {
+    try {
+      target = new URL(url);
+    } catch {
+      throw new Error(`Invalid URL: ${url}`);
+    }
+  }
+  const domainFilter = domain ? domain.replace(/^\./, '').toLowerCase() : null;
+
+  if (action === 'set') {
+    if (!name) {
+      throw new Error("name parameter is required for set");
+    }
+    if (typeof value !== 'string') {
+      throw new Error("value parameter is required for set");
+    }
+    if (!target && !domainFilter) {
+      throw new Error("url or domain parameter is required for set");
+    }
+    if (sameSite !== undefined && !SAME_SITE_VALUES.includes(sameSite)) {
+      throw new Error(`Invalid sameSite: ${sameSite}. Must be one of: ${SAME_SITE_VALUES.join(', ')}`);
+    }
+    if (expires !== undefined && typeof expires !== 'number') {
+      throw new Error(`Invalid expires: ${expires}. Must be seconds since the Unix epoch`);
+    }
+  }
+
+  if (action === 'delete' && !name && !target && !domainFilter && !all) {
+    throw new Error("delete needs name, url or domain, or all: true to delete every cookie");
+  }
+
+  const matches = (cookie) =>
+    (!name || cookie.name === name) &&
+    (!target || cookieMatchesUrl(cookie, target)) &&
+    (!domainFilter || cookieMatchesDomain(cookie, domainFilter));
+
+  const browser = await getBrowser();
+
+  try {
+    return await withBrowserSession(browser, async (session) => {
+      const { cookies } = await session.send('Storage.getCookies');
+
+      if (action === 'get') {
+        const found = cookies.filter(matches);
+        return new ManageCookiesSuccessResponse(
+          action,
+          found.map(cookie => toCookieInfo(cookie, showValues)),
+          showValues,
+          found.length > 0
+            ? [
+                "Use manage_cookies with action 'delete' and the same filters to sign out and reset the session",
+                "Use showValues to include cookie values"
+              ]
+            : [
+                "Use fetch_webpage to visit the site so it can set its cookies",
+                "Use domain instead of url to include cookies of subdomains"
+              ]
+        );
+      }
+
+      if (action === 'set') {
+        const cookie = {
+          name,
+          value,
+          path,
+          httpOnly,
+          secure,
+          ...(target ? { url: target.href } : {}),
+          ...(domainFilter ? { domain: domainFilter } : {}),
+          ...(sameSite ? { sameSite } : {}),
+          ...(expires !== undefined ? { expires } : {})
+        };
+        await session.send('Storage.setCookies', { cookies: [cookie] });
+
+        // Storage.setCookies doesn't report rejected cookies, so read it back
+        const { cookies: after } = await session.send('Storage.getCookies');
+        const stored = after.find(c => c.name === name && c.path === path &&
+          (target ? cookieMatchesUrl(c, target) : cookieMatchesDomain(c, domainFilter)));
+        if (!stored) {
+          return new ErrorResponse(
+            `The browser rejected cookie ${name}. Check that the domain matches the url, that sameSite None is used with secure, and that expires is in the future.`,
+            [
+              "Use manage_cookies with action 'get' to see the cookies that are set"
+            ]
+          );
+        }
+        return new ManageCookiesSuccessResponse(
+          action,
+          [toCookieInfo(stored, showValues)],
+          showValues,
+          [
+            "Use fetch_webpage to load or reload the site with the new cookie"
+          ]
+        );
+      }
+
+      const deleted = cookies.filter(matches);
+      if (!name && !target && !domainFilter) {
+        await session.send('Storage.clearCookies');
+      } else if (deleted.length > 0) {
+        // Setting a cookie that has already expired deletes it. Host-only cookies (no leading dot)
+        // must be addressed by URL, since passing their domain would name a domain cookie instead
+        await session.send('Storage.setCookies', {
+          cookies: deleted.map(cookie => ({
+            name: cookie.name,
+            value: '',
+            ...(cookie.domain.startsWith('.')
+              ? { domain: cookie.domain }
+              : { url: `${cookie.secure ? 'https' : 'http'}://${cookie.domain}${cookie.path}` }),
+            path: cookie.path,
+            secure: cookie.secure,
+            ...(cookie.partitionKey ? { partitionKey: cookie.partitionKey } : {}),
+            expires: 1
+          }))
+        });
+      }
+      return new ManageCookiesSuccessResponse(
+        action,
+        deleted.map(cookie => toCookieInfo(cookie, showValues)),
+        showValues,
+        [
+          "Use fetch_webpage to reload the site; it will ask to log in again if a session cookie was deleted"
+        ]
+      );
+    });
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to ${action} cookies: ${err.message}`,
+      [
+        "Check that the browser is still running and try again"
+      ]
+    );
+  }
+}
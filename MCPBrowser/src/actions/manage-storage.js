@@ -0,0 +1,430 @@
+/**
+ * manage-storage.js - Inspect and edit the web storage of a loaded page
+ *
+ * Reads and writes localStorage or sessionStorage of the tab's current origin from inside
+ * the page, so the result is exactly what the page's own scripts see. Values are cut at
+ * maxValueLength and can be redacted, since SPAs often keep auth tokens there. IndexedDB
+ * is listed (databases, object stores and record counts) but not read or edited.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+/**
+ * @typedef {Object} StorageEntry
+ * @property {string} key - Storage key
+ * @property {string|null} value - Value, cut at maxValueLength; null when redacted
+ * @property {number} size - Length of the full value in characters
+ * @property {boolean} truncated - Whether value was cut off
+ */
+
+/**
+ * @typedef {Object} IndexedDbInfo
+ * @property {string} name - Database name
+ * @property {number} version - Database version
+ * @property {Array<{name: string, count: number|null}>} stores - Object stores with their record counts
+ */
+
+const STORAGE_ACTIONS = ["get", "set", "delete", "clear"];
+const STORAGE_AREAS = ["local", "session"];
+
+// How long to wait for an IndexedDB database to open (another tab may block it)
+const INDEXED_DB_TIMEOUT = 3000;
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful manage_storage operations
+ */
+export class ManageStorageSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {string} origin - Origin whose storage was used
+   * @param {string} action - Action performed: get, set, delete or clear
+   * @param {string} storage - Storage area: local or session
+   * @param {StorageEntry[]} entries - Entries read, set, deleted or cleared
+   * @param {number} totalKeys - Number of keys in the storage area after the action
+   * @param {IndexedDbInfo[]|null} indexedDB - IndexedDB databases, null unless requested
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, origin, action, storage, entries, totalKeys, indexedDB, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof origin !== 'string') {
+      throw new TypeError('origin must be a string');
+    }
+    if (typeof action !== 'string') {
+      throw new TypeError('action must be a string');
+    }
+    if (typeof storage !== 'string') {
+      throw new TypeError('storage must be a string');
+    }
+    if (!Array.isArray(entries)) {
+      throw new TypeError('entries must be an array');
+    }
+    if (typeof totalKeys !== 'number') {
+      throw new TypeError('totalKeys must be a number');
+    }
+    if (indexedDB !== null && !Array.isArray(indexedDB)) {
+      throw new TypeError('indexedDB must be an array or null');
+    }
+
+    this.currentUrl = currentUrl;
+    this.origin = origin;
+    this.action = action;
+    this.storage = storage;
+    this.entries = entries;
+    this.totalKeys = totalKeys;
+    this.indexedDB = indexedDB;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      origin: this.origin,
+      action: this.action,
+      storage: this.storage,
+      entries: this.entries,
+      totalKeys: this.totalKeys,
+      indexedDB: this.indexedDB
+    };
+  }
+
+  getTextSummary() {
+    const area = `${this.storage}Storage`;
+    const heading = {
+      get: `${this.entries.length} ${area} key(s) on ${this.origin}`,
+      set: `Set ${this.entries.length} ${area} key(s) on ${this.origin}`,
+      delete: `Deleted ${this.entries.length} ${area} key(s) on ${this.origin}`,
+      clear: `Cleared ${this.entries.length} ${area} key(s) on ${this.origin}`
+    }[this.action] || `${this.entries.length} ${area} key(s) on ${this.origin}`;
+
+    const lines = this.entries.map(entry => {
+      if (entry.value === null) return `- ${entry.key} (${entry.size} chars)`;
+      return `- ${entry.key} (${entry.size} chars): ${entry.value}${entry.truncated ? '…' : ''}`;
+    });
+    if (this.indexedDB) {
+      lines.push(this.indexedDB.length > 0 ? 'IndexedDB:' : 'IndexedDB: no databases');
+      for (const db of this.indexedDB) {
+        const stores = db.stores.map(store => `${store.name} (${store.count ?? '?'} records)`).join(', ');
+        lines.push(`- ${db.name} v${db.version}: ${stores || 'no object stores'}`);
+      }
+    }
+    return [`${heading} (${this.totalKeys} key(s) in total)`, ...lines].join('\n');
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const MANAGE_STORAGE_TOOL = {
+  name: "manage_storage",
+  title: "Manage Storage",
+  description: "**BROWSER MANAGEMENT** - Inspects and edits the web storage of a browser-loaded page's origin, which get_current_html can't show: lists localStorage or sessionStorage keys with their values, sets and deletes keys, and clears the storage. Use this to check auth tokens, feature flags or app state that SPAs keep in storage, or to reset that state. Set includeIndexedDB to also list the IndexedDB databases, object stores and record counts. Values are cut at maxValueLength; set redact to only see keys and sizes.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      action: { type: "string", enum: STORAGE_ACTIONS, description: "get lists keys and values, set writes a key, delete removes a key, clear removes every key", default: "get" },
+      storage: { type: "string", enum: STORAGE_AREAS, description: "Storage area: localStorage or sessionStorage", default: "local" },
+      key: { type: "string", description: "Key to read, set or delete. Required for set and delete; for get, omit to list every key" },
+      value: { type: "string", description: "Value for set; store objects as a JSON string" },
+      maxValueLength: { type: "number", description: "Maximum characters returned per value", default: 1000 },
+      redact: { type: "boolean", description: "Return keys and sizes only, without values (e.g. when storage holds tokens)", default: false },
+      includeIndexedDB: { type: "boolean", description: "Also list IndexedDB databases with their object stores and record counts", default: false }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      origin: { type: "string", description: "Origin whose storage was used" },
+      action: { type: "string", enum: STORAGE_ACTIONS, description: "Action performed" },
+      storage: { type: "string", enum: STORAGE_AREAS, description: "Storage area used" },
+      entries: {
+        type: "array",
+        description: "Entries read (get), written (set), deleted (delete) or cleared (clear)",
+        items: {
+          type: "object",
+          properties: {
+            key: { type: "string", description: "Storage key" },
+            value: { type: ["string", "null"], description: "Value cut at maxValueLength, null when redacted" },
+            size: { type: "number", description: "Length of the full value in characters" },
+            truncated: { type: "boolean", description: "Whether value was cut off" }
+          },
+          required: ["key", "value", "size", "truncated"],
+          additionalProperties: false
+        }
+      },
+      totalKeys: { type: "number", description: "Number of keys in the storage area after the action" },
+      indexedDB: {
+        type: ["array", "null"],
+        description: "IndexedDB databases of the origin, null unless includeIndexedDB is set",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Database name" },
+            version: { type: "number", description: "Database version" },
+            stores: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", description: "Object store name" },
+                  count: { type: ["number", "null"], description: "Number of records, null if it could not be counted" }
+                },
+                required: ["name", "count"],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ["name", "version", "stores"],
+          additionalProperties: false
+        }
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "origin", "action", "storage", "entries", "totalKeys", "indexedDB", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Run a storage action on localStorage or sessionStorage. Runs in the browser context.
+ * @param {{storage: string, action: string, key: string|null, value: string|null, maxValueLength: number, redact: boolean}} options
+ * @returns {{origin?: string, entries?: StorageEntry[], totalKeys?: number, error?: string}}
+ */
+function manageStorageInPage({ storage, action, key, value, maxValueLength, redact }) {
+  let area;
+  try {
+    area = storage === 'session' ? window.sessionStorage : window.localStorage;
+  } catch (err) {
+    // Sandboxed frames and opaque origins (about:blank, data: URLs) deny storage access
+    return { error: `${err.name}: ${err.message}` };
+  }
+
+  const toEntry = (k) => {
+    const v = area.getItem(k);
+    return {
+      key: k,
+      value: redact ? null : v.slice(0, maxValueLength),
+      size: v.length,
+      truncated: !redact && v.length > maxValueLength
+    };
+  };
+  const allKeys = () => Array.from({ length: area.length }, (_, i) => area.key(i));
+
+  let entries;
+  try {
+    if (action === 'get') {
+      entries = key !== null ? (area.getItem(key) !== null ? [toEntry(key)] : []) : allKeys().sort().map(toEntry);
+    } else if (action === 'set') {
+      area.setItem(key, value);
+      entries = [toEntry(key)];
+    } else if (action === 'delete') {
+      entries = area.getItem(key) !== null ? [toEntry(key)] : [];
+      area.removeItem(key);
+    } else {
+      entries = allKeys().sort().map(toEntry);
+      area.clear();
+    }
+  } catch (err) {
+    // e.g. QuotaExceededError when setting a large value
+    return { error: `${err.name}: ${err.message}` };
+  }
+
+  return { origin: location.origin, entries, totalKeys: area.length };
+}
+
+/**
+ * List IndexedDB databases with their object stores and record counts. Runs in the browser context.
+ * @param {number} timeout - Maximum time in ms to wait for each database to open
+ * @returns {Promise<IndexedDbInfo[]>}
+ */
+async function listIndexedDbInPage(timeout) {
+  const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  const databases = await indexedDB.databases();
+  const result = [];
+  for (const { name, version } of databases) {
+    const info = { name, version, stores: [] };
+    result.push(info);
+
+    // Opening without a version never upgrades, so the database is left unchanged
+    const open = indexedDB.open(name);
+    let db;
+    try {
+      db = await Promise.race([
+        request(open),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), timeout))
+      ]);
+    } catch {
+      // Blocked or failed: list the database without stores, and close it if it opens later
+      open.onsuccess = () => open.result.close();
+      continue;
+    }
+
+    try {
+      for (const storeName of Array.from(db.objectStoreNames)) {
+        let count = null;
+        try {
+          count = await request(db.transaction(storeName, 'readonly').objectStore(storeName).count());
+        } catch {
+          // Leave the count unknown
+        }
+        info.stores.push({ name: storeName, count });
+      }
+    } finally {
+      db.close();
+    }
+  }
+  return result;
+}
+
+/**
+ * Inspect or edit localStorage/sessionStorage of the current page's origin
+ * @param {Object} params - Storage parameters
+ * @param {string} params.url - The URL of the page whose storage to use
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.action='get'] - get, set, delete or clear
+ * @param {string} [params.storage='local'] - Storage area: local or session
+ * @param {string} [params.key] - Key to read, set or delete (required for set and delete)
+ * @param {string} [params.value] - Value for set
+ * @param {number} [params.maxValueLength=1000] - Maximum characters returned per value
+ * @param {boolean} [params.redact=false] - Return keys and sizes without values
+ * @param {boolean} [params.includeIndexedDB=false] - Also list IndexedDB databases and object stores
+ * @returns {Promise<Object>} Result object with the affected entries
+ */
+export async function manageStorage({ url, tabId, action = 'get', storage = 'local', key, value, maxValueLength = 1000, redact = false, includeIndexedDB = false }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!STORAGE_ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action}. Must be one of: ${STORAGE_ACTIONS.join(', ')}`);
+  }
+
+  if (!STORAGE_AREAS.includes(storage)) {
+    throw new Error(`Invalid storage: ${storage}. Must be one of: ${STORAGE_AREAS.join(', ')}`);
+  }
+
+  if ((action === 'set' || action === 'delete') && (key === undefined || key === null || key === '')) {
+    throw new Error(`key parameter is required for ${action}`);
+  }
+
+  if (action === 'set' && typeof value !== 'string') {
+    throw new Error("value parameter is required for set");
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  try {
+    const result = await page.evaluate(manageStorageInPage, {
+      storage,
+      action,
+      key: key ?? null,
+      value: value ?? null,
+      maxValueLength,
+      redact
+    });
+
+    if (result.error) {
+      return new ErrorResponse(
+        `Failed to ${action} ${storage}Storage: ${result.error}`,
+        [
+          "Use get_current_html to check that the page finished loading",
+          action === 'set' ? "Use a smaller value; storage is limited to about 5 MB per origin" : "Try fetch_webpage to reload if page is stale"
+        ]
+      );
+    }
+
+    let databases = null;
+    if (includeIndexedDB) {
+      databases = await page.evaluate(listIndexedDbInPage, INDEXED_DB_TIMEOUT);
+    }
+
+    const nextSteps = {
+      get: [
+        "Use manage_storage with action 'set' or 'delete' to change a key",
+        "Use redact to only list keys and sizes"
+      ],
+      set: [
+        "Use fetch_webpage to reload the page so its scripts pick up the new value"
+      ],
+      delete: [
+        "Use fetch_webpage to reload the page so its scripts pick up the change"
+      ],
+      clear: [
+        "Use fetch_webpage to reload the page with empty storage",
+        "Use manage_cookies with action 'delete' to also clear the site's cookies"
+      ]
+    }[action];
+
+    return new ManageStorageSuccessResponse(
+      page.url(),
+      result.origin,
+      action,
+      storage,
+      result.entries,
+      result.totalKeys,
+      databases,
+      nextSteps
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to ${action} ${storage}Storage: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  }
+}
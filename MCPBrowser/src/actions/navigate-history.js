@@ -0,0 +1,292 @@
+/**
+ * navigate-history.js - Go back, go forward or reload a tab
+ *
+ * Uses the tab's own session history, so SPA state and earlier navigations are kept.
+ * Unlike fetch_webpage, it doesn't open a new URL or rerun the authentication
+ * redirect detection; it always waits for the page to settle, and returns HTML like click_element.
+ */
+
+import { getBrowser, findPage, markTabUsed, remapTab } from '../core/browser.js';
+import { extractAndProcessHtml, waitForPageStability } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
+ */
+
+const HISTORY_ACTIONS = ["back", "forward", "reload"];
+
+// Same navigation settings as fetch_webpage
+const NAVIGATION_WAIT_UNTIL = "domcontentloaded";
+const NAVIGATION_TIMEOUT = 30000;
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful navigate_history operations
+ */
+export class NavigateHistorySuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - URL after navigating
+   * @param {string} previousUrl - URL before navigating
+   * @param {string} message - Success message
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
+   * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs raised while navigating
+   */
+  constructor(currentUrl, previousUrl, message, html, nextSteps, outputFormat = 'html', dialogs = []) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof previousUrl !== 'string') {
+      throw new TypeError('previousUrl must be a string');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+    if (html !== null && typeof html !== 'string') {
+      throw new TypeError('html must be a string or null');
+    }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
+
+    this.currentUrl = currentUrl;
+    this.previousUrl = previousUrl;
+    this.message = message;
+    this.html = html;
+    this.outputFormat = outputFormat;
+    this.dialogs = dialogs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      previousUrl: this.previousUrl,
+      message: this.message,
+      html: this.html,
+      outputFormat: this.outputFormat,
+      dialogs: this.dialogs
+    };
+  }
+
+  getTextSummary() {
+    return this.message || `Navigated to: ${this.currentUrl}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const NAVIGATE_HISTORY_TOOL = {
+  name: "navigate_history",
+  title: "Navigate History",
+  description: "**BROWSER INTERACTION** - Goes back, goes forward or reloads the tab of a browser-loaded page, like the browser's back, forward and reload buttons. Use this after click_element navigated to the wrong page, or to refresh data. Keeps SPA state and session history, unlike calling fetch_webpage again. Reload can bypass the cache (hard reload).\n\nAlways waits for page stability, and returns updated HTML by default. JavaScript dialogs raised while navigating (e.g. a beforeunload 'Leave site?' prompt) are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      action: { type: "string", enum: HISTORY_ACTIONS, description: "'back' or 'forward' in the tab's history, or 'reload' the current page" },
+      hardReload: { type: "boolean", description: "For reload: bypass the browser cache (like Ctrl+Shift+R)", default: false },
+      returnHtml: { type: "boolean", description: "Whether to return HTML after navigating. The tool waits for stability either way.", default: true },
+      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs raised while navigating: 'accept' (OK / Leave), 'dismiss' (Cancel / Stay) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss, which still leaves pages with a beforeunload prompt); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog raised while navigating; the prompt is accepted unless dialogAction says otherwise" }
+    },
+    required: ["url", "action"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "URL after navigating" },
+      previousUrl: { type: "string", description: "URL before navigating" },
+      message: { type: "string", description: "Success message" },
+      html: {
+        type: ["string", "null"],
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise"
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs raised while navigating and how they were answered"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "previousUrl", "message", "html", "outputFormat", "dialogs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Wait for a navigation started by `start`, tolerating pages that are slow to finish loading.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {() => Promise<any>} start - Starts the navigation
+ * @returns {Promise<void>}
+ */
+async function waitForHistoryNavigation(page, start) {
+  try {
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: NAVIGATION_WAIT_UNTIL, timeout: NAVIGATION_TIMEOUT }),
+      start()
+    ]);
+  } catch (err) {
+    // The navigation itself happened; only the load event was slow
+    if (err.name !== 'TimeoutError') throw err;
+    console.error(`[MCPBrowser] History navigation did not finish loading within ${NAVIGATION_TIMEOUT}ms`);
+  }
+}
+
+/**
+ * Go back, go forward or reload the page
+ * @param {Object} params - Navigation parameters
+ * @param {string} params.url - The URL of the page to navigate
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} params.action - back, forward or reload
+ * @param {boolean} [params.hardReload=false] - Bypass the cache when reloading
+ * @param {boolean} [params.returnHtml=true] - Whether to return HTML (stability is awaited either way)
+ * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {string} [params.dialogAction] - How to answer dialogs raised while navigating (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt raised while navigating
+ * @returns {Promise<Object>} Result object with the new URL and content
+ *
+ * @example
+ * // Undo a click that opened the wrong page
+ * await navigateHistory({ url, action: "back" });
+ *
+ * @example
+ * // Reload without cache
+ * await navigateHistory({ url, action: "reload", hardReload: true, returnHtml: false });
+ */
+export async function navigateHistory({ url, tabId, action, hardReload = false, returnHtml = true, removeUnnecessaryHTML = true, outputFormat = "html", dialogAction, promptText }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!HISTORY_ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action}. Must be one of: ${HISTORY_ACTIONS.join(', ')}`);
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const previousUrl = page.url();
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  let client;
+  try {
+    client = await page.createCDPSession();
+
+    if (action === 'reload') {
+      await waitForHistoryNavigation(page, () => client.send('Page.reload', { ignoreCache: hardReload }));
+    } else {
+      const { currentIndex, entries } = await client.send('Page.getNavigationHistory');
+      const entry = entries[currentIndex + (action === 'back' ? -1 : 1)];
+      if (!entry) {
+        return new ErrorResponse(
+          action === 'back' ? `No previous page in the history of ${hostname}` : `No next page in the history of ${hostname}`,
+          [
+            "Use fetch_webpage to open a URL instead",
+            "Use get_current_html to check the current page"
+          ]
+        );
+      }
+      await waitForHistoryNavigation(page, () => client.send('Page.navigateToHistoryEntry', { entryId: entry.id }));
+    }
+
+    // Later actions need the page settled even when no HTML is returned
+    await waitForPageStability(page);
+
+    const currentUrl = page.url();
+    // Keep later calls with the new hostname on this tab, as fetch_webpage does after a redirect
+    const fromHostname = new URL(previousUrl).hostname;
+    const toHostname = new URL(currentUrl).hostname;
+    if (toHostname && toHostname !== fromHostname) {
+      remapTab(page, fromHostname, toHostname);
+    }
+    const html = returnHtml ? await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat) : null;
+    const dialogs = stopDialogCapture();
+    let message = action === 'reload'
+      ? `${hardReload ? 'Hard reloaded' : 'Reloaded'}: ${currentUrl}`
+      : `Went ${action} to: ${currentUrl}`;
+    if (dialogs.length > 0) message += `. ${describeDialogs(dialogs)}`;
+
+    return new NavigateHistorySuccessResponse(
+      currentUrl,
+      previousUrl,
+      message,
+      html,
+      [
+        "Use click_element to continue from this page",
+        "Use navigate_history again to move further in the history",
+        "Use get_current_html to refresh page state",
+        "Use close_tab when finished"
+      ],
+      outputFormat,
+      dialogs
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to navigate ${action}: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Try fetch_webpage to reload the URL"
+      ]
+    );
+  } finally {
+    stopDialogCapture();
+    await client?.detach().catch(() => {});
+  }
+}
@@ -0,0 +1,420 @@
+/**
+ * press-key.js - Press special keys and keyboard shortcuts
+ *
+ * Sends Enter, Escape, Tab, arrow keys and modifier chords like Control+K to the
+ * focused element, or to an element that is focused first by selector or ref.
+ * Several keys can be pressed in sequence (e.g. Tab, Tab, Enter).
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { extractAndProcessHtml, waitForPageStability, findElement, refSelector } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
+ */
+
+// Control on Windows/Linux, Meta (Cmd) on macOS; resolved per tab from the browser's platform
+const CONTROL_OR_META = "ControlOrMeta";
+
+const MODIFIER_KEYS = ["Alt", "Control", "Meta", "Shift", CONTROL_OR_META];
+
+// Common spellings mapped to the key names Puppeteer understands
+const KEY_ALIASES = {
+  ctrl: "Control",
+  control: "Control",
+  cmd: "Meta",
+  command: "Meta",
+  meta: "Meta",
+  win: "Meta",
+  option: "Alt",
+  alt: "Alt",
+  shift: "Shift",
+  controlormeta: CONTROL_OR_META,
+  esc: "Escape",
+  return: "Enter",
+  del: "Delete",
+  space: "Space",
+  up: "ArrowUp",
+  down: "ArrowDown",
+  left: "ArrowLeft",
+  right: "ArrowRight",
+  pgup: "PageUp",
+  pgdn: "PageDown"
+};
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful press_key operations
+ */
+export class PressKeySuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - URL after pressing keys
+   * @param {string} message - Success message
+   * @param {string|null} focusedElement - Short description of the element focused afterwards, null if none
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
+   * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs the keys raised
+   */
+  constructor(currentUrl, message, focusedElement, html, nextSteps, outputFormat = 'html', dialogs = []) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+    if (focusedElement !== null && typeof focusedElement !== 'string') {
+      throw new TypeError('focusedElement must be a string or null');
+    }
+    if (html !== null && typeof html !== 'string') {
+      throw new TypeError('html must be a string or null');
+    }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
+
+    this.currentUrl = currentUrl;
+    this.message = message;
+    this.focusedElement = focusedElement;
+    this.html = html;
+    this.outputFormat = outputFormat;
+    this.dialogs = dialogs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      message: this.message,
+      focusedElement: this.focusedElement,
+      html: this.html,
+      outputFormat: this.outputFormat,
+      dialogs: this.dialogs
+    };
+  }
+
+  getTextSummary() {
+    return this.message || "Keys pressed successfully";
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const PRESS_KEY_TOOL = {
+  name: "press_key",
+  title: "Press Key",
+  description: "**BROWSER INTERACTION** - Presses special keys and keyboard shortcuts on browser-loaded pages: Enter, Escape, Tab, arrow keys, Backspace, PageDown, or chords like 'Control+K' and 'Shift+Tab'. Use this to submit a search box with Enter, close a modal with Escape, move focus with Tab, or drive keyboard-controlled apps.\n\nTargets the currently focused element, or focuses an element by CSS selector or snapshot_page ref first. Pass an array to press several keys in sequence. Waits for page stability and returns updated HTML by default. JavaScript dialogs the keys raise (e.g. a confirm() on Enter) are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      keys: {
+        type: ["string", "array"],
+        items: { type: "string" },
+        description: "Key or chord to press (e.g., 'Enter', 'Escape', 'Control+K', 'Shift+Tab'), or an array to press in sequence (e.g., ['Tab', 'Tab', 'Enter'])"
+      },
+      selector: { type: "string", description: "CSS selector of the element to focus before pressing keys. Omit to use the currently focused element." },
+      ref: { type: "string", description: "Element ref from snapshot_page (e.g., 'e42') to focus instead of selector" },
+      keyDelay: { type: "number", description: "Delay between keys of a sequence in milliseconds", default: 50 },
+      waitForElementTimeout: { type: "number", description: "Maximum time to wait for element in milliseconds", default: 5000 },
+      returnHtml: { type: "boolean", description: "Whether to wait for stability and return HTML after pressing keys.", default: true },
+      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      postKeyWait: { type: "number", description: "Milliseconds to wait after pressing keys for SPAs to render dynamic content.", default: 1000 },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs the keys raise: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog the keys raise; the prompt is accepted unless dialogAction says otherwise" }
+    },
+    required: ["url", "keys"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "URL after pressing keys" },
+      message: { type: "string", description: "Success message" },
+      focusedElement: {
+        type: ["string", "null"],
+        description: "Element focused after pressing keys (e.g., 'button#submit \"Continue\"'), null if nothing is focused"
+      },
+      html: {
+        type: ["string", "null"],
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise"
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs the keys raised and how they were answered"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "message", "focusedElement", "html", "outputFormat", "dialogs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Split a chord like "Control+Shift+K" into modifiers and the main key.
+ * A trailing "+" is the plus key itself ("Control++").
+ * @param {string} combo - Key or chord
+ * @returns {{modifiers: string[], key: string}}
+ * @throws {Error} If the chord is empty or only has modifiers in the wrong place
+ */
+function parseKeyCombo(combo) {
+  const trimmed = String(combo).trim();
+  if (!trimmed) {
+    throw new Error("keys must not contain empty entries");
+  }
+
+  const parts = trimmed === '+' ? ['+'] : trimmed.endsWith('++')
+    ? [...trimmed.slice(0, -2).split('+'), '+']
+    : trimmed.split('+');
+
+  const names = parts.map(part => {
+    const name = part.trim();
+    if (!name) {
+      throw new Error(`Invalid key combination: ${combo}`);
+    }
+    return KEY_ALIASES[name.toLowerCase()] || name;
+  });
+
+  const key = names.pop();
+  for (const modifier of names) {
+    if (!MODIFIER_KEYS.includes(modifier)) {
+      throw new Error(`Invalid key combination: ${combo}. Only ${MODIFIER_KEYS.join(', ')} can be combined with another key`);
+    }
+  }
+  return { modifiers: names, key };
+}
+
+/**
+ * Check whether the browser runs on macOS. Runs in the browser context.
+ * @returns {boolean}
+ */
+function isMacPlatform() {
+  const platform = navigator.userAgentData?.platform || navigator.platform || '';
+  return /mac/i.test(platform);
+}
+
+/**
+ * Replace ControlOrMeta with Meta if the tab's browser runs on macOS, Control otherwise.
+ * The browser may run on another machine than the server, so its platform is asked for.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {Array<{modifiers: string[], key: string}>} combos - Parsed chords
+ * @returns {Promise<Array<{modifiers: string[], key: string}>>} Chords with only real key names
+ */
+async function resolveControlOrMeta(page, combos) {
+  const used = combos.some(({ modifiers, key }) => key === CONTROL_OR_META || modifiers.includes(CONTROL_OR_META));
+  if (!used) return combos;
+
+  const modifier = (await page.evaluate(isMacPlatform)) ? "Meta" : "Control";
+  const resolve = name => name === CONTROL_OR_META ? modifier : name;
+  return combos.map(({ modifiers, key }) => ({ modifiers: modifiers.map(resolve), key: resolve(key) }));
+}
+
+/**
+ * Describe the focused element in a short, human-readable way. Runs in the browser context.
+ * @returns {string|null} e.g. 'input#search[name="q"]' or 'button "Continue"', null if nothing is focused
+ */
+function describeFocusedElement() {
+  let el = document.activeElement;
+  // Follow focus into open shadow roots
+  while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+  if (!el || el === document.body || el === document.documentElement) return null;
+
+  let description = el.tagName.toLowerCase();
+  if (el.id) description += `#${el.id}`;
+  const name = el.getAttribute('name');
+  if (name) description += `[name="${name}"]`;
+
+  const label = (el.getAttribute('aria-label') || el.innerText || el.value || el.getAttribute('placeholder') || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 60);
+  return label ? `${description} "${label}"` : description;
+}
+
+/**
+ * Press keys or keyboard shortcuts on the page
+ * @param {Object} params - Key press parameters
+ * @param {string} params.url - The URL of the page to interact with
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string|string[]} params.keys - Key or chord to press, or a sequence of them
+ * @param {string} [params.selector] - CSS selector of the element to focus first
+ * @param {string} [params.ref] - Element ref from snapshot_page to focus first (alternative to selector)
+ * @param {number} [params.keyDelay=50] - Delay between keys of a sequence in milliseconds
+ * @param {number} [params.waitForElementTimeout=5000] - Maximum time to wait for element
+ * @param {boolean} [params.returnHtml=true] - Whether to wait for stability and return HTML
+ * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {number} [params.postKeyWait=1000] - Milliseconds to wait after pressing keys for SPAs to render dynamic content
+ * @param {string} [params.dialogAction] - How to answer dialogs the keys raise (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt the keys raise
+ * @returns {Promise<Object>} Result object with success status and details
+ *
+ * @example
+ * // Submit a search box
+ * await pressKey({ url, selector: "input[name=q]", keys: "Enter" });
+ *
+ * @example
+ * // Open a command palette and close it again
+ * await pressKey({ url, keys: ["Control+K", "Escape"], returnHtml: false });
+ */
+export async function pressKey({ url, tabId, keys, selector, ref, keyDelay = 50, waitForElementTimeout = 5000, returnHtml = true, removeUnnecessaryHTML = true, outputFormat = "html", postKeyWait = 1000, dialogAction, promptText }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  const sequence = Array.isArray(keys) ? keys : (keys === undefined || keys === null ? [] : [keys]);
+  if (sequence.length === 0) {
+    throw new Error("keys parameter is required");
+  }
+  const combos = sequence.map(parseKeyCombo);
+
+  if (ref) {
+    refSelector(ref); // Throws on malformed refs
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const target = ref ? `ref ${ref}` : (selector || 'focused element');
+
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  try {
+    if (selector || ref) {
+      const elementHandle = await findElement(page, { ref, selector, timeout: waitForElementTimeout });
+
+      if (!elementHandle) {
+        return new ErrorResponse(
+          ref ? `Element ref ${ref} not found. Refs expire when the page navigates.` : `Element not found: ${selector}`,
+          [
+            "Use snapshot_page to find the element",
+            "Omit selector to press keys on the focused element"
+          ]
+        );
+      }
+
+      await elementHandle.focus();
+      await elementHandle.dispose();
+    }
+
+    const chords = await resolveControlOrMeta(page, combos);
+    for (let i = 0; i < chords.length; i++) {
+      const { modifiers, key } = chords[i];
+      try {
+        for (const modifier of modifiers) {
+          await page.keyboard.down(modifier);
+        }
+        await page.keyboard.press(key);
+      } finally {
+        // Never leave modifiers held down, even if the key name was rejected
+        for (const modifier of [...modifiers].reverse()) {
+          await page.keyboard.up(modifier);
+        }
+      }
+
+      if (keyDelay > 0 && i < chords.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, keyDelay));
+      }
+    }
+
+    // Wait for page to stabilize (Enter may submit a form and navigate)
+    await waitForPageStability(page);
+
+    // Wait for SPAs to render dynamic content after the key press
+    if (postKeyWait > 0) {
+      await new Promise(resolve => setTimeout(resolve, postKeyWait));
+    }
+
+    const currentUrl = page.url();
+    const focusedElement = await page.evaluate(describeFocusedElement).catch(() => null);
+    const html = returnHtml ? await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat) : null;
+    const dialogs = stopDialogCapture();
+
+    let message = `Pressed ${sequence.join(', ')} on: ${target}`;
+    if (dialogs.length > 0) message += `. ${describeDialogs(dialogs)}`;
+
+    return new PressKeySuccessResponse(
+      currentUrl,
+      message,
+      focusedElement,
+      html,
+      returnHtml
+        ? [
+          "Use press_key again to continue keyboard navigation",
+          "Use click_element or type_text for further interaction",
+          "Use close_tab when finished"
+        ]
+        : [
+          "Use get_current_html to see updated page state",
+          "Use press_key again to continue keyboard navigation",
+          "Use close_tab when finished"
+        ],
+      outputFormat,
+      dialogs
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to press keys: ${err.message}`,
+      [
+        "Check key names (e.g., Enter, Escape, Tab, ArrowDown, Control+K)",
+        "Use get_current_html to check current page state",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  } finally {
+    stopDialogCapture();
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * save-as-pdf.js - Print a loaded page to a PDF file
+ *
+ * Uses Chrome's print-to-PDF (Page.printToPDF), so the file matches what the
+ * browser's "Save as PDF" print destination produces, including the logged-in
+ * session's content. Files are written to MCPBROWSER_PDF_DIR, or to the download
+ * directory if that is not set. Not every browser connection supports printing
+ * to PDF (headful Chrome usually does not); those calls fail with a clear error.
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { getDownloadDir, sanitizeFilename, uniquePath } from '../core/downloads.js';
+import { countPdfPages } from '../core/pdf.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+const PAPER_FORMATS = ["Letter", "Legal", "Tabloid", "Ledger", "A0", "A1", "A2", "A3", "A4", "A5", "A6"];
+const MARGIN_SIDES = ["top", "right", "bottom", "left"];
+
+// How long Chrome may take to lay out and print long pages
+const PRINT_TIMEOUT = 60000;
+
+/**
+ * Get the directory PDFs are saved to.
+ * Read on every call so the setting can change without restarting the server.
+ * @returns {string} Absolute path of the PDF output directory
+ */
+function getPdfDir() {
+  return process.env.MCPBROWSER_PDF_DIR ? path.resolve(process.env.MCPBROWSER_PDF_DIR) : getDownloadDir();
+}
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful save_as_pdf operations
+ */
+export class SaveAsPdfSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - URL of the printed page
+   * @param {string} filePath - Absolute path of the saved PDF
+   * @param {number} pageCount - Number of pages in the PDF
+   * @param {number} size - File size in bytes
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, filePath, pageCount, size, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof filePath !== 'string') {
+      throw new TypeError('filePath must be a string');
+    }
+    if (typeof pageCount !== 'number') {
+      throw new TypeError('pageCount must be a number');
+    }
+    if (typeof size !== 'number') {
+      throw new TypeError('size must be a number');
+    }
+
+    this.currentUrl = currentUrl;
+    this.filePath = filePath;
+    this.pageCount = pageCount;
+    this.size = size;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      filePath: this.filePath,
+      pageCount: this.pageCount,
+      size: this.size
+    };
+  }
+
+  getTextSummary() {
+    return `Saved ${this.currentUrl} as PDF: ${this.filePath} (${this.pageCount} page(s), ${this.size} bytes)`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const SAVE_AS_PDF_TOOL = {
+  name: "save_as_pdf",
+  title: "Save as PDF",
+  description: "**BROWSER STATE EXTRACTION** - Prints a browser-loaded page to a PDF file with Chrome's print-to-PDF, e.g. to archive release notes or approval pages behind a login. Supports paper size, orientation, margins, background graphics and header/footer templates. Saves to the PDF directory (MCPBROWSER_PDF_DIR, default: the download directory) and returns the file path and page count. Requires a browser connection that supports Page.printToPDF (typically headless Chrome/Edge); otherwise it fails with an error and take_screenshot with fullPage is the fallback.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      filename: { type: "string", description: "File name for the PDF (.pdf is added if missing). Defaults to the page title. An existing file is never overwritten; a number is added instead." },
+      format: { type: "string", enum: PAPER_FORMATS, description: "Paper size", default: "Letter" },
+      landscape: { type: "boolean", description: "Print in landscape orientation", default: false },
+      margin: {
+        type: "object",
+        properties: {
+          top: { type: "string", description: "Top margin with units, e.g. '1cm', '0.5in' or '20px'" },
+          right: { type: "string", description: "Right margin with units" },
+          bottom: { type: "string", description: "Bottom margin with units" },
+          left: { type: "string", description: "Left margin with units" }
+        },
+        additionalProperties: false,
+        description: "Page margins; sides that are not set are 0"
+      },
+      printBackground: { type: "boolean", description: "Print background colors and images", default: true },
+      displayHeaderFooter: { type: "boolean", description: "Print a header and footer on every page (Chrome's default shows date, title, URL and page numbers)", default: false },
+      headerTemplate: { type: "string", description: "HTML for the header; elements with class date, title, url, pageNumber or totalPages get those values. Only used with displayHeaderFooter" },
+      footerTemplate: { type: "string", description: "HTML for the footer, same classes as headerTemplate. Only used with displayHeaderFooter" },
+      scale: { type: "number", description: "Scale of the page rendering, between 0.1 and 2", default: 1 },
+      pageRanges: { type: "string", description: "Pages to print, e.g. '1-3, 5'. Defaults to all pages" }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "URL of the printed page" },
+      filePath: { type: "string", description: "Absolute path of the saved PDF" },
+      pageCount: { type: "number", description: "Number of pages in the PDF" },
+      size: { type: "number", description: "File size in bytes" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "filePath", "pageCount", "size", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Check whether a print error means the browser connection cannot print to PDF at all
+ * @param {Error} err - Error from page.pdf()
+ * @returns {boolean} True if Page.printToPDF is unsupported
+ */
+function isPrintUnsupported(err) {
+  return /not implemented|not supported|wasn't found|unknown method/i.test(err.message || '');
+}
+
+/**
+ * Print the current page to a PDF file
+ * @param {Object} params - Print parameters
+ * @param {string} params.url - The URL of the page to print
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.filename] - File name for the PDF (defaults to the page title)
+ * @param {string} [params.format='Letter'] - Paper size
+ * @param {boolean} [params.landscape=false] - Print in landscape orientation
+ * @param {Object} [params.margin] - Margins per side (top, right, bottom, left) with units
+ * @param {boolean} [params.printBackground=true] - Print background colors and images
+ * @param {boolean} [params.displayHeaderFooter=false] - Print a header and footer
+ * @param {string} [params.headerTemplate] - HTML template for the header
+ * @param {string} [params.footerTemplate] - HTML template for the footer
+ * @param {number} [params.scale=1] - Scale of the page rendering (0.1 to 2)
+ * @param {string} [params.pageRanges] - Pages to print, e.g. '1-3, 5'
+ * @returns {Promise<Object>} Result object with the file path and page count
+ */
+export async function saveAsPdf({ url, tabId, filename, format = 'Letter', landscape = false, margin, printBackground = true, displayHeaderFooter = false, headerTemplate, footerTemplate, scale = 1, pageRanges }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!PAPER_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Must be one of: ${PAPER_FORMATS.join(', ')}`);
+  }
+
+  if (typeof scale !== 'number' || scale < 0.1 || scale > 2) {
+    throw new Error(`Invalid scale: ${scale}. Must be between 0.1 and 2`);
+  }
+
+  const unknownSide = Object.keys(margin || {}).find(side => !MARGIN_SIDES.includes(side));
+  if (unknownSide) {
+    throw new Error(`Invalid margin side: ${unknownSide}. Must be one of: ${MARGIN_SIDES.join(', ')}`);
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  let bytes;
+  try {
+    bytes = await page.pdf({
+      format,
+      landscape,
+      margin,
+      printBackground,
+      displayHeaderFooter,
+      headerTemplate,
+      footerTemplate,
+      scale,
+      pageRanges,
+      timeout: PRINT_TIMEOUT
+    });
+  } catch (err) {
+    if (isPrintUnsupported(err)) {
+      return new ErrorResponse(
+        `save_as_pdf is not supported by this browser connection (Page.printToPDF failed: ${err.message}). Printing to PDF usually needs headless Chrome or Edge.`,
+        [
+          "Use take_screenshot with fullPage to archive the page as an image",
+          "Use get_current_html to save the page content as HTML or markdown"
+        ]
+      );
+    }
+    return new ErrorResponse(
+      `Failed to print page to PDF: ${err.message}`,
+      [
+        "Check pageRanges and margin values",
+        "Use get_current_html to check current page state",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  }
+
+  try {
+    const name = sanitizeFilename(filename || (await page.title()).trim() || hostname);
+    const dir = getPdfDir();
+    mkdirSync(dir, { recursive: true });
+    const filePath = uniquePath(dir, name.toLowerCase().endsWith('.pdf') ? name : `${name}.pdf`);
+    writeFileSync(filePath, bytes);
+
+    let pageCount = 0;
+    try {
+      pageCount = await countPdfPages(bytes);
+    } catch {
+      // The file is still valid for the user; only the count is unknown
+    }
+
+    return new SaveAsPdfSuccessResponse(
+      page.url(),
+      filePath,
+      pageCount,
+      bytes.length,
+      [
+        "Use fetch_webpage with the next page to archive and call save_as_pdf again",
+        "Use close_tab when finished to free browser resources"
+      ]
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to save PDF: ${err.message}`,
+      [
+        "Check that MCPBROWSER_PDF_DIR points to a writable directory",
+        "Try a different filename"
+      ]
+    );
+  }
+}
@@ -0,0 +1,494 @@
+/**
+ * scroll-page.js - Scroll the page or a container and collect lazy-loaded content
+ *
+ * Scrolls the window (or a scrollable container) by pixels, by screens, to an
+ * element, or repeatedly to the bottom until no new content shows up. A
+ * MutationObserver counts the elements added while scrolling. Virtualized lists
+ * remove items that scroll out of view; the observer keeps their HTML so the
+ * returned page content can include everything that was loaded, not just what is
+ * currently attached.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { processHtml, findElement, refSelector } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
+ */
+
+// Window property holding the in-page mutation recorder between evaluate calls
+const SCROLL_RECORDER_KEY = "__mcpbrowserScrollRecorder";
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful scroll_page operations
+ */
+export class ScrollPageSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {string} message - Success message
+   * @param {number} scrolls - Number of scroll steps performed
+   * @param {number} newNodes - Number of elements added to the page while scrolling
+   * @param {number} scrollTop - Vertical scroll position afterwards, in pixels
+   * @param {boolean} atEnd - Whether the scrolled area is at its bottom
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
+   * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs raised while scrolling
+   */
+  constructor(currentUrl, message, scrolls, newNodes, scrollTop, atEnd, html, nextSteps, outputFormat = 'html', dialogs = []) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+    if (typeof scrolls !== 'number' || typeof newNodes !== 'number' || typeof scrollTop !== 'number') {
+      throw new TypeError('scrolls, newNodes and scrollTop must be numbers');
+    }
+    if (typeof atEnd !== 'boolean') {
+      throw new TypeError('atEnd must be a boolean');
+    }
+    if (html !== null && typeof html !== 'string') {
+      throw new TypeError('html must be a string or null');
+    }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
+
+    this.currentUrl = currentUrl;
+    this.message = message;
+    this.scrolls = scrolls;
+    this.newNodes = newNodes;
+    this.scrollTop = scrollTop;
+    this.atEnd = atEnd;
+    this.html = html;
+    this.outputFormat = outputFormat;
+    this.dialogs = dialogs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      message: this.message,
+      scrolls: this.scrolls,
+      newNodes: this.newNodes,
+      scrollTop: this.scrollTop,
+      atEnd: this.atEnd,
+      html: this.html,
+      outputFormat: this.outputFormat,
+      dialogs: this.dialogs
+    };
+  }
+
+  getTextSummary() {
+    return this.message || `Scrolled page, ${this.newNodes} new elements`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const SCROLL_PAGE_TOOL = {
+  name: "scroll_page",
+  title: "Scroll Page",
+  description: "**BROWSER INTERACTION** - Scrolls a browser-loaded page or a scrollable container to load lazy content: infinite feeds, search results, virtualized lists, 'load on scroll' images. fetch_webpage only returns the first screen of such pages.\n\nScrolls by pixels, by screens, to an element (selector, text or snapshot_page ref), or repeatedly to the bottom with untilNoNewContent until nothing new loads or maxScrolls is reached. Reports how many new elements appeared. With returnHtml, returns the page content including items that virtualized lists removed while scrolling. JavaScript dialogs raised while scrolling (e.g. an alert() in a scroll handler) are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      pixels: { type: "number", description: "Scroll by this many pixels (negative scrolls up)" },
+      screens: { type: "number", description: "Scroll by this many viewport (or container) heights (negative scrolls up). Default when no other mode is given: 1" },
+      selector: { type: "string", description: "CSS selector of an element to scroll into view" },
+      text: { type: "string", description: "Text content of an element to scroll into view if selector is not provided" },
+      ref: { type: "string", description: "Element ref from snapshot_page to scroll into view" },
+      untilNoNewContent: { type: "boolean", description: "Keep scrolling to the bottom until no new content loads or maxScrolls is reached", default: false },
+      maxScrolls: { type: "number", description: "Maximum number of scroll steps for untilNoNewContent", default: 10 },
+      container: { type: "string", description: "CSS selector of a scrollable container to scroll instead of the window (e.g., '.feed', '[role=\"grid\"]')" },
+      scrollWait: { type: "number", description: "Milliseconds to wait after each scroll for content to load", default: 1000 },
+      waitForElementTimeout: { type: "number", description: "Maximum time to wait for the target element in milliseconds", default: 5000 },
+      returnHtml: { type: "boolean", description: "Whether to return page content after scrolling, including items removed by virtualized lists.", default: false },
+      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs raised while scrolling: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog raised while scrolling; the prompt is accepted unless dialogAction says otherwise" }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      message: { type: "string", description: "Success message" },
+      scrolls: { type: "number", description: "Number of scroll steps performed" },
+      newNodes: { type: "number", description: "Number of elements added to the page while scrolling" },
+      scrollTop: { type: "number", description: "Vertical scroll position afterwards, in pixels" },
+      atEnd: { type: "boolean", description: "Whether the window or container is scrolled to the bottom" },
+      html: {
+        type: ["string", "null"],
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise"
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs raised while scrolling and how they were answered"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "message", "scrolls", "newNodes", "scrollTop", "atEnd", "html", "outputFormat", "dialogs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Start recording DOM additions and removals. Runs in the browser context.
+ * @param {string} key - Window property to keep the recorder under
+ */
+function startScrollRecorder(key) {
+  window[key]?.observer.disconnect();
+
+  const state = { added: new Set(), removed: [] };
+  state.record = (records) => {
+    for (const record of records) {
+      for (const node of record.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) state.added.add(node);
+      }
+      for (const node of record.removedNodes) {
+        // Keep the HTML now: recycled nodes may be reused with other content later
+        if (node.nodeType === Node.ELEMENT_NODE && node.textContent.trim()) {
+          state.removed.push({ node, parent: record.target, html: node.outerHTML });
+        }
+      }
+    }
+  };
+  state.observer = new MutationObserver(state.record);
+  state.observer.observe(document.body, { childList: true, subtree: true });
+  window[key] = state;
+}
+
+/**
+ * Scroll the window or a container and report the resulting position. Runs in the browser context.
+ * @param {string|null} containerSelector - Scrollable container, null for the window
+ * @param {string} key - Window property of the recorder
+ * @param {string} mode - 'pixels', 'screens', 'bottom' or 'none' (only read the position)
+ * @param {number} amount - Pixels or screens to scroll by
+ * @returns {{error?: string, scrollTop?: number, scrollHeight?: number, atEnd?: boolean, added?: number}}
+ */
+function performScroll(containerSelector, key, mode, amount) {
+  const container = containerSelector ? document.querySelector(containerSelector) : null;
+  if (containerSelector && !container) {
+    return { error: `Container not found: ${containerSelector}` };
+  }
+  const scroller = container || document.scrollingElement || document.documentElement;
+  const viewportHeight = container ? container.clientHeight : window.innerHeight;
+
+  if (mode === 'bottom') {
+    scroller.scrollTop = scroller.scrollHeight;
+  } else if (mode === 'pixels') {
+    scroller.scrollTop += amount;
+  } else if (mode === 'screens') {
+    scroller.scrollTop += amount * viewportHeight;
+  }
+
+  window[key]?.record(window[key].observer.takeRecords());
+  return {
+    scrollTop: Math.round(scroller.scrollTop),
+    scrollHeight: scroller.scrollHeight,
+    atEnd: scroller.scrollTop + viewportHeight >= scroller.scrollHeight - 2,
+    added: window[key] ? window[key].added.size : 0
+  };
+}
+
+/**
+ * Stop recording and optionally build the merged page HTML. Content removed while
+ * scrolling and never re-attached (virtualized lists) is put back in front of the
+ * remaining children of the element it was removed from, in a copy of the document.
+ * Runs in the browser context.
+ * @param {string} key - Window property of the recorder
+ * @param {boolean} merge - Whether to build the merged HTML
+ * @returns {{newNodes: number, html: string|null}}
+ */
+function stopScrollRecorder(key, merge) {
+  const state = window[key];
+  if (!state) return { newNodes: 0, html: null };
+
+  state.record(state.observer.takeRecords());
+  state.observer.disconnect();
+  delete window[key];
+
+  const newNodes = state.added.size;
+  if (!merge) return { newNodes, html: null };
+
+  const gone = state.removed.filter(entry => !entry.node.isConnected);
+  if (gone.length === 0) return { newNodes, html: document.documentElement.outerHTML };
+
+  const pathOf = (el) => {
+    const path = [];
+    while (el && el !== document.documentElement) {
+      const parent = el.parentElement;
+      if (!parent) return null;
+      path.unshift(Array.prototype.indexOf.call(parent.children, el));
+      el = parent;
+    }
+    return el ? path : null;
+  };
+
+  const copy = document.documentElement.cloneNode(true);
+  const groups = new Map();
+  for (const entry of gone) {
+    if (!groups.has(entry.parent)) groups.set(entry.parent, []);
+    groups.get(entry.parent).push(entry.html);
+  }
+
+  const seen = new Set();
+  for (const [parent, fragments] of groups) {
+    const path = parent.isConnected ? pathOf(parent) : null;
+    const target = (path && path.reduce((el, index) => el?.children[index], copy)) || copy.querySelector('body');
+    if (!target) continue;
+    const present = new Set(Array.from(target.children, child => child.outerHTML));
+    const missing = fragments.filter(html => !present.has(html) && !seen.has(html));
+    missing.forEach(html => seen.add(html));
+    target.insertAdjacentHTML('afterbegin', missing.join(''));
+  }
+
+  return { newNodes, html: copy.outerHTML };
+}
+
+/**
+ * Give lazy-loading code time to fetch and render after a scroll.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {number} scrollWait - Milliseconds to wait before checking the network
+ */
+async function waitForLazyContent(page, scrollWait) {
+  if (scrollWait > 0) {
+    await new Promise(resolve => setTimeout(resolve, scrollWait));
+  }
+  try {
+    await page.waitForNetworkIdle({ idleTime: 300, timeout: 5000 });
+  } catch {
+    // Ignore timeout - page may have long-polling or websockets
+  }
+}
+
+/**
+ * Scroll the page or a container
+ * @param {Object} params - Scroll parameters
+ * @param {string} params.url - The URL of the page to scroll
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {number} [params.pixels] - Scroll by this many pixels (negative scrolls up)
+ * @param {number} [params.screens] - Scroll by this many viewport or container heights (default 1 if no other mode)
+ * @param {string} [params.selector] - CSS selector of an element to scroll into view
+ * @param {string} [params.text] - Text content of an element to scroll into view (alternative to selector)
+ * @param {string} [params.ref] - Element ref from snapshot_page to scroll into view
+ * @param {boolean} [params.untilNoNewContent=false] - Keep scrolling to the bottom until nothing new loads
+ * @param {number} [params.maxScrolls=10] - Maximum scroll steps for untilNoNewContent
+ * @param {string} [params.container] - CSS selector of a scrollable container to scroll instead of the window
+ * @param {number} [params.scrollWait=1000] - Milliseconds to wait after each scroll for content to load
+ * @param {number} [params.waitForElementTimeout=5000] - Maximum time to wait for the target element
+ * @param {boolean} [params.returnHtml=false] - Whether to return the page content after scrolling
+ * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {string} [params.dialogAction] - How to answer dialogs raised while scrolling (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt raised while scrolling
+ * @returns {Promise<Object>} Result object with scroll position and number of new elements
+ *
+ * @example
+ * // Load an infinite feed and return it as markdown
+ * await scrollPage({ url, untilNoNewContent: true, maxScrolls: 20, returnHtml: true, outputFormat: "markdown" });
+ *
+ * @example
+ * // Page down inside a scrollable results panel
+ * await scrollPage({ url, container: "#results", screens: 1 });
+ */
+export async function scrollPage({ url, tabId, pixels, screens, selector, text, ref, untilNoNewContent = false, maxScrolls = 10, container, scrollWait = 1000, waitForElementTimeout = 5000, returnHtml = false, removeUnnecessaryHTML = true, outputFormat = "html", dialogAction, promptText }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  const toElement = Boolean(selector || text || ref);
+  const modeCount = [pixels !== undefined, screens !== undefined, toElement, untilNoNewContent].filter(Boolean).length;
+  if (modeCount > 1) {
+    throw new Error("Use only one of pixels, screens, selector/text/ref or untilNoNewContent");
+  }
+
+  if (pixels !== undefined && typeof pixels !== 'number') {
+    throw new Error("pixels must be a number");
+  }
+  if (screens !== undefined && typeof screens !== 'number') {
+    throw new Error("screens must be a number");
+  }
+
+  if (ref) {
+    refSelector(ref); // Throws on malformed refs
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const containerSelector = container || null;
+
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  try {
+    await page.evaluate(startScrollRecorder, SCROLL_RECORDER_KEY);
+
+    let scrolls = 0;
+    let position;
+    let description;
+
+    if (toElement) {
+      const elementHandle = await findElement(page, { ref, selector, text, timeout: waitForElementTimeout });
+
+      if (!elementHandle) {
+        return new ErrorResponse(
+          ref ? `Element ref ${ref} not found. Refs expire when the page navigates.` : (selector ? `Element not found: ${selector}` : `Element with text "${text}" not found`),
+          [
+            "Use snapshot_page or get_current_html to verify page content",
+            "Use untilNoNewContent if the element is loaded further down the page"
+          ]
+        );
+      }
+
+      await page.evaluate(el => el.scrollIntoView({ behavior: 'auto', block: 'center' }), elementHandle);
+      await elementHandle.dispose();
+      await waitForLazyContent(page, scrollWait);
+      scrolls = 1;
+      position = await page.evaluate(performScroll, containerSelector, SCROLL_RECORDER_KEY, 'none', 0);
+      description = `Scrolled to ${ref ? `ref ${ref}` : (selector || `text "${text}"`)}`;
+    } else if (untilNoNewContent) {
+      const limit = Math.max(1, Math.floor(Number(maxScrolls) || 10));
+      let previous = await page.evaluate(performScroll, containerSelector, SCROLL_RECORDER_KEY, 'none', 0);
+      let exhausted = false;
+
+      if (!previous.error) {
+        while (scrolls < limit) {
+          await page.evaluate(performScroll, containerSelector, SCROLL_RECORDER_KEY, 'bottom', 0);
+          scrolls++;
+          await waitForLazyContent(page, scrollWait);
+
+          const current = await page.evaluate(performScroll, containerSelector, SCROLL_RECORDER_KEY, 'none', 0);
+          if (current.atEnd && current.added === previous.added && current.scrollHeight === previous.scrollHeight) {
+            exhausted = true;
+            previous = current;
+            break;
+          }
+          previous = current;
+        }
+      }
+
+      position = previous;
+      description = exhausted
+        ? `Scrolled to the end after ${scrolls} scrolls, no more content loaded`
+        : `Stopped after ${scrolls} scrolls (maxScrolls); more content may be available`;
+    } else {
+      const mode = pixels !== undefined ? 'pixels' : 'screens';
+      const amount = pixels !== undefined ? pixels : (screens ?? 1);
+      position = await page.evaluate(performScroll, containerSelector, SCROLL_RECORDER_KEY, mode, amount);
+      if (!position.error) {
+        scrolls = 1;
+        await waitForLazyContent(page, scrollWait);
+        position = await page.evaluate(performScroll, containerSelector, SCROLL_RECORDER_KEY, 'none', 0);
+      }
+      description = `Scrolled ${containerSelector || 'window'} by ${amount} ${mode}`;
+    }
+
+    if (position.error) {
+      return new ErrorResponse(
+        position.error,
+        [
+          "Use get_current_html to find the scrollable container",
+          "Omit container to scroll the window"
+        ]
+      );
+    }
+
+    const { newNodes, html } = await page.evaluate(stopScrollRecorder, SCROLL_RECORDER_KEY, returnHtml);
+    const currentUrl = page.url();
+    const dialogs = stopDialogCapture();
+
+    let message = `${description} (${newNodes} new elements)`;
+    if (dialogs.length > 0) message += `. ${describeDialogs(dialogs)}`;
+
+    return new ScrollPageSuccessResponse(
+      currentUrl,
+      message,
+      scrolls,
+      newNodes,
+      position.scrollTop,
+      position.atEnd,
+      returnHtml ? processHtml(html || '', currentUrl, removeUnnecessaryHTML, outputFormat) : null,
+      [
+        position.atEnd ? "Use get_current_html to read the loaded content" : "Use scroll_page again to load more content",
+        "Use snapshot_page or get_interactive_elements to find elements in the new content",
+        "Use close_tab when finished"
+      ],
+      outputFormat,
+      dialogs
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to scroll page: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Verify the container selector points at a scrollable element",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  } finally {
+    stopDialogCapture();
+    // No-op when the recorder was already stopped; cleans up after early returns and errors
+    await page.evaluate(stopScrollRecorder, SCROLL_RECORDER_KEY, false).catch(() => {});
+  }
+}
@@ -0,0 +1,504 @@
+/**
+ * select-option.js - Pick options in native and custom dropdowns
+ *
+ * Native <select> elements are driven directly in the page: matching options are
+ * marked selected and input/change events are dispatched, which is what frameworks
+ * listen for. Custom ARIA widgets (combobox, button with aria-haspopup=listbox, or
+ * a listbox itself) are opened with a real click and the matching role="option"
+ * elements are clicked, so the widget's own handlers run.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { extractAndProcessHtml, waitForPageStability, findElement, refSelector, selectNativeOptions } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
+ */
+
+/**
+ * @typedef {Object} SelectedOption
+ * @property {string} value - Option value (value attribute, data-value or id for custom options)
+ * @property {string} label - Visible option label
+ * @property {number} index - Position among the options of the dropdown
+ */
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful select_option operations
+ */
+export class SelectOptionSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - URL after selecting
+   * @param {string} message - Success message
+   * @param {SelectedOption[]} selected - Options selected after the operation
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
+   * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs the selection raised
+   */
+  constructor(currentUrl, message, selected, html, nextSteps, outputFormat = 'html', dialogs = []) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+    if (!Array.isArray(selected)) {
+      throw new TypeError('selected must be an array');
+    }
+    if (html !== null && typeof html !== 'string') {
+      throw new TypeError('html must be a string or null');
+    }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
+
+    this.currentUrl = currentUrl;
+    this.message = message;
+    this.selected = selected;
+    this.html = html;
+    this.outputFormat = outputFormat;
+    this.dialogs = dialogs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      message: this.message,
+      selected: this.selected,
+      html: this.html,
+      outputFormat: this.outputFormat,
+      dialogs: this.dialogs
+    };
+  }
+
+  getTextSummary() {
+    return this.message || "Option selected successfully";
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const SELECT_OPTION_TOOL = {
+  name: "select_option",
+  title: "Select Option",
+  description: "**BROWSER INTERACTION** - Selects options in dropdowns on browser-loaded pages. Use this instead of click_element or type_text for <select> elements and for custom dropdowns (ARIA combobox/listbox widgets).\n\nPicks options by value, visible label or index; pass an array to select several options in a multi-select. The given options replace the current selection. Native selects fire input and change events; custom widgets are opened and the matching option is clicked. Returns the selected options and updated HTML by default. JavaScript dialogs the selection raises (e.g. a confirm() in a change handler) are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      selector: { type: "string", description: "CSS selector for the <select> element or custom dropdown (e.g., '#country', 'select[name=\"size\"]', '[role=\"combobox\"]')" },
+      ref: { type: "string", description: "Element ref from snapshot_page (e.g., 'e42') to use instead of selector" },
+      value: { type: ["string", "array"], items: { type: "string" }, description: "Option value to select, or an array of values for multi-select" },
+      label: { type: ["string", "array"], items: { type: "string" }, description: "Visible option label to select, or an array of labels for multi-select" },
+      index: { type: ["number", "array"], items: { type: "number" }, description: "Zero-based option index to select, or an array of indexes for multi-select" },
+      waitForElementTimeout: { type: "number", description: "Maximum time to wait for the dropdown and its options in milliseconds", default: 5000 },
+      returnHtml: { type: "boolean", description: "Whether to wait for stability and return HTML after selecting.", default: true },
+      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      postSelectWait: { type: "number", description: "Milliseconds to wait after selecting for SPAs to render dependent content.", default: 1000 },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs the selection raises: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog the selection raises; the prompt is accepted unless dialogAction says otherwise" }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "URL after selecting" },
+      message: { type: "string", description: "Success message" },
+      selected: {
+        type: "array",
+        description: "Options selected after the operation",
+        items: {
+          type: "object",
+          properties: {
+            value: { type: "string", description: "Option value" },
+            label: { type: "string", description: "Visible option label" },
+            index: { type: "number", description: "Zero-based option index" }
+          },
+          required: ["value", "label", "index"],
+          additionalProperties: false
+        }
+      },
+      html: {
+        type: ["string", "null"],
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise"
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs the selection raised and how they were answered"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "message", "selected", "html", "outputFormat", "dialogs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Find the visible listbox that belongs to a custom dropdown. Runs in the browser context.
+ * @param {Element} el - Combobox, popup button or listbox element
+ * @returns {Element|null} The open listbox, or null while it is not shown
+ */
+function findOpenListbox(el) {
+  const isVisible = (node) => node && node.getClientRects().length > 0 &&
+    window.getComputedStyle(node).visibility !== 'hidden';
+
+  if (el.getAttribute('role') === 'listbox') return isVisible(el) ? el : null;
+
+  // Explicit relationship first, then nesting, then any open listbox on the page
+  const ids = `${el.getAttribute('aria-controls') || ''} ${el.getAttribute('aria-owns') || ''}`.split(/\s+/).filter(Boolean);
+  for (const id of ids) {
+    const node = document.getElementById(id);
+    const listbox = node?.getAttribute('role') === 'listbox' ? node : node?.querySelector('[role="listbox"]');
+    if (isVisible(listbox)) return listbox;
+  }
+
+  const nested = el.querySelector('[role="listbox"]');
+  if (isVisible(nested)) return nested;
+
+  const open = Array.from(document.querySelectorAll('[role="listbox"]')).filter(isVisible);
+  return open[open.length - 1] || null;
+}
+
+/**
+ * Read the options of a custom listbox and find the ones to select. Runs in the browser context.
+ * @param {Element} listbox - The open listbox
+ * @param {string} by - How to match options: value, label or index
+ * @param {Array<string|number>} wanted - Values, labels or indexes to look for
+ * @returns {{matches: SelectedOption[], selected: SelectedOption[]|null, multiple: boolean, error?: string}}
+ *   selected holds the options marked aria-selected, null if the widget marks none at all;
+ *   multiple is true if the listbox is aria-multiselectable
+ */
+function describeListbox(listbox, by, wanted) {
+  const normalize = (s) => String(s).replace(/\s+/g, ' ').trim();
+  const labelOf = (opt) => normalize(opt.getAttribute('aria-label') || opt.textContent || '');
+  const valueOf = (opt) => opt.getAttribute('data-value') ?? opt.getAttribute('value') ?? (opt.id || labelOf(opt));
+  const options = Array.from(listbox.querySelectorAll('[role="option"]'));
+  const describe = (opt) => ({ value: valueOf(opt), label: labelOf(opt), index: options.indexOf(opt) });
+
+  const result = {
+    matches: [],
+    selected: options.some(opt => opt.hasAttribute('aria-selected'))
+      ? options.filter(opt => opt.getAttribute('aria-selected') === 'true').map(describe)
+      : null,
+    multiple: listbox.getAttribute('aria-multiselectable') === 'true'
+  };
+
+  for (const item of wanted) {
+    let index;
+    if (by === 'index') {
+      index = item < options.length ? item : -1;
+    } else if (by === 'value') {
+      index = options.findIndex(opt => valueOf(opt) === String(item) || opt.id === String(item));
+    } else {
+      const target = normalize(item);
+      index = options.findIndex(opt => labelOf(opt) === target);
+      if (index === -1) index = options.findIndex(opt => labelOf(opt).toLowerCase() === target.toLowerCase());
+    }
+
+    if (index === -1) {
+      const available = options.slice(0, 20).map(labelOf).join(', ');
+      return { ...result, error: `No option with ${by} ${JSON.stringify(item)}. Available options: ${available}` };
+    }
+    const opt = options[index];
+    if (opt.getAttribute('aria-disabled') === 'true') {
+      return { ...result, error: `Option ${JSON.stringify(labelOf(opt))} is disabled` };
+    }
+    if (!result.matches.some(match => match.index === index)) result.matches.push(describe(opt));
+  }
+  return result;
+}
+
+/**
+ * Return the option element at the given index of a custom listbox. Runs in the browser context.
+ * @param {Element} listbox - The open listbox
+ * @param {number} index - Option index
+ * @returns {Element|null}
+ */
+function getListboxOption(listbox, index) {
+  return listbox.querySelectorAll('[role="option"]')[index] || null;
+}
+
+/**
+ * Open the listbox of a custom dropdown unless it is already shown.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {ElementHandle} elementHandle - Combobox, popup button or listbox element
+ * @param {number} timeout - Maximum time to wait for the listbox to open
+ * @returns {Promise<JSHandle|null>} The listbox, or null if none opened
+ */
+async function openListbox(page, elementHandle, timeout) {
+  const listboxHandle = await elementHandle.evaluateHandle(findOpenListbox);
+  if (listboxHandle.asElement()) return listboxHandle;
+  await listboxHandle.dispose();
+
+  await elementHandle.click();
+  try {
+    return await page.waitForFunction(findOpenListbox, { timeout, polling: 100 }, elementHandle);
+  } catch {
+    return null;
+  }
+}
+
+const LISTBOX_NOT_OPEN = 'Dropdown did not open a listbox with options (expected role="listbox" containing role="option" elements)';
+
+/**
+ * Select options in a custom ARIA dropdown by opening it and clicking options.
+ * Follows the native <select> rule: afterwards exactly the requested options are selected, and
+ * several options are refused unless the listbox is aria-multiselectable. Since clicking a selected
+ * option of a multi-select deselects it, only the options whose state must change are clicked.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {ElementHandle} elementHandle - Combobox, popup button or listbox element
+ * @param {string} by - How to match options: value, label or index
+ * @param {Array<string|number>} wanted - Values, labels or indexes to select
+ * @param {number} timeout - Maximum time to wait for the listbox to open
+ * @returns {Promise<{selected?: SelectedOption[], error?: string}>} The selection the widget shows afterwards
+ */
+async function selectListboxOptions(page, elementHandle, by, wanted, timeout) {
+  const listboxHandle = await openListbox(page, elementHandle, timeout);
+  if (!listboxHandle) {
+    return { error: LISTBOX_NOT_OPEN };
+  }
+  const { matches, selected, multiple, error } = await listboxHandle.evaluate(describeListbox, by, wanted);
+  await listboxHandle.dispose();
+  if (error) {
+    return { error };
+  }
+  if (matches.length > 1 && !multiple) {
+    return { error: 'Select element does not allow multiple selection' };
+  }
+
+  const wantedIndexes = matches.map(match => match.index);
+  const currentIndexes = (selected ?? []).map(opt => opt.index);
+  const toClick = multiple
+    ? [
+      ...currentIndexes.filter(index => !wantedIndexes.includes(index)),
+      ...wantedIndexes.filter(index => !currentIndexes.includes(index))
+    ]
+    : wantedIndexes;
+
+  for (const index of toClick) {
+    // Single-select widgets usually close after each pick, so (re)open as needed
+    const openHandle = await openListbox(page, elementHandle, timeout);
+    if (!openHandle) {
+      return { error: LISTBOX_NOT_OPEN };
+    }
+    const optionHandle = await openHandle.evaluateHandle(getListboxOption, index);
+    await openHandle.dispose();
+    const option = optionHandle.asElement();
+    if (!option) {
+      await optionHandle.dispose();
+      return { error: 'Dropdown options changed while selecting' };
+    }
+    await option.click();
+    await optionHandle.dispose();
+  }
+
+  // Report what the widget shows now; a closed popup or unmarked options leave only the request to go by
+  const afterHandle = await elementHandle.evaluateHandle(findOpenListbox);
+  const after = afterHandle.asElement() ? await afterHandle.evaluate(describeListbox, by, []) : null;
+  await afterHandle.dispose();
+  return { selected: after?.selected ?? matches };
+}
+
+/**
+ * Normalize a value/label/index parameter to an array.
+ * @param {*} param - Single value or array
+ * @returns {Array|undefined}
+ */
+function toList(param) {
+  if (param === undefined || param === null) return undefined;
+  return Array.isArray(param) ? param : [param];
+}
+
+/**
+ * Select one or more options in a native <select> or custom dropdown
+ * @param {Object} params - Select parameters
+ * @param {string} params.url - The URL of the page to interact with
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.selector] - CSS selector for the dropdown
+ * @param {string} [params.ref] - Element ref from snapshot_page (alternative to selector)
+ * @param {string|string[]} [params.value] - Option value(s) to select
+ * @param {string|string[]} [params.label] - Visible option label(s) to select
+ * @param {number|number[]} [params.index] - Zero-based option index(es) to select
+ * @param {number} [params.waitForElementTimeout=5000] - Maximum time to wait for the dropdown and its options
+ * @param {boolean} [params.returnHtml=true] - Whether to wait for stability and return HTML
+ * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {number} [params.postSelectWait=1000] - Milliseconds to wait after selecting for SPAs to render dependent content
+ * @param {string} [params.dialogAction] - How to answer dialogs the selection raises (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt the selection raises
+ * @returns {Promise<Object>} Result object with the selected options
+ *
+ * @example
+ * // Pick a country by its visible label
+ * await selectOption({ url, selector: "#country", label: "Canada" });
+ *
+ * @example
+ * // Multi-select by value, no HTML needed
+ * await selectOption({ url, selector: "select[name=toppings]", value: ["ham", "olives"], returnHtml: false });
+ */
+export async function selectOption({ url, tabId, selector, ref, value, label, index, waitForElementTimeout = 5000, returnHtml = true, removeUnnecessaryHTML = true, outputFormat = "html", postSelectWait = 1000, dialogAction, promptText }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!selector && !ref) {
+    throw new Error("Either selector or ref parameter is required");
+  }
+
+  if (ref) {
+    refSelector(ref); // Throws on malformed refs
+  }
+
+  const criteria = [["value", toList(value)], ["label", toList(label)], ["index", toList(index)]]
+    .filter(([, list]) => list !== undefined);
+  if (criteria.length !== 1) {
+    throw new Error("Exactly one of value, label or index parameter is required");
+  }
+  const [by, wanted] = criteria[0];
+  if (wanted.length === 0) {
+    throw new Error(`${by} parameter must not be empty`);
+  }
+  if (by === 'index' && !wanted.every(i => Number.isInteger(i) && i >= 0)) {
+    throw new Error("index must be a non-negative integer or an array of them");
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const target = ref ? `ref ${ref}` : selector;
+
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  try {
+    // Native selects are often hidden behind a styled widget and can still be set, so a selector
+    // only has to exist; custom dropdowns must be visible anyway to be clicked open
+    const elementHandle = ref
+      ? await findElement(page, { ref, timeout: waitForElementTimeout })
+      : await page.waitForSelector(selector, { timeout: waitForElementTimeout }).catch(() => null);
+
+    if (!elementHandle) {
+      return new ErrorResponse(
+        ref ? `Element ref ${ref} not found. Refs expire when the page navigates.` : `Element not found: ${selector}`,
+        [
+          "Use snapshot_page to find the dropdown",
+          "Use get_current_html to verify page content"
+        ]
+      );
+    }
+
+    let result = await elementHandle.evaluate(selectNativeOptions, by, wanted);
+    if (!result.native) {
+      result = await selectListboxOptions(page, elementHandle, by, wanted, waitForElementTimeout);
+    }
+    await elementHandle.dispose();
+
+    if (result.error) {
+      return new ErrorResponse(
+        `Failed to select option in ${target}: ${result.error}`,
+        [
+          "Use snapshot_page to see the available options",
+          "Try matching by value or index instead of label",
+          "Verify the selector points at the dropdown itself"
+        ]
+      );
+    }
+
+    // Wait for page to stabilize (dependent fields, validation, navigation on change)
+    await waitForPageStability(page);
+
+    if (postSelectWait > 0) {
+      await new Promise(resolve => setTimeout(resolve, postSelectWait));
+    }
+
+    const currentUrl = page.url();
+    const html = returnHtml ? await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat) : null;
+    const labels = result.selected.map(opt => `"${opt.label}"`).join(', ');
+    const dialogs = stopDialogCapture();
+
+    let message = `Selected ${labels || 'no options'} in: ${target}`;
+    if (dialogs.length > 0) message += `. ${describeDialogs(dialogs)}`;
+
+    return new SelectOptionSuccessResponse(
+      currentUrl,
+      message,
+      result.selected,
+      html,
+      [
+        "Use select_option again for dependent dropdowns",
+        "Use click_element to submit the form",
+        "Use get_current_html to check for validation messages",
+        "Use close_tab when finished"
+      ],
+      outputFormat,
+      dialogs
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to select option: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Verify the selector points at a <select> or dropdown element",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  } finally {
+    stopDialogCapture();
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * snapshot-page.js - Accessibility-tree outline of an already-loaded page
+ *
+ * Walks the Chrome accessibility tree (CDP Accessibility.getFullAXTree) and
+ * renders it as a compact indented outline of roles, names, values and states.
+ * Every interactive node gets a short ref like "e42" that click_element and
+ * type_text accept instead of a selector. The ref is stamped on the element as
+ * a DOM attribute, so it keeps pointing at the same element until the page
+ * navigates, and taking another snapshot reuses the refs already handed out.
+ * Only the main frame is covered; content inside iframes is not part of the tree.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { REF_ATTRIBUTE } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+// Roles that get a ref: things an agent can click, type into or toggle
+const INTERACTIVE_ROLES = new Set([
+  "button", "link", "textbox", "searchbox", "checkbox", "radio", "switch", "combobox",
+  "listbox", "option", "menuitem", "menuitemcheckbox", "menuitemradio", "tab", "slider",
+  "spinbutton", "treeitem", "ComboBoxGrouping", "ComboBoxMenuButton"
+]);
+
+// Wrapper roles that add nesting but no meaning; their children are lifted up a level
+const TRANSPARENT_ROLES = new Set([
+  "generic", "none", "presentation", "InlineTextBox", "LineBreak",
+  "LayoutTable", "LayoutTableRow", "LayoutTableCell"
+]);
+
+// AX properties rendered as [state] or [state=value] after the node name
+const STATE_PROPERTIES = ["level", "checked", "pressed", "selected", "expanded", "disabled", "required", "focused"];
+
+// Names and values longer than this are cut off to keep the outline compact
+const MAX_NAME_LENGTH = 100;
+
+const SNAPSHOT_OBJECT_GROUP = "mcpbrowser-snapshot";
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful snapshot_page operations
+ */
+export class SnapshotPageSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {string} title - Page title (accessible name of the document)
+   * @param {string} snapshot - Indented accessibility outline
+   * @param {number} refCount - Number of element refs in the outline
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, title, snapshot, refCount, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof title !== 'string') {
+      throw new TypeError('title must be a string');
+    }
+    if (typeof snapshot !== 'string') {
+      throw new TypeError('snapshot must be a string');
+    }
+    if (typeof refCount !== 'number') {
+      throw new TypeError('refCount must be a number');
+    }
+
+    this.currentUrl = currentUrl;
+    this.title = title;
+    this.snapshot = snapshot;
+    this.refCount = refCount;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      title: this.title,
+      refCount: this.refCount,
+      snapshot: this.snapshot
+    };
+  }
+
+  getTextSummary() {
+    return `Accessibility snapshot of: ${this.currentUrl} (${this.refCount} element refs)`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const SNAPSHOT_PAGE_TOOL = {
+  name: "snapshot_page",
+  title: "Snapshot Page",
+  description: "**BROWSER STATE EXTRACTION** - Returns a compact outline of an already-loaded page built from the browser accessibility tree: roles, names, current values and states (checked, expanded, disabled...). Every interactive element gets a ref like 'e42' that can be passed as `ref` to click_element or type_text. Refs target exactly one element, so they are more reliable than text matching on complex apps, and they stay valid until the page navigates.\n\nMuch smaller than get_current_html; use it to understand page structure and pick elements to interact with.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool reads from an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      interactiveOnly: { type: "boolean", description: "Return only elements that have a ref (flat list) instead of the full outline", default: false }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      title: { type: "string", description: "Page title" },
+      refCount: { type: "number", description: "Number of element refs in the snapshot" },
+      snapshot: { type: "string", description: "Indented outline, one node per line: '- role \"name\" [states] [ref=eN]: value'" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "title", "refCount", "snapshot", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Collapse whitespace and cap length of an accessible name or value.
+ * @param {*} value - Raw AX value
+ * @returns {string} Cleaned text, empty string if there is none
+ */
+function cleanText(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text.length > MAX_NAME_LENGTH ? `${text.slice(0, MAX_NAME_LENGTH)}...` : text;
+}
+
+/**
+ * Read an AX property value by name.
+ * @param {Object} node - CDP AXNode
+ * @param {string} name - Property name
+ * @returns {*} The property value, undefined if not present
+ */
+function getProperty(node, name) {
+  return node.properties?.find(prop => prop.name === name)?.value?.value;
+}
+
+/**
+ * Whether the node is something an agent can interact with and should get a ref.
+ * @param {Object} node - CDP AXNode
+ * @returns {boolean}
+ */
+function isInteractive(node) {
+  if (node.ignored || !node.backendDOMNodeId) return false;
+  const role = node.role?.value;
+  if (INTERACTIVE_ROLES.has(role)) return true;
+  // Custom widgets (div with tabindex + click handler) usually only show up as focusable
+  return getProperty(node, 'focusable') === true && role !== 'RootWebArea' && role !== 'Iframe';
+}
+
+/**
+ * Render a single node as an outline line (without indentation).
+ * @param {Object} node - CDP AXNode
+ * @param {string|undefined} ref - Element ref, if the node has one
+ * @returns {string}
+ */
+function formatNode(node, ref) {
+  const role = node.role?.value || 'unknown';
+  const name = cleanText(node.name?.value);
+  let line = `- ${role}`;
+  if (name) line += ` ${JSON.stringify(name)}`;
+
+  for (const state of STATE_PROPERTIES) {
+    const value = getProperty(node, state);
+    if (value === undefined || value === false || value === 'false') continue;
+    line += value === true || value === 'true' ? ` [${state}]` : ` [${state}=${value}]`;
+  }
+  if (ref) line += ` [ref=${ref}]`;
+
+  // Links expose their URL as value, which is noise next to the name
+  const value = role === 'link' ? '' : cleanText(node.value?.value);
+  if (value && value !== name) line += `: ${value}`;
+
+  return line;
+}
+
+/**
+ * Render the accessibility tree as an indented outline.
+ * @param {Object[]} nodes - CDP AXNodes from Accessibility.getFullAXTree
+ * @param {Map<number, string>} refs - backendDOMNodeId -> ref
+ * @param {boolean} interactiveOnly - Only emit nodes with a ref, as a flat list
+ * @returns {{title: string, snapshot: string}}
+ */
+function buildOutline(nodes, refs, interactiveOnly) {
+  const byId = new Map(nodes.map(node => [node.nodeId, node]));
+  const root = nodes.find(node => !node.parentId) || nodes[0];
+  const lines = [];
+
+  // parentNamed: the nearest emitted ancestor already carries the text as its name
+  const walk = (node, depth, parentNamed) => {
+    const role = node.role?.value;
+    const ref = refs.get(node.backendDOMNodeId);
+    const name = cleanText(node.name?.value);
+
+    if (role === 'StaticText') {
+      if (!node.ignored && name && !parentNamed && !interactiveOnly) {
+        lines.push(`${'  '.repeat(depth)}- text: ${name}`);
+      }
+      return;
+    }
+
+    const meaningful = ref || (!node.ignored && node !== root && !(TRANSPARENT_ROLES.has(role) && !name));
+    const emit = meaningful && (!interactiveOnly || ref);
+    if (emit) {
+      lines.push(`${'  '.repeat(depth)}${formatNode(node, ref)}`);
+    }
+
+    const childDepth = emit && !interactiveOnly ? depth + 1 : depth;
+    const childParentNamed = emit ? Boolean(name) : parentNamed;
+    for (const childId of node.childIds || []) {
+      const child = byId.get(childId);
+      if (child) walk(child, childDepth, childParentNamed);
+    }
+  };
+
+  if (root) walk(root, 0, false);
+
+  return {
+    title: root ? cleanText(root.name?.value) : '',
+    snapshot: lines.join('\n')
+  };
+}
+
+/**
+ * Stamp refs on elements that don't have one yet. New refs continue after the
+ * highest ref on the page, so they never collide with refs handed out by an
+ * earlier snapshot. Runs in the browser context.
+ * @param {string} attribute - Ref attribute name
+ * @param {...(Element|null)} elements - Elements to stamp, null for nodes that could not be resolved
+ * @returns {Array<string|null>} Each element's ref, null for non-elements
+ */
+function stampRefs(attribute, ...elements) {
+  let max = 0;
+  for (const el of document.querySelectorAll(`[${attribute}]`)) {
+    const index = parseInt(el.getAttribute(attribute).slice(1), 10);
+    if (index > max) max = index;
+  }
+  let nextIndex = max + 1;
+  return elements.map(el => {
+    if (el?.nodeType !== Node.ELEMENT_NODE) return null;
+    if (!el.hasAttribute(attribute)) el.setAttribute(attribute, `e${nextIndex++}`);
+    return el.getAttribute(attribute);
+  });
+}
+
+/**
+ * Make sure every interactive node has a ref stamped on its DOM element.
+ * Nodes are resolved concurrently and stamped in a single call into the page.
+ * @param {CDPSession} client - CDP session attached to the page
+ * @param {Object[]} nodes - CDP AXNodes
+ * @returns {Promise<Map<number, string>>} backendDOMNodeId -> ref
+ */
+async function assignRefs(client, nodes) {
+  const refs = new Map();
+  const backendNodeIds = [...new Set(nodes.filter(isInteractive).map(node => node.backendDOMNodeId))];
+
+  try {
+    const objects = await Promise.all(backendNodeIds.map(backendNodeId =>
+      client.send('DOM.resolveNode', { backendNodeId, objectGroup: SNAPSHOT_OBJECT_GROUP })
+        // Node was removed between reading the tree and resolving it; leave it without a ref
+        .then(({ object }) => object, () => null)
+    ));
+    const target = objects.find(object => object?.objectId);
+    if (!target) return refs;
+
+    const { result } = await client.send('Runtime.callFunctionOn', {
+      objectId: target.objectId,
+      functionDeclaration: stampRefs.toString(),
+      arguments: [
+        { value: REF_ATTRIBUTE },
+        ...objects.map(object => (object?.objectId ? { objectId: object.objectId } : { value: null }))
+      ],
+      returnByValue: true
+    });
+    result.value.forEach((ref, index) => {
+      if (ref) refs.set(backendNodeIds[index], ref);
+    });
+    return refs;
+  } finally {
+    await client.send('Runtime.releaseObjectGroup', { objectGroup: SNAPSHOT_OBJECT_GROUP }).catch(() => {});
+  }
+}
+
+/**
+ * Take an accessibility-tree snapshot of an already-loaded page
+ * @param {Object} params - Snapshot parameters
+ * @param {string} params.url - The URL of the page to snapshot
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {boolean} [params.interactiveOnly=false] - Only list elements that have a ref
+ * @returns {Promise<Object>} Result object with the outline and element refs
+ *
+ * @example
+ * // Find the search box, then type into it by ref
+ * const { snapshot } = await snapshotPage({ url });
+ * // - searchbox "Search" [ref=e7]
+ * await typeText({ url, ref: "e7", text: "puppeteer" });
+ */
+export async function snapshotPage({ url, tabId, interactiveOnly = false }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  let client;
+  try {
+    client = await page.createCDPSession();
+    const { nodes } = await client.send('Accessibility.getFullAXTree');
+    const refs = await assignRefs(client, nodes);
+    const { title, snapshot } = buildOutline(nodes, refs, interactiveOnly);
+
+    return new SnapshotPageSuccessResponse(
+      page.url(),
+      title,
+      snapshot,
+      refs.size,
+      [
+        "Use click_element with ref to click an element from the snapshot",
+        "Use type_text with ref to fill an input from the snapshot",
+        "Take a new snapshot after the page navigates; old refs expire"
+      ]
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to snapshot page: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Try fetch_webpage to reload the page"
+      ]
+    );
+  } finally {
+    await client?.detach().catch(() => {});
+  }
+}
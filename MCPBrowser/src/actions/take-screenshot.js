@@ -0,0 +1,245 @@
+/**
+ * take-screenshot.js - Capture a screenshot of an already-loaded page
+ *
+ * Captures the visible viewport, the full scrollable page, or a single element
+ * (by CSS selector or text content, same lookup as click_element). The image is
+ * returned as an MCP image content block; structuredContent only carries the
+ * metadata so the base64 payload is not duplicated.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { findElement } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { getImageDimensions } from '../utils.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+const SCREENSHOT_TARGETS = ["viewport", "fullPage", "element"];
+const SCREENSHOT_FORMATS = ["png", "jpeg"];
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful take_screenshot operations
+ */
+export class TakeScreenshotSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {string} target - What was captured (viewport, fullPage, element)
+   * @param {string} format - Image format (png, jpeg)
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {string} data - Base64-encoded image data
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, target, format, width, height, data, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (!SCREENSHOT_TARGETS.includes(target)) {
+      throw new TypeError(`target must be one of: ${SCREENSHOT_TARGETS.join(', ')}`);
+    }
+    if (!SCREENSHOT_FORMATS.includes(format)) {
+      throw new TypeError(`format must be one of: ${SCREENSHOT_FORMATS.join(', ')}`);
+    }
+    if (typeof width !== 'number' || typeof height !== 'number') {
+      throw new TypeError('width and height must be numbers');
+    }
+    if (typeof data !== 'string' || data.length === 0) {
+      throw new TypeError('data must be a non-empty base64 string');
+    }
+
+    this.currentUrl = currentUrl;
+    this.target = target;
+    this.format = format;
+    this.mimeType = `image/${format}`;
+    this.width = width;
+    this.height = height;
+    this.data = data;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      target: this.target,
+      mimeType: this.mimeType,
+      width: this.width,
+      height: this.height,
+      sizeBytes: Buffer.byteLength(this.data, 'base64')
+    };
+  }
+
+  _getAdditionalContent() {
+    return [
+      {
+        type: "image",
+        data: this.data,
+        mimeType: this.mimeType
+      }
+    ];
+  }
+
+  getTextSummary() {
+    return `Captured ${this.target} screenshot (${this.width}x${this.height}) of: ${this.currentUrl}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const TAKE_SCREENSHOT_TOOL = {
+  name: "take_screenshot",
+  title: "Take Screenshot",
+  description: "**BROWSER STATE EXTRACTION** - Captures a screenshot of an already-loaded page and returns it as an image. Use this to see what the browser tab actually shows: visual layout, charts, images, canvas content, or to verify the result of an interaction. Captures the visible viewport by default, the full scrollable page with fullPage, or a single element by CSS selector or text content.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool reads from an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      selector: { type: "string", description: "CSS selector of a single element to capture (e.g., '#chart', '.error-dialog')" },
+      text: { type: "string", description: "Text content of the element to capture if selector is not provided" },
+      fullPage: { type: "boolean", description: "Capture the full scrollable page instead of the viewport. Ignored when selector or text is provided.", default: false },
+      format: { type: "string", enum: SCREENSHOT_FORMATS, description: "Image format. jpeg produces smaller images for photos and large pages.", default: "png" },
+      quality: { type: "number", description: "JPEG quality from 0 to 100. Only used when format is jpeg.", default: 80 },
+      waitForElementTimeout: { type: "number", description: "Maximum time to wait for element in milliseconds", default: 5000 }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      target: { type: "string", enum: SCREENSHOT_TARGETS, description: "What was captured" },
+      mimeType: { type: "string", description: "MIME type of the returned image content" },
+      width: { type: "number", description: "Image width in pixels" },
+      height: { type: "number", description: "Image height in pixels" },
+      sizeBytes: { type: "number", description: "Size of the encoded image in bytes" },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "target", "mimeType", "width", "height", "sizeBytes", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Capture a screenshot of the viewport, the full page, or a single element
+ * @param {Object} params - Screenshot parameters
+ * @param {string} params.url - The URL of the page to capture
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.selector] - CSS selector of the element to capture
+ * @param {string} [params.text] - Text content of the element to capture (alternative to selector)
+ * @param {boolean} [params.fullPage=false] - Capture the full scrollable page
+ * @param {string} [params.format='png'] - Image format (png or jpeg)
+ * @param {number} [params.quality=80] - JPEG quality (0-100)
+ * @param {number} [params.waitForElementTimeout=5000] - Maximum time to wait for element
+ * @returns {Promise<Object>} Result object with image content and metadata
+ */
+export async function takeScreenshot({ url, tabId, selector, text, fullPage = false, format = "png", quality = 80, waitForElementTimeout = 5000 }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!SCREENSHOT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Must be one of: ${SCREENSHOT_FORMATS.join(', ')}`);
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const options = { type: format };
+  if (format === 'jpeg') {
+    options.quality = Math.min(100, Math.max(0, Math.round(quality)));
+  }
+
+  try {
+    let target;
+    let bytes;
+
+    if (selector || text) {
+      const elementHandle = await findElement(page, { selector, text, timeout: waitForElementTimeout });
+
+      if (!elementHandle) {
+        return new ErrorResponse(
+          selector ? `Element not found: ${selector}` : `Element with text "${text}" not found`,
+          [
+            "Use get_current_html to verify page content",
+            "Try a different selector or text",
+            "Omit selector and text to capture the whole viewport"
+          ]
+        );
+      }
+
+      await page.evaluate(el => el.scrollIntoView({ behavior: 'auto', block: 'center' }), elementHandle);
+      bytes = await elementHandle.screenshot(options);
+      await elementHandle.dispose();
+      target = "element";
+    } else {
+      bytes = await page.screenshot({ ...options, fullPage });
+      target = fullPage ? "fullPage" : "viewport";
+    }
+
+    const dimensions = getImageDimensions(bytes) || { width: 0, height: 0 };
+
+    return new TakeScreenshotSuccessResponse(
+      page.url(),
+      target,
+      format,
+      dimensions.width,
+      dimensions.height,
+      Buffer.from(bytes).toString('base64'),
+      [
+        "Use click_element or type_text to interact with what you see",
+        "Use get_current_html to read the page content as HTML",
+        "Use take_screenshot with selector to zoom in on a single element"
+      ]
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to take screenshot: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Verify the selector or text is correct",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  }
+}
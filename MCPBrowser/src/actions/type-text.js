@@ -2,12 +2,15 @@
  * type-text.js - Type text into input fields
  */
 
-import { getBrowser, domainPages } from '../core/browser.js';
-import { extractAndProcessHtml, waitForPageStability } from '../core/page.js';
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { extractAndProcessHtml, waitForPageStability, refSelector } from '../core/page.js';
 import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
 
 /**
  * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
  */
 
 // ============================================================================
@@ -21,10 +24,12 @@ export class TypeTextSuccessResponse extends MCPResponse {
   /**
    * @param {string} currentUrl - URL after typing
    * @param {string} message - Success message
-   * @param {string|null} html - Page HTML if returnHtml was true
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
    * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs raised while typing
    */
-  constructor(currentUrl, message, html, nextSteps) {
+  constructor(currentUrl, message, html, nextSteps, outputFormat = 'html', dialogs = []) {
     super(nextSteps);
     
     if (typeof currentUrl !== 'string') {
@@ -36,17 +41,27 @@ export class TypeTextSuccessResponse extends MCPResponse {
     if (html !== null && typeof html !== 'string') {
       throw new TypeError('html must be a string or null');
     }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
     
     this.currentUrl = currentUrl;
     this.message = message;
     this.html = html;
+    this.outputFormat = outputFormat;
+    this.dialogs = dialogs;
   }
 
   _getAdditionalFields() {
     return {
       currentUrl: this.currentUrl,
       message: this.message,
-      html: this.html
+      html: this.html,
+      outputFormat: this.outputFormat,
+      dialogs: this.dialogs
     };
   }
 
@@ -65,21 +80,26 @@ export class TypeTextSuccessResponse extends MCPResponse {
 export const TYPE_TEXT_TOOL = {
   name: "type_text",
   title: "Type Text",
-  description: "**BROWSER INTERACTION** - Types text into input fields on browser-loaded pages. Use this for filling forms, entering search queries, or any text input on the page.\n\nWorks with input fields, textareas, and other editable elements.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  description: "**BROWSER INTERACTION** - Types text into input fields on browser-loaded pages. Use this for filling forms, entering search queries, or any text input on the page.\n\nWorks with input fields, textareas, and other editable elements. Can target by CSS selector or by an element ref from snapshot_page. JavaScript dialogs raised while typing (e.g. an alert() from input validation) are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
   inputSchema: {
     type: "object",
     properties: {
       url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
       selector: { type: "string", description: "CSS selector for the input element (e.g., '#username', 'input[name=\"email\"]')" },
+      ref: { type: "string", description: "Element ref from snapshot_page (e.g., 'e42') to use instead of selector; valid until the page navigates." },
       text: { type: "string", description: "Text to type into the field" },
       clear: { type: "boolean", description: "Whether to clear existing text first", default: true },
       typeDelay: { type: "number", description: "Delay between keystrokes in milliseconds (simulates human typing)", default: 50 },
       waitForElementTimeout: { type: "number", description: "Maximum time to wait for element in milliseconds", default: 5000 },
       returnHtml: { type: "boolean", description: "Whether to wait for stability and return HTML after typing.", default: true },
       removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
-      postTypeWait: { type: "number", description: "Milliseconds to wait after typing for SPAs to render dynamic content.", default: 1000 }
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      postTypeWait: { type: "number", description: "Milliseconds to wait after typing for SPAs to render dynamic content.", default: 1000 },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs raised while typing: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog raised while typing; the prompt is accepted unless dialogAction says otherwise" }
     },
-    required: ["url", "selector", "text"],
+    required: ["url", "text"],
     additionalProperties: false
   },
   outputSchema: {
@@ -89,7 +109,13 @@ export const TYPE_TEXT_TOOL = {
       message: { type: "string", description: "Success message" },
       html: { 
         type: ["string", "null"], 
-        description: "Page HTML if returnHtml was true, null otherwise" 
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise" 
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs raised while typing and how they were answered"
       },
       nextSteps: { 
         type: "array", 
@@ -97,7 +123,7 @@ export const TYPE_TEXT_TOOL = {
         description: "Suggested next actions"
       }
     },
-    required: ["currentUrl", "message", "html", "nextSteps"],
+    required: ["currentUrl", "message", "html", "outputFormat", "dialogs", "nextSteps"],
     additionalProperties: false
   }
 };
@@ -106,11 +132,24 @@ export const TYPE_TEXT_TOOL = {
 // ACTION FUNCTION
 // ============================================================================
 
+/**
+ * Build the success message, mentioning any dialogs raised while typing.
+ * @param {string} target - Description of the input
+ * @param {DialogInfo[]} dialogs - Dialogs raised while typing
+ * @returns {string}
+ */
+function describeTyping(target, dialogs) {
+  const message = `Typed text into: ${target}`;
+  return dialogs.length > 0 ? `${message}. ${describeDialogs(dialogs)}` : message;
+}
+
 /**
  * Type text into an input field
  * @param {Object} params - Type parameters
  * @param {string} params.url - The URL of the page to interact with
- * @param {string} params.selector - CSS selector for the input element
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.selector] - CSS selector for the input element
+ * @param {string} [params.ref] - Element ref from snapshot_page (alternative to selector)
  * @param {string} params.text - Text to type
  * @param {boolean} [params.clear=true] - Whether to clear existing text first
  * @param {number} [params.typeDelay=50] - Delay between keystrokes in milliseconds
@@ -118,21 +157,34 @@ export const TYPE_TEXT_TOOL = {
  * @param {boolean} [params.returnHtml=true] - Whether to wait for stability and return HTML
  * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
  * @param {number} [params.postTypeWait=1000] - Milliseconds to wait after typing for SPAs to render dynamic content
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {string} [params.dialogAction] - How to answer dialogs raised while typing (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt raised while typing
  * @returns {Promise<Object>} Result object with success status and details
  */
-export async function typeText({ url, selector, text, clear = true, typeDelay = 50, waitForElementTimeout = 30000, returnHtml = true, removeUnnecessaryHTML = true, postTypeWait = 1000 }) {
+export async function typeText({ url, tabId, selector, ref, text, clear = true, typeDelay = 50, waitForElementTimeout = 30000, returnHtml = true, removeUnnecessaryHTML = true, postTypeWait = 1000, outputFormat = "html", dialogAction, promptText }) {
   if (!url) {
     throw new Error("url parameter is required");
   }
   
-  if (!selector) {
-    throw new Error("selector parameter is required");
+  if (!selector && !ref) {
+    throw new Error("selector parameter is required (or ref from snapshot_page)");
   }
   
   if (text === undefined || text === null) {
     throw new Error("text parameter is required");
   }
 
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  // A ref is just a selector for the attribute snapshot_page stamped on the element
+  const targetSelector = ref ? refSelector(ref) : selector;
+  const target = ref ? `ref ${ref}` : selector;
+
   let hostname;
   try {
     hostname = new URL(url).hostname;
@@ -141,26 +193,45 @@ export async function typeText({ url, selector, text, clear = true, typeDelay =
   }
 
   const browser = await getBrowser();
-  let page = domainPages.get(hostname);
+  let page = findPage(hostname, tabId);
   
   if (!page || page.isClosed()) {
     return new ErrorResponse(
-      `No open page found for ${hostname}. Please fetch the page first using fetch_webpage_protected.`,
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage_protected.`,
       [
         "Use fetch_webpage to load the page first"
       ]
     );
   }
 
+  markTabUsed(page);
+
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
   try {
-    await page.waitForSelector(selector, { timeout: waitForElementTimeout, visible: true });
+    if (ref) {
+      const refHandle = await page.$(targetSelector);
+      if (!refHandle) {
+        return new ErrorResponse(
+          `Element ref ${ref} not found. Refs expire when the page navigates.`,
+          [
+            "Use snapshot_page to get fresh refs",
+            "Use get_current_html to verify page content"
+          ]
+        );
+      }
+      await refHandle.dispose();
+    }
+
+    await page.waitForSelector(targetSelector, { timeout: waitForElementTimeout, visible: true });
     
     if (clear) {
-      await page.click(selector, { clickCount: 3 }); // Select all text
+      await page.click(targetSelector, { clickCount: 3 }); // Select all text
       await page.keyboard.press('Backspace');
     }
     
-    await page.type(selector, String(text), { delay: typeDelay });
+    await page.type(targetSelector, String(text), { delay: typeDelay });
     
     if (returnHtml) {
       // Wait for page to stabilize (handles form validation, autocomplete, etc.)
@@ -172,18 +243,21 @@ export async function typeText({ url, selector, text, clear = true, typeDelay =
       }
       
       const currentUrl = page.url();
-      const html = await extractAndProcessHtml(page, removeUnnecessaryHTML);
+      const html = await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat);
+      const dialogs = stopDialogCapture();
       
       return new TypeTextSuccessResponse(
         currentUrl,
-        `Typed text into: ${selector}`,
+        describeTyping(target, dialogs),
         html,
         [
           "Use type_text to fill additional fields",
           "Use click_element to submit the form or navigate",
           "Use get_current_html to check for validation messages",
           "Use close_tab when finished"
-        ]
+        ],
+        outputFormat,
+        dialogs
       );
     } else {
       // Wait for page to stabilize even without returning HTML
@@ -195,16 +269,19 @@ export async function typeText({ url, selector, text, clear = true, typeDelay =
       }
       
       const currentUrl = page.url();
+      const dialogs = stopDialogCapture();
       
       return new TypeTextSuccessResponse(
         currentUrl,
-        `Typed text into: ${selector}`,
+        describeTyping(target, dialogs),
         null,
         [
           "Use get_current_html to see updated page state",
           "Use type_text for additional fields or click_element to submit",
           "Use close_tab when finished"
-        ]
+        ],
+        outputFormat,
+        dialogs
       );
     }
   } catch (err) {
@@ -216,5 +293,7 @@ export async function typeText({ url, selector, text, clear = true, typeDelay =
         "Verify the input field is visible and enabled"
       ]
     );
+  } finally {
+    stopDialogCapture();
   }
 }
@@ -0,0 +1,419 @@
+/**
+ * upload-file.js - Attach local files to file inputs
+ *
+ * Sets the files of an <input type="file"> found by selector (file inputs are
+ * often hidden behind a styled button, so visibility is not required), or clicks
+ * an upload button and answers the file chooser dialog it opens.
+ *
+ * Uploads are disabled until the user sets MCPBROWSER_UPLOAD_DIR, and only files
+ * inside that directory can be attached, so a page or a prompt cannot make the
+ * browser send arbitrary local files. Symlinks are resolved before the check.
+ */
+
+import { realpath, stat } from 'fs/promises';
+import path from 'path';
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { extractAndProcessHtml, waitForPageStability, findElement, refSelector } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { OUTPUT_FORMATS } from '../core/html.js';
+import { captureDialogs, describeDialogs, validateDialogParams, DIALOG_ACTIONS, DIALOG_INFO_SCHEMA } from '../core/dialogs.js';
+import { isPathInside } from '../utils.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ * @typedef {import('../core/dialogs.js').DialogInfo} DialogInfo
+ */
+
+/**
+ * @typedef {Object} UploadedFile
+ * @property {string} name - File name
+ * @property {number} size - File size in bytes
+ */
+
+/**
+ * Get the directory files may be uploaded from.
+ * Read on every call so the setting can change without restarting the server.
+ * @returns {string|null} Absolute path of the allowed upload directory, null if uploads are disabled
+ */
+function getAllowedUploadDir() {
+  const dir = (process.env.MCPBROWSER_UPLOAD_DIR || '').trim();
+  return dir ? path.resolve(dir) : null;
+}
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful upload_file operations
+ */
+export class UploadFileSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - URL after uploading
+   * @param {string} message - Success message
+   * @param {UploadedFile[]} files - Files that were attached
+   * @param {string|null} html - Page content in the requested output format if returnHtml was true
+   * @param {string[]} nextSteps - Suggested next actions
+   * @param {string} [outputFormat='html'] - Format of the html content (html, markdown, text)
+   * @param {DialogInfo[]} [dialogs=[]] - JavaScript dialogs the upload raised
+   */
+  constructor(currentUrl, message, files, html, nextSteps, outputFormat = 'html', dialogs = []) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+    if (!Array.isArray(files)) {
+      throw new TypeError('files must be an array');
+    }
+    if (html !== null && typeof html !== 'string') {
+      throw new TypeError('html must be a string or null');
+    }
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new TypeError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(dialogs)) {
+      throw new TypeError('dialogs must be an array');
+    }
+
+    this.currentUrl = currentUrl;
+    this.message = message;
+    this.files = files;
+    this.html = html;
+    this.outputFormat = outputFormat;
+    this.dialogs = dialogs;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      message: this.message,
+      files: this.files,
+      html: this.html,
+      outputFormat: this.outputFormat,
+      dialogs: this.dialogs
+    };
+  }
+
+  getTextSummary() {
+    return this.message || "File uploaded successfully";
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const UPLOAD_FILE_TOOL = {
+  name: "upload_file",
+  title: "Upload File",
+  description: "**BROWSER INTERACTION** - Attaches local files to a file upload field on a browser-loaded page, e.g. attaching a document to a ticket or form. Target the <input type=\"file\"> by CSS selector (hidden inputs are fine), or target the upload button by selector, text or snapshot_page ref and the file chooser it opens is answered automatically.\n\nDisabled unless the user sets an upload directory (MCPBROWSER_UPLOAD_DIR); files must be inside it, and relative paths are resolved against it. Returns updated HTML by default. JavaScript dialogs the upload raises (e.g. an alert() from a change handler rejecting the file) are answered according to dialogAction and listed in dialogs.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      files: {
+        type: ["string", "array"],
+        items: { type: "string" },
+        description: "Path of the file to upload, or an array of paths for multi-file inputs. Absolute or relative to the allowed upload directory."
+      },
+      selector: { type: "string", description: "CSS selector of the file input, or of the button that opens the file chooser (e.g., 'input[type=file]', '#attach')" },
+      text: { type: "string", description: "Text of the upload button if selector is not provided (e.g., 'Attach file')" },
+      ref: { type: "string", description: "Element ref from snapshot_page of the upload button or input" },
+      waitForElementTimeout: { type: "number", description: "Maximum time to wait for the element and the file chooser in milliseconds", default: 5000 },
+      returnHtml: { type: "boolean", description: "Whether to wait for stability and return HTML after uploading.", default: true },
+      removeUnnecessaryHTML: { type: "boolean", description: "Remove Unnecessary HTML for size reduction by 90%. Only used when returnHtml is true.", default: true },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the returned page content: 'html', 'markdown' (keeps headings, lists, links, tables and code blocks; much smaller than HTML) or 'text' (plain readable text). Only used when returnHtml is true.", default: "html" },
+      dialogAction: { type: "string", enum: DIALOG_ACTIONS, description: "How to answer dialogs the upload raises: 'accept' (OK), 'dismiss' (Cancel) or 'manual' (leave open for the user). Defaults to the MCPBROWSER_DIALOG_POLICY setting (dismiss); tabs adopted from your browser default to manual" },
+      promptText: { type: "string", description: "Text to enter into a prompt() dialog the upload raises; the prompt is accepted unless dialogAction says otherwise" }
+    },
+    required: ["url", "files"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "URL after uploading" },
+      message: { type: "string", description: "Success message" },
+      files: {
+        type: "array",
+        description: "Files that were attached",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "File name" },
+            size: { type: "number", description: "File size in bytes" }
+          },
+          required: ["name", "size"],
+          additionalProperties: false
+        }
+      },
+      html: {
+        type: ["string", "null"],
+        description: "Page content in the requested outputFormat if returnHtml was true, null otherwise"
+      },
+      outputFormat: { type: "string", enum: OUTPUT_FORMATS, description: "Format of the html field content" },
+      dialogs: {
+        type: "array",
+        items: DIALOG_INFO_SCHEMA,
+        description: "JavaScript dialogs the upload raised and how they were answered"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "message", "files", "html", "outputFormat", "dialogs", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Resolve requested files and make sure they are regular files inside the upload directory.
+ * @param {string[]} files - Requested paths, absolute or relative to the upload directory
+ * @param {string} uploadDir - Allowed upload directory
+ * @returns {Promise<Array<{path: string, name: string, size: number}>>} Resolved files
+ * @throws {Error} If the directory or a file is missing, or a file is outside the directory
+ */
+async function resolveUploadFiles(files, uploadDir) {
+  let root;
+  try {
+    root = await realpath(uploadDir);
+  } catch {
+    throw new Error(`Upload directory does not exist: ${uploadDir}. Set MCPBROWSER_UPLOAD_DIR to an existing directory.`);
+  }
+
+  const resolved = [];
+  for (const file of files) {
+    let filePath;
+    try {
+      filePath = await realpath(path.resolve(root, file));
+    } catch {
+      throw new Error(`File not found: ${file}`);
+    }
+
+    if (!isPathInside(root, filePath)) {
+      throw new Error(`File is outside the allowed upload directory (${root}): ${file}. Set MCPBROWSER_UPLOAD_DIR to allow another directory.`);
+    }
+
+    const info = await stat(filePath);
+    if (!info.isFile()) {
+      throw new Error(`Not a file: ${file}`);
+    }
+    resolved.push({ path: filePath, name: path.basename(filePath), size: info.size });
+  }
+  return resolved;
+}
+
+/**
+ * Return the file input itself, or a file input nested inside the element
+ * (e.g. a drop zone wrapping a hidden input). Runs in the browser context.
+ * @param {Element} el - Target element
+ * @returns {HTMLInputElement|null}
+ */
+function findFileInput(el) {
+  if (el.tagName === 'INPUT' && el.type === 'file') return el;
+  return el.querySelector('input[type="file"]');
+}
+
+/**
+ * Upload local files through a file input or file chooser
+ * @param {Object} params - Upload parameters
+ * @param {string} params.url - The URL of the page to interact with
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string|string[]} params.files - File path(s), absolute or relative to the upload directory
+ * @param {string} [params.selector] - CSS selector of the file input or upload button
+ * @param {string} [params.text] - Text of the upload button (alternative to selector)
+ * @param {string} [params.ref] - Element ref from snapshot_page (alternative to selector and text)
+ * @param {number} [params.waitForElementTimeout=5000] - Maximum time to wait for the element and file chooser
+ * @param {boolean} [params.returnHtml=true] - Whether to wait for stability and return HTML
+ * @param {boolean} [params.removeUnnecessaryHTML=true] - Whether to clean HTML (only if returnHtml is true)
+ * @param {string} [params.outputFormat='html'] - Format of the returned content (html, markdown, text), only used if returnHtml is true
+ * @param {string} [params.dialogAction] - How to answer dialogs the upload raises (accept, dismiss, manual); defaults to the dialog policy
+ * @param {string} [params.promptText] - Text to enter into a prompt the upload raises
+ * @returns {Promise<Object>} Result object with the attached files
+ *
+ * @example
+ * // Attach a report to a hidden file input
+ * await uploadFile({ url, selector: "input[type=file]", files: "report.pdf" });
+ *
+ * @example
+ * // Click "Attach files" and answer the file chooser
+ * await uploadFile({ url, text: "Attach files", files: ["a.png", "b.png"] });
+ */
+export async function uploadFile({ url, tabId, files, selector, text, ref, waitForElementTimeout = 5000, returnHtml = true, removeUnnecessaryHTML = true, outputFormat = "html", dialogAction, promptText }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  const requested = Array.isArray(files) ? files : (files ? [files] : []);
+  if (requested.length === 0) {
+    throw new Error("files parameter is required");
+  }
+
+  if (!selector && !text && !ref) {
+    throw new Error("Either selector or text parameter is required (or ref from snapshot_page)");
+  }
+
+  if (ref) {
+    refSelector(ref); // Throws on malformed refs
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Invalid outputFormat: ${outputFormat}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  validateDialogParams(dialogAction, promptText);
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const uploadDir = getAllowedUploadDir();
+  if (!uploadDir) {
+    return new ErrorResponse(
+      "upload_file is disabled. It must be enabled by the user with MCPBROWSER_UPLOAD_DIR set to the directory files may be uploaded from.",
+      [
+        "Ask the user to set MCPBROWSER_UPLOAD_DIR and put the files to upload there"
+      ]
+    );
+  }
+
+  const uploads = await resolveUploadFiles(requested, uploadDir);
+  const paths = uploads.map(file => file.path);
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const target = ref ? `ref ${ref}` : (selector || `text "${text}"`);
+
+  const stopDialogCapture = captureDialogs(page, { action: dialogAction, promptText });
+  try {
+    // File inputs are usually hidden, so don't require visibility when a selector is given
+    const elementHandle = selector
+      ? await page.waitForSelector(selector, { timeout: waitForElementTimeout }).catch(() => null)
+      : await findElement(page, { ref, text, timeout: waitForElementTimeout });
+
+    if (!elementHandle) {
+      return new ErrorResponse(
+        ref ? `Element ref ${ref} not found. Refs expire when the page navigates.` : `Upload element not found: ${target}`,
+        [
+          "Use get_current_html to find the file input (input[type=file])",
+          "Use snapshot_page to find the upload button"
+        ]
+      );
+    }
+
+    const fileInput = await elementHandle.evaluateHandle(findFileInput);
+    const inputHandle = fileInput.asElement();
+
+    if (inputHandle) {
+      const multiple = await inputHandle.evaluate(el => el.multiple);
+      if (paths.length > 1 && !multiple) {
+        await inputHandle.dispose();
+        await elementHandle.dispose();
+        return new ErrorResponse(
+          `File input ${target} accepts a single file, got ${paths.length}`,
+          ["Upload the files one at a time, or find an input with the multiple attribute"]
+        );
+      }
+      await inputHandle.uploadFile(...paths);
+      await inputHandle.dispose();
+    } else {
+      // The handle points to null, but still holds a remote object
+      await fileInput.dispose();
+
+      // Not a file input: click it and answer the file chooser it opens
+      let chooser;
+      try {
+        [chooser] = await Promise.all([
+          page.waitForFileChooser({ timeout: waitForElementTimeout }),
+          elementHandle.click()
+        ]);
+      } catch {
+        await elementHandle.dispose();
+        return new ErrorResponse(
+          `Clicking ${target} did not open a file chooser`,
+          [
+            "Use a selector that points at the input[type=file] element",
+            "Use get_current_html to find the file input"
+          ]
+        );
+      }
+
+      if (paths.length > 1 && !chooser.isMultiple()) {
+        await chooser.cancel();
+        await elementHandle.dispose();
+        return new ErrorResponse(
+          `File chooser opened by ${target} accepts a single file, got ${paths.length}`,
+          ["Upload the files one at a time"]
+        );
+      }
+      await chooser.accept(paths);
+    }
+    await elementHandle.dispose();
+
+    // Wait for page to stabilize (upload previews, auto-submit, validation)
+    await waitForPageStability(page);
+
+    const currentUrl = page.url();
+    const html = returnHtml ? await extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat) : null;
+    const dialogs = stopDialogCapture();
+
+    let message = `Attached ${uploads.map(file => file.name).join(', ')} to: ${target}`;
+    if (dialogs.length > 0) message += `. ${describeDialogs(dialogs)}`;
+
+    return new UploadFileSuccessResponse(
+      currentUrl,
+      message,
+      uploads.map(({ name, size }) => ({ name, size })),
+      html,
+      [
+        "Use click_element to submit the form",
+        "Use get_current_html to check the upload preview or validation messages",
+        "Use close_tab when finished"
+      ],
+      outputFormat,
+      dialogs
+    );
+  } catch (err) {
+    return new ErrorResponse(
+      `Failed to upload file: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Verify the selector points at a file input or upload button",
+        "Try fetch_webpage to reload if page is stale"
+      ]
+    );
+  } finally {
+    stopDialogCapture();
+  }
+}
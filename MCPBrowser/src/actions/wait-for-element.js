@@ -0,0 +1,357 @@
+/**
+ * wait-for-element.js - Wait for an element to reach a given state
+ *
+ * Replaces sleeping via postLoadWait/postClickWait when the agent knows what it
+ * is waiting for: a result to appear, a spinner to go away, or a status label
+ * to change its text. Polls the live DOM until the condition holds or the
+ * timeout expires, then returns an HTML snippet of the matched element.
+ */
+
+import { getBrowser, findPage, markTabUsed } from '../core/browser.js';
+import { removeRefAttributes } from '../core/page.js';
+import { MCPResponse, ErrorResponse } from '../core/responses.js';
+import { truncate } from '../utils.js';
+
+/**
+ * @typedef {import('@modelcontextprotocol/sdk/types.js').Tool} Tool
+ */
+
+/**
+ * Supported wait conditions
+ * - attached: element exists in the DOM
+ * - visible: element exists and is rendered (non-empty box, not visibility:hidden)
+ * - hidden: element is missing or not rendered
+ * - detached: element is no longer in the DOM
+ * - textChanged: text content of the element differs from when the wait started
+ */
+const WAIT_STATES = ["attached", "visible", "hidden", "detached", "textChanged"];
+
+// Limit snippet size so waiting on a large container doesn't return the whole page
+const MAX_SNIPPET_LENGTH = 5000;
+
+// ============================================================================
+// RESPONSE CLASS
+// ============================================================================
+
+/**
+ * Response for successful wait_for_element operations
+ */
+export class WaitForElementSuccessResponse extends MCPResponse {
+  /**
+   * @param {string} currentUrl - Current page URL
+   * @param {string} message - Success message
+   * @param {string} state - The state that was reached
+   * @param {number} elapsedMs - Time spent waiting in milliseconds
+   * @param {string|null} html - HTML snippet of the matched element, null if it is gone
+   * @param {string|null} text - Text content of the matched element, null if it is gone
+   * @param {string[]} nextSteps - Suggested next actions
+   */
+  constructor(currentUrl, message, state, elapsedMs, html, text, nextSteps) {
+    super(nextSteps);
+
+    if (typeof currentUrl !== 'string') {
+      throw new TypeError('currentUrl must be a string');
+    }
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+    if (!WAIT_STATES.includes(state)) {
+      throw new TypeError(`state must be one of: ${WAIT_STATES.join(', ')}`);
+    }
+    if (typeof elapsedMs !== 'number') {
+      throw new TypeError('elapsedMs must be a number');
+    }
+    if (html !== null && typeof html !== 'string') {
+      throw new TypeError('html must be a string or null');
+    }
+    if (text !== null && typeof text !== 'string') {
+      throw new TypeError('text must be a string or null');
+    }
+
+    this.currentUrl = currentUrl;
+    this.message = message;
+    this.state = state;
+    this.elapsedMs = elapsedMs;
+    this.html = html;
+    this.text = text;
+  }
+
+  _getAdditionalFields() {
+    return {
+      currentUrl: this.currentUrl,
+      message: this.message,
+      state: this.state,
+      elapsedMs: this.elapsedMs,
+      html: this.html,
+      text: this.text
+    };
+  }
+
+  getTextSummary() {
+    return this.message || `Element reached state: ${this.state}`;
+  }
+}
+
+// ============================================================================
+// TOOL DEFINITION
+// ============================================================================
+
+/**
+ * @type {Tool}
+ */
+export const WAIT_FOR_ELEMENT_TOOL = {
+  name: "wait_for_element",
+  title: "Wait For Element",
+  description: "**BROWSER INTERACTION** - Waits until an element on a browser-loaded page reaches a state: appears (attached/visible), disappears (hidden/detached), or changes its text (textChanged). Use this after click_element or type_text when content loads asynchronously, e.g. wait for search results to appear or for a loading spinner to go away, instead of guessing a fixed wait time.\n\nCan target by CSS selector or text content. Returns an HTML snippet of the matched element.\n\n**PREREQUISITE**: Page MUST be loaded with fetch_webpage first. This tool operates on an already-loaded page in the browser.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      url: { type: "string", description: "The URL of the page (must match a previously fetched page)" },
+      tabId: { type: "string", description: "ID of the tab to use, from fetch_webpage or list_tabs. Defaults to the tab for the url's hostname" },
+      selector: { type: "string", description: "CSS selector for the element to wait for (e.g., '.results', '#spinner')" },
+      text: { type: "string", description: "Text content to wait for if selector is not provided (e.g., 'Welcome back'). Case-insensitive; exact matches of the text or accessible name win over elements that merely contain it" },
+      state: {
+        type: "string",
+        enum: WAIT_STATES,
+        description: "Condition to wait for: 'attached' (in DOM), 'visible' (rendered), 'hidden' (missing or not rendered), 'detached' (removed from DOM), 'textChanged' (text differs from when the wait started; requires selector)",
+        default: "visible"
+      },
+      timeout: { type: "number", description: "Maximum time to wait in milliseconds", default: 30000 }
+    },
+    required: ["url"],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      currentUrl: { type: "string", description: "Current page URL" },
+      message: { type: "string", description: "Success message" },
+      state: { type: "string", enum: WAIT_STATES, description: "The state that was reached" },
+      elapsedMs: { type: "number", description: "Time spent waiting in milliseconds" },
+      html: {
+        type: ["string", "null"],
+        description: "HTML snippet of the matched element, null if the element is no longer in the DOM"
+      },
+      text: {
+        type: ["string", "null"],
+        description: "Text content of the matched element, null if the element is no longer in the DOM"
+      },
+      nextSteps: {
+        type: "array",
+        items: { type: "string" },
+        description: "Suggested next actions"
+      }
+    },
+    required: ["currentUrl", "message", "state", "elapsedMs", "html", "text", "nextSteps"],
+    additionalProperties: false
+  }
+};
+
+// ============================================================================
+// ACTION FUNCTION
+// ============================================================================
+
+/**
+ * Check whether the target has reached the requested state.
+ * Runs in the browser context, so it must be self-contained.
+ * @param {string|null} selector - CSS selector of the target
+ * @param {string|null} text - Text content of the target (used when selector is null)
+ * @param {string} state - One of WAIT_STATES
+ * @param {string|null} initialText - Text content when the wait started (textChanged only)
+ * @returns {false|{html: string|null, text: string|null}} False while waiting, element details once reached
+ */
+function checkElementState(selector, text, state, initialText) {
+  const isVisible = (el) => {
+    if (el.getClientRects().length === 0) return false;
+    return window.getComputedStyle(el).visibility !== 'hidden';
+  };
+
+  // Same rule as findElementByText: case and whitespace insensitive, and elements whose text
+  // or accessible name equals the text win over elements that merely contain it
+  const findByText = () => {
+    const normalize = (s) => String(s ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const wanted = normalize(text);
+    if (!wanted) return [];
+    const exact = new Set();
+    const containing = new Set();
+    const add = (el, texts) => {
+      if (texts.map(normalize).includes(wanted)) exact.add(el);
+      else containing.add(el);
+    };
+
+    // Concatenate the page text once, so matches spanning several text nodes are found in one pass
+    const walker = document.createTreeWalker(document.body ?? document.documentElement, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(node.parentElement?.tagName)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    const nodes = [];
+    const starts = [];
+    let fullText = '';
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      nodes.push(node);
+      starts.push(fullText.length);
+      fullText += node.data;
+    }
+    const nodeAt = (offset) => {
+      let low = 0;
+      let high = nodes.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (starts[mid] <= offset) low = mid;
+        else high = mid - 1;
+      }
+      return nodes[low];
+    };
+
+    // The innermost element holding a match is the common ancestor of its first and last text node
+    const pattern = new RegExp(wanted.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'gi');
+    for (const match of fullText.matchAll(pattern)) {
+      const last = nodeAt(match.index + match[0].length - 1);
+      let el = nodeAt(match.index).parentElement;
+      while (el && !el.contains(last)) el = el.parentElement;
+      if (el) add(el, [el.textContent]);
+    }
+
+    const named = '[aria-label], [title], [alt], [placeholder], input[type="button"], input[type="submit"], input[type="reset"]';
+    for (const el of document.body?.querySelectorAll(named) ?? []) {
+      const names = ['aria-label', 'title', 'alt', 'placeholder'].map(name => el.getAttribute(name));
+      if (el.tagName === 'INPUT') names.push(el.value);
+      if (names.some(name => normalize(name).includes(wanted))) add(el, names);
+    }
+
+    return Array.from(exact.size > 0 ? exact : containing);
+  };
+
+  const candidates = selector ? Array.from(document.querySelectorAll(selector)) : findByText();
+
+  const visible = candidates.filter(isVisible);
+  const describe = (el) => el ? { html: el.outerHTML, text: (el.innerText ?? el.textContent ?? '').trim() } : { html: null, text: null };
+
+  switch (state) {
+    case 'attached':
+      return candidates.length > 0 && describe(visible[0] || candidates[0]);
+    case 'visible':
+      return visible.length > 0 && describe(visible[0]);
+    case 'hidden':
+      return visible.length === 0 && describe(candidates[0]);
+    case 'detached':
+      return candidates.length === 0 && describe(null);
+    case 'textChanged': {
+      const current = candidates[0] ? candidates[0].textContent : null;
+      return current !== initialText && describe(candidates[0]);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Wait for an element to appear, disappear or change its text
+ * @param {Object} params - Wait parameters
+ * @param {string} params.url - The URL of the page to interact with
+ * @param {string} [params.tabId] - ID of the tab to use (defaults to the tab for the url's hostname)
+ * @param {string} [params.selector] - CSS selector for the element to wait for
+ * @param {string} [params.text] - Text content to wait for (alternative to selector)
+ * @param {string} [params.state='visible'] - Condition to wait for (attached, visible, hidden, detached, textChanged)
+ * @param {number} [params.timeout=30000] - Maximum time to wait in milliseconds
+ * @returns {Promise<Object>} Result object with the matched element snippet
+ *
+ * @example
+ * // Wait for a loading spinner to go away
+ * await waitForElement({ url, selector: ".spinner", state: "hidden" });
+ *
+ * @example
+ * // Wait for a status label to update after clicking "Refresh"
+ * await waitForElement({ url, selector: "#status", state: "textChanged", timeout: 10000 });
+ */
+export async function waitForElement({ url, tabId, selector, text, state = "visible", timeout = 30000 }) {
+  if (!url) {
+    throw new Error("url parameter is required");
+  }
+
+  if (!selector && !text) {
+    throw new Error("Either selector or text parameter is required");
+  }
+
+  if (!WAIT_STATES.includes(state)) {
+    throw new Error(`Invalid state: ${state}. Must be one of: ${WAIT_STATES.join(', ')}`);
+  }
+
+  if (state === 'textChanged' && !selector) {
+    throw new Error("selector parameter is required for state 'textChanged'");
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const browser = await getBrowser();
+  let page = findPage(hostname, tabId);
+
+  if (!page || page.isClosed()) {
+    return new ErrorResponse(
+      tabId
+        ? `No open tab found with ID ${tabId}. Use list_tabs to see open tabs.`
+        : `No open page found for ${hostname}. Please fetch the page first using fetch_webpage.`,
+      [
+        "Use fetch_webpage to load the page first"
+      ]
+    );
+  }
+
+  markTabUsed(page);
+
+  const target = selector ? selector : `text "${text}"`;
+  const startTime = Date.now();
+
+  try {
+    const initialText = state === 'textChanged'
+      ? await page.evaluate(sel => document.querySelector(sel)?.textContent ?? null, selector)
+      : null;
+
+    const handle = await page.waitForFunction(
+      checkElementState,
+      { timeout, polling: 100 },
+      selector || null,
+      selector ? null : text,
+      state,
+      initialText
+    );
+    const details = await handle.jsonValue();
+    await handle.dispose();
+
+    const elapsedMs = Date.now() - startTime;
+
+    return new WaitForElementSuccessResponse(
+      page.url(),
+      `Element ${target} reached state '${state}' after ${elapsedMs}ms`,
+      state,
+      elapsedMs,
+      details.html === null ? null : truncate(removeRefAttributes(details.html), MAX_SNIPPET_LENGTH),
+      details.text,
+      [
+        "Use get_current_html to see the full updated page",
+        "Use click_element or type_text to continue interacting",
+        "Use close_tab when finished"
+      ]
+    );
+  } catch (err) {
+    const elapsedMs = Date.now() - startTime;
+    const isTimeout = err.name === 'TimeoutError' || /timeout/i.test(err.message);
+
+    return new ErrorResponse(
+      isTimeout
+        ? `Timed out after ${elapsedMs}ms waiting for ${target} to reach state '${state}'`
+        : `Failed to wait for element: ${err.message}`,
+      [
+        "Use get_current_html to check current page state",
+        "Verify the selector or text is correct",
+        "Increase timeout if the page is slow to update"
+      ]
+    );
+  }
+}
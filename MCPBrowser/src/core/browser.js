@@ -7,6 +7,10 @@ import { existsSync } from "fs";
 import os from "os";
 import path from "path";
 import { spawn } from "child_process";
+import { enableDownloads } from "./downloads.js";
+import { enableNetworkLog } from "./network.js";
+import { enableConsoleLog } from "./console-log.js";
+import { enableDialogHandling } from "./dialogs.js";
 
 // Environment configuration
 const chromeHost = process.env.CHROME_REMOTE_DEBUG_HOST || "127.0.0.1";
@@ -70,8 +74,133 @@ const defaultChromePaths = getDefaultChromePaths();
 
 // Browser state
 export let cachedBrowser = null;
-export let domainPages = new Map(); // hostname -> page mapping for tab reuse across domains
+export let domainPages = new Map(); // hostname -> page mapping for tab reuse across domains (default tab per hostname)
+export let tabPages = new Map(); // tab ID (CDP target ID) -> page, including extra tabs opened with newTab
 let chromeLaunchPromise = null; // prevent multiple simultaneous launches
+const tabInfo = new WeakMap(); // page -> { tabId, origin, lastUsedAt, crashed } for list_tabs
+
+/**
+ * Read the CDP target ID of a page, which stays the same for the life of the tab (also across reconnections).
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {Promise<string>} The target ID
+ */
+async function getTargetId(page) {
+  const client = await page.createCDPSession();
+  try {
+    const { targetInfo } = await client.send('Target.getTargetInfo');
+    return targetInfo.targetId;
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+/**
+ * Start tracking a page that joined the tab pool, give it a tab ID, start its network and console logs
+ * and answer its JavaScript dialogs.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {'created'|'adopted'} origin - Whether MCPBrowser opened the tab or found it already open in the browser
+ * @returns {Promise<string>} The tab ID
+ */
+export async function registerTab(page, origin) {
+  if (tabInfo.has(page)) return tabInfo.get(page).tabId;
+  const info = { tabId: null, origin, lastUsedAt: null, crashed: false };
+  tabInfo.set(page, info);
+  page.on('error', () => { info.crashed = true; }); // Puppeteer emits 'error' when the renderer crashes
+  page.on('load', () => { info.crashed = false; }); // A crashed tab recovers once it loads a page again
+
+  info.tabId = await getTargetId(page);
+  tabPages.set(info.tabId, page);
+  await enableNetworkLog(page);
+  await enableConsoleLog(page);
+  enableDialogHandling(page, origin);
+  return info.tabId;
+}
+
+/**
+ * Find the page a tool should operate on: the tab with the given ID, or the default tab for the hostname.
+ * @param {string} hostname - Hostname of the URL passed to the tool
+ * @param {string} [tabId] - Tab ID from fetch_webpage or list_tabs
+ * @returns {Page|undefined} The page, or undefined if there is none
+ */
+export function findPage(hostname, tabId) {
+  return tabId ? tabPages.get(tabId) : domainPages.get(hostname);
+}
+
+/**
+ * Find the most recently used open tab that shows a page of the hostname.
+ * @param {string} hostname - Hostname to look for
+ * @param {Page} exclude - Tab to skip
+ * @returns {Page|null} The page, or null if no other open tab shows the hostname
+ */
+function findTabOnHostname(hostname, exclude) {
+  let found = null;
+  for (const page of tabPages.values()) {
+    if (page === exclude || page.isClosed()) continue;
+    try {
+      if (new URL(page.url()).hostname !== hostname) continue;
+    } catch {
+      continue;
+    }
+    if (!found || (tabInfo.get(page)?.lastUsedAt ?? '') > (tabInfo.get(found)?.lastUsedAt ?? '')) found = page;
+  }
+  return found;
+}
+
+/**
+ * Remove a page from the tab pool, whichever hostnames and tab ID it is registered under.
+ * If it was the default tab of a hostname, another open tab of that hostname (e.g. one opened
+ * with newTab) becomes the default.
+ * @param {Page} page - The Puppeteer page instance
+ */
+export function forgetTab(page) {
+  const tabId = tabInfo.get(page)?.tabId;
+  if (tabId) tabPages.delete(tabId);
+  for (const [hostname, mappedPage] of domainPages.entries()) {
+    if (mappedPage !== page) continue;
+    const successor = findTabOnHostname(hostname, page);
+    if (successor) {
+      domainPages.set(hostname, successor);
+    } else {
+      domainPages.delete(hostname);
+    }
+  }
+}
+
+/**
+ * Move a tab's hostname mapping after a redirect or history navigation changed its hostname.
+ * An extra tab opened with newTab only becomes the default tab of the new hostname if it has no open tab.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {string} fromHostname - Hostname the tab was opened for
+ * @param {string} toHostname - Hostname the tab is on now
+ */
+export function remapTab(page, fromHostname, toHostname) {
+  const isDefault = domainPages.get(fromHostname) === page;
+  if (isDefault) {
+    domainPages.delete(fromHostname);
+  }
+  const defaultPage = domainPages.get(toHostname);
+  if (isDefault || !defaultPage || defaultPage.isClosed()) {
+    domainPages.set(toHostname, page);
+  }
+}
+
+/**
+ * Record that a tool just operated on a tab.
+ * @param {Page} page - The Puppeteer page instance
+ */
+export function markTabUsed(page) {
+  const info = tabInfo.get(page);
+  if (info) info.lastUsedAt = new Date().toISOString();
+}
+
+/**
+ * Get the tracked metadata of a tab.
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {{origin: string, lastUsedAt: string|null, crashed: boolean}|null} Metadata, or null for untracked pages
+ */
+export function getTabInfo(page) {
+  return tabInfo.get(page) ?? null;
+}
 
 /**
  * Check if Chrome DevTools Protocol endpoint is available and responding.
@@ -199,6 +328,7 @@ export async function rebuildDomainPagesMap(browser) {
         
         const hostname = new URL(pageUrl).hostname;
         if (hostname && !domainPages.has(hostname)) {
+          await registerTab(page, 'adopted');
           domainPages.set(hostname, page);
           console.error(`[MCPBrowser] Mapped existing tab for domain: ${hostname} (${pageUrl})`);
         }
@@ -219,7 +349,8 @@ export async function rebuildDomainPagesMap(browser) {
 /**
  * Get or create a connection to the Chrome browser.
  * Returns cached browser if still connected, otherwise establishes a new connection.
- * Rebuilds domain-to-page mapping on reconnection to enable tab reuse.
+ * Rebuilds domain-to-page mapping on reconnection to enable tab reuse
+ * and routes downloads into the session download directory.
  * @returns {Promise<Browser>} Connected Puppeteer browser instance
  */
 export async function getBrowser() {
@@ -233,10 +364,12 @@ export async function getBrowser() {
   cachedBrowser.on("disconnected", () => {
     cachedBrowser = null;
     domainPages.clear(); // Clear all domain page mappings
+    tabPages.clear();
   });
   
   // Rebuild domainPages map from existing tabs to enable reuse across reconnections
   await rebuildDomainPagesMap(cachedBrowser);
+  await enableDownloads(cachedBrowser);
   
   return cachedBrowser;
 }
@@ -253,4 +386,5 @@ export async function closeBrowser() {
     cachedBrowser = null;
   }
   domainPages.clear();
+  tabPages.clear();
 }
@@ -0,0 +1,217 @@
+/**
+ * Console message log for MCPBrowser
+ * Records console output, uncaught exceptions and browser-reported problems (failed resource
+ * loads, blocked requests, ...) of every tab in a bounded buffer, fed by a CDP session of the
+ * tab itself, so an action that silently did nothing can be traced back to a script error.
+ */
+
+/**
+ * @typedef {Object} ConsoleMessageInfo
+ * @property {number} id - Sequence number of the message in its tab, used as the cursor
+ * @property {'debug'|'log'|'info'|'warning'|'error'} level - Message level
+ * @property {string} source - Where the message came from: console, exception, or the browser's
+ *   own log source such as network, security, violation or intervention
+ * @property {string} text - Message text (exceptions include their stack)
+ * @property {string|null} url - Script or resource URL the message points to
+ * @property {number|null} lineNumber - 1-based line in url
+ * @property {number|null} columnNumber - 1-based column in url
+ * @property {string} timestamp - ISO timestamp of the message
+ */
+
+// Messages kept per tab; the oldest are dropped first
+export const MAX_CONSOLE_ENTRIES = 1000;
+
+// Longer messages (e.g. logged API responses) are cut off
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Levels from least to most severe
+export const CONSOLE_LEVELS = ["debug", "log", "info", "warning", "error"];
+
+/**
+ * JSON schema of a ConsoleMessageInfo object, for the tools that return messages.
+ */
+export const CONSOLE_MESSAGE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "number", description: "Sequence number of the message in its tab" },
+    level: { type: "string", enum: CONSOLE_LEVELS, description: "Message level" },
+    source: { type: "string", description: "console, exception, or a browser log source such as network, security or violation" },
+    text: { type: "string", description: "Message text; exceptions include their stack" },
+    url: { type: ["string", "null"], description: "Script or resource URL the message points to" },
+    lineNumber: { type: ["number", "null"], description: "1-based line in url" },
+    columnNumber: { type: ["number", "null"], description: "1-based column in url" },
+    timestamp: { type: "string", description: "ISO timestamp of the message" }
+  },
+  required: ["id", "level", "source", "text", "url", "lineNumber", "columnNumber", "timestamp"],
+  additionalProperties: false
+};
+
+// Runtime.consoleAPICalled types that map to a level other than log
+const CONSOLE_API_LEVELS = { debug: "debug", info: "info", warning: "warning", error: "error", assert: "error" };
+
+// Log.entryAdded levels
+const LOG_ENTRY_LEVELS = { verbose: "debug", info: "info", warning: "warning", error: "error" };
+
+// page -> { session, entries, nextId }
+const consoleLogs = new WeakMap();
+
+/**
+ * Render a CDP RemoteObject the way the DevTools console prints it on one line.
+ * @param {Object} object - CDP Runtime.RemoteObject
+ * @returns {string} Text form of the value
+ */
+function formatRemoteObject(object) {
+  if (object.type === "string") return object.value;
+  if ("unserializableValue" in object) return object.unserializableValue;
+  if ("value" in object && object.type !== "object") return String(object.value);
+  if (object.subtype === "null") return "null";
+  if (object.type === "undefined") return "undefined";
+
+  // Plain objects and arrays come with a preview of their first properties
+  const preview = object.type === "object" ? object.preview : null;
+  const formatProperty = (p) => (p.type === "string" ? JSON.stringify(p.value) : p.value);
+  const overflow = preview?.overflow ? ", …" : "";
+  if (preview && object.subtype === "array") {
+    return `[${preview.properties.map(formatProperty).join(", ")}${overflow}]`;
+  }
+  if (preview && !object.subtype) {
+    return `{${preview.properties.map(p => `${p.name}: ${formatProperty(p)}`).join(", ")}${overflow}}`;
+  }
+  return object.description || object.type;
+}
+
+/**
+ * Get the script location of a message from its stack trace.
+ * @param {Object} [stackTrace] - CDP Runtime.StackTrace
+ * @returns {{url: string|null, lineNumber: number|null, columnNumber: number|null}}
+ */
+function topFrameLocation(stackTrace) {
+  const frame = stackTrace?.callFrames?.[0];
+  return frame
+    ? { url: frame.url || null, lineNumber: frame.lineNumber + 1, columnNumber: frame.columnNumber + 1 }
+    : { url: null, lineNumber: null, columnNumber: null };
+}
+
+/**
+ * Add a message to a tab's log, dropping the oldest once the log is full.
+ * @param {Object} log - The tab's log
+ * @param {Omit<ConsoleMessageInfo, 'id'>} message - Message without its id
+ */
+function addEntry(log, message) {
+  const text = message.text.length > MAX_MESSAGE_LENGTH
+    ? `${message.text.slice(0, MAX_MESSAGE_LENGTH)}… (${message.text.length - MAX_MESSAGE_LENGTH} more characters)`
+    : message.text;
+  log.entries.push({ id: log.nextId++, ...message, text });
+  if (log.entries.length > MAX_CONSOLE_ENTRIES) log.entries.shift();
+}
+
+/**
+ * Release the RemoteObjects of a message once it is formatted. The renderer keeps every object
+ * handed to the session alive until it is released, so a chatty tab would otherwise leak them.
+ * @param {Object} log - The tab's log
+ * @param {Object[]} objects - CDP Runtime.RemoteObjects
+ */
+function releaseObjects(log, objects) {
+  for (const { objectId } of objects) {
+    if (objectId) log.session.send("Runtime.releaseObject", { objectId }).catch(() => {});
+  }
+}
+
+/**
+ * Create the CDP event handlers that fill a tab's log.
+ * @param {Object} log - The tab's log
+ * @returns {Object<string, Function>} Handlers by CDP event name
+ */
+function createHandlers(log) {
+  return {
+    "Runtime.consoleAPICalled": ({ type, args = [], timestamp, stackTrace }) => {
+      // Group ends and console.clear() carry no message
+      if (type !== "endGroup" && type !== "clear") {
+        addEntry(log, {
+          level: CONSOLE_API_LEVELS[type] || "log",
+          source: "console",
+          text: args.map(formatRemoteObject).join(" "),
+          ...topFrameLocation(stackTrace),
+          timestamp: new Date(timestamp).toISOString()
+        });
+      }
+      releaseObjects(log, args);
+    },
+    "Runtime.exceptionThrown": ({ timestamp, exceptionDetails }) => {
+      const { exception, text, url, lineNumber, columnNumber, stackTrace } = exceptionDetails;
+      const location = url
+        ? { url, lineNumber: lineNumber + 1, columnNumber: columnNumber + 1 }
+        : topFrameLocation(stackTrace);
+      addEntry(log, {
+        level: "error",
+        source: "exception",
+        // description holds "TypeError: x is undefined" plus the stack; text is only "Uncaught"
+        text: exception?.description || (exception ? formatRemoteObject(exception) : text),
+        ...location,
+        timestamp: new Date(timestamp).toISOString()
+      });
+      if (exception) releaseObjects(log, [exception]);
+    },
+    "Log.entryAdded": ({ entry }) => {
+      addEntry(log, {
+        level: LOG_ENTRY_LEVELS[entry.level] || "info",
+        source: entry.source,
+        text: entry.text,
+        url: entry.url || null,
+        lineNumber: entry.lineNumber !== undefined ? entry.lineNumber + 1 : null,
+        columnNumber: null,
+        timestamp: new Date(entry.timestamp).toISOString()
+      });
+    }
+  };
+}
+
+/**
+ * Start recording the console messages and errors of a tab.
+ * Called from registerTab() for every tab that joins the pool. Failures are logged, not thrown,
+ * so the tab still works without a log.
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {Promise<void>}
+ */
+export async function enableConsoleLog(page) {
+  if (consoleLogs.has(page)) return;
+  const log = { session: null, entries: [], nextId: 1 };
+  consoleLogs.set(page, log);
+
+  try {
+    log.session = await page.createCDPSession();
+    for (const [event, handler] of Object.entries(createHandlers(log))) {
+      log.session.on(event, handler);
+    }
+    await log.session.send("Runtime.enable");
+    await log.session.send("Log.enable");
+  } catch (err) {
+    console.error(`[MCPBrowser] Warning: Could not enable console log: ${err.message}`);
+  }
+}
+
+/**
+ * Check whether console messages of a tab are being recorded.
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {boolean}
+ */
+export function hasConsoleLog(page) {
+  return Boolean(consoleLogs.get(page)?.session);
+}
+
+/**
+ * List the recorded messages of a tab, oldest first.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {Object} [options]
+ * @param {number} [options.since] - Only messages with an id above this cursor
+ * @returns {{messages: ConsoleMessageInfo[], cursor: number}} Copies of the messages, and the id of
+ *   the newest message recorded so far (0 if none), to pass as since next time
+ */
+export function listConsoleMessages(page, { since } = {}) {
+  const log = consoleLogs.get(page);
+  if (!log) return { messages: [], cursor: 0 };
+  return {
+    messages: log.entries.filter(entry => since === undefined || entry.id > since).map(entry => ({ ...entry })),
+    cursor: log.nextId - 1
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * JavaScript dialog handling for MCPBrowser
+ * Answers alert(), confirm(), prompt() and beforeunload dialogs of the tabs MCPBrowser opened
+ * according to MCPBROWSER_DIALOG_POLICY, so a confirm() raised by a click does not block the page
+ * until someone dismisses it by hand. Tabs adopted from the user's browser session keep their
+ * dialogs open for the user. Actions can override the policy for the dialogs raised while they
+ * run, and report those dialogs in their response.
+ */
+
+/**
+ * @typedef {Object} DialogInfo
+ * @property {'alert'|'confirm'|'prompt'|'beforeunload'} type - Dialog type
+ * @property {string} message - Text the page showed in the dialog
+ * @property {string|null} defaultValue - Default text of a prompt, null for other types
+ * @property {'accept'|'dismiss'|'manual'} action - How the dialog was answered; manual means it
+ *   was left open for the user
+ * @property {string|null} promptText - Text entered into an accepted prompt, null otherwise
+ * @property {string} timestamp - ISO timestamp when the dialog opened
+ */
+
+// accept = OK / Leave, dismiss = Cancel / Stay, manual = leave the dialog open for the user
+export const DIALOG_ACTIONS = ["accept", "dismiss", "manual"];
+
+const DEFAULT_DIALOG_POLICY = "dismiss";
+
+/**
+ * JSON schema of a DialogInfo object, shared by the tools that report dialogs.
+ */
+export const DIALOG_INFO_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: ["alert", "confirm", "prompt", "beforeunload"], description: "Dialog type" },
+    message: { type: "string", description: "Text the page showed in the dialog" },
+    defaultValue: { type: ["string", "null"], description: "Default text of a prompt, null for other types" },
+    action: { type: "string", enum: DIALOG_ACTIONS, description: "How the dialog was answered; manual means it was left open for the user" },
+    promptText: { type: ["string", "null"], description: "Text entered into an accepted prompt, null otherwise" },
+    timestamp: { type: "string", description: "ISO timestamp when the dialog opened" }
+  },
+  required: ["type", "message", "defaultValue", "action", "promptText", "timestamp"],
+  additionalProperties: false
+};
+
+// page -> { origin, capture: { action, promptText, dialogs } | null }
+const dialogStates = new WeakMap();
+
+/**
+ * Get the configured dialog policy.
+ * Uses MCPBROWSER_DIALOG_POLICY if it names a valid action, dismiss otherwise.
+ * @returns {'accept'|'dismiss'|'manual'}
+ */
+export function getDialogPolicy() {
+  const policy = (process.env.MCPBROWSER_DIALOG_POLICY || '').trim().toLowerCase();
+  return DIALOG_ACTIONS.includes(policy) ? policy : DEFAULT_DIALOG_POLICY;
+}
+
+/**
+ * Decide how to answer a dialog.
+ * @param {string} type - Dialog type
+ * @param {'created'|'adopted'} origin - Whether MCPBrowser opened the tab or adopted it
+ * @param {Object|null} capture - Overrides of the action that is running, if any
+ * @returns {'accept'|'dismiss'|'manual'}
+ */
+function chooseAction(type, origin, capture) {
+  if (capture?.action) return capture.action;
+  // Text for a prompt only makes sense if the prompt is accepted
+  if (type === 'prompt' && capture?.promptText !== undefined) return 'accept';
+
+  // The user's own tabs may hold unsaved work; answering for them is up to the user
+  if (origin === 'adopted') return 'manual';
+
+  const policy = getDialogPolicy();
+  // Staying on the page would make every navigation away from it fail, so leave it
+  if (type === 'beforeunload' && policy === 'dismiss') return 'accept';
+  return policy;
+}
+
+/**
+ * Answer a dialog and record it for the action that is running.
+ * @param {Object} state - The tab's dialog state
+ * @param {Dialog} dialog - The Puppeteer dialog
+ * @returns {Promise<void>}
+ */
+async function handleDialog(state, dialog) {
+  const capture = state.capture;
+  const type = dialog.type();
+  const action = chooseAction(type, state.origin, capture);
+
+  /** @type {DialogInfo} */
+  const info = {
+    type,
+    message: dialog.message(),
+    defaultValue: type === 'prompt' ? dialog.defaultValue() : null,
+    action,
+    promptText: action === 'accept' && type === 'prompt' ? (capture?.promptText ?? dialog.defaultValue()) : null,
+    timestamp: new Date().toISOString()
+  };
+  capture?.dialogs.push(info);
+
+  if (action === 'manual') {
+    console.error(`[MCPBrowser] Left ${type} dialog open for the user: ${info.message}`);
+    return;
+  }
+
+  try {
+    if (action === 'accept') {
+      await dialog.accept(info.promptText ?? undefined);
+    } else {
+      await dialog.dismiss();
+    }
+  } catch (err) {
+    // The user (or the page closing) got to it first
+    console.error(`[MCPBrowser] Warning: Could not ${action} ${type} dialog: ${err.message}`);
+  }
+}
+
+/**
+ * Start answering the JavaScript dialogs of a tab.
+ * Called from registerTab() for every tab that joins the pool. Dialogs of adopted tabs are left
+ * open unless the action that is running passes dialogAction or promptText.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {'created'|'adopted'} [origin='created'] - Whether MCPBrowser opened the tab or found it already open in the browser
+ */
+export function enableDialogHandling(page, origin = 'created') {
+  if (dialogStates.has(page)) return;
+  const state = { origin, capture: null };
+  dialogStates.set(page, state);
+  page.on('dialog', dialog => handleDialog(state, dialog));
+}
+
+/**
+ * Collect the dialogs a tab raises from now on, optionally answering them differently than
+ * the policy. Only one capture per tab is active; a new one replaces the previous.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {Object} [overrides]
+ * @param {'accept'|'dismiss'|'manual'} [overrides.action] - How to answer dialogs instead of the policy
+ * @param {string} [overrides.promptText] - Text to enter into prompts; accepts them unless action says otherwise
+ * @returns {() => DialogInfo[]} Stops the capture and returns the dialogs raised so far (safe to call twice)
+ */
+export function captureDialogs(page, { action, promptText } = {}) {
+  const state = dialogStates.get(page);
+  const capture = { action, promptText, dialogs: [] };
+  if (state) state.capture = capture;
+
+  return () => {
+    if (state?.capture === capture) state.capture = null;
+    return capture.dialogs;
+  };
+}
+
+/**
+ * Describe handled dialogs in one sentence for an action's message.
+ * @param {DialogInfo[]} dialogs - Dialogs raised during the action
+ * @returns {string} e.g. 'Dismissed confirm dialog "Delete 3 items?"', empty if there were none
+ */
+export function describeDialogs(dialogs) {
+  return dialogs.map(d => {
+    if (d.action === 'manual') return `Left ${d.type} dialog "${d.message}" open for the user`;
+    const verb = d.action === 'accept' ? 'Accepted' : 'Dismissed';
+    const text = d.promptText !== null ? ` with "${d.promptText}"` : '';
+    return `${verb} ${d.type} dialog "${d.message}"${text}`;
+  }).join('; ');
+}
+
+/**
+ * Validate the dialogAction and promptText parameters of a tool.
+ * @param {string} [dialogAction] - dialogAction parameter
+ * @param {string} [promptText] - promptText parameter
+ * @throws {Error} If either is invalid
+ */
+export function validateDialogParams(dialogAction, promptText) {
+  if (dialogAction !== undefined && !DIALOG_ACTIONS.includes(dialogAction)) {
+    throw new Error(`Invalid dialogAction: ${dialogAction}. Must be one of: ${DIALOG_ACTIONS.join(', ')}`);
+  }
+  if (promptText !== undefined && typeof promptText !== 'string') {
+    throw new Error("promptText must be a string");
+  }
+}
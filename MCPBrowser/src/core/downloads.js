@@ -0,0 +1,368 @@
+/**
+ * Download tracking for MCPBrowser
+ * Routes the downloads of MCPBrowser's clicks and navigations into a per-session directory and
+ * records their progress, so the files can be found and read afterwards. Chrome only sets download
+ * behavior browser-wide, so routing is switched on while such an action runs and Chrome's default
+ * behavior is restored afterwards; downloads of the user's own tabs are left alone.
+ */
+
+import { existsSync, mkdirSync, mkdtempSync, renameSync, rmSync } from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * @typedef {Object} DownloadInfo
+ * @property {string} id - Download id (Chrome download GUID)
+ * @property {string} tabId - ID of the tab that started the download
+ * @property {string} url - URL the file was downloaded from
+ * @property {string} filename - File name (suggested by the server until the download completes)
+ * @property {string|null} path - Absolute path of the saved file, null until completed
+ * @property {'inProgress'|'completed'|'canceled'} state - Download state
+ * @property {number} receivedBytes - Bytes received so far
+ * @property {number} totalBytes - Expected size in bytes, 0 if unknown
+ * @property {string} mimeType - MIME type guessed from the file extension
+ * @property {string} startedAt - ISO timestamp when the download started
+ * @property {string|null} completedAt - ISO timestamp when the download completed or was canceled
+ */
+
+// MIME types by file extension (Chrome doesn't report the response Content-Type for downloads)
+const MIME_TYPES = {
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".csv": "text/csv",
+  ".tsv": "text/tab-separated-values",
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".md": "text/markdown",
+  ".css": "text/css",
+  ".js": "text/javascript",
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".yaml": "application/yaml",
+  ".yml": "application/yaml",
+  ".svg": "image/svg+xml",
+  ".ics": "text/calendar",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".xls": "application/vnd.ms-excel",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp"
+};
+
+// Non-text/* MIME types whose content is readable text
+const TEXT_MIME_TYPES = ["application/json", "application/xml", "application/yaml", "image/svg+xml"];
+
+/**
+ * JSON schema of a DownloadInfo object, shared by the tools that return downloads.
+ */
+export const DOWNLOAD_INFO_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string", description: "Download id, used with get_download" },
+    tabId: { type: "string", description: "ID of the tab that started the download" },
+    url: { type: "string", description: "URL the file was downloaded from" },
+    filename: { type: "string", description: "File name" },
+    path: { type: ["string", "null"], description: "Absolute path of the saved file, null until the download completes" },
+    state: { type: "string", enum: ["inProgress", "completed", "canceled"], description: "Download state" },
+    receivedBytes: { type: "number", description: "Bytes received so far" },
+    totalBytes: { type: "number", description: "Expected size in bytes, 0 if unknown" },
+    mimeType: { type: "string", description: "MIME type guessed from the file extension" },
+    startedAt: { type: "string", description: "ISO timestamp when the download started" },
+    completedAt: { type: ["string", "null"], description: "ISO timestamp when the download finished, null while in progress" }
+  },
+  required: ["id", "tabId", "url", "filename", "path", "state", "receivedBytes", "totalBytes", "mimeType", "startedAt", "completedAt"],
+  additionalProperties: false
+};
+
+// Download state
+const downloads = new Map(); // download id -> DownloadInfo, in start order
+let downloadDir = null; // created on first browser connection
+let downloadSession = null; // browser-level CDP session that sets the download behavior
+const routedTabs = new Map(); // tab ID -> { count, frameIds, session } of the actions routing its downloads
+
+/**
+ * Get the directory downloads are saved to, creating it on first use.
+ * MCPBROWSER_DOWNLOAD_DIR if set, otherwise a fresh temporary directory for this server session,
+ * which is removed with its files when the server exits.
+ * @returns {string} Absolute path of the download directory
+ */
+export function getDownloadDir() {
+  if (!downloadDir) {
+    if (process.env.MCPBROWSER_DOWNLOAD_DIR) {
+      downloadDir = path.resolve(process.env.MCPBROWSER_DOWNLOAD_DIR);
+      mkdirSync(downloadDir, { recursive: true });
+    } else {
+      const tempDir = mkdtempSync(path.join(os.tmpdir(), "mcpbrowser-downloads-"));
+      process.once("exit", () => rmSync(tempDir, { recursive: true, force: true }));
+      downloadDir = tempDir;
+    }
+  }
+  return downloadDir;
+}
+
+/**
+ * Guess the MIME type of a file from its extension.
+ * @param {string} filename - File name
+ * @returns {string} MIME type, application/octet-stream if unknown
+ */
+export function getMimeType(filename) {
+  return MIME_TYPES[path.extname(filename).toLowerCase()] || "application/octet-stream";
+}
+
+/**
+ * Check whether a MIME type is a text format whose content can be returned as a string.
+ * @param {string} mimeType - MIME type
+ * @returns {boolean}
+ */
+export function isTextMimeType(mimeType) {
+  return mimeType.startsWith("text/") || TEXT_MIME_TYPES.includes(mimeType);
+}
+
+/**
+ * Make a server-suggested file name safe to use inside the download directory.
+ * @param {string} suggestedFilename - File name suggested by the server
+ * @returns {string} File name without directories or reserved characters
+ */
+export function sanitizeFilename(suggestedFilename) {
+  const name = path.basename(suggestedFilename || "").replace(/[<>:"/\\|?*\x00-\x1f]/g, "_");
+  return name && name !== "." && name !== ".." ? name : "download";
+}
+
+/**
+ * Find a path in the directory that is not taken yet, adding " (1)", " (2)"... before the extension.
+ * @param {string} dir - Directory
+ * @param {string} filename - Desired file name
+ * @returns {string} Absolute path that does not exist yet
+ */
+export function uniquePath(dir, filename) {
+  const { name, ext } = path.parse(filename);
+  let candidate = path.join(dir, filename);
+  for (let n = 1; existsSync(candidate); n++) {
+    candidate = path.join(dir, `${name} (${n})${ext}`);
+  }
+  return candidate;
+}
+
+/**
+ * Find the routed tab a frame belongs to.
+ * @param {string} frameId - CDP frame ID
+ * @returns {string|null} Tab ID, null if the frame is not in a routed tab
+ */
+function findRoutedTab(frameId) {
+  for (const [tabId, { frameIds }] of routedTabs) {
+    if (frameIds.has(frameId)) return tabId;
+  }
+  return null;
+}
+
+/**
+ * Collect the frame IDs of a tab into a set, including frames attached later, so downloads
+ * started by its iframes are attributed to it. Failures are logged; the main frame is still known.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {Set<string>} frameIds - Set to add the frame IDs to
+ * @returns {Promise<CDPSession|null>} Session reporting new frames, to detach when done
+ */
+async function trackFrames(page, frameIds) {
+  let session = null;
+  try {
+    session = await page.createCDPSession();
+    session.on("Page.frameAttached", ({ frameId }) => frameIds.add(frameId));
+    await session.send("Page.enable");
+    const { frameTree } = await session.send("Page.getFrameTree");
+    const addFrames = ({ frame, childFrames = [] }) => {
+      frameIds.add(frame.id);
+      childFrames.forEach(addFrames);
+    };
+    addFrames(frameTree);
+    return session;
+  } catch (err) {
+    console.error(`[MCPBrowser] Warning: Could not list frames of the tab: ${err.message}`);
+    await session?.detach().catch(() => {});
+    return null;
+  }
+}
+
+/**
+ * Record a download that Chrome is about to start in a routed tab.
+ * @param {Object} event - Browser.downloadWillBegin event
+ */
+function onDownloadWillBegin({ frameId, guid, url, suggestedFilename }) {
+  const tabId = findRoutedTab(frameId);
+  if (!tabId) return; // Saved by Chrome's default behavior, not into the download directory
+
+  const filename = sanitizeFilename(suggestedFilename);
+  downloads.set(guid, {
+    id: guid,
+    tabId,
+    url,
+    filename,
+    path: null,
+    state: "inProgress",
+    receivedBytes: 0,
+    totalBytes: 0,
+    mimeType: getMimeType(filename),
+    startedAt: new Date().toISOString(),
+    completedAt: null
+  });
+  console.error(`[MCPBrowser] Download started: ${filename} (${url})`);
+}
+
+/**
+ * Update a download's progress. Completed files are renamed from Chrome's GUID to their real name.
+ * @param {Object} event - Browser.downloadProgress event
+ */
+function onDownloadProgress({ guid, receivedBytes, totalBytes, state }) {
+  const download = downloads.get(guid);
+  if (!download || download.state !== "inProgress") return;
+
+  download.receivedBytes = receivedBytes;
+  download.totalBytes = totalBytes;
+  if (state === "inProgress") return;
+
+  if (state === "completed") {
+    const savedPath = path.join(getDownloadDir(), guid);
+    try {
+      download.path = uniquePath(getDownloadDir(), download.filename);
+      renameSync(savedPath, download.path);
+      download.filename = path.basename(download.path);
+    } catch (err) {
+      console.error(`[MCPBrowser] Could not rename download ${guid}: ${err.message}`);
+      download.path = savedPath;
+    }
+  }
+  download.state = state;
+  download.completedAt = new Date().toISOString();
+  console.error(`[MCPBrowser] Download ${state}: ${download.filename}`);
+}
+
+/**
+ * Set the browser's download behavior: into the download directory while any tab is routed,
+ * Chrome's default behavior otherwise. Events stay enabled so downloads that started while
+ * routed keep reporting progress. Failures are logged, not thrown, so pages still work.
+ * @returns {Promise<void>}
+ */
+async function applyDownloadBehavior() {
+  if (!downloadSession) return;
+  try {
+    await downloadSession.send("Browser.setDownloadBehavior", routedTabs.size > 0
+      // allowAndName saves files under their GUID, so names can't collide while downloading
+      ? { behavior: "allowAndName", downloadPath: getDownloadDir(), eventsEnabled: true }
+      : { behavior: "default", eventsEnabled: true });
+  } catch (err) {
+    console.error(`[MCPBrowser] Warning: Could not set download behavior: ${err.message}`);
+  }
+}
+
+/**
+ * Track the downloads of a (re)connected browser. Downloads are only saved into the download
+ * directory while routeDownloads() is active. Called from getBrowser() after connecting.
+ * Failures are logged, not thrown, so pages still work.
+ * @param {Browser} browser - The Puppeteer browser instance
+ * @returns {Promise<void>}
+ */
+export async function enableDownloads(browser) {
+  try {
+    const session = await browser.target().createCDPSession();
+    session.on("Browser.downloadWillBegin", onDownloadWillBegin);
+    session.on("Browser.downloadProgress", onDownloadProgress);
+    downloadSession = session;
+    routedTabs.clear(); // Pages of the previous connection are gone
+    await applyDownloadBehavior();
+    console.error(`[MCPBrowser] Saving downloads of MCPBrowser actions to ${getDownloadDir()}`);
+  } catch (err) {
+    console.error(`[MCPBrowser] Warning: Could not enable download tracking: ${err.message}`);
+  }
+}
+
+/**
+ * Save the downloads a tab starts into the download directory, e.g. for the duration of a click.
+ * Downloads that start in other tabs meanwhile are not recorded. Once a download has started it
+ * finishes in the download directory even if routing stops.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {string} tabId - ID of the tab
+ * @returns {Promise<() => Promise<void>>} Stops routing and restores the default behavior once no
+ *   tab is routed any more (safe to call twice)
+ */
+export async function routeDownloads(page, tabId) {
+  // The main frame ID is the tab's target ID
+  const route = routedTabs.get(tabId) ?? { count: 0, frameIds: new Set([tabId]), session: null };
+  route.count++;
+  routedTabs.set(tabId, route);
+  if (route.count === 1) {
+    const firstRoute = routedTabs.size === 1;
+    route.session = await trackFrames(page, route.frameIds);
+    if (firstRoute) await applyDownloadBehavior();
+  }
+
+  let stopped = false;
+  return async () => {
+    if (stopped) return;
+    stopped = true;
+    if (--route.count > 0 || routedTabs.get(tabId) !== route) return;
+    routedTabs.delete(tabId);
+    await route.session?.detach().catch(() => {});
+    if (routedTabs.size === 0) await applyDownloadBehavior();
+  };
+}
+
+/**
+ * List tracked downloads in start order.
+ * @param {Object} [options]
+ * @param {number} [options.since] - Only downloads started at or after this time (ms since epoch)
+ * @param {string} [options.tabId] - Only downloads started by this tab
+ * @returns {DownloadInfo[]} Copies of the download records
+ */
+export function listDownloads({ since, tabId } = {}) {
+  return [...downloads.values()]
+    .filter(download => since === undefined || Date.parse(download.startedAt) >= since)
+    .filter(download => !tabId || download.tabId === tabId)
+    .map(download => ({ ...download }));
+}
+
+/**
+ * Get a tracked download by id.
+ * @param {string} id - Download id
+ * @returns {DownloadInfo|null} Copy of the download record, null if unknown
+ */
+export function getDownload(id) {
+  const download = downloads.get(id);
+  return download ? { ...download } : null;
+}
+
+/**
+ * Wait until a download is no longer in progress.
+ * @param {string} id - Download id
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @returns {Promise<DownloadInfo|null>} Latest download record (still inProgress on timeout), null if unknown
+ */
+export async function waitForDownload(id, timeout) {
+  const deadline = Date.now() + timeout;
+  while (downloads.get(id)?.state === "inProgress" && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return getDownload(id);
+}
+
+/**
+ * Wait for a download to start, e.g. after navigating to a file URL.
+ * @param {number} since - Only downloads started at or after this time (ms since epoch)
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @param {string} [tabId] - Only downloads started by this tab
+ * @returns {Promise<DownloadInfo|null>} The first download started since then, null if none started
+ */
+export async function waitForNewDownload(since, timeout, tabId) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const [download] = listDownloads({ since, tabId });
+    if (download) return download;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return listDownloads({ since, tabId })[0] || null;
+}
@@ -82,6 +82,20 @@ export function cleanHtml(html) {
   return cleaned;
 }
 
+/**
+ * Resolves a possibly relative URL against a base URL
+ * @param {string} url - The URL to resolve
+ * @param {string} baseUrl - The base URL for resolving relative URLs
+ * @returns {string|null} The absolute URL, or null if it cannot be resolved
+ */
+export function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Enriches HTML by converting relative URLs to absolute URLs
  * @param {string} html - The HTML to enrich
@@ -98,12 +112,8 @@ export function enrichHtml(html, baseUrl) {
     if (!url || url.startsWith('http://') || url.startsWith('https://') || url.startsWith('//') || url.startsWith('#') || url.startsWith('mailto:') || url.startsWith('tel:')) {
       return match;
     }
-    try {
-      const absoluteUrl = new URL(url, baseUrl).href;
-      return `href="${absoluteUrl}"`;
-    } catch {
-      return match;
-    }
+    const absoluteUrl = resolveUrl(url, baseUrl);
+    return absoluteUrl ? `href="${absoluteUrl}"` : match;
   });
   
   // Convert relative URLs to absolute in src attributes
@@ -111,12 +121,8 @@ export function enrichHtml(html, baseUrl) {
     if (!url || url.startsWith('http://') || url.startsWith('https://') || url.startsWith('//') || url.startsWith('data:')) {
       return match;
     }
-    try {
-      const absoluteUrl = new URL(url, baseUrl).href;
-      return `src="${absoluteUrl}"`;
-    } catch {
-      return match;
-    }
+    const absoluteUrl = resolveUrl(url, baseUrl);
+    return absoluteUrl ? `src="${absoluteUrl}"` : match;
   });
   
   return enriched;
@@ -134,3 +140,371 @@ export function prepareHtml(html, baseUrl) {
   const cleaned = cleanHtml(html);
   return enrichHtml(cleaned, baseUrl);
 }
+
+// ============================================================================
+// MARKDOWN / TEXT CONVERSION
+// ============================================================================
+
+/**
+ * Supported output formats for page content
+ * - html: cleaned (or raw) HTML with absolute URLs
+ * - markdown: headings, lists, links, tables and code blocks as markdown
+ * - text: plain readable text
+ */
+export const OUTPUT_FORMATS = ["html", "markdown", "text"];
+
+// Elements whose content is never part of the readable page
+const SKIPPED_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'svg', 'template', 'iframe', 'canvas', 'select', 'datalist']);
+
+// Elements without closing tags
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Elements rendered as separate paragraphs
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'body', 'center', 'details', 'dialog', 'div', 'dl', 'dt', 'dd', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'html', 'main', 'nav', 'p', 'section', 'summary'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·'
+};
+
+/**
+ * Decode HTML character references (named, decimal and hex)
+ * @param {string} text - Text with HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Escape text so markdown shows it literally: emphasis, code and link brackets anywhere,
+ * and heading, quote and list markers when they start a line.
+ * @param {string} text - Text from the page
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/[\\`*_[\]]/g, '\\$&')
+    // Only escaped by finalizeOutput if the marker ends up starting a line
+    .replace(/^(\s*)(#|>|[+-](?=\s|$)|\d+[.)](?=\s|$))/, '$1\u0001$2');
+}
+
+/**
+ * Format a URL as a markdown link destination, using the <...> form when
+ * parentheses or spaces would otherwise end it early.
+ * @param {string} url - Link or image URL
+ * @returns {string} Link destination
+ */
+function formatMarkdownUrl(url) {
+  if (!/[\s()<>]/.test(url)) return url;
+  return `<${url.replace(/</g, '%3C').replace(/>/g, '%3E')}>`;
+}
+
+/**
+ * Parse serialized HTML (as produced by outerHTML) into a lightweight element tree.
+ * Unknown or unbalanced closing tags are ignored, so partially cleaned HTML still parses.
+ * @param {string} html - The HTML to parse
+ * @returns {{tag: string, attrs: Object, children: Array}} Root node
+ */
+function parseHtmlTree(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>|[^<]+|</g;
+  const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [token, closeTag, openTag, attrText] = match;
+    const current = stack[stack.length - 1];
+
+    if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+    } else if (openTag) {
+      const tag = openTag.toLowerCase();
+      const attrs = {};
+      let attr;
+      attrPattern.lastIndex = 0;
+      while ((attr = attrPattern.exec(attrText || '')) !== null) {
+        attrs[attr[1].toLowerCase()] = decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '');
+      }
+      const node = { tag, attrs, children: [] };
+      current.children.push(node);
+      if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) {
+        stack.push(node);
+      }
+    } else if (!token.startsWith('<!')) {
+      current.children.push(decodeEntities(token));
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Get raw text content of a node, preserving whitespace (for pre/code blocks)
+ * @param {Object|string} node - Tree node
+ * @returns {string}
+ */
+function rawText(node) {
+  if (typeof node === 'string') return node;
+  if (node.tag === 'br') return '\n';
+  return node.children.map(rawText).join('');
+}
+
+/**
+ * Render a table node as markdown (pipe table) or tab-separated text.
+ * Colspan is expanded into empty cells and rowspan cells are repeated down
+ * so every row has the same number of columns.
+ * @param {Object} table - Table node
+ * @param {Object} ctx - Render context
+ * @returns {string}
+ */
+function renderTable(table, ctx) {
+  const rows = [];
+  const collectRows = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') continue;
+      if (child.tag === 'tr') rows.push(child);
+      else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) collectRows(child);
+    }
+  };
+  collectRows(table);
+  if (rows.length === 0) return '';
+
+  const grid = [];
+  const pending = []; // column -> { text, remaining } for rowspan
+  const headerRow = rows[0].children.some(c => typeof c !== 'string' && c.tag === 'th');
+
+  rows.forEach((row) => {
+    const cells = row.children.filter(c => typeof c !== 'string' && (c.tag === 'td' || c.tag === 'th'));
+    const out = [];
+    let column = 0;
+    const fillPending = () => {
+      while (pending[column] && pending[column].remaining > 0) {
+        out.push(pending[column].text);
+        pending[column].remaining--;
+        column++;
+      }
+    };
+    for (const cell of cells) {
+      fillPending();
+      const text = renderChildren(cell, { ...ctx, inline: true }).replace(/\s+/g, ' ').trim();
+      const colspan = Math.max(1, parseInt(cell.attrs.colspan, 10) || 1);
+      const rowspan = Math.max(1, parseInt(cell.attrs.rowspan, 10) || 1);
+      for (let i = 0; i < colspan; i++) {
+        out.push(i === 0 ? text : '');
+        if (rowspan > 1) pending[column] = { text: i === 0 ? text : '', remaining: rowspan - 1 };
+        column++;
+      }
+    }
+    fillPending();
+    grid.push(out);
+  });
+
+  const width = Math.max(...grid.map(r => r.length));
+  grid.forEach(r => { while (r.length < width) r.push(''); });
+
+  if (ctx.format === 'text') {
+    return '\n\n' + grid.map(r => r.join('\t')).join('\n') + '\n\n';
+  }
+
+  const escapeCell = (text) => text.replace(/\|/g, '\\|');
+  const line = (r) => `| ${r.map(escapeCell).join(' | ')} |`;
+  const header = headerRow ? grid[0] : new Array(width).fill('');
+  const body = headerRow ? grid.slice(1) : grid;
+  return '\n\n' + [line(header), `| ${new Array(width).fill('---').join(' | ')} |`, ...body.map(line)].join('\n') + '\n\n';
+}
+
+/**
+ * Render a ul/ol node. Nested lists are indented under their parent item.
+ * @param {Object} list - List node
+ * @param {Object} ctx - Render context
+ * @returns {string}
+ */
+function renderList(list, ctx) {
+  const ordered = list.tag === 'ol';
+  let index = parseInt(list.attrs.start, 10) || 1;
+  const items = [];
+
+  for (const child of list.children) {
+    if (typeof child === 'string' || child.tag !== 'li') continue;
+    const marker = ordered ? `${index++}. ` : '- ';
+    const content = renderChildren(child, { ...ctx, inline: false })
+      .replace(/\n{2,}/g, '\n')
+      .trim();
+    const lines = content.split('\n');
+    const indent = ' '.repeat(marker.length);
+    items.push(marker + lines[0] + lines.slice(1).map(l => `\n${indent}${l}`).join(''));
+  }
+
+  return '\n\n' + items.join('\n') + '\n\n';
+}
+
+/**
+ * Render children of a node
+ * @param {Object} node - Tree node
+ * @param {Object} ctx - Render context
+ * @returns {string}
+ */
+function renderChildren(node, ctx) {
+  return node.children.map(child => renderNode(child, ctx)).join('');
+}
+
+/**
+ * Render one node as markdown or plain text
+ * @param {Object|string} node - Tree node
+ * @param {{format: string, preBlocks: string[]}} ctx - Render context
+ * @returns {string}
+ */
+function renderNode(node, ctx) {
+  if (typeof node === 'string') {
+    const text = node.replace(/\s+/g, ' ');
+    return ctx.format === 'markdown' ? escapeMarkdown(text) : text;
+  }
+
+  const { tag } = node;
+  const markdown = ctx.format === 'markdown';
+
+  if (SKIPPED_ELEMENTS.has(tag)) return '';
+
+  // Headings
+  if (/^h[1-6]$/.test(tag)) {
+    const text = renderChildren(node, ctx).replace(/\s+/g, ' ').trim();
+    if (!text) return '';
+    return markdown ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : `\n\n${text}\n\n`;
+  }
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'hr':
+      return markdown ? '\n\n---\n\n' : '\n\n';
+    case 'pre': {
+      const codeChild = node.children.find(c => typeof c !== 'string' && c.tag === 'code');
+      const className = `${node.attrs.class || ''} ${codeChild?.attrs.class || ''}`;
+      const language = (className.match(/(?:lang|language)-([\w+#-]+)/) || [])[1] || '';
+      const code = rawText(node).replace(/^\n+|\s+$/g, '');
+      const block = markdown ? `\`\`\`${language}\n${code}\n\`\`\`` : code;
+      // Keep code blocks out of whitespace normalization
+      ctx.preBlocks.push(block);
+      return `\n\n\u0000${ctx.preBlocks.length - 1}\u0000\n\n`;
+    }
+    case 'code': {
+      const code = rawText(node).replace(/\s+/g, ' ');
+      return markdown && code.trim() ? `\`${code}\`` : code;
+    }
+    case 'a': {
+      const text = renderChildren(node, ctx).replace(/\s+/g, ' ').trim();
+      const href = node.attrs.href;
+      if (!markdown || !href || href.startsWith('javascript:')) return text;
+      const label = text || escapeMarkdown(node.attrs['aria-label'] || node.attrs.title || '');
+      return label ? `[${label}](${formatMarkdownUrl(href)})` : '';
+    }
+    case 'img': {
+      const alt = (node.attrs.alt || '').trim();
+      const src = node.attrs.src;
+      if (!markdown) return alt;
+      if (!src || src.startsWith('data:')) return alt;
+      return `![${escapeMarkdown(alt)}](${formatMarkdownUrl(src)})`;
+    }
+    case 'strong':
+    case 'b': {
+      const text = renderChildren(node, ctx);
+      return markdown && text.trim() ? `**${text.trim()}**` : text;
+    }
+    case 'em':
+    case 'i': {
+      const text = renderChildren(node, ctx);
+      return markdown && text.trim() ? `*${text.trim()}*` : text;
+    }
+    case 'del':
+    case 's': {
+      const text = renderChildren(node, ctx);
+      return markdown && text.trim() ? `~~${text.trim()}~~` : text;
+    }
+    case 'ul':
+    case 'ol':
+      return renderList(node, ctx);
+    case 'table':
+      return renderTable(node, ctx);
+    case 'blockquote': {
+      const text = renderChildren(node, ctx).replace(/\n{3,}/g, '\n\n').trim();
+      return markdown ? '\n\n' + text.split('\n').map(l => `> ${l}`).join('\n') + '\n\n' : `\n\n${text}\n\n`;
+    }
+    case 'li':
+      // Stray list item outside ul/ol
+      return `\n${markdown ? '- ' : ''}${renderChildren(node, ctx).trim()}\n`;
+    case 'td':
+    case 'th':
+      return ` ${renderChildren(node, ctx)} `;
+    case 'input':
+    case 'textarea':
+      return '';
+    default:
+      break;
+  }
+
+  const content = renderChildren(node, ctx);
+  return BLOCK_ELEMENTS.has(tag) || tag === '#root' ? `\n\n${content.trim()}\n\n` : content;
+}
+
+/**
+ * Convert rendered output to its final form: trim lines, collapse blank lines,
+ * escape markdown markers of text that starts a line and restore preformatted blocks.
+ * @param {string} output - Raw render output
+ * @param {string[]} preBlocks - Preformatted blocks referenced by placeholders
+ * @returns {string}
+ */
+function finalizeOutput(output, preBlocks) {
+  return output
+    .split('\n')
+    .map(line => line.replace(/(\S)[ \t]{2,}/g, '$1 ').replace(/[ \t]+$/, ''))
+    .map(line => (line.trim() === '' ? '' : line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^([ \t]*(?:(?:-|\d+\.|>) )*)\u0001(\d*)/gm, '$1$2\\')
+    .replace(/\u0001/g, '')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => preBlocks[Number(index)])
+    .trim();
+}
+
+/**
+ * Converts HTML to markdown, keeping headings, lists, links, images, tables,
+ * code blocks and emphasis. Scripts, styles and other non-content elements are dropped.
+ * Links are emitted as-is, so run enrichHtml first to make them absolute.
+ * @param {string} html - The HTML to convert
+ * @returns {string} Markdown text
+ */
+export function htmlToMarkdown(html) {
+  if (!html) return "";
+  const ctx = { format: 'markdown', preBlocks: [] };
+  return finalizeOutput(renderNode(parseHtmlTree(html), ctx), ctx.preBlocks);
+}
+
+/**
+ * Converts HTML to readable plain text, keeping paragraph and list structure.
+ * Tables are rendered as tab-separated rows.
+ * @param {string} html - The HTML to convert
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  if (!html) return "";
+  const ctx = { format: 'text', preBlocks: [] };
+  return finalizeOutput(renderNode(parseHtmlTree(html), ctx), ctx.preBlocks);
+}
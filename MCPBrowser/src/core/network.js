@@ -0,0 +1,255 @@
+/**
+ * Network request log for MCPBrowser
+ * Records the most recent requests of every tab in a bounded ring buffer, fed by a CDP
+ * session of the tab itself, so a page that renders blank can be traced back to the
+ * API call that failed.
+ */
+
+import { isTextMimeType } from "./downloads.js";
+
+/**
+ * @typedef {Object} NetworkRequestInfo
+ * @property {number} id - Sequence number of the request in its tab
+ * @property {string} url - Request URL
+ * @property {string} method - HTTP method
+ * @property {string} resourceType - Resource type, e.g. document, xhr, fetch, script or image
+ * @property {'pending'|'finished'|'failed'} state - Whether the request is still loading, got a response or failed
+ * @property {number|null} status - HTTP status, null until the response arrives
+ * @property {string|null} statusText - HTTP status text
+ * @property {string|null} mimeType - MIME type of the response
+ * @property {boolean} fromCache - Whether the response came from the memory/disk cache or a service worker
+ * @property {string|null} errorText - Network error of a failed request, e.g. net::ERR_CONNECTION_REFUSED
+ * @property {string} startedAt - ISO timestamp when the request was sent
+ * @property {number|null} durationMs - Time until the response finished loading or failed, null while pending
+ * @property {number|null} ttfbMs - Time from sending the request to receiving the response headers
+ * @property {number|null} encodedBytes - Bytes transferred over the network
+ */
+
+// Requests kept per tab; the oldest are dropped first
+export const MAX_NETWORK_ENTRIES = 500;
+
+// Resource types as reported by Chrome, lower-cased
+export const RESOURCE_TYPES = [
+  "document", "stylesheet", "image", "media", "font", "script", "texttrack", "xhr", "fetch",
+  "prefetch", "eventsource", "websocket", "manifest", "signedexchange", "ping",
+  "cspviolationreport", "preflight", "other"
+];
+
+/**
+ * JSON schema of a NetworkRequestInfo object, for the tools that return requests.
+ */
+export const NETWORK_REQUEST_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "number", description: "Sequence number of the request in its tab" },
+    url: { type: "string", description: "Request URL" },
+    method: { type: "string", description: "HTTP method" },
+    resourceType: { type: "string", description: "Resource type, e.g. document, xhr, fetch, script or image" },
+    state: { type: "string", enum: ["pending", "finished", "failed"], description: "Request state" },
+    status: { type: ["number", "null"], description: "HTTP status, null until the response arrives" },
+    statusText: { type: ["string", "null"], description: "HTTP status text" },
+    mimeType: { type: ["string", "null"], description: "MIME type of the response" },
+    fromCache: { type: "boolean", description: "Whether the response came from a cache or service worker" },
+    errorText: { type: ["string", "null"], description: "Network error of a failed request" },
+    startedAt: { type: "string", description: "ISO timestamp when the request was sent" },
+    durationMs: { type: ["number", "null"], description: "Total time in ms, null while pending" },
+    ttfbMs: { type: ["number", "null"], description: "Time in ms from sending the request to the response headers" },
+    encodedBytes: { type: ["number", "null"], description: "Bytes transferred over the network" },
+    body: { type: ["string", "null"], description: "Response body (only with includeBodies), null if not text or no longer available" },
+    bodyTruncated: { type: "boolean", description: "Whether body was cut off at maxBodyLength" }
+  },
+  required: ["id", "url", "method", "resourceType", "state", "status", "statusText", "mimeType", "fromCache", "errorText", "startedAt", "durationMs", "ttfbMs", "encodedBytes"],
+  additionalProperties: false
+};
+
+// page -> { session, records, byRequestId, nextId }; a record is { requestId, timestamp, redirected, info }
+const networkLogs = new WeakMap();
+
+/**
+ * Round a duration in seconds to whole milliseconds.
+ * @param {number} seconds - Duration in seconds
+ * @returns {number} Milliseconds
+ */
+function toMs(seconds) {
+  return Math.max(0, Math.round(seconds * 1000));
+}
+
+/**
+ * Copy the response fields of a CDP Network.Response onto a request record.
+ * @param {Object} record - Request record
+ * @param {Object} response - CDP Network.Response
+ */
+function applyResponse(record, response) {
+  const info = record.info;
+  info.status = response.status;
+  info.statusText = response.statusText || null;
+  info.mimeType = response.mimeType || null;
+  info.fromCache = Boolean(info.fromCache || response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache);
+  if (response.timing && response.timing.sendEnd >= 0 && response.timing.receiveHeadersEnd >= 0) {
+    info.ttfbMs = Math.max(0, Math.round(response.timing.receiveHeadersEnd - response.timing.sendEnd));
+  }
+}
+
+/**
+ * Mark a request record as done.
+ * @param {Object} record - Request record
+ * @param {'finished'|'failed'} state - Final state
+ * @param {number} timestamp - CDP monotonic timestamp in seconds
+ */
+function completeRecord(record, state, timestamp) {
+  record.info.state = state;
+  record.info.durationMs = toMs(timestamp - record.timestamp);
+}
+
+/**
+ * Create the CDP event handlers that fill a tab's log.
+ * @param {Object} log - The tab's log
+ * @returns {Object<string, Function>} Handlers by CDP event name
+ */
+function createHandlers(log) {
+  const current = (requestId) => log.byRequestId.get(requestId);
+
+  return {
+    "Network.requestWillBeSent": ({ requestId, request, timestamp, wallTime, type, redirectResponse }) => {
+      // Data URLs never reach the network and would crowd out real requests
+      if (request.url.startsWith("data:")) return;
+
+      // A redirect reuses the request ID; the hop that was redirected ends here
+      const previous = current(requestId);
+      if (previous && redirectResponse) {
+        applyResponse(previous, redirectResponse);
+        completeRecord(previous, "finished", timestamp);
+        previous.redirected = true;
+      }
+
+      const record = {
+        requestId,
+        timestamp,
+        redirected: false,
+        info: {
+          id: log.nextId++,
+          url: request.url,
+          method: request.method,
+          resourceType: (type || "Other").toLowerCase(),
+          state: "pending",
+          status: null,
+          statusText: null,
+          mimeType: null,
+          fromCache: false,
+          errorText: null,
+          startedAt: new Date(wallTime ? wallTime * 1000 : Date.now()).toISOString(),
+          durationMs: null,
+          ttfbMs: null,
+          encodedBytes: null
+        }
+      };
+      log.records.push(record);
+      log.byRequestId.set(requestId, record);
+
+      while (log.records.length > MAX_NETWORK_ENTRIES) {
+        const dropped = log.records.shift();
+        if (log.byRequestId.get(dropped.requestId) === dropped) log.byRequestId.delete(dropped.requestId);
+      }
+    },
+    "Network.responseReceived": ({ requestId, response }) => {
+      const record = current(requestId);
+      if (record) applyResponse(record, response);
+    },
+    "Network.requestServedFromCache": ({ requestId }) => {
+      const record = current(requestId);
+      if (record) record.info.fromCache = true;
+    },
+    "Network.loadingFinished": ({ requestId, timestamp, encodedDataLength }) => {
+      const record = current(requestId);
+      if (!record) return;
+      record.info.encodedBytes = encodedDataLength;
+      completeRecord(record, "finished", timestamp);
+    },
+    "Network.loadingFailed": ({ requestId, timestamp, errorText, canceled }) => {
+      const record = current(requestId);
+      if (!record) return;
+      record.info.errorText = canceled ? `${errorText || "net::ERR_ABORTED"} (canceled)` : errorText;
+      completeRecord(record, "failed", timestamp);
+    }
+  };
+}
+
+/**
+ * Start recording the network requests of a tab.
+ * Called from registerTab() for every tab that joins the pool. Failures are logged, not thrown,
+ * so the tab still works without a log.
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {Promise<void>}
+ */
+export async function enableNetworkLog(page) {
+  if (networkLogs.has(page)) return;
+  const log = { session: null, records: [], byRequestId: new Map(), nextId: 1 };
+  networkLogs.set(page, log);
+
+  try {
+    log.session = await page.createCDPSession();
+    for (const [event, handler] of Object.entries(createHandlers(log))) {
+      log.session.on(event, handler);
+    }
+    await log.session.send("Network.enable");
+  } catch (err) {
+    console.error(`[MCPBrowser] Warning: Could not enable network log: ${err.message}`);
+  }
+}
+
+/**
+ * Check whether network requests of a tab are being recorded.
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {boolean}
+ */
+export function hasNetworkLog(page) {
+  return Boolean(networkLogs.get(page)?.session);
+}
+
+/**
+ * List the recorded requests of a tab, oldest first.
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {NetworkRequestInfo[]} Copies of the request records, empty for untracked tabs
+ */
+export function listNetworkRequests(page) {
+  const log = networkLogs.get(page);
+  return log ? log.records.map(record => ({ ...record.info })) : [];
+}
+
+/**
+ * Drop the recorded requests of a tab. Requests still loading are dropped too.
+ * @param {Page} page - The Puppeteer page instance
+ */
+export function clearNetworkLog(page) {
+  const log = networkLogs.get(page);
+  if (!log) return;
+  log.records = [];
+  log.byRequestId.clear();
+}
+
+/**
+ * Read the response body of a recorded request, if it is text (HTML, JSON, XML, CSS, JavaScript, ...).
+ * Chrome only keeps bodies for a while, so older requests may no longer have one.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {number} id - Request sequence number from listNetworkRequests()
+ * @param {number} maxLength - Maximum number of characters to return
+ * @returns {Promise<{body: string|null, truncated: boolean}>} The body, null if unavailable or not text
+ */
+export async function getResponseBody(page, id, maxLength) {
+  const log = networkLogs.get(page);
+  const record = log?.records.find(r => r.info.id === id);
+  const mimeType = record?.info.mimeType || "";
+  if (!record || record.redirected || record.info.state !== "finished" ||
+      !(isTextMimeType(mimeType) || /\+(json|xml)$|javascript/.test(mimeType))) {
+    return { body: null, truncated: false };
+  }
+
+  try {
+    const { body, base64Encoded } = await log.session.send("Network.getResponseBody", { requestId: record.requestId });
+    const text = base64Encoded ? Buffer.from(body, "base64").toString("utf8") : body;
+    return { body: text.slice(0, maxLength), truncated: text.length > maxLength };
+  } catch {
+    // Chrome evicted the body or the request was replaced by a navigation
+    return { body: null, truncated: false };
+  }
+}
@@ -2,18 +2,20 @@
  * Page management for MCPBrowser
  */
 
-import { domainPages } from './browser.js';
-import { cleanHtml, enrichHtml } from './html.js';
+import { domainPages, registerTab, markTabUsed, forgetTab } from './browser.js';
+import { cleanHtml, enrichHtml, htmlToMarkdown, htmlToText } from './html.js';
 
 /**
  * Get or create a page for the given domain, reusing existing tabs when possible.
  * @param {Browser} browser - The Puppeteer browser instance
  * @param {string} hostname - The hostname to get/create a page for
- * @param {boolean} reuseLastKeptPage - Whether to reuse existing tabs
+ * @param {boolean} reuseLastKeptPage - Whether to reuse existing tabs; when false, a new tab is opened
+ *   and only becomes the hostname's default tab if the hostname has no open tab
  * @returns {Promise<Page>} The page for this domain
  */
 export async function getOrCreatePage(browser, hostname, reuseLastKeptPage = true) {
   let page = null;
+  let origin = 'created';
   
   // Check if we have an existing page for this domain
   if (reuseLastKeptPage && domainPages.has(hostname)) {
@@ -24,11 +26,11 @@ export async function getOrCreatePage(browser, hostname, reuseLastKeptPage = tru
       console.error(`[MCPBrowser] Reusing existing tab for domain: ${hostname}`);
     } else {
       // Page was closed externally, remove from map
-      domainPages.delete(hostname);
+      forgetTab(existingPage);
     }
   }
   
-  // Create new tab if no existing page for this domain
+  // Create new tab if no existing page for this domain, or if a new tab was requested
   if (!page) {
     try {
       page = await browser.newPage();
@@ -41,6 +43,7 @@ export async function getOrCreatePage(browser, hostname, reuseLastKeptPage = tru
           // Skip chrome:// pages and other internal pages
           if (!pageUrl.startsWith('chrome://') && !pageUrl.startsWith('chrome-extension://')) {
             page = p;
+            origin = 'adopted';
             break;
           }
         } catch {
@@ -51,11 +54,16 @@ export async function getOrCreatePage(browser, hostname, reuseLastKeptPage = tru
         throw new Error('Unable to create or find a controllable page');
       }
     }
-    // Add new page to domain map
-    domainPages.set(hostname, page);
+    await registerTab(page, origin);
+    // Add new page to domain map, unless it is an extra tab next to an open one
+    const defaultPage = domainPages.get(hostname);
+    if (!defaultPage || defaultPage.isClosed()) {
+      domainPages.set(hostname, page);
+    }
     console.error(`[MCPBrowser] Created new tab for domain: ${hostname}`);
   }
   
+  markTabUsed(page);
   return page;
 }
 
@@ -105,18 +113,237 @@ export async function waitForPageStability(page) {
  * Extract and process HTML from the page.
  * @param {Page} page - The Puppeteer page instance
  * @param {boolean} removeUnnecessaryHTML - Whether to clean the HTML
- * @returns {Promise<string>} The processed HTML
+ * @param {string} [outputFormat='html'] - Output format: html, markdown or text
+ * @returns {Promise<string>} The processed page content in the requested format
  */
-export async function extractAndProcessHtml(page, removeUnnecessaryHTML) {
+export async function extractAndProcessHtml(page, removeUnnecessaryHTML, outputFormat = 'html') {
   const html = await page.evaluate(() => document.documentElement?.outerHTML || "");
-  
+  return processHtml(html, page.url(), removeUnnecessaryHTML, outputFormat);
+}
+
+/**
+ * Clean, enrich and convert raw page HTML, same as extractAndProcessHtml does for the live page.
+ * Used when the HTML is assembled in the page rather than read from the document as-is.
+ * @param {string} html - Raw HTML
+ * @param {string} baseUrl - URL for resolving relative links
+ * @param {boolean} removeUnnecessaryHTML - Whether to clean the HTML
+ * @param {string} [outputFormat='html'] - Output format: html, markdown or text
+ * @returns {string} The processed content in the requested format
+ */
+export function processHtml(html, baseUrl, removeUnnecessaryHTML, outputFormat = 'html') {
+  const pageHtml = removeRefAttributes(html);
   let processedHtml;
   if (removeUnnecessaryHTML) {
-    const cleaned = cleanHtml(html);
-    processedHtml = enrichHtml(cleaned, page.url());
+    const cleaned = cleanHtml(pageHtml);
+    processedHtml = enrichHtml(cleaned, baseUrl);
   } else {
-    processedHtml = enrichHtml(html, page.url());
+    processedHtml = enrichHtml(pageHtml, baseUrl);
+  }
+  
+  // Links are already absolute, so converters can emit them as-is
+  if (outputFormat === 'markdown') {
+    return htmlToMarkdown(processedHtml);
+  }
+  if (outputFormat === 'text') {
+    return htmlToText(processedHtml);
   }
   
   return processedHtml;
 }
+
+/**
+ * DOM attribute that snapshot_page stamps on elements it hands out refs for.
+ * Living on the element itself means a ref survives re-renders of unrelated parts
+ * of the page and disappears together with the document on navigation.
+ */
+export const REF_ATTRIBUTE = 'data-mcpbrowser-ref';
+
+/**
+ * Remove snapshot refs from serialized HTML, so tools return the page's own markup.
+ * @param {string} html - HTML serialized from the page
+ * @returns {string} HTML without ref attributes
+ */
+export function removeRefAttributes(html) {
+  return html.replace(new RegExp(`\\s${REF_ATTRIBUTE}="[^"]*"`, 'g'), '');
+}
+
+/**
+ * Build the CSS selector that matches the element with the given snapshot ref.
+ * @param {string} ref - Element ref from snapshot_page (e.g., "e42")
+ * @returns {string} CSS selector for the element
+ * @throws {Error} If the ref is not in the "e<number>" format
+ */
+export function refSelector(ref) {
+  if (typeof ref !== 'string' || !/^e\d+$/.test(ref)) {
+    throw new Error(`Invalid ref: ${ref}. Refs look like "e42" and come from snapshot_page`);
+  }
+  return `[${REF_ATTRIBUTE}="${ref}"]`;
+}
+
+/**
+ * Find the element a text refers to. Runs in the browser context.
+ * Elements whose text or accessible name (aria-label, aria-labelledby, label, title, alt,
+ * placeholder, button value) equals the text beat elements that merely contain it, and
+ * interactive elements beat plain text. A match inside a control counts as that control, and
+ * containers of an equally good match are skipped.
+ * @param {string} searchText - Text to look for (case and whitespace insensitive)
+ * @param {string} refAttribute - Ref attribute stamped on the candidates when the text is ambiguous
+ * @returns {Element|{total: number, candidates: Array<{ref: string, tag: string, text: string}>}|null}
+ *   The element, the best candidates if several match equally well, or null if nothing matches
+ */
+export function findElementByText(searchText, refAttribute) {
+  const normalize = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+  const wanted = normalize(searchText).toLowerCase();
+  if (!wanted) return null;
+
+  const interactive = 'a[href], button, input, select, textarea, summary, [contenteditable="true"], ' +
+    '[role="button"], [role="link"], [role="menuitem"], [role="tab"], [role="option"], [role="checkbox"], ' +
+    '[role="radio"], [role="switch"], [role="combobox"], [role="textbox"], [onclick]';
+  const isVisible = (el) => el.checkVisibility
+    ? el.checkVisibility({ visibilityProperty: true })
+    : el.offsetParent !== null;
+  const namesOf = (el) => {
+    const names = ['aria-label', 'title', 'alt', 'placeholder'].map(name => el.getAttribute(name));
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      names.push(labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent).join(' '));
+    }
+    for (const label of el.labels ?? []) names.push(label.textContent);
+    if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) names.push(el.value);
+    return names;
+  };
+
+  const matches = [];
+  for (const el of document.body?.querySelectorAll('*') ?? []) {
+    const texts = [el.textContent, ...namesOf(el)].map(t => normalize(t).toLowerCase()).filter(Boolean);
+    const exact = texts.includes(wanted);
+    if (!exact && !texts.some(t => t.includes(wanted))) continue;
+    if (!isVisible(el)) continue;
+    matches.push({ el, score: (exact ? 2 : 0) + (el.matches(interactive) ? 1 : 0) });
+  }
+
+  // Ancestors contain the text of their children; keep them only if they match better
+  const innermost = matches.filter(a => !matches.some(b => b !== a && a.el.contains(b.el) && b.score >= a.score));
+  const best = Math.max(...innermost.map(m => m.score));
+  const targets = [...new Set(innermost.filter(m => m.score === best).map(m => m.el.closest(interactive) || m.el))];
+  if (targets.length === 0) return null;
+  if (targets.length === 1) return targets[0];
+
+  // Hand out refs like snapshot_page, continuing after the highest ref on the page
+  let nextIndex = 1;
+  for (const el of document.querySelectorAll(`[${refAttribute}]`)) {
+    nextIndex = Math.max(nextIndex, parseInt(el.getAttribute(refAttribute).slice(1), 10) + 1);
+  }
+  const candidates = targets.slice(0, 10).map(el => {
+    if (!el.hasAttribute(refAttribute)) el.setAttribute(refAttribute, `e${nextIndex++}`);
+    return {
+      ref: el.getAttribute(refAttribute),
+      tag: el.tagName.toLowerCase(),
+      text: normalize(el.getAttribute('aria-label') || el.textContent || el.value).slice(0, 80)
+    };
+  });
+  return { total: targets.length, candidates };
+}
+
+/**
+ * Find an element on the page by snapshot ref, CSS selector or visible text content.
+ * A ref is resolved immediately since it points at an element that was already on the
+ * page when snapshot_page ran. Selector and text lookups wait up to the given timeout
+ * for the element to appear. Text lookups prefer exact and accessible-name matches (see
+ * findElementByText) and refuse to guess between elements that match equally well.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {Object} target - What to look for
+ * @param {string} [target.ref] - Element ref from snapshot_page (takes precedence)
+ * @param {string} [target.selector] - CSS selector for the element
+ * @param {string} [target.text] - Text content to search for (used when selector is not provided)
+ * @param {number} target.timeout - Maximum time to wait for the element in ms
+ * @returns {Promise<ElementHandle|null>} The element handle, or null if nothing matched
+ * @throws {Error} If several elements match the text equally well; the message lists them with refs
+ */
+export async function findElement(page, { ref, selector, text, timeout }) {
+  if (ref) {
+    // Stale refs (the page navigated since the snapshot) simply match nothing
+    return await page.$(refSelector(ref));
+  }
+
+  if (selector) {
+    // Use CSS selector
+    await page.waitForSelector(selector, { timeout, visible: true });
+    return await page.$(selector);
+  }
+
+  // Search by text content; the wait ends with the first poll that finds a match
+  const handle = await page.waitForFunction(findElementByText, { timeout }, text, REF_ATTRIBUTE);
+
+  const element = handle.asElement();
+  if (element) {
+    return element;
+  }
+
+  const result = await handle.jsonValue();
+  await handle.dispose();
+  if (!result) {
+    return null;
+  }
+  const list = result.candidates.map(c => `${c.tag} "${c.text}" [ref=${c.ref}]`).join(', ');
+  throw new Error(
+    `Text "${text}" matches ${result.total} elements equally well: ${list}. ` +
+    `Pass the ref of the one you mean, or a more specific text or selector`
+  );
+}
+
+/**
+ * Select options of a native <select> element. Runs in the browser context.
+ * @param {Element} el - Target element
+ * @param {string} by - How to match options: value, label or index
+ * @param {Array<string|number>} wanted - Values, labels or indexes to select
+ * @returns {{native: boolean, selected?: Array<{value: string, label: string, index: number}>, error?: string}}
+ *   native is false when the element is not a <select>
+ */
+export function selectNativeOptions(el, by, wanted) {
+  if (el.tagName !== 'SELECT') return { native: false };
+
+  const normalize = (s) => String(s).replace(/\s+/g, ' ').trim();
+  const labelOf = (opt) => normalize(opt.label || opt.textContent || '');
+  const options = Array.from(el.options);
+  const available = options.slice(0, 20).map(labelOf).join(', ');
+
+  const matches = [];
+  for (const item of wanted) {
+    let match;
+    if (by === 'index') {
+      match = options[item];
+    } else if (by === 'value') {
+      match = options.find(opt => opt.value === String(item));
+    } else {
+      const target = normalize(item);
+      match = options.find(opt => labelOf(opt) === target) ||
+        options.find(opt => labelOf(opt).toLowerCase() === target.toLowerCase());
+    }
+    if (!match) {
+      return { native: true, error: `No option with ${by} ${JSON.stringify(item)}. Available options: ${available}` };
+    }
+    if (match.disabled) {
+      return { native: true, error: `Option ${JSON.stringify(labelOf(match))} is disabled` };
+    }
+    matches.push(match);
+  }
+
+  if (el.disabled) {
+    return { native: true, error: 'Select element is disabled' };
+  }
+  if (matches.length > 1 && !el.multiple) {
+    return { native: true, error: 'Select element does not allow multiple selection' };
+  }
+
+  for (const opt of options) {
+    opt.selected = matches.includes(opt);
+  }
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+
+  const selected = options
+    .filter(opt => opt.selected)
+    .map(opt => ({ value: opt.value, label: labelOf(opt), index: opt.index }));
+  return { native: true, selected };
+}
@@ -0,0 +1,267 @@
+/**
+ * PDF text extraction for MCPBrowser
+ * Chrome shows PDFs in its built-in viewer, whose DOM is only an <embed> wrapper. This module
+ * keeps the document bytes from the navigation response itself (so one-time, signed and POST
+ * result URLs work) and extracts the text of each page with pdf.js. Password-protected PDFs and
+ * image-only pages yield no text.
+ */
+
+import zlib from "zlib";
+
+/**
+ * @typedef {Object} PdfDocument
+ * @property {string|null} title - Title from the document info, null if not set
+ * @property {string|null} author - Author from the document info, null if not set
+ * @property {number} pageCount - Number of pages
+ * @property {string[]} pages - Extracted text of each page
+ */
+
+// pdf.js prints warnings with console.log, which is the MCP transport. Importing it at startup
+// would print its Node.js setup warnings (no canvas for DOMMatrix/Path2D) there, so it is loaded
+// on first use; getDocument() lowers its verbosity to errors before those warnings are due.
+let pdfjs = null;
+
+// Largest PDF read into memory
+export const MAX_PDF_BYTES = 25 * 1024 * 1024;
+
+// Largest total size the compressed streams of a PDF may expand to; guards against zip bombs
+export const MAX_INFLATED_PDF_BYTES = 8 * MAX_PDF_BYTES;
+
+/**
+ * Make sure the Flate streams of a PDF don't decompress to more than MAX_INFLATED_PDF_BYTES.
+ * pdf.js inflates streams without a limit, so a small file could otherwise expand to gigabytes.
+ * Every stream is tried; data that isn't zlib-compressed (images, plain content) fails at once.
+ * @param {Buffer} bytes - The PDF file
+ * @throws {Error} If the streams expand to more than the limit
+ */
+function checkInflatedSize(bytes) {
+  const src = bytes.toString("latin1");
+  const streamStart = /stream\r?\n/g;
+  let budget = MAX_INFLATED_PDF_BYTES;
+
+  for (let match; (match = streamStart.exec(src));) {
+    const start = match.index + match[0].length;
+    const end = src.indexOf("endstream", start);
+    if (end === -1) break;
+    streamStart.lastIndex = end + "endstream".length;
+
+    let inflated;
+    try {
+      inflated = zlib.inflateSync(bytes.subarray(start, end), {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+        maxOutputLength: budget + 1
+      });
+    } catch (err) {
+      if (err.code === "ERR_BUFFER_TOO_LARGE") budget = -1;
+      else continue;
+    }
+    budget -= inflated?.length ?? 0;
+    if (budget < 0) {
+      throw new Error(`PDF streams decompress to more than ${MAX_INFLATED_PDF_BYTES} bytes`);
+    }
+  }
+}
+
+/**
+ * Tidy extracted text: trim lines, collapse runs of spaces and blank lines
+ * @param {string} text - Raw extracted text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text
+    .split("\n")
+    .map(line => line.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Join the text items of a page into lines
+ * @param {Object[]} items - pdf.js text content items
+ * @returns {string} Page text
+ */
+function joinTextItems(items) {
+  let text = "";
+  let lastY = null;
+  for (const item of items) {
+    if (!("str" in item)) continue; // Marked content boundaries
+    // pdf.js doesn't always flag a line end, e.g. when text continues in a form XObject
+    const y = item.transform[5];
+    if (item.str && lastY !== null && Math.abs(y - lastY) > 1 && !text.endsWith("\n")) text += "\n";
+    text += item.str + (item.hasEOL ? "\n" : "");
+    if (item.str) lastY = y;
+  }
+  return normalizeText(text);
+}
+
+/**
+ * Open a PDF file with pdf.js
+ * @param {Uint8Array} bytes - The PDF file
+ * @returns {Promise<Object>} The pdf.js loading task, whose promise resolves to the document
+ * @throws {Error} If the data is not a PDF or decompresses to too much data
+ */
+async function openPdf(bytes) {
+  const buffer = Buffer.from(bytes);
+  if (!buffer.subarray(0, 1024).toString("latin1").includes("%PDF-")) {
+    throw new Error("Not a PDF document");
+  }
+  checkInflatedSize(buffer);
+
+  pdfjs ??= import("pdfjs-dist/legacy/build/pdf.mjs");
+  const { getDocument, VerbosityLevel } = await pdfjs;
+  // Only errors are reported; see pdfjs above
+  const task = getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: VerbosityLevel.ERRORS
+  });
+  try {
+    return { task, document: await task.promise };
+  } catch (err) {
+    await task.destroy();
+    if (err.name === "PasswordException") {
+      throw new Error("Password-protected PDFs are not supported");
+    }
+    throw err;
+  }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Extract metadata and the text of each page from a PDF file
+ * @param {Uint8Array} bytes - The PDF file
+ * @returns {Promise<PdfDocument>} Title, author, page count and text per page
+ * @throws {Error} If the data is not a PDF or the PDF needs a password
+ */
+export async function extractPdfText(bytes) {
+  const { task, document } = await openPdf(bytes);
+  try {
+    const { info } = await document.getMetadata().catch(() => ({ info: {} }));
+
+    const pages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      try {
+        const page = await document.getPage(number);
+        const { items } = await page.getTextContent();
+        pages.push(joinTextItems(items));
+      } catch {
+        pages.push("");
+      }
+    }
+
+    return {
+      title: info?.Title?.trim() || null,
+      author: info?.Author?.trim() || null,
+      pageCount: document.numPages,
+      pages
+    };
+  } finally {
+    await task.destroy();
+  }
+}
+
+/**
+ * Count the pages of a PDF file without extracting text
+ * @param {Uint8Array} bytes - The PDF file
+ * @returns {Promise<number>} Number of pages
+ * @throws {Error} If the data is not a PDF
+ */
+export async function countPdfPages(bytes) {
+  const { task, document } = await openPdf(bytes);
+  try {
+    return document.numPages;
+  } finally {
+    await task.destroy();
+  }
+}
+
+/**
+ * Join the pages of a document into one text with a marker before each page
+ * @param {PdfDocument} document - Extracted document
+ * @returns {string} Text with "--- Page N ---" markers
+ */
+export function formatPdfText(document) {
+  return document.pages.map((text, i) => `--- Page ${i + 1} ---\n${text}`).join("\n\n");
+}
+
+/**
+ * Check whether a tab shows a PDF in Chrome's viewer
+ * @param {Page} page - The Puppeteer page instance
+ * @returns {Promise<boolean>} True if the document is a PDF
+ */
+export async function isPdfPage(page) {
+  try {
+    return await page.evaluate(() => document.contentType === "application/pdf");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Keep the bytes of the PDF documents a tab navigates to, taken from the navigation response.
+ * Chrome hands PDF responses to its viewer without keeping the body for Network.getResponseBody,
+ * so document responses are paused at the response stage and PDFs are read before they continue.
+ * Call stop() once the navigation is done; the capture is meant to run for one fetch_webpage call.
+ * @param {Page} page - The Puppeteer page instance
+ * @param {number} [maxBytes=MAX_PDF_BYTES] - Largest file to keep
+ * @returns {Promise<{getPdfBytes: (url: string) => Buffer, stop: () => Promise<void>}>}
+ *   getPdfBytes throws if the PDF at url was not captured or is too large
+ */
+export async function capturePdfResponses(page, maxBytes = MAX_PDF_BYTES) {
+  // url -> { bytes } or { error }
+  const captured = new Map();
+  let session = null;
+
+  const onRequestPaused = async ({ requestId, request, responseStatusCode, responseHeaders = [] }) => {
+    try {
+      const header = (name) => responseHeaders.find(h => h.name.toLowerCase() === name)?.value ?? "";
+      if (responseStatusCode !== 200 || !header("content-type").toLowerCase().startsWith("application/pdf")) return;
+      // Attachments become downloads, which are saved to disk instead
+      if (/^\s*attachment/i.test(header("content-disposition"))) return;
+
+      if (Number(header("content-length")) > maxBytes) {
+        captured.set(request.url, { error: `PDF is ${header("content-length")} bytes, larger than the ${maxBytes} byte limit` });
+        return;
+      }
+      const { body, base64Encoded } = await session.send("Fetch.getResponseBody", { requestId });
+      const bytes = Buffer.from(body, base64Encoded ? "base64" : "utf8");
+      captured.set(request.url, bytes.length > maxBytes
+        ? { error: `PDF is ${bytes.length} bytes, larger than the ${maxBytes} byte limit` }
+        : { bytes });
+    } catch (err) {
+      captured.set(request.url, { error: `Could not read the PDF response: ${err.message}` });
+    } finally {
+      session.send("Fetch.continueRequest", { requestId }).catch(() => {});
+    }
+  };
+
+  try {
+    session = await page.createCDPSession();
+    session.on("Fetch.requestPaused", onRequestPaused);
+    await session.send("Fetch.enable", { patterns: [{ urlPattern: "*", resourceType: "Document", requestStage: "Response" }] });
+  } catch (err) {
+    console.error(`[MCPBrowser] Warning: Could not capture PDF responses: ${err.message}`);
+  }
+
+  return {
+    getPdfBytes(url) {
+      const entry = captured.get(url);
+      if (!entry) {
+        throw new Error("The PDF was not part of this navigation's response, fetch the URL again to read it");
+      }
+      if (entry.error) {
+        throw new Error(entry.error);
+      }
+      return entry.bytes;
+    },
+    async stop() {
+      // Detaching disables Fetch and resumes anything still paused
+      await session?.detach().catch(() => {});
+    }
+  };
+}
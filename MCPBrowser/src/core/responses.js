@@ -47,6 +47,7 @@ export class MCPResponse {
    * - Success responses have structuredContent (validated against outputSchema)
    * - Error responses have text content only, no structuredContent
    * - isError flag indicates success/error at protocol level
+   * - Non-text content blocks (e.g. images) follow the text summary
    * @returns {Object} MCP-compliant response with content, isError, and optionally structuredContent
    */
   toMcpFormat() {
@@ -55,7 +56,8 @@ export class MCPResponse {
         {
           type: "text",
           text: this.getTextSummary()
-        }
+        },
+        ...this._getAdditionalContent()
       ],
       isError: false,
       structuredContent: this.toJSON()
@@ -79,6 +81,16 @@ export class MCPResponse {
   _getAdditionalFields() {
     return {};
   }
+
+  /**
+   * Override this in subclasses to add non-text content blocks
+   * (e.g. { type: "image", data, mimeType }) after the text summary
+   * @protected
+   * @returns {Object[]}
+   */
+  _getAdditionalContent() {
+    return [];
+  }
 }
 
 /**
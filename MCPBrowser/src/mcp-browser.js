@@ -21,6 +21,28 @@ import { clickElement, CLICK_ELEMENT_TOOL } from './actions/click-element.js';
 import { typeText, TYPE_TEXT_TOOL } from './actions/type-text.js';
 import { closeTab, CLOSE_TAB_TOOL } from './actions/close-tab.js';
 import { getCurrentHtml, GET_CURRENT_HTML_TOOL } from './actions/get-current-html.js';
+import { getInteractiveElements, GET_INTERACTIVE_ELEMENTS_TOOL } from './actions/get-interactive-elements.js';
+import { waitForElement, WAIT_FOR_ELEMENT_TOOL } from './actions/wait-for-element.js';
+import { takeScreenshot, TAKE_SCREENSHOT_TOOL } from './actions/take-screenshot.js';
+import { snapshotPage, SNAPSHOT_PAGE_TOOL } from './actions/snapshot-page.js';
+import { selectOption, SELECT_OPTION_TOOL } from './actions/select-option.js';
+import { pressKey, PRESS_KEY_TOOL } from './actions/press-key.js';
+import { scrollPage, SCROLL_PAGE_TOOL } from './actions/scroll-page.js';
+import { hoverElement, HOVER_ELEMENT_TOOL } from './actions/hover-element.js';
+import { uploadFile, UPLOAD_FILE_TOOL } from './actions/upload-file.js';
+import { listDownloads, LIST_DOWNLOADS_TOOL } from './actions/list-downloads.js';
+import { getDownload, GET_DOWNLOAD_TOOL } from './actions/get-download.js';
+import { evaluateScript, EVALUATE_SCRIPT_TOOL } from './actions/evaluate-script.js';
+import { navigateHistory, NAVIGATE_HISTORY_TOOL } from './actions/navigate-history.js';
+import { listTabs, LIST_TABS_TOOL } from './actions/list-tabs.js';
+import { fillForm, FILL_FORM_TOOL } from './actions/fill-form.js';
+import { extractTables, EXTRACT_TABLES_TOOL } from './actions/extract-tables.js';
+import { extractLinks, EXTRACT_LINKS_TOOL } from './actions/extract-links.js';
+import { saveAsPdf, SAVE_AS_PDF_TOOL } from './actions/save-as-pdf.js';
+import { getNetworkLog, GET_NETWORK_LOG_TOOL } from './actions/get-network-log.js';
+import { getConsoleLogs, GET_CONSOLE_LOGS_TOOL } from './actions/get-console-logs.js';
+import { manageCookies, MANAGE_COOKIES_TOOL } from './actions/manage-cookies.js';
+import { manageStorage, MANAGE_STORAGE_TOOL } from './actions/manage-storage.js';
 
 // Import functions for testing exports
 import { getBrowser, closeBrowser } from './core/browser.js';
@@ -49,7 +71,29 @@ async function main() {
     CLICK_ELEMENT_TOOL,
     TYPE_TEXT_TOOL,
     CLOSE_TAB_TOOL,
-    GET_CURRENT_HTML_TOOL
+    GET_CURRENT_HTML_TOOL,
+    GET_INTERACTIVE_ELEMENTS_TOOL,
+    WAIT_FOR_ELEMENT_TOOL,
+    TAKE_SCREENSHOT_TOOL,
+    SNAPSHOT_PAGE_TOOL,
+    SELECT_OPTION_TOOL,
+    PRESS_KEY_TOOL,
+    SCROLL_PAGE_TOOL,
+    HOVER_ELEMENT_TOOL,
+    UPLOAD_FILE_TOOL,
+    LIST_DOWNLOADS_TOOL,
+    GET_DOWNLOAD_TOOL,
+    EVALUATE_SCRIPT_TOOL,
+    NAVIGATE_HISTORY_TOOL,
+    LIST_TABS_TOOL,
+    FILL_FORM_TOOL,
+    EXTRACT_TABLES_TOOL,
+    EXTRACT_LINKS_TOOL,
+    SAVE_AS_PDF_TOOL,
+    GET_NETWORK_LOG_TOOL,
+    GET_CONSOLE_LOGS_TOOL,
+    MANAGE_COOKIES_TOOL,
+    MANAGE_STORAGE_TOOL
   ];
 
   server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
@@ -81,6 +125,94 @@ async function main() {
         result = await getCurrentHtml(safeArgs);
         break;
         
+      case "get_interactive_elements":
+        result = await getInteractiveElements(safeArgs);
+        break;
+        
+      case "wait_for_element":
+        result = await waitForElement(safeArgs);
+        break;
+        
+      case "take_screenshot":
+        result = await takeScreenshot(safeArgs);
+        break;
+        
+      case "snapshot_page":
+        result = await snapshotPage(safeArgs);
+        break;
+        
+      case "select_option":
+        result = await selectOption(safeArgs);
+        break;
+        
+      case "press_key":
+        result = await pressKey(safeArgs);
+        break;
+        
+      case "scroll_page":
+        result = await scrollPage(safeArgs);
+        break;
+        
+      case "hover_element":
+        result = await hoverElement(safeArgs);
+        break;
+        
+      case "upload_file":
+        result = await uploadFile(safeArgs);
+        break;
+        
+      case "list_downloads":
+        result = await listDownloads(safeArgs);
+        break;
+        
+      case "get_download":
+        result = await getDownload(safeArgs);
+        break;
+        
+      case "evaluate_script":
+        result = await evaluateScript(safeArgs);
+        break;
+        
+      case "navigate_history":
+        result = await navigateHistory(safeArgs);
+        break;
+        
+      case "list_tabs":
+        result = await listTabs(safeArgs);
+        break;
+        
+      case "fill_form":
+        result = await fillForm(safeArgs);
+        break;
+        
+      case "extract_tables":
+        result = await extractTables(safeArgs);
+        break;
+        
+      case "extract_links":
+        result = await extractLinks(safeArgs);
+        break;
+        
+      case "save_as_pdf":
+        result = await saveAsPdf(safeArgs);
+        break;
+        
+      case "get_network_log":
+        result = await getNetworkLog(safeArgs);
+        break;
+        
+      case "get_console_logs":
+        result = await getConsoleLogs(safeArgs);
+        break;
+        
+      case "manage_cookies":
+        result = await manageCookies(safeArgs);
+        break;
+        
+      case "manage_storage":
+        result = await manageStorage(safeArgs);
+        break;
+        
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
@@ -113,7 +245,29 @@ export {
   clickElement,
   typeText,
   closeTab,
-  getCurrentHtml
+  getCurrentHtml,
+  getInteractiveElements,
+  waitForElement,
+  takeScreenshot,
+  snapshotPage,
+  selectOption,
+  pressKey,
+  scrollPage,
+  hoverElement,
+  uploadFile,
+  listDownloads,
+  getDownload,
+  evaluateScript,
+  navigateHistory,
+  listTabs,
+  fillForm,
+  extractTables,
+  extractLinks,
+  saveAsPdf,
+  getNetworkLog,
+  getConsoleLogs,
+  manageCookies,
+  manageStorage
 };
 
 // Run the MCP server only if this is the main module (not imported for testing)
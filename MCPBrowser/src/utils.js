@@ -2,6 +2,8 @@
  * Utility functions for MCPBrowser
  */
 
+import path from "path";
+
 /**
  * Truncate a string to a maximum length, adding "... [truncated]" if truncated.
  * @param {string} str - The string to truncate
@@ -76,3 +78,85 @@ export function isLikelyAuthUrl(url) {
   
   return hasAuthPath || hasAuthSubdomain;
 }
+
+/**
+ * Read pixel dimensions from a PNG or JPEG image header
+ * @param {Uint8Array} bytes - The encoded image
+ * @returns {{width: number, height: number}|null} Dimensions, or null if the format is not recognized
+ */
+export function getImageDimensions(bytes) {
+  const buffer = Buffer.from(bytes);
+  
+  // PNG: 8-byte signature, then IHDR chunk with width/height as big-endian uint32
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  
+  // JPEG: walk markers until a start-of-frame (SOFn) segment
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a path is inside a directory (or is the directory itself).
+ * Both paths should already be resolved (absolute, symlinks followed) by the caller.
+ * @param {string} parentDir - The directory that must contain the path
+ * @param {string} targetPath - The path to check
+ * @returns {boolean} True if targetPath is parentDir or inside it
+ */
+export function isPathInside(parentDir, targetPath) {
+  const relative = path.relative(parentDir, targetPath);
+  if (relative === '') return true;
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * Check whether a hostname matches a domain allowlist.
+ * An entry matches the domain itself and its subdomains ("example.com" matches "app.example.com");
+ * "*" matches every hostname.
+ * @param {string} hostname - The hostname to check
+ * @param {string[]} allowlist - Allowed domains
+ * @returns {boolean} True if the hostname is allowed
+ */
+export function isDomainAllowed(hostname, allowlist) {
+  const host = hostname.toLowerCase();
+  return allowlist.some(entry => {
+    const domain = entry.trim().toLowerCase().replace(/^\*\./, '');
+    if (!domain) return false;
+    return domain === '*' || host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Render rows as CSV (RFC 4180 quoting: fields with commas, quotes or line breaks are quoted).
+ * @param {string[][]} rows - Rows of cell values, header row included
+ * @returns {string} CSV text, one line per row
+ */
+export function formatCsv(rows) {
+  const quote = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  return rows.map(row => row.map(cell => quote(String(cell ?? ''))).join(',')).join('\n');
+}
+
+/**
+ * Render a header and rows as a markdown pipe table.
+ * @param {string[]} headers - Column names
+ * @param {string[][]} rows - Body rows, one value per column
+ * @returns {string} Markdown table
+ */
+export function formatMarkdownTable(headers, rows) {
+  const escape = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const line = (cells) => `| ${cells.map(escape).join(' | ')} |`;
+  return [line(headers), line(headers.map(() => '---')), ...rows.map(line)].join('\n');
+}
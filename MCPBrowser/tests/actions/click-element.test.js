@@ -6,6 +6,7 @@
 import assert from 'assert';
 import { clickElement, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
 import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
 
 console.log('🧪 Testing clickElement action\n');
 
@@ -67,6 +68,87 @@ await test('Should return error if page not loaded', async () => {
   assert.match(result.message, /No open page found/);
 });
 
+await test('Should reject an invalid dialogAction', async () => {
+  try {
+    await clickElement({ url: testUrl, selector: 'a', dialogAction: 'ok' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid dialogAction: ok/);
+  }
+});
+
+await test('Should answer dialogs raised by the click and report them', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get('example.com');
+  await page.evaluate(() => {
+    const button = document.createElement('button');
+    button.id = 'mcpbrowser-dialog-test';
+    button.textContent = 'Delete';
+    button.onclick = () => {
+      const name = prompt('Your name?', 'Guest');
+      button.dataset.result = `${confirm('Delete 3 items?')}:${name}`;
+    };
+    document.body.appendChild(button);
+  });
+
+  const result = await clickElement({ url: testUrl, selector: '#mcpbrowser-dialog-test', promptText: 'Jane', returnHtml: false, postClickWait: 0 });
+  assert.strictEqual(result instanceof ErrorResponse, false, `Should succeed: ${result.message}`);
+  assert.deepStrictEqual(result.dialogs.map(d => `${d.type}:${d.action}`), ['prompt:accept', 'confirm:dismiss']);
+  assert.strictEqual(result.dialogs[0].promptText, 'Jane');
+  assert.strictEqual(result.dialogs[1].message, 'Delete 3 items?');
+  assert.match(result.message, /Dismissed confirm dialog "Delete 3 items\?"/);
+
+  const outcome = await page.$eval('#mcpbrowser-dialog-test', el => el.dataset.result);
+  assert.strictEqual(outcome, 'false:Jane');
+});
+
+await test('Should prefer exact and accessible-name matches when clicking by text', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get('example.com');
+  await page.evaluate(() => {
+    const box = document.createElement('div');
+    box.id = 'mcpbrowser-text-test';
+    box.innerHTML = '<p>Save your changes before leaving</p>' +
+      '<button id="save-draft">Save draft</button>' +
+      '<button id="save">Save</button>' +
+      '<button id="close" aria-label="Close dialog">×</button>';
+    for (const button of box.querySelectorAll('button')) {
+      button.onclick = () => { box.dataset.clicked = button.id; };
+    }
+    document.body.appendChild(box);
+  });
+
+  let result = await clickElement({ url: testUrl, text: 'Save', returnHtml: false, postClickWait: 0 });
+  assert.strictEqual(result instanceof ErrorResponse, false, `Should succeed: ${result.message}`);
+  assert.strictEqual(await page.$eval('#mcpbrowser-text-test', el => el.dataset.clicked), 'save');
+
+  result = await clickElement({ url: testUrl, text: 'close dialog', returnHtml: false, postClickWait: 0 });
+  assert.strictEqual(result instanceof ErrorResponse, false, `Should succeed: ${result.message}`);
+  assert.strictEqual(await page.$eval('#mcpbrowser-text-test', el => el.dataset.clicked), 'close');
+});
+
+await test('Should list candidates with refs when the text is ambiguous', async () => {
+  const page = domainPages.get('example.com');
+  await page.evaluate(() => {
+    const box = document.createElement('div');
+    box.innerHTML = '<button>Delete</button><button>Delete</button>';
+    document.body.appendChild(box);
+  });
+
+  const result = await clickElement({ url: testUrl, text: 'Delete', returnHtml: false, postClickWait: 0, waitForElementTimeout: 2000 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /matches 2 elements equally well/);
+  const refs = [...result.message.matchAll(/\[ref=(e\d+)\]/g)].map(m => m[1]);
+  assert.strictEqual(refs.length, 2);
+
+  const byRef = await clickElement({ url: testUrl, ref: refs[1], returnHtml: false, postClickWait: 0 });
+  assert.strictEqual(byRef instanceof ErrorResponse, false, `Should click by ref: ${byRef.message}`);
+});
+
 // ============================================================================
 // Cleanup and Summary
 // ============================================================================
@@ -329,6 +329,46 @@ async function testCloseAfterRedirect() {
   }
 }
 
+/**
+ * Test: Close an extra tab by tab ID, keeping the hostname's default tab
+ */
+async function testCloseByTabId() {
+  console.log('\n=== Test: Close an extra tab by tab ID ===');
+  
+  try {
+    const first = await fetchPage({ url: 'https://example.com', removeUnnecessaryHTML: false });
+    const second = await fetchPage({ url: 'https://example.com/?view=second', removeUnnecessaryHTML: false, newTab: true });
+    
+    if (first instanceof ErrorResponse || second instanceof ErrorResponse) {
+      throw new Error('Failed to load pages');
+    }
+    
+    const defaultPage = domainPages.get('example.com');
+    const closeResult = await closeTab({ url: 'https://example.com', tabId: second.tabId });
+    
+    if (closeResult instanceof ErrorResponse) {
+      throw new Error(`Close failed: ${closeResult.message}`);
+    }
+    
+    console.log(`✓ Closed tab: ${second.tabId}`);
+    
+    // The default tab for the hostname stays open
+    if (domainPages.get('example.com') !== defaultPage || defaultPage.isClosed()) {
+      throw new Error('Default tab should stay open');
+    }
+    
+    console.log('✓ Default tab still open');
+    
+    await closeTab({ url: 'https://example.com' });
+    console.log('✅ Test passed: Close by tab ID');
+    return true;
+    
+  } catch (error) {
+    console.error(`❌ Test failed: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Run all tests
  */
@@ -344,6 +384,7 @@ async function runAllTests() {
   results.push(await testDomainExtraction());
   results.push(await testFreshSessionAfterClose());
   results.push(await testCloseAfterRedirect());
+  results.push(await testCloseByTabId());
   
   const passed = results.filter(r => r).length;
   const total = results.length;
@@ -0,0 +1,166 @@
+/**
+ * Tests for evaluateScript action
+ */
+
+import assert from 'assert';
+import { evaluateScript, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing evaluateScript action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// evaluateScript Tests
+// ============================================================================
+
+console.log('\n📋 Testing evaluateScript()');
+
+// Enable evaluate_script for the test domain only
+process.env.MCPBROWSER_ENABLE_EVALUATE = 'true';
+process.env.MCPBROWSER_EVALUATE_DOMAINS = 'example.com';
+
+await test('Should require url parameter', async () => {
+  try {
+    await evaluateScript({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should require script parameter', async () => {
+  try {
+    await evaluateScript({ url: testUrl });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /script parameter is required/);
+  }
+});
+
+await test('Should be disabled unless enabled in the environment', async () => {
+  process.env.MCPBROWSER_ENABLE_EVALUATE = '';
+  try {
+    const result = await evaluateScript({ url: testUrl, script: 'document.title' });
+    assert.strictEqual(result instanceof ErrorResponse, true);
+    assert.match(result.message, /evaluate_script is disabled/);
+  } finally {
+    process.env.MCPBROWSER_ENABLE_EVALUATE = 'true';
+  }
+});
+
+await test('Should reject domains that are not allowlisted', async () => {
+  const result = await evaluateScript({ url: 'https://not-allowed.test', script: 'document.title' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /not allowed on not-allowed\.test/);
+});
+
+await test('Should evaluate an expression', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const result = await evaluateScript({ url: testUrl, script: 'document.title' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should evaluate script');
+  assert.strictEqual(result.result.type, 'string');
+  assert.strictEqual(JSON.parse(result.result.json), 'Example Domain');
+  assert.strictEqual(result.exception, null);
+});
+
+await test('Should evaluate a function body and await promises', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    window.__INITIAL_STATE__ = { user: { name: 'Ada' }, items: new Set(['a', 'b']) };
+    window.__INITIAL_STATE__.self = window.__INITIAL_STATE__;
+  });
+
+  const result = await evaluateScript({
+    url: testUrl,
+    script: 'const state = await Promise.resolve(window.__INITIAL_STATE__);\nreturn state;'
+  });
+  assert.strictEqual(result.result.type, 'object');
+  assert.deepStrictEqual(JSON.parse(result.result.json), { user: { name: 'Ada' }, items: ['a', 'b'], self: '[Circular]' });
+});
+
+await test('Should report type info for DOM nodes and undefined', async () => {
+  const node = await evaluateScript({ url: testUrl, script: 'document.querySelector("h1")' });
+  assert.strictEqual(node.result.subtype, 'node');
+  assert.strictEqual(JSON.parse(node.result.json), '<h1>');
+
+  const missing = await evaluateScript({ url: testUrl, script: 'window.doesNotExist' });
+  assert.strictEqual(missing.result.type, 'undefined');
+  assert.strictEqual(missing.result.json, null);
+});
+
+await test('Should return exceptions with their line', async () => {
+  const result = await evaluateScript({ url: testUrl, script: 'const a = 1;\nnull.foo;' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Exceptions are part of the result');
+  assert.strictEqual(result.result, null);
+  assert.match(result.exception.message, /TypeError/);
+  assert.strictEqual(result.exception.lineNumber, 2);
+});
+
+await test('Should time out scripts that never finish', async () => {
+  const result = await evaluateScript({ url: testUrl, script: 'new Promise(() => {})', timeout: 500 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /did not finish within 500ms/);
+});
+
+await test('Should answer dialogs raised by the script and report them', async () => {
+  const result = await evaluateScript({ url: testUrl, script: 'return confirm("Proceed?");', dialogAction: 'accept' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, `Should evaluate script: ${result.message}`);
+  assert.strictEqual(JSON.parse(result.result.json), true);
+  assert.deepStrictEqual(result.dialogs.map(d => `${d.type}:${d.action}`), ['confirm:accept']);
+  assert.match(result.getTextSummary(), /Accepted confirm dialog "Proceed\?"/);
+});
+
+await test('Should stop scripts that loop forever', async () => {
+  const result = await evaluateScript({ url: testUrl, script: 'while (true) {}', timeout: 500 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /did not finish within 500ms/);
+
+  const next = await evaluateScript({ url: testUrl, script: 'document.title', timeout: 2000 });
+  assert.strictEqual(JSON.parse(next.result.json), 'Example Domain', 'The page should respond again');
+});
+
+await test('Should truncate long results', async () => {
+  const result = await evaluateScript({ url: testUrl, script: '"x".repeat(100)', maxResultLength: 10 });
+  assert.strictEqual(result.result.truncated, true);
+  assert.strictEqual(result.result.json.length, 10);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
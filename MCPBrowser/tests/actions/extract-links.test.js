@@ -0,0 +1,137 @@
+/**
+ * Tests for extractLinks action
+ */
+
+import assert from 'assert';
+import { extractLinks, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing extractLinks action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// extractLinks Tests
+// ============================================================================
+
+console.log('\n📋 Testing extractLinks()');
+
+/**
+ * Replace the example.com body with test links
+ */
+async function loadLinks() {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.innerHTML = `
+      <header><nav><a href="/docs/">Docs</a><a href="/blog/">Blog</a></nav></header>
+      <main>
+        <a href="/docs/intro">Intro</a>
+        <a href="#top">Top</a>
+        <a href="https://www.iana.org/domains" rel="external">IANA</a>
+        <a href="/docs/">Docs again</a>
+        <a href="javascript:void(0)">Menu</a>
+      </main>
+      <footer><a href="/about">About</a></footer>`;
+  });
+  return page;
+}
+
+await test('Should require url parameter', async () => {
+  try {
+    await extractLinks({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject invalid include pattern', async () => {
+  try {
+    await extractLinks({ url: testUrl, include: '(' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid include pattern/);
+  }
+});
+
+await test('Should list absolute, deduplicated links with their region', async () => {
+  await loadLinks();
+
+  const result = await extractLinks({ url: testUrl });
+
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should extract links');
+  assert.strictEqual(result.totalLinks, 8);
+  assert.deepStrictEqual(result.links.map(link => link.href), [
+    'https://example.com/docs/',
+    'https://example.com/blog/',
+    'https://example.com/docs/intro',
+    'https://www.iana.org/domains',
+    'https://example.com/about'
+  ]);
+  assert.deepStrictEqual(result.links.map(link => link.location), ['nav', 'nav', 'main', 'main', 'footer']);
+  assert.strictEqual(result.links[3].rel, 'external');
+  assert.strictEqual(result.links[3].text, 'IANA');
+});
+
+await test('Should filter by origin, patterns and region', async () => {
+  await loadLinks();
+
+  const sameOrigin = await extractLinks({ url: testUrl, sameOrigin: true, include: '/docs/', dedupe: false });
+  assert.deepStrictEqual(sameOrigin.links.map(link => link.text), ['Docs', 'Intro', 'Docs again']);
+
+  const excluded = await extractLinks({ url: testUrl, exclude: 'blog|about', locations: ['nav', 'footer'] });
+  assert.deepStrictEqual(excluded.links.map(link => link.text), ['Docs']);
+
+  const withFragments = await extractLinks({ url: testUrl, selector: 'main', includeFragments: true, maxLinks: 2 });
+  assert.deepStrictEqual(withFragments.links.map(link => link.text), ['Intro', 'Top']);
+  assert.strictEqual(withFragments.truncated, true);
+});
+
+await test('Should return error when selector matches nothing', async () => {
+  await loadLinks();
+
+  const result = await extractLinks({ url: testUrl, selector: '#missing' });
+
+  assert.ok(result instanceof ErrorResponse, 'Should return ErrorResponse');
+  assert.match(result.message, /No element matches selector/);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
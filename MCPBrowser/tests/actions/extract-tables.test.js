@@ -0,0 +1,163 @@
+/**
+ * Tests for extractTables action
+ */
+
+import assert from 'assert';
+import { extractTables, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing extractTables action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// extractTables Tests
+// ============================================================================
+
+console.log('\n📋 Testing extractTables()');
+
+/**
+ * Replace the example.com body with test tables
+ */
+async function loadTables() {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.innerHTML = `
+      <table id="sales">
+        <caption>Sales report</caption>
+        <thead>
+          <tr><th rowspan="2">Region</th><th colspan="2">Q1</th></tr>
+          <tr><th>Revenue</th><th>Units</th></tr>
+        </thead>
+        <tbody>
+          <tr><td rowspan="2">North</td><td>100</td><td>2</td></tr>
+          <tr><td>300</td><td>4</td></tr>
+          <tr><td colspan="2">Total, all</td><td>6</td></tr>
+        </tbody>
+      </table>
+      <span id="people-label">People</span>
+      <div role="grid" aria-labelledby="people-label">
+        <div role="row"><span role="columnheader">Name</span><span role="columnheader">Age</span></div>
+        <div role="row"><span role="gridcell">Ann</span><span role="gridcell">41</span></div>
+        <div role="row"><span role="gridcell">Bob</span><span role="gridcell">35</span></div>
+      </div>`;
+  });
+  return page;
+}
+
+await test('Should require url parameter', async () => {
+  try {
+    await extractTables({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject unknown formats', async () => {
+  try {
+    await extractTables({ url: testUrl, formats: ['xlsx'] });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid formats/);
+  }
+});
+
+await test('Should extract native tables and ARIA grids with spans resolved', async () => {
+  await loadTables();
+
+  const result = await extractTables({ url: testUrl });
+
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should extract tables');
+  assert.strictEqual(result.tables.length, 2);
+
+  const [sales, people] = result.tables;
+  assert.strictEqual(sales.caption, 'Sales report');
+  assert.deepStrictEqual(sales.headers, ['Region', 'Q1 / Revenue', 'Q1 / Units']);
+  assert.deepStrictEqual(sales.rows, [
+    ['North', '100', '2'],
+    ['North', '300', '4'],
+    ['Total, all', '', '6']
+  ]);
+  assert.strictEqual(sales.csv, null);
+
+  assert.strictEqual(people.caption, 'People');
+  assert.deepStrictEqual(people.headers, ['Name', 'Age']);
+  assert.deepStrictEqual(people.rows, [['Ann', '41'], ['Bob', '35']]);
+});
+
+await test('Should scope to a selector, limit rows and render CSV and markdown', async () => {
+  await loadTables();
+
+  const result = await extractTables({ url: testUrl, selector: '#sales', maxRows: 1, formats: ['csv', 'markdown'] });
+
+  assert.strictEqual(result.tables.length, 1);
+  const [sales] = result.tables;
+  assert.strictEqual(sales.rowCount, 3);
+  assert.strictEqual(sales.truncated, true);
+  assert.strictEqual(sales.csv, 'Region,Q1 / Revenue,Q1 / Units\nNorth,100,2');
+  assert.ok(sales.markdown.startsWith('| Region | Q1 / Revenue | Q1 / Units |'), sales.markdown);
+});
+
+await test('Should skip empty tables when numbering and limiting tables', async () => {
+  const page = await loadTables();
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<table id="spacer" style="height: 10px"><tbody></tbody></table>');
+  });
+
+  const result = await extractTables({ url: testUrl, maxTables: 1 });
+
+  assert.strictEqual(result.tables.length, 1);
+  assert.strictEqual(result.tables[0].index, 1);
+  assert.strictEqual(result.tables[0].caption, 'Sales report');
+  assert.strictEqual(result.totalTables, 2);
+});
+
+await test('Should return error when selector matches nothing', async () => {
+  await loadTables();
+
+  const result = await extractTables({ url: testUrl, selector: '#missing' });
+
+  assert.ok(result instanceof ErrorResponse, 'Should return ErrorResponse');
+  assert.match(result.message, /No element matches selector/);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -223,6 +223,22 @@ await test('Should respect postLoadWait parameter (0ms, default, 2000ms)', async
   console.log(`   ✅ postLoadWait parameter working correctly`);
 });
 
+// ============================================================================
+await test('Should return PDF text page by page instead of the viewer HTML', async () => {
+  const url = 'https://www.w3.org/WAI/ER/tests/xhtml/testfiles/resources/pdf/dummy.pdf';
+
+  const result = await fetchPage({ url, postLoadWait: 0 });
+
+  assert.ok(!(result instanceof ErrorResponse), `Should fetch PDF: ${result.message}`);
+  assert.strictEqual(result.outputFormat, 'text');
+  assert.ok(result.pdf, 'Should return PDF info');
+  assert.strictEqual(result.pdf.pageCount, 1);
+  assert.ok(result.html.startsWith('--- Page 1 ---'), 'Should mark the first page');
+  assert.ok(result.html.includes('Dummy PDF file'), 'Should contain the document text');
+  assert.ok(!result.html.includes('<embed'), 'Should not return the viewer wrapper');
+  console.log(`   ✅ Extracted ${result.html.length} chars from ${result.pdf.pageCount} page(s)`);
+});
+
 // Summary
 // ============================================================================
 
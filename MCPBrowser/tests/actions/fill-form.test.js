@@ -0,0 +1,162 @@
+/**
+ * Tests for fillForm action
+ */
+
+import assert from 'assert';
+import { fillForm, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing fillForm action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// fillForm Tests
+// ============================================================================
+
+console.log('\n📋 Testing fillForm()');
+
+/**
+ * Replace the example.com body with a test form
+ */
+async function loadForm() {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.innerHTML = `
+      <form id="signup" action="/submitted" onsubmit="event.preventDefault(); document.title = 'Submitted'">
+        <label for="email">Email *</label><input id="email" name="email" required>
+        <label>Comments <textarea name="comments"></textarea></label>
+        <select name="country"><option value="">Choose</option><option value="ca">Canada</option><option value="us">United States</option></select>
+        <label><input type="checkbox" name="terms"> I accept the terms</label>
+        <fieldset><legend>Plan</legend>
+          <label><input type="radio" name="plan" value="free"> Free</label>
+          <label><input type="radio" name="plan" value="pro"> Pro</label>
+        </fieldset>
+        <button type="submit">Sign up</button>
+      </form>`;
+  });
+  return page;
+}
+
+await test('Should require fields parameter', async () => {
+  try {
+    await fillForm({ url: testUrl, fields: [] });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /fields parameter is required/);
+  }
+});
+
+await test('Should require exactly one way to address each field', async () => {
+  try {
+    await fillForm({ url: testUrl, fields: [{ selector: '#email', label: 'Email', value: 'x' }] });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /fields\[0\] must have exactly one of selector, label, name or ref/);
+  }
+});
+
+await test('Should fill text, select, checkbox and radio fields in one call', async () => {
+  const page = await loadForm();
+
+  const result = await fillForm({
+    url: testUrl,
+    fields: [
+      { label: 'Email', value: 'jane@example.com' },
+      { label: 'Comments', value: 'Line one' },
+      { name: 'country', value: 'Canada' },
+      { label: 'I accept the terms', value: true },
+      { label: 'Plan', value: 'Pro' }
+    ],
+    returnHtml: false
+  });
+
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should fill form');
+  assert.ok(result.fields.every(field => field.success), JSON.stringify(result.fields));
+  assert.deepStrictEqual(result.fields.map(field => field.type), ['text', 'textarea', 'select', 'checkbox', 'radio']);
+  assert.deepStrictEqual(result.fields.map(field => field.value), ['jane@example.com', 'Line one', 'ca', true, 'pro']);
+  assert.strictEqual(result.submitted, false);
+
+  const values = await page.evaluate(() => ({
+    email: document.querySelector('#email').value,
+    terms: document.querySelector('[name=terms]').checked,
+    plan: document.querySelector('[name=plan]:checked').value
+  }));
+  assert.deepStrictEqual(values, { email: 'jane@example.com', terms: true, plan: 'pro' });
+});
+
+await test('Should report failed fields and not submit', async () => {
+  await loadForm();
+
+  const result = await fillForm({
+    url: testUrl,
+    fields: [
+      { label: 'Email', value: 'jane@example.com' },
+      { name: 'missing', value: 'x' },
+      { name: 'country', value: 'Mars' }
+    ],
+    submit: true,
+    waitForElementTimeout: 500,
+    returnHtml: false
+  });
+
+  assert.strictEqual(result.fields[0].success, true);
+  assert.strictEqual(result.fields[1].error, 'Field not found');
+  assert.match(result.fields[2].error, /No option/);
+  assert.strictEqual(result.submitted, false);
+  assert.match(result.submitError, /2 field\(s\) failed/);
+});
+
+await test('Should submit the form after filling', async () => {
+  const page = await loadForm();
+
+  const result = await fillForm({
+    url: testUrl,
+    fields: [{ selector: '#email', value: 'jane@example.com' }],
+    submit: true,
+    returnHtml: false
+  });
+
+  assert.strictEqual(result.submitted, true, result.submitError);
+  assert.strictEqual(await page.title(), 'Submitted');
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,103 @@
+/**
+ * Tests for getConsoleLogs action
+ */
+
+import assert from 'assert';
+import { getConsoleLogs, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing getConsoleLogs action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// getConsoleLogs Tests
+// ============================================================================
+
+console.log('\n📋 Testing getConsoleLogs()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await getConsoleLogs({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject invalid level and since', async () => {
+  await assert.rejects(getConsoleLogs({ url: testUrl, level: 'fatal' }), /Invalid level/);
+  await assert.rejects(getConsoleLogs({ url: testUrl, since: 'last' }), /Invalid since/);
+});
+
+await test('Should return error for unloaded page', async () => {
+  domainPages.delete('example.com');
+  const result = await getConsoleLogs({ url: testUrl });
+  assert.ok(result instanceof ErrorResponse, 'Should return ErrorResponse');
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should list console messages and page errors after the cursor', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const before = await getConsoleLogs({ url: testUrl });
+  assert.strictEqual(before instanceof ErrorResponse, false, `Should succeed: ${before.message}`);
+
+  const page = domainPages.get('example.com');
+  await page.evaluate(() => {
+    console.log('mcpbrowser test log', { id: 7 });
+    console.warn('mcpbrowser test warning');
+    setTimeout(() => { throw new Error('mcpbrowser test exception'); }, 0);
+  });
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  const result = await getConsoleLogs({ url: testUrl, since: before.cursor });
+  assert.deepStrictEqual(result.messages.map(m => m.level), ['log', 'warning', 'error']);
+  assert.strictEqual(result.messages[0].text, 'mcpbrowser test log {id: 7}');
+  assert.strictEqual(result.messages[2].source, 'exception');
+  assert.match(result.messages[2].text, /Error: mcpbrowser test exception/);
+
+  const errors = await getConsoleLogs({ url: testUrl, since: before.cursor, level: 'warning' });
+  assert.strictEqual(errors.messages.length, 2, 'Should filter by minimum level');
+
+  const newer = await getConsoleLogs({ url: testUrl, since: result.cursor });
+  assert.strictEqual(newer.messages.length, 0, 'Should have nothing new after the last cursor');
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -93,6 +93,45 @@ await test('Should respect removeUnnecessaryHTML parameter', async () => {
     `Raw HTML (${rawLength}) should be longer than cleaned (${cleanedLength})`);
 });
 
+await test('Should return markdown when outputFormat is markdown', async () => {
+  await fetchPage({ url: testUrl });
+  
+  const result = await getCurrentHtml({ url: testUrl, outputFormat: 'markdown' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true);
+  assert.strictEqual(result.outputFormat, 'markdown');
+  assert.ok(result.html.startsWith('# Example Domain'), 'Should start with markdown heading');
+  assert.ok(!result.html.includes('<p>'), 'Should not contain HTML tags');
+});
+
+await test('Should reject unknown outputFormat', async () => {
+  try {
+    await getCurrentHtml({ url: testUrl, outputFormat: 'pdf' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid outputFormat/);
+  }
+});
+
+await test('Should read an extra tab opened with newTab by its tabId', async () => {
+  const first = await fetchPage({ url: testUrl });
+  const second = await fetchPage({ url: `${testUrl}/?view=second`, newTab: true });
+  assert.ok(first.tabId && second.tabId, 'fetch_webpage should return tab IDs');
+  assert.notStrictEqual(first.tabId, second.tabId, 'newTab should open a separate tab');
+
+  const byId = await getCurrentHtml({ url: testUrl, tabId: second.tabId });
+  assert.strictEqual(byId.currentUrl, 'https://example.com/?view=second');
+
+  // The hostname lookup keeps using the first tab
+  const byHostname = await getCurrentHtml({ url: testUrl });
+  assert.strictEqual(byHostname.currentUrl, 'https://example.com/');
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await getCurrentHtml({ url: testUrl, tabId: 'NOT-A-TAB' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
 // ============================================================================
 // Cleanup and Summary
 // ============================================================================
@@ -0,0 +1,98 @@
+/**
+ * Tests for getDownload action
+ */
+
+import assert from 'assert';
+import { getDownload, listDownloads, clickElement, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing getDownload action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// getDownload Tests
+// ============================================================================
+
+console.log('\n📋 Testing getDownload()');
+
+await test('Should require id parameter', async () => {
+  try {
+    await getDownload({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /id parameter is required/);
+  }
+});
+
+await test('Should return error for unknown download id', async () => {
+  const result = await getDownload({ id: 'no-such-download' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /Download not found/);
+});
+
+await test('Should capture a download started by click_element and return its content', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<a id="export" download="export.csv" href="data:text/csv,name%2Cqty%0Aapples%2C3%0A">Export CSV</a>');
+  });
+
+  const clickResult = await clickElement({ url: testUrl, selector: '#export', returnHtml: false });
+  assert.strictEqual(!(clickResult instanceof ErrorResponse), true, 'Should click export link');
+  assert.strictEqual(clickResult.downloads.length, 1, 'Click should report the download');
+
+  const result = await getDownload({ id: clickResult.downloads[0].id, waitForCompletion: 10000, includeContent: true });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should get download');
+  assert.strictEqual(result.download.state, 'completed');
+  assert.strictEqual(result.download.mimeType, 'text/csv');
+  assert.ok(result.download.path.endsWith('export.csv'), 'Should save under the suggested file name');
+  assert.strictEqual(result.content, 'name,qty\napples,3\n');
+  assert.strictEqual(result.truncated, false);
+});
+
+await test('Should truncate content at maxContentLength', async () => {
+  const [download] = (await listDownloads({ state: 'completed' })).downloads;
+  const result = await getDownload({ id: download.id, includeContent: true, maxContentLength: 4 });
+  assert.strictEqual(result.content, 'name');
+  assert.strictEqual(result.truncated, true);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,95 @@
+/**
+ * Tests for getInteractiveElements action
+ */
+
+import assert from 'assert';
+import { getInteractiveElements, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+
+console.log('🧪 Testing getInteractiveElements action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// getInteractiveElements Tests
+// ============================================================================
+
+console.log('\n📋 Testing getInteractiveElements()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await getInteractiveElements({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await getInteractiveElements({ url: 'https://never-loaded-domain-12345.com' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await getInteractiveElements({ url: 'https://never-loaded-domain-12345.com', tabId: 'NOT-A-TAB' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should list links with unique selectors', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const result = await getInteractiveElements({ url: testUrl });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should list elements successfully');
+  assert.ok(result.count > 0, 'Should find at least one element');
+
+  const link = result.elements.find(el => el.tag === 'a');
+  assert.ok(link, 'Should find a link on example.com');
+  assert.ok(link.href.startsWith('http'), 'Link href should be absolute');
+  assert.ok(link.selector, 'Link should have a selector');
+});
+
+await test('Should respect limit parameter', async () => {
+  const result = await getInteractiveElements({ url: testUrl, limit: 1 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true);
+  assert.ok(result.elements.length <= 1, 'Should return at most 1 element');
+  assert.ok(result.totalFound >= result.count, 'totalFound should not be less than count');
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
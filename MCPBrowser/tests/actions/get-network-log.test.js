@@ -0,0 +1,102 @@
+/**
+ * Tests for getNetworkLog action
+ */
+
+import assert from 'assert';
+import { getNetworkLog, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing getNetworkLog action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// getNetworkLog Tests
+// ============================================================================
+
+console.log('\n📋 Testing getNetworkLog()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await getNetworkLog({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject invalid status, types and urlPattern', async () => {
+  await assert.rejects(getNetworkLog({ url: testUrl, status: '4x' }), /Invalid status/);
+  await assert.rejects(getNetworkLog({ url: testUrl, types: ['ajax'] }), /Invalid types/);
+  await assert.rejects(getNetworkLog({ url: testUrl, urlPattern: '(' }), /Invalid urlPattern/);
+});
+
+await test('Should return error for unloaded page', async () => {
+  domainPages.delete('example.com');
+  const result = await getNetworkLog({ url: testUrl });
+  assert.ok(result instanceof ErrorResponse, 'Should return ErrorResponse');
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should record the document request of a fetched page', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const result = await getNetworkLog({ url: testUrl, types: ['document'], includeBodies: true, maxBodyLength: 200 });
+
+  assert.strictEqual(result instanceof ErrorResponse, false, `Should succeed: ${result.message}`);
+  const documentRequest = result.requests.find(r => r.url === 'https://example.com/');
+  assert.ok(documentRequest, 'Should list the page request');
+  assert.strictEqual(documentRequest.method, 'GET');
+  assert.strictEqual(documentRequest.state, 'finished');
+  assert.ok(typeof documentRequest.durationMs === 'number', 'Should have timing');
+  if (documentRequest.status === 200) {
+    assert.match(documentRequest.body, /<html/i, 'Should include the HTML body');
+  }
+});
+
+await test('Should clear the log after reading', async () => {
+  const result = await getNetworkLog({ url: testUrl, clear: true });
+  assert.ok(result.totalCaptured > 0, 'Should have recorded requests before clearing');
+
+  const lastId = Math.max(...result.requests.map(r => r.id));
+  const after = await getNetworkLog({ url: testUrl });
+  assert.ok(after.requests.every(r => r.id > lastId), 'Should only list requests made after clearing');
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
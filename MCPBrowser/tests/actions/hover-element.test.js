@@ -0,0 +1,114 @@
+/**
+ * Tests for hoverElement action
+ */
+
+import assert from 'assert';
+import { hoverElement, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing hoverElement action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// hoverElement Tests
+// ============================================================================
+
+console.log('\n📋 Testing hoverElement()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await hoverElement({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should require selector, text or ref parameter', async () => {
+  try {
+    await hoverElement({ url: testUrl });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Either selector or text parameter is required/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await hoverElement({ url: 'https://unloaded-domain-test.com', selector: 'nav' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await hoverElement({ url: 'https://unloaded-domain-test.com', tabId: 'NOT-A-TAB', selector: 'nav' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should reveal hover menu and return updated HTML', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<nav id="menu"><span id="trigger">Products</span></nav>');
+    document.getElementById('trigger').addEventListener('mouseenter', () => {
+      document.getElementById('menu').insertAdjacentHTML('beforeend', '<a id="pricing" href="/pricing">Pricing</a>');
+    }, { once: true });
+  });
+
+  const result = await hoverElement({ url: testUrl, text: 'Products' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should hover element');
+  assert.strictEqual(result.domChanged, true);
+  assert.match(result.html, /Pricing/);
+});
+
+await test('Should report no DOM change for static elements', async () => {
+  const result = await hoverElement({ url: testUrl, selector: 'h1', hoverWait: 300, returnHtml: false });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should hover element');
+  assert.strictEqual(result.domChanged, false);
+  assert.strictEqual(result.html, null);
+});
+
+await test('Should return error for missing element', async () => {
+  const result = await hoverElement({ url: testUrl, selector: '#does-not-exist', waitForElementTimeout: 500 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,89 @@
+/**
+ * Tests for listDownloads action
+ */
+
+import assert from 'assert';
+import { listDownloads, clickElement, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing listDownloads action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// listDownloads Tests
+// ============================================================================
+
+console.log('\n📋 Testing listDownloads()');
+
+await test('Should reject invalid state filter', async () => {
+  try {
+    await listDownloads({ state: 'paused' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid state/);
+  }
+});
+
+await test('Should list the session download directory', async () => {
+  const result = await listDownloads({});
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should list downloads');
+  assert.ok(result.downloadDir, 'Should report download directory');
+  assert.ok(Array.isArray(result.downloads), 'downloads should be an array');
+});
+
+await test('Should list downloads started by click_element, filtered by state', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<a id="notes" download="notes.txt" href="data:text/plain,hello">Download notes</a>');
+  });
+  const clickResult = await clickElement({ url: testUrl, selector: '#notes', returnHtml: false });
+  assert.strictEqual(clickResult.downloads.length, 1, 'Click should report the download');
+
+  const result = await listDownloads({ state: 'completed' });
+  const listed = result.downloads.find(d => d.id === clickResult.downloads[0].id);
+  assert.ok(listed, 'Download should be listed');
+  assert.strictEqual(listed.filename, 'notes.txt');
+  assert.strictEqual(listed.tabId, fetchResult.tabId, 'Should record the tab that started the download');
+  assert.ok(result.downloads.every(d => d.state === 'completed'), 'Should only list completed downloads');
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,87 @@
+/**
+ * Tests for listTabs action
+ */
+
+import assert from 'assert';
+import { listTabs, getCurrentHtml, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing listTabs action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// listTabs Tests
+// ============================================================================
+
+console.log('\n📋 Testing listTabs()');
+
+await test('Should list a tab opened by fetch_webpage as created', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const result = await listTabs();
+  const tab = result.tabs.find(t => t.hostname === 'example.com');
+  assert.ok(tab, 'Tab should be listed');
+  assert.strictEqual(tab.url, 'https://example.com/');
+  assert.match(tab.title, /Example Domain/);
+  assert.strictEqual(tab.origin, 'created');
+  assert.strictEqual(tab.closed, false);
+  assert.strictEqual(tab.crashed, false);
+  assert.ok(tab.lastUsedAt, 'Should record when the tab was last used');
+});
+
+await test('Should update last-used time when a tool uses the tab', async () => {
+  const before = (await listTabs()).tabs.find(t => t.hostname === 'example.com').lastUsedAt;
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await getCurrentHtml({ url: testUrl });
+
+  const after = (await listTabs()).tabs.find(t => t.hostname === 'example.com').lastUsedAt;
+  assert.ok(after > before, 'lastUsedAt should move forward');
+});
+
+await test('Should report tabs closed outside MCPBrowser', async () => {
+  await domainPages.get('example.com').close();
+
+  const result = await listTabs();
+  const tab = result.tabs.find(t => t.hostname === 'example.com');
+  assert.strictEqual(tab.closed, true);
+  assert.strictEqual(tab.title, null);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,88 @@
+/**
+ * Tests for manageCookies action
+ */
+
+import assert from 'assert';
+import { manageCookies, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+
+console.log('🧪 Testing manageCookies action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// manageCookies Tests
+// ============================================================================
+
+console.log('\n📋 Testing manageCookies()');
+
+await test('Should reject invalid action and incomplete set/delete calls', async () => {
+  await assert.rejects(manageCookies({}), /Invalid action/);
+  await assert.rejects(manageCookies({ action: 'set', url: testUrl, value: 'x' }), /name parameter is required for set/);
+  await assert.rejects(manageCookies({ action: 'set', name: 'a', value: 'x' }), /url or domain parameter is required for set/);
+  await assert.rejects(manageCookies({ action: 'set', url: testUrl, name: 'a', value: 'x', sameSite: 'Loose' }), /Invalid sameSite/);
+  await assert.rejects(manageCookies({ action: 'delete' }), /all: true/);
+  await assert.rejects(manageCookies({ action: 'get', url: 'not a url' }), /Invalid URL/);
+});
+
+await test('Should set a cookie and list it with its value redacted', async () => {
+  const set = await manageCookies({ action: 'set', url: testUrl, name: 'mcpbrowser_test', value: 'secret-token', sameSite: 'Lax' });
+  assert.strictEqual(set instanceof ErrorResponse, false, `Should succeed: ${set.message}`);
+  assert.strictEqual(set.cookies[0].domain, 'example.com');
+  assert.strictEqual(set.cookies[0].sameSite, 'Lax');
+
+  const listed = await manageCookies({ action: 'get', url: testUrl, name: 'mcpbrowser_test' });
+  assert.strictEqual(listed.cookies.length, 1);
+  assert.strictEqual(listed.cookies[0].value, null, 'Should redact values by default');
+  assert.strictEqual(listed.valuesShown, false);
+
+  const shown = await manageCookies({ action: 'get', domain: 'example.com', name: 'mcpbrowser_test', showValues: true });
+  assert.strictEqual(shown.cookies[0].value, 'secret-token');
+});
+
+await test('Should delete cookies by domain', async () => {
+  await manageCookies({ action: 'set', domain: 'example.com', name: 'mcpbrowser_shared', value: '1' });
+
+  const deleted = await manageCookies({ action: 'delete', domain: 'example.com' });
+  const names = deleted.cookies.map(c => c.name);
+  assert.ok(names.includes('mcpbrowser_test') && names.includes('mcpbrowser_shared'), 'Should delete both cookies');
+
+  const after = await manageCookies({ action: 'get', domain: 'example.com' });
+  assert.strictEqual(after.cookies.length, 0, 'Should leave no cookies for the domain');
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
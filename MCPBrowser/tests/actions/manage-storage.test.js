@@ -0,0 +1,127 @@
+/**
+ * Tests for manageStorage action
+ */
+
+import assert from 'assert';
+import { manageStorage, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing manageStorage action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// manageStorage Tests
+// ============================================================================
+
+console.log('\n📋 Testing manageStorage()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await manageStorage({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject invalid action, storage and missing key or value', async () => {
+  await assert.rejects(manageStorage({ url: testUrl, action: 'list' }), /Invalid action/);
+  await assert.rejects(manageStorage({ url: testUrl, storage: 'indexed' }), /Invalid storage/);
+  await assert.rejects(manageStorage({ url: testUrl, action: 'delete' }), /key parameter is required for delete/);
+  await assert.rejects(manageStorage({ url: testUrl, action: 'set', key: 'a' }), /value parameter is required for set/);
+});
+
+await test('Should return error for unloaded page', async () => {
+  domainPages.delete('example.com');
+  const result = await manageStorage({ url: testUrl });
+  assert.ok(result instanceof ErrorResponse, 'Should return ErrorResponse');
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should set, read, redact, delete and clear localStorage keys', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+  await manageStorage({ url: testUrl, action: 'clear' });
+
+  const set = await manageStorage({ url: testUrl, action: 'set', key: 'auth', value: 'token-1234567890' });
+  assert.strictEqual(set instanceof ErrorResponse, false, `Should succeed: ${set.message}`);
+  assert.strictEqual(set.origin, 'https://example.com');
+  await manageStorage({ url: testUrl, action: 'set', key: 'flags', value: '{"beta":true}' });
+
+  const read = await manageStorage({ url: testUrl, maxValueLength: 5 });
+  assert.deepStrictEqual(read.entries.map(e => [e.key, e.value, e.size, e.truncated]), [
+    ['auth', 'token', 16, true],
+    ['flags', '{"bet', 13, true]
+  ]);
+  assert.strictEqual(read.indexedDB, null);
+
+  const redacted = await manageStorage({ url: testUrl, key: 'auth', redact: true });
+  assert.deepStrictEqual(redacted.entries, [{ key: 'auth', value: null, size: 16, truncated: false }]);
+
+  const deleted = await manageStorage({ url: testUrl, action: 'delete', key: 'auth' });
+  assert.strictEqual(deleted.entries.length, 1);
+  assert.strictEqual(deleted.totalKeys, 1);
+
+  const cleared = await manageStorage({ url: testUrl, action: 'clear' });
+  assert.deepStrictEqual(cleared.entries.map(e => e.key), ['flags']);
+  assert.strictEqual(cleared.totalKeys, 0);
+});
+
+await test('Should list IndexedDB databases and object stores', async () => {
+  const page = domainPages.get('example.com');
+  await page.evaluate(() => new Promise((resolve, reject) => {
+    const open = indexedDB.open('mcpbrowser-test', 2);
+    open.onupgradeneeded = () => open.result.createObjectStore('items').put('value', 'key');
+    open.onsuccess = () => { open.result.close(); resolve(); };
+    open.onerror = () => reject(open.error);
+  }));
+
+  const result = await manageStorage({ url: testUrl, includeIndexedDB: true });
+  const db = result.indexedDB.find(d => d.name === 'mcpbrowser-test');
+  assert.ok(db, 'Should list the database');
+  assert.strictEqual(db.version, 2);
+  assert.deepStrictEqual(db.stores, [{ name: 'items', count: 1 }]);
+
+  await page.evaluate(() => new Promise(resolve => {
+    const request = indexedDB.deleteDatabase('mcpbrowser-test');
+    request.onsuccess = request.onerror = () => resolve();
+  }));
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,136 @@
+/**
+ * Tests for navigateHistory action
+ */
+
+import assert from 'assert';
+import { navigateHistory, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing navigateHistory action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// navigateHistory Tests
+// ============================================================================
+
+console.log('\n📋 Testing navigateHistory()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await navigateHistory({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject invalid action', async () => {
+  try {
+    await navigateHistory({ url: testUrl, action: 'home' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid action/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await navigateHistory({ url: 'https://unloaded-domain-test.com', action: 'back' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await navigateHistory({ url: 'https://unloaded-domain-test.com', tabId: 'NOT-A-TAB', action: 'back' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should go back and forward through SPA history', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  const startUrl = page.url();
+  await page.evaluate(() => history.pushState({}, '', '/step-2'));
+
+  const back = await navigateHistory({ url: testUrl, action: 'back', returnHtml: false });
+  assert.strictEqual(!(back instanceof ErrorResponse), true, 'Should go back');
+  assert.strictEqual(back.currentUrl, startUrl);
+  assert.ok(back.previousUrl.endsWith('/step-2'), 'previousUrl should be the page before going back');
+  assert.strictEqual(back.html, null);
+
+  const forward = await navigateHistory({ url: testUrl, action: 'forward', returnHtml: false });
+  assert.strictEqual(!(forward instanceof ErrorResponse), true, 'Should go forward');
+  assert.ok(forward.currentUrl.endsWith('/step-2'), 'Should be back on step 2');
+});
+
+await test('Should return error when there is no next page', async () => {
+  const result = await navigateHistory({ url: testUrl, action: 'forward' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No next page/);
+});
+
+await test('Should hard reload and return HTML', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => { window.__beforeReload = true; });
+
+  const result = await navigateHistory({ url: testUrl, action: 'reload', hardReload: true });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should reload');
+  assert.match(result.message, /Hard reloaded/);
+  assert.ok(result.html.includes('Example Domain'), 'Should return reloaded HTML');
+  assert.strictEqual(await page.evaluate(() => window.__beforeReload), undefined, 'Page state should be reset by the reload');
+});
+
+await test('Should move the tab to the hostname it went back or forward to', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.goto('https://example.org/', { waitUntil: 'domcontentloaded' });
+  await navigateHistory({ url: testUrl, action: 'back', returnHtml: false });
+
+  const forward = await navigateHistory({ url: testUrl, action: 'forward', returnHtml: false });
+  assert.strictEqual(!(forward instanceof ErrorResponse), true, 'Should go forward');
+  assert.strictEqual(domainPages.get('example.org'), page, 'The tab should be the default tab of example.org');
+  assert.strictEqual(domainPages.has('example.com'), false, 'The tab should no longer be the default tab of example.com');
+
+  const back = await navigateHistory({ url: 'https://example.org', action: 'back', returnHtml: false });
+  assert.strictEqual(!(back instanceof ErrorResponse), true, 'Should go back');
+  assert.strictEqual(domainPages.get('example.com'), page, 'The tab should be the default tab of example.com again');
+  assert.strictEqual(domainPages.has('example.org'), false);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,133 @@
+/**
+ * Tests for pressKey action
+ */
+
+import assert from 'assert';
+import { pressKey, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing pressKey action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// pressKey Tests
+// ============================================================================
+
+console.log('\n📋 Testing pressKey()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await pressKey({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should require keys parameter', async () => {
+  try {
+    await pressKey({ url: testUrl });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /keys parameter is required/);
+  }
+});
+
+await test('Should reject invalid key combinations', async () => {
+  try {
+    await pressKey({ url: testUrl, keys: 'K+Control' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid key combination/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await pressKey({ url: 'https://unloaded-domain-test.com', keys: 'Enter' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await pressKey({ url: 'https://unloaded-domain-test.com', tabId: 'NOT-A-TAB', keys: 'Enter' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should press Enter on a selector and move focus with Tab', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <input id="search" name="q"><button id="go">Go</button><div id="log"></div>`);
+    document.getElementById('search').addEventListener('keydown', (e) => {
+      document.getElementById('log').textContent += `${e.ctrlKey ? 'Ctrl+' : ''}${e.key};`;
+    });
+  });
+
+  const result = await pressKey({ url: testUrl, selector: '#search', keys: ['Control+K', 'Enter'], returnHtml: false, postKeyWait: 0 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should press keys');
+  assert.match(await page.$eval('#log', el => el.textContent), /Ctrl\+Control;Ctrl\+k;Enter;/);
+
+  const tabResult = await pressKey({ url: testUrl, keys: 'Tab', postKeyWait: 0 });
+  assert.strictEqual(!(tabResult instanceof ErrorResponse), true, 'Should press Tab');
+  assert.match(tabResult.focusedElement, /^button#go "Go"$/);
+  assert.ok(typeof tabResult.html === 'string', 'Should return HTML by default');
+});
+
+await test('Should resolve ControlOrMeta from the browser platform', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.$eval('#log', el => { el.textContent = ''; });
+  const isMac = await page.evaluate(() => /mac/i.test(navigator.userAgentData?.platform || navigator.platform));
+
+  const result = await pressKey({ url: testUrl, selector: '#search', keys: 'ControlOrMeta+A', returnHtml: false, postKeyWait: 0 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should press keys');
+  const log = await page.$eval('#log', el => el.textContent);
+  assert.ok(log.startsWith(isMac ? 'Meta;' : 'Ctrl+Control;'), `Unexpected key events: ${log}`);
+});
+
+await test('Should report unknown key names', async () => {
+  const result = await pressKey({ url: testUrl, keys: 'Control+NotAKey', returnHtml: false, postKeyWait: 0 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /Unknown key/);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
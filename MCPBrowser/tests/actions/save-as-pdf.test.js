@@ -0,0 +1,96 @@
+/**
+ * Tests for saveAsPdf action
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { saveAsPdf, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+
+// Save PDFs to a temporary directory
+const pdfDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcpbrowser-pdf-test-'));
+process.env.MCPBROWSER_PDF_DIR = pdfDir;
+
+console.log('🧪 Testing saveAsPdf action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// saveAsPdf Tests
+// ============================================================================
+
+console.log('\n📋 Testing saveAsPdf()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await saveAsPdf({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject invalid format, scale and margin', async () => {
+  await assert.rejects(saveAsPdf({ url: testUrl, format: 'B5' }), /Invalid format/);
+  await assert.rejects(saveAsPdf({ url: testUrl, scale: 3 }), /Invalid scale/);
+  await assert.rejects(saveAsPdf({ url: testUrl, margin: { inside: '1cm' } }), /Invalid margin side/);
+});
+
+await test('Should save the page to the PDF directory or report that printing is unsupported', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const result = await saveAsPdf({ url: testUrl, filename: 'example', format: 'A4', margin: { top: '1cm', bottom: '1cm' } });
+
+  if (result instanceof ErrorResponse) {
+    // Headful Chrome cannot print to PDF; the error must say so
+    assert.match(result.message, /not supported by this browser connection/);
+    console.log('   ⚠️  Browser connection does not support Page.printToPDF');
+    return;
+  }
+  assert.strictEqual(result.filePath, path.join(pdfDir, 'example.pdf'));
+  assert.ok(fs.existsSync(result.filePath), 'Should write the file');
+  assert.strictEqual(result.pageCount, 1);
+  assert.strictEqual(fs.readFileSync(result.filePath).subarray(0, 5).toString(), '%PDF-');
+
+  const second = await saveAsPdf({ url: testUrl, filename: 'example.pdf' });
+  assert.strictEqual(second.filePath, path.join(pdfDir, 'example (1).pdf'), 'Should not overwrite existing files');
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,145 @@
+/**
+ * Tests for scrollPage action
+ */
+
+import assert from 'assert';
+import { scrollPage, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing scrollPage action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// scrollPage Tests
+// ============================================================================
+
+console.log('\n📋 Testing scrollPage()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await scrollPage({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject more than one scroll mode', async () => {
+  try {
+    await scrollPage({ url: testUrl, pixels: 100, untilNoNewContent: true });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Use only one of/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await scrollPage({ url: 'https://unloaded-domain-test.com' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await scrollPage({ url: 'https://unloaded-domain-test.com', tabId: 'NOT-A-TAB' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should load infinite content until nothing new appears', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  // Simulated feed: appends 5 items whenever the window reaches the bottom, 3 pages total
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', '<ul id="feed" style="margin:0"></ul>');
+    const feed = document.getElementById('feed');
+    let pages = 0;
+    const load = () => {
+      for (let i = 0; i < 5; i++) {
+        feed.insertAdjacentHTML('beforeend', `<li style="height:400px">Item ${pages * 5 + i}</li>`);
+      }
+      pages++;
+    };
+    load();
+    window.addEventListener('scroll', () => {
+      if (pages < 3 && window.innerHeight + window.scrollY >= document.body.scrollHeight - 10) load();
+    });
+  });
+
+  const result = await scrollPage({ url: testUrl, untilNoNewContent: true, scrollWait: 200, returnHtml: true, outputFormat: 'text' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should scroll');
+  assert.strictEqual(result.newNodes, 10, 'Should count the two lazily loaded pages');
+  assert.strictEqual(result.atEnd, true);
+  assert.match(result.html, /Item 14/);
+});
+
+await test('Should keep items removed by a virtualized list in the merged HTML', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <div id="virtual" style="height:200px;overflow:auto"><div id="rows"></div></div>`);
+    const box = document.getElementById('virtual');
+    const rows = document.getElementById('rows');
+    const render = () => {
+      const first = Math.floor(box.scrollTop / 100);
+      rows.style.paddingTop = `${first * 100}px`;
+      rows.style.height = `${5000 - first * 100}px`;
+      rows.innerHTML = '';
+      for (let i = first; i < first + 3; i++) rows.insertAdjacentHTML('beforeend', `<p style="height:100px;margin:0">Row ${i}</p>`);
+    };
+    render();
+    box.addEventListener('scroll', render);
+  });
+
+  const result = await scrollPage({ url: testUrl, container: '#virtual', pixels: 1000, scrollWait: 200, returnHtml: true, outputFormat: 'text' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should scroll container');
+  assert.strictEqual(result.scrollTop, 1000);
+  assert.match(result.html, /Row 0/, 'Rows scrolled out of view should be restored');
+  assert.match(result.html, /Row 10/);
+  assert.strictEqual(await page.$eval('#rows', el => el.textContent.includes('Row 0')), false, 'Live DOM should be untouched');
+});
+
+await test('Should report a missing container', async () => {
+  const result = await scrollPage({ url: testUrl, container: '#no-such-container', scrollWait: 0 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /Container not found/);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
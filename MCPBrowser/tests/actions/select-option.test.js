@@ -0,0 +1,200 @@
+/**
+ * Tests for selectOption action
+ */
+
+import assert from 'assert';
+import { selectOption, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing selectOption action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// selectOption Tests
+// ============================================================================
+
+console.log('\n📋 Testing selectOption()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await selectOption({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should require selector or ref parameter', async () => {
+  try {
+    await selectOption({ url: testUrl, value: 'a' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Either selector or ref parameter is required/);
+  }
+});
+
+await test('Should require exactly one of value, label or index', async () => {
+  try {
+    await selectOption({ url: testUrl, selector: 'select', value: 'a', label: 'A' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Exactly one of value, label or index/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await selectOption({ url: 'https://unloaded-domain-test.com', selector: 'select', value: 'a' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await selectOption({ url: 'https://unloaded-domain-test.com', tabId: 'NOT-A-TAB', selector: 'select', value: 'a' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should select native option by label and fire change', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <select id="size"><option value="s">Small</option><option value="m">Medium</option></select>
+      <select id="toppings" multiple><option value="ham">Ham</option><option value="olives">Olives</option><option value="corn">Corn</option></select>
+      <div id="status"></div>`);
+    document.getElementById('size').addEventListener('change', (e) => {
+      document.getElementById('status').textContent = `size=${e.target.value}`;
+    });
+  });
+
+  const result = await selectOption({ url: testUrl, selector: '#size', label: 'Medium', returnHtml: false, postSelectWait: 0 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should select option');
+  assert.deepStrictEqual(result.selected, [{ value: 'm', label: 'Medium', index: 1 }]);
+  assert.strictEqual(await page.$eval('#status', el => el.textContent), 'size=m');
+});
+
+await test('Should select several options in a multi-select', async () => {
+  const result = await selectOption({ url: testUrl, selector: '#toppings', value: ['ham', 'corn'], postSelectWait: 0 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should select options');
+  assert.deepStrictEqual(result.selected.map(opt => opt.value), ['ham', 'corn']);
+  assert.ok(typeof result.html === 'string', 'Should return HTML by default');
+});
+
+await test('Should report missing option with available labels', async () => {
+  const result = await selectOption({ url: testUrl, selector: '#size', label: 'Huge', returnHtml: false, postSelectWait: 0 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /Available options: Small, Medium/);
+});
+
+await test('Should open ARIA combobox and click matching option', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <button id="color" role="combobox" aria-controls="color-list" aria-expanded="false">Pick a color</button>
+      <ul id="color-list" role="listbox" style="display:none">
+        <li role="option" data-value="red">Red</li>
+        <li role="option" data-value="blue">Blue</li>
+      </ul>`);
+    const button = document.getElementById('color');
+    const list = document.getElementById('color-list');
+    button.addEventListener('click', () => { list.style.display = 'block'; });
+    list.addEventListener('click', (e) => {
+      button.textContent = e.target.textContent;
+      list.style.display = 'none';
+    });
+  });
+
+  const result = await selectOption({ url: testUrl, selector: '#color', label: 'Blue', returnHtml: false, postSelectWait: 0 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should select custom option');
+  assert.deepStrictEqual(result.selected, [{ value: 'blue', label: 'Blue', index: 1 }]);
+  assert.strictEqual(await page.$eval('#color', el => el.textContent), 'Blue');
+});
+
+await test('Should select options of a hidden native select', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <select id="hidden-size" style="display:none"><option value="s">Small</option><option value="l">Large</option></select>`);
+  });
+
+  const result = await selectOption({ url: testUrl, selector: '#hidden-size', value: 'l', returnHtml: false, postSelectWait: 0, waitForElementTimeout: 1000 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, `Should select option: ${result.message}`);
+  assert.strictEqual(await page.$eval('#hidden-size', el => el.value), 'l');
+});
+
+await test('Should leave a custom multi-select with exactly the requested options', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <ul id="tags" role="listbox" aria-multiselectable="true">
+        <li role="option" aria-selected="true">News</li>
+        <li role="option" aria-selected="true">Weather</li>
+        <li role="option" aria-selected="false">Sports</li>
+      </ul>`);
+    document.getElementById('tags').addEventListener('click', (e) => {
+      const selected = e.target.getAttribute('aria-selected') === 'true';
+      e.target.setAttribute('aria-selected', String(!selected));
+    });
+  });
+
+  const result = await selectOption({ url: testUrl, selector: '#tags', label: ['News', 'Sports'], returnHtml: false, postSelectWait: 0 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, `Should select options: ${result.message}`);
+  assert.deepStrictEqual(result.selected.map(opt => opt.label), ['News', 'Sports']);
+  const states = await page.$$eval('#tags [role="option"]', els => els.map(el => el.getAttribute('aria-selected')));
+  assert.deepStrictEqual(states, ['true', 'false', 'true']);
+});
+
+await test('Should refuse several options for a custom single-select', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <ul id="sizes" role="listbox">
+        <li role="option">Small</li>
+        <li role="option">Large</li>
+      </ul>`);
+  });
+
+  const result = await selectOption({ url: testUrl, selector: '#sizes', label: ['Small', 'Large'], returnHtml: false, postSelectWait: 0 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /does not allow multiple selection/);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
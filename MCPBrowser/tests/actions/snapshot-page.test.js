@@ -0,0 +1,132 @@
+/**
+ * Tests for snapshotPage action
+ */
+
+import assert from 'assert';
+import { snapshotPage, clickElement, typeText, fetchPage, getCurrentHtml, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+
+console.log('🧪 Testing snapshotPage action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// snapshotPage Tests
+// ============================================================================
+
+console.log('\n📋 Testing snapshotPage()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await snapshotPage({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await snapshotPage({ url: 'https://unloaded-domain-test.com' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await snapshotPage({ url: 'https://unloaded-domain-test.com', tabId: 'NOT-A-TAB' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should return outline with refs for interactive elements', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const result = await snapshotPage({ url: testUrl });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should take snapshot');
+  assert.match(result.snapshot, /- heading "Example Domain" \[level=1\]/);
+  assert.match(result.snapshot, /- link "[^"]+" \[ref=e\d+\]/);
+  assert.ok(result.refCount > 0, 'Should hand out at least one ref');
+});
+
+await test('Should keep refs stable across snapshots', async () => {
+  const first = await snapshotPage({ url: testUrl, interactiveOnly: true });
+  const second = await snapshotPage({ url: testUrl, interactiveOnly: true });
+  assert.strictEqual(second.snapshot, first.snapshot);
+  assert.doesNotMatch(first.snapshot, /heading/, 'interactiveOnly should skip non-interactive nodes');
+});
+
+await test('Should keep refs out of returned HTML', async () => {
+  await snapshotPage({ url: testUrl });
+
+  const raw = await getCurrentHtml({ url: testUrl, removeUnnecessaryHTML: false });
+  assert.ok(raw.html.includes('Example Domain'), 'Should return page HTML');
+  assert.doesNotMatch(raw.html, /data-mcpbrowser-ref/);
+
+  const cleaned = await getCurrentHtml({ url: testUrl });
+  assert.doesNotMatch(cleaned.html, /data-mcpbrowser-ref/);
+});
+
+await test('Should click and type by ref', async () => {
+  const { snapshot } = await snapshotPage({ url: testUrl });
+  const ref = snapshot.match(/- link "[^"]+" \[ref=(e\d+)\]/)[1];
+
+  const result = await clickElement({ url: testUrl, ref, returnHtml: false, postClickWait: 0 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should click by ref');
+  assert.match(result.message, new RegExp(`ref ${ref}`));
+});
+
+await test('Should reject refs that expired on navigation', async () => {
+  await fetchPage({ url: testUrl });
+  const { snapshot } = await snapshotPage({ url: testUrl });
+  const ref = snapshot.match(/\[ref=(e\d+)\]/)[1];
+
+  await fetchPage({ url: testUrl });
+  const result = await typeText({ url: testUrl, ref, text: 'test' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /Refs expire when the page navigates/);
+});
+
+await test('Should reject malformed refs', async () => {
+  try {
+    await clickElement({ url: testUrl, ref: '#submit' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid ref/);
+  }
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,105 @@
+/**
+ * Tests for takeScreenshot action
+ */
+
+import assert from 'assert';
+import { takeScreenshot, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+
+console.log('🧪 Testing takeScreenshot action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// takeScreenshot Tests
+// ============================================================================
+
+console.log('\n📋 Testing takeScreenshot()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await takeScreenshot({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should reject unsupported format', async () => {
+  try {
+    await takeScreenshot({ url: testUrl, format: 'gif' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Invalid format/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await takeScreenshot({ url: 'https://unloaded-domain-test.com' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await takeScreenshot({ url: 'https://unloaded-domain-test.com', tabId: 'NOT-A-TAB' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should capture viewport as image content', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const result = await takeScreenshot({ url: testUrl });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should capture screenshot');
+  assert.strictEqual(result.target, 'viewport');
+  assert.ok(result.width > 0 && result.height > 0, 'Should report dimensions');
+
+  const mcp = result.toMcpFormat();
+  assert.strictEqual(mcp.content[1].type, 'image');
+  assert.strictEqual(mcp.content[1].mimeType, 'image/png');
+  assert.strictEqual(mcp.structuredContent.data, undefined, 'Image data should not be in structuredContent');
+});
+
+await test('Should capture a single element', async () => {
+  const result = await takeScreenshot({ url: testUrl, selector: 'h1', format: 'jpeg' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should capture element');
+  assert.strictEqual(result.target, 'element');
+  assert.strictEqual(result.mimeType, 'image/jpeg');
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,206 @@
+/**
+ * Tests for uploadFile action
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadFile, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing uploadFile action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// uploadFile Tests
+// ============================================================================
+
+console.log('\n📋 Testing uploadFile()');
+
+// Restrict uploads to a temporary directory for these tests
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcpbrowser-upload-'));
+fs.writeFileSync(path.join(uploadDir, 'report.txt'), 'quarterly report');
+fs.writeFileSync(path.join(uploadDir, 'notes.txt'), 'meeting notes');
+const outsideFile = path.join(os.tmpdir(), `mcpbrowser-outside-${Date.now()}.txt`);
+fs.writeFileSync(outsideFile, 'secret');
+
+await test('Should refuse uploads unless MCPBROWSER_UPLOAD_DIR is set', async () => {
+  delete process.env.MCPBROWSER_UPLOAD_DIR;
+  const result = await uploadFile({ url: testUrl, selector: 'input[type=file]', files: 'report.txt' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /upload_file is disabled/);
+});
+
+process.env.MCPBROWSER_UPLOAD_DIR = uploadDir;
+
+await test('Should require url parameter', async () => {
+  try {
+    await uploadFile({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should require files parameter', async () => {
+  try {
+    await uploadFile({ url: testUrl, selector: 'input[type=file]' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /files parameter is required/);
+  }
+});
+
+await test('Should reject files outside the upload directory', async () => {
+  try {
+    await uploadFile({ url: testUrl, selector: 'input[type=file]', files: outsideFile });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /outside the allowed upload directory/);
+  }
+});
+
+await test('Should reject relative paths escaping the upload directory', async () => {
+  try {
+    await uploadFile({ url: testUrl, selector: 'input[type=file]', files: `../${path.basename(outsideFile)}` });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /outside the allowed upload directory/);
+  }
+});
+
+await test('Should reject missing files', async () => {
+  try {
+    await uploadFile({ url: testUrl, selector: 'input[type=file]', files: 'missing.txt' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /File not found/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await uploadFile({ url: 'https://unloaded-domain-test.com', selector: 'input[type=file]', files: 'report.txt' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await uploadFile({ url: 'https://unloaded-domain-test.com', tabId: 'NOT-A-TAB', selector: 'input[type=file]', files: 'report.txt' });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should set files on a hidden file input', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<input id="attach" type="file" multiple style="display:none">');
+  });
+
+  const result = await uploadFile({ url: testUrl, selector: '#attach', files: ['report.txt', 'notes.txt'], returnHtml: false });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should upload files');
+  assert.deepStrictEqual(result.files.map(file => file.name), ['report.txt', 'notes.txt']);
+  assert.strictEqual(result.files[0].size, 'quarterly report'.length);
+  assert.strictEqual(result.html, null);
+
+  const names = await page.evaluate(() => Array.from(document.getElementById('attach').files, file => file.name));
+  assert.deepStrictEqual(names, ['report.txt', 'notes.txt']);
+});
+
+await test('Should answer dialogs raised by the upload and report them', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<input id="checked" type="file">');
+    document.getElementById('checked').addEventListener('change', () => alert('File received'));
+  });
+
+  const result = await uploadFile({ url: testUrl, selector: '#checked', files: 'report.txt', returnHtml: false });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, `Should upload file: ${result.message}`);
+  assert.deepStrictEqual(result.dialogs.map(d => `${d.type}:${d.action}`), ['alert:dismiss']);
+  assert.match(result.message, /Dismissed alert dialog "File received"/);
+});
+
+await test('Should reject several files for a single-file input', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<input id="avatar" type="file">');
+  });
+
+  const result = await uploadFile({ url: testUrl, selector: '#avatar', files: ['report.txt', 'notes.txt'] });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /accepts a single file/);
+});
+
+await test('Should answer the file chooser opened by a button', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<button id="browse">Browse files</button><span id="chosen"></span>');
+    document.getElementById('browse').addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.addEventListener('change', () => {
+        document.getElementById('chosen').textContent = input.files[0].name;
+      });
+      input.click();
+    });
+  });
+
+  const result = await uploadFile({ url: testUrl, text: 'Browse files', files: 'report.txt' });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should upload through the file chooser');
+  assert.ok(result.html.includes('report.txt'), 'HTML should show the chosen file');
+});
+
+await test('Should return error if clicking does not open a file chooser', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('afterbegin', '<button id="plain">Plain button</button>');
+  });
+
+  const result = await uploadFile({ url: testUrl, selector: '#plain', files: 'report.txt', waitForElementTimeout: 1000 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /did not open a file chooser/);
+});
+
+fs.rmSync(uploadDir, { recursive: true, force: true });
+fs.rmSync(outsideFile, { force: true });
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,146 @@
+/**
+ * Tests for waitForElement action
+ */
+
+import assert from 'assert';
+import { waitForElement, fetchPage, getBrowser, closeBrowser } from '../../src/mcp-browser.js';
+import { ErrorResponse } from '../../src/core/responses.js';
+import { domainPages } from '../../src/core/browser.js';
+
+console.log('🧪 Testing waitForElement action\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  return new Promise((resolve) => {
+    fn()
+      .then(() => {
+        console.log(`✅ ${description}`);
+        testsPassed++;
+        resolve();
+      })
+      .catch((err) => {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${err.message}`);
+        testsFailed++;
+        resolve();
+      });
+  });
+}
+
+// Ensure we have a browser connection
+await getBrowser();
+
+const testUrl = 'https://example.com';
+
+// ============================================================================
+// waitForElement Tests
+// ============================================================================
+
+console.log('\n📋 Testing waitForElement()');
+
+await test('Should require url parameter', async () => {
+  try {
+    await waitForElement({});
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /url parameter is required/);
+  }
+});
+
+await test('Should require either selector or text parameter', async () => {
+  try {
+    await waitForElement({ url: testUrl });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /Either selector or text parameter is required/);
+  }
+});
+
+await test('Should reject textChanged without selector', async () => {
+  try {
+    await waitForElement({ url: testUrl, text: 'Example', state: 'textChanged' });
+    throw new Error('Should have thrown an error');
+  } catch (err) {
+    assert.match(err.message, /selector parameter is required/);
+  }
+});
+
+await test('Should return error if page not loaded', async () => {
+  const result = await waitForElement({
+    url: 'https://unloaded-domain-test.com',
+    selector: 'h1'
+  });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open page found/);
+});
+
+await test('Should return error for an unknown tabId', async () => {
+  const result = await waitForElement({
+    url: 'https://unloaded-domain-test.com',
+    tabId: 'NOT-A-TAB',
+    selector: 'h1'
+  });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /No open tab found with ID NOT-A-TAB/);
+});
+
+await test('Should wait for visible element and return snippet', async () => {
+  const fetchResult = await fetchPage({ url: testUrl });
+  assert.strictEqual(!(fetchResult instanceof ErrorResponse), true, 'Should fetch page successfully');
+
+  const result = await waitForElement({ url: testUrl, selector: 'h1', timeout: 5000 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, 'Should find h1');
+  assert.match(result.html, /<h1/);
+  assert.strictEqual(result.state, 'visible');
+});
+
+await test('Should report timeout for element that never appears', async () => {
+  const result = await waitForElement({ url: testUrl, selector: '#does-not-exist', timeout: 500 });
+  assert.strictEqual(result instanceof ErrorResponse, true);
+  assert.match(result.message, /Timed out/);
+});
+
+await test('Should resolve detached immediately for missing element', async () => {
+  const result = await waitForElement({ url: testUrl, selector: '#does-not-exist', state: 'detached', timeout: 1000 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true);
+  assert.strictEqual(result.html, null);
+});
+
+await test('Should match text case-insensitively and prefer exact matches', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend',
+      '<p id="note">Order saved to your account</p><div id="status"><b>Order</b>  saved</div>');
+  });
+
+  const result = await waitForElement({ url: testUrl, text: 'order saved', timeout: 2000 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, `Should find the text: ${result.message}`);
+  assert.match(result.html, /^<div id="status">/, 'The exact match should win over the longer paragraph');
+  assert.strictEqual(result.text, 'Order saved');
+});
+
+await test('Should wait for text to disappear', async () => {
+  const page = domainPages.get(new URL(testUrl).hostname);
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML('beforeend', '<span id="loading">Loading results…</span>');
+    setTimeout(() => document.getElementById('loading').remove(), 300);
+  });
+
+  const result = await waitForElement({ url: testUrl, text: 'LOADING RESULTS', state: 'detached', timeout: 3000 });
+  assert.strictEqual(!(result instanceof ErrorResponse), true, `Should see the text go away: ${result.message}`);
+});
+
+// ============================================================================
+// Cleanup and Summary
+// ============================================================================
+
+await closeBrowser();
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -4,6 +4,8 @@
  * Run with: node tests/core/browser.test.js
  */
 
+import * as tabPool from '../../src/core/browser.js';
+
 // Mock domain pages map and browser
 class MockPage {
   constructor(url) {
@@ -43,6 +45,23 @@ class MockPage {
   }
 }
 
+// Mock tab that can join the real tab pool: its CDP session reports its target ID
+class MockTab extends MockPage {
+  constructor(url, targetId) {
+    super(url);
+    this._targetId = targetId;
+  }
+
+  on() {}
+  async createCDPSession() {
+    return {
+      on() {},
+      send: async (method) => (method === 'Target.getTargetInfo' ? { targetInfo: { targetId: this._targetId } } : {}),
+      detach: async () => {}
+    };
+  }
+}
+
 class MockBrowser {
   constructor() {
     this._pages = [];
@@ -420,6 +439,32 @@ async function runTests() {
     assert(domainPages.has('example.com'), 'Should have example.com in map');
     assert(!domainPages.has('chrome'), 'Should not have chrome:// pages in map');
   });
+
+  await test('Should make another tab of the hostname the default when its default tab is closed', async () => {
+    const registeredPage = async (url, targetId) => {
+      const page = new MockTab(url, targetId);
+      await tabPool.registerTab(page, 'created');
+      return page;
+    };
+
+    const defaultTab = await registeredPage('https://example.com/a', 'TAB-A');
+    const extraTab = await registeredPage('https://example.com/b', 'TAB-B');
+    const otherTab = await registeredPage('https://other.test/', 'TAB-C');
+    tabPool.domainPages.set('example.com', defaultTab);
+    tabPool.domainPages.set('other.test', otherTab);
+
+    defaultTab._closed = true;
+    tabPool.forgetTab(defaultTab);
+    assert(tabPool.findPage('example.com') === extraTab, 'Extra tab should become the default for its hostname');
+    assert(!tabPool.tabPages.has('TAB-A'), 'Closed tab should be forgotten by tab ID');
+
+    otherTab._closed = true;
+    tabPool.forgetTab(otherTab);
+    assert(!tabPool.domainPages.has('other.test'), 'Hostname without other tabs should be forgotten');
+
+    tabPool.domainPages.clear();
+    tabPool.tabPages.clear();
+  });
   
   // Summary
   console.log('\n' + '='.repeat(50));
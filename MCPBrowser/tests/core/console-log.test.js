@@ -0,0 +1,222 @@
+/**
+ * UNIT TESTS - Console message log with a mock CDP session (NO browser required)
+ * Run with: node tests/core/console-log.test.js
+ */
+
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import { enableConsoleLog, hasConsoleLog, listConsoleMessages, MAX_CONSOLE_ENTRIES } from '../../src/core/console-log.js';
+
+console.log('🧪 Testing console message log\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (err) {
+    console.log(`❌ ${description}`);
+    console.log(`   Error: ${err.message}`);
+    testsFailed++;
+  }
+}
+
+// Mock tab CDP session that records commands and emits Runtime/Log events
+class MockSession extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+  async send(method, params) {
+    this.sent.push({ method, params });
+  }
+}
+
+/**
+ * Create a mock page whose console log is enabled.
+ * @returns {Promise<{page: Object, session: MockSession}>}
+ */
+async function createTrackedPage() {
+  const session = new MockSession();
+  const page = { createCDPSession: async () => session };
+  await enableConsoleLog(page);
+  return { page, session };
+}
+
+const TIMESTAMP = 1700000000000;
+const STACK = { callFrames: [{ url: 'https://example.com/app.js', lineNumber: 9, columnNumber: 4 }] };
+
+/**
+ * Emit a console API call with the given argument RemoteObjects.
+ */
+function logCall(session, type, args, stackTrace = STACK) {
+  session.emit('Runtime.consoleAPICalled', { type, args, timestamp: TIMESTAMP, stackTrace });
+}
+
+// ============================================================================
+// Recording Tests
+// ============================================================================
+
+console.log('\n🖥️ Testing enableConsoleLog() / listConsoleMessages()');
+
+await test('Should enable the Runtime and Log domains on the tab session', async () => {
+  const { page, session } = await createTrackedPage();
+  assert.strictEqual(hasConsoleLog(page), true);
+  assert.deepStrictEqual(session.sent.map(c => c.method), ['Runtime.enable', 'Log.enable']);
+});
+
+await test('Should record console calls with level and location', async () => {
+  const { page, session } = await createTrackedPage();
+  logCall(session, 'warning', [{ type: 'string', value: 'Deprecated API' }]);
+
+  const { messages, cursor } = listConsoleMessages(page);
+  assert.strictEqual(cursor, 1);
+  assert.deepStrictEqual(messages, [{
+    id: 1,
+    level: 'warning',
+    source: 'console',
+    text: 'Deprecated API',
+    url: 'https://example.com/app.js',
+    lineNumber: 10,
+    columnNumber: 5,
+    timestamp: new Date(TIMESTAMP).toISOString()
+  }]);
+});
+
+await test('Should format arguments like the DevTools console', async () => {
+  const { page, session } = await createTrackedPage();
+  logCall(session, 'log', [
+    { type: 'string', value: 'saved' },
+    { type: 'number', value: 3 },
+    { type: 'boolean', value: false },
+    { type: 'undefined' },
+    { type: 'object', subtype: 'null', value: null },
+    { type: 'number', unserializableValue: 'NaN', description: 'NaN' },
+    { type: 'object', subtype: 'array', description: 'Array(2)', preview: { overflow: false, properties: [{ name: '0', type: 'number', value: '1' }, { name: '1', type: 'string', value: 'a' }] } },
+    { type: 'object', className: 'Object', description: 'Object', preview: { overflow: true, properties: [{ name: 'id', type: 'number', value: '7' }] } },
+    { type: 'object', subtype: 'node', className: 'HTMLButtonElement', description: 'button#save' }
+  ]);
+
+  const [message] = listConsoleMessages(page).messages;
+  assert.strictEqual(message.text, 'saved 3 false undefined null NaN [1, "a"] {id: 7, …} button#save');
+});
+
+await test('Should map console types to levels and skip group ends', async () => {
+  const { page, session } = await createTrackedPage();
+  for (const type of ['debug', 'info', 'error', 'assert', 'table', 'endGroup', 'clear']) {
+    logCall(session, type, [{ type: 'string', value: type }]);
+  }
+
+  const levels = listConsoleMessages(page).messages.map(m => `${m.text}:${m.level}`);
+  assert.deepStrictEqual(levels, ['debug:debug', 'info:info', 'error:error', 'assert:error', 'table:log']);
+});
+
+await test('Should release logged objects once they are formatted', async () => {
+  const { page, session } = await createTrackedPage();
+  logCall(session, 'log', [
+    { type: 'string', value: 'user' },
+    { type: 'object', className: 'Object', description: 'Object', objectId: 'obj-1', preview: { overflow: false, properties: [] } }
+  ]);
+  logCall(session, 'endGroup', [{ type: 'object', className: 'Object', description: 'Object', objectId: 'obj-2' }]);
+  session.emit('Runtime.exceptionThrown', {
+    timestamp: TIMESTAMP,
+    exceptionDetails: { text: 'Uncaught', exception: { type: 'object', subtype: 'error', description: 'Error: boom', objectId: 'obj-3' } }
+  });
+
+  const released = session.sent.filter(c => c.method === 'Runtime.releaseObject').map(c => c.params.objectId);
+  assert.deepStrictEqual(released, ['obj-1', 'obj-2', 'obj-3']);
+  assert.strictEqual(listConsoleMessages(page).messages.length, 2);
+});
+
+await test('Should record uncaught exceptions with their stack', async () => {
+  const { page, session } = await createTrackedPage();
+  session.emit('Runtime.exceptionThrown', {
+    timestamp: TIMESTAMP,
+    exceptionDetails: {
+      text: 'Uncaught',
+      url: 'https://example.com/app.js',
+      lineNumber: 41,
+      columnNumber: 12,
+      exception: { type: 'object', subtype: 'error', description: "TypeError: Cannot read properties of null (reading 'submit')\n    at save (app.js:42:13)" }
+    }
+  });
+  session.emit('Runtime.exceptionThrown', {
+    timestamp: TIMESTAMP,
+    exceptionDetails: { text: 'Uncaught', exception: { type: 'string', value: 'plain string thrown' }, stackTrace: STACK }
+  });
+
+  const [typeError, thrownString] = listConsoleMessages(page).messages;
+  assert.strictEqual(typeError.level, 'error');
+  assert.strictEqual(typeError.source, 'exception');
+  assert.match(typeError.text, /^TypeError: Cannot read properties of null/);
+  assert.match(typeError.text, /at save/);
+  assert.strictEqual(typeError.lineNumber, 42);
+  assert.strictEqual(thrownString.text, 'plain string thrown');
+  assert.strictEqual(thrownString.url, 'https://example.com/app.js');
+});
+
+await test('Should record failed resource loads reported by the browser', async () => {
+  const { page, session } = await createTrackedPage();
+  session.emit('Log.entryAdded', {
+    entry: {
+      source: 'network',
+      level: 'error',
+      text: 'Failed to load resource: the server responded with a status of 401 ()',
+      url: 'https://example.com/api/orders',
+      timestamp: TIMESTAMP
+    }
+  });
+
+  const [message] = listConsoleMessages(page).messages;
+  assert.strictEqual(message.source, 'network');
+  assert.strictEqual(message.level, 'error');
+  assert.strictEqual(message.url, 'https://example.com/api/orders');
+  assert.strictEqual(message.lineNumber, null);
+});
+
+await test('Should only list messages after the since cursor', async () => {
+  const { page, session } = await createTrackedPage();
+  logCall(session, 'log', [{ type: 'string', value: 'first' }]);
+  const { cursor } = listConsoleMessages(page);
+  logCall(session, 'log', [{ type: 'string', value: 'second' }]);
+
+  const next = listConsoleMessages(page, { since: cursor });
+  assert.deepStrictEqual(next.messages.map(m => m.text), ['second']);
+  assert.strictEqual(next.cursor, 2);
+  assert.deepStrictEqual(listConsoleMessages(page, { since: next.cursor }).messages, []);
+});
+
+await test('Should keep only the most recent messages and cut long ones', async () => {
+  const { page, session } = await createTrackedPage();
+  for (let i = 1; i <= MAX_CONSOLE_ENTRIES + 3; i++) {
+    logCall(session, 'log', [{ type: 'string', value: `message ${i}` }]);
+  }
+  logCall(session, 'log', [{ type: 'string', value: 'x'.repeat(6000) }]);
+
+  const { messages, cursor } = listConsoleMessages(page);
+  assert.strictEqual(messages.length, MAX_CONSOLE_ENTRIES);
+  assert.strictEqual(messages[0].text, 'message 5');
+  assert.strictEqual(cursor, MAX_CONSOLE_ENTRIES + 4);
+  assert.match(messages[messages.length - 1].text, /… \(1000 more characters\)$/);
+});
+
+await test('Should not throw when the tab refuses a CDP session', async () => {
+  const page = { createCDPSession: async () => { throw new Error('Target closed'); } };
+  await enableConsoleLog(page);
+  assert.strictEqual(hasConsoleLog(page), false);
+  assert.deepStrictEqual(listConsoleMessages({}), { messages: [], cursor: 0 });
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
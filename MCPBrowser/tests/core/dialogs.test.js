@@ -0,0 +1,248 @@
+/**
+ * UNIT TESTS - JavaScript dialog handling with a mock page (NO browser required)
+ * Run with: node tests/core/dialogs.test.js
+ */
+
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import { enableDialogHandling, captureDialogs, describeDialogs, getDialogPolicy, validateDialogParams } from '../../src/core/dialogs.js';
+
+console.log('🧪 Testing dialog handling\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (err) {
+    console.log(`❌ ${description}`);
+    console.log(`   Error: ${err.message}`);
+    testsFailed++;
+  }
+}
+
+// Mock Puppeteer dialog that records how it was answered
+class MockDialog {
+  constructor(type, message, defaultValue = '') {
+    this._type = type;
+    this._message = message;
+    this._defaultValue = defaultValue;
+    this.answer = null;
+  }
+  type() { return this._type; }
+  message() { return this._message; }
+  defaultValue() { return this._defaultValue; }
+  async accept(promptText) {
+    if (this.answer) throw new Error('Cannot accept dialog which is already handled!');
+    this.answer = { accepted: true, promptText };
+  }
+  async dismiss() {
+    if (this.answer) throw new Error('Cannot dismiss dialog which is already handled!');
+    this.answer = { accepted: false };
+  }
+}
+
+/**
+ * Create a mock page with dialog handling enabled.
+ * @param {'created'|'adopted'} [origin='created'] - Origin passed to enableDialogHandling
+ * @returns {EventEmitter}
+ */
+function createPage(origin = 'created') {
+  const page = new EventEmitter();
+  enableDialogHandling(page, origin);
+  return page;
+}
+
+/**
+ * Open a dialog on the page and wait for the handler to answer it.
+ */
+async function openDialog(page, dialog) {
+  page.emit('dialog', dialog);
+  await new Promise(resolve => setImmediate(resolve));
+  return dialog;
+}
+
+/**
+ * Run a test body with MCPBROWSER_DIALOG_POLICY set, restoring it afterwards.
+ */
+async function withPolicy(policy, fn) {
+  const previous = process.env.MCPBROWSER_DIALOG_POLICY;
+  process.env.MCPBROWSER_DIALOG_POLICY = policy;
+  try {
+    await fn();
+  } finally {
+    if (previous === undefined) delete process.env.MCPBROWSER_DIALOG_POLICY;
+    else process.env.MCPBROWSER_DIALOG_POLICY = previous;
+  }
+}
+
+// ============================================================================
+// Policy Tests
+// ============================================================================
+
+console.log('\n💬 Testing getDialogPolicy() / enableDialogHandling()');
+
+await test('Should default to dismiss and ignore invalid policies', async () => {
+  await withPolicy('', () => assert.strictEqual(getDialogPolicy(), 'dismiss'));
+  await withPolicy('sometimes', () => assert.strictEqual(getDialogPolicy(), 'dismiss'));
+  await withPolicy(' Accept ', () => assert.strictEqual(getDialogPolicy(), 'accept'));
+});
+
+await test('Should dismiss confirm dialogs under the default policy', async () => {
+  await withPolicy('', async () => {
+    const page = createPage();
+    const dialog = await openDialog(page, new MockDialog('confirm', 'Delete 3 items?'));
+    assert.deepStrictEqual(dialog.answer, { accepted: false });
+  });
+});
+
+await test('Should accept beforeunload under the dismiss policy so navigations go through', async () => {
+  await withPolicy('dismiss', async () => {
+    const page = createPage();
+    const dialog = await openDialog(page, new MockDialog('beforeunload', ''));
+    assert.strictEqual(dialog.answer.accepted, true);
+  });
+});
+
+await test('Should accept prompts with their default value under the accept policy', async () => {
+  await withPolicy('accept', async () => {
+    const page = createPage();
+    const dialog = await openDialog(page, new MockDialog('prompt', 'Your name?', 'Guest'));
+    assert.deepStrictEqual(dialog.answer, { accepted: true, promptText: 'Guest' });
+  });
+});
+
+await test('Should leave dialogs open under the manual policy', async () => {
+  await withPolicy('manual', async () => {
+    const page = createPage();
+    const dialog = await openDialog(page, new MockDialog('alert', 'Saved'));
+    assert.strictEqual(dialog.answer, null);
+  });
+});
+
+await test('Should leave dialogs of adopted tabs open whatever the policy', async () => {
+  await withPolicy('accept', async () => {
+    const page = createPage('adopted');
+    const confirm = await openDialog(page, new MockDialog('confirm', 'Discard draft?'));
+    const beforeunload = await openDialog(page, new MockDialog('beforeunload', ''));
+    assert.strictEqual(confirm.answer, null);
+    assert.strictEqual(beforeunload.answer, null);
+  });
+});
+
+await test('Should not throw when the dialog was already answered', async () => {
+  await withPolicy('', async () => {
+    const page = createPage();
+    const dialog = new MockDialog('alert', 'Saved');
+    await dialog.dismiss();
+    await openDialog(page, dialog);
+    assert.deepStrictEqual(dialog.answer, { accepted: false });
+  });
+});
+
+// ============================================================================
+// Capture Tests
+// ============================================================================
+
+console.log('\n📋 Testing captureDialogs()');
+
+await test('Should record captured dialogs and apply the action override', async () => {
+  await withPolicy('', async () => {
+    const page = createPage();
+    const stop = captureDialogs(page, { action: 'accept' });
+    const dialog = await openDialog(page, new MockDialog('confirm', 'Delete 3 items?'));
+
+    const [info] = stop();
+    assert.strictEqual(dialog.answer.accepted, true);
+    assert.strictEqual(info.type, 'confirm');
+    assert.strictEqual(info.message, 'Delete 3 items?');
+    assert.strictEqual(info.defaultValue, null);
+    assert.strictEqual(info.action, 'accept');
+    assert.strictEqual(info.promptText, null);
+    assert.ok(!isNaN(Date.parse(info.timestamp)));
+  });
+});
+
+await test('Should accept prompts with promptText unless dialogAction says otherwise', async () => {
+  await withPolicy('', async () => {
+    const page = createPage();
+    let stop = captureDialogs(page, { promptText: 'Jane' });
+    const accepted = await openDialog(page, new MockDialog('prompt', 'Your name?', 'Guest'));
+    assert.deepStrictEqual(accepted.answer, { accepted: true, promptText: 'Jane' });
+    assert.strictEqual(stop()[0].promptText, 'Jane');
+
+    stop = captureDialogs(page, { action: 'dismiss', promptText: 'Jane' });
+    const dismissed = await openDialog(page, new MockDialog('prompt', 'Your name?', 'Guest'));
+    assert.deepStrictEqual(dismissed.answer, { accepted: false });
+    assert.strictEqual(stop()[0].promptText, null);
+  });
+});
+
+await test('Should answer dialogs of adopted tabs only when the action asks to', async () => {
+  await withPolicy('', async () => {
+    const page = createPage('adopted');
+    let stop = captureDialogs(page, {});
+    const untouched = await openDialog(page, new MockDialog('confirm', 'Leave?'));
+    assert.strictEqual(untouched.answer, null);
+    assert.strictEqual(stop()[0].action, 'manual');
+
+    stop = captureDialogs(page, { action: 'accept' });
+    const accepted = await openDialog(page, new MockDialog('confirm', 'Leave?'));
+    assert.strictEqual(accepted.answer.accepted, true);
+    stop();
+  });
+});
+
+await test('Should fall back to the policy once the capture is stopped', async () => {
+  await withPolicy('', async () => {
+    const page = createPage();
+    const stop = captureDialogs(page, { action: 'accept' });
+    assert.deepStrictEqual(stop(), []);
+
+    const dialog = await openDialog(page, new MockDialog('confirm', 'Leave?'));
+    assert.deepStrictEqual(dialog.answer, { accepted: false });
+    assert.deepStrictEqual(stop(), []);
+  });
+});
+
+await test('Should return no dialogs for pages without dialog handling', async () => {
+  const stop = captureDialogs(new EventEmitter(), { action: 'accept' });
+  assert.deepStrictEqual(stop(), []);
+});
+
+// ============================================================================
+// Helper Tests
+// ============================================================================
+
+console.log('\n🔧 Testing describeDialogs() / validateDialogParams()');
+
+await test('Should describe dialogs in one sentence', async () => {
+  const timestamp = new Date().toISOString();
+  assert.strictEqual(describeDialogs([]), '');
+  assert.strictEqual(describeDialogs([
+    { type: 'confirm', message: 'Delete?', defaultValue: null, action: 'dismiss', promptText: null, timestamp },
+    { type: 'prompt', message: 'Name?', defaultValue: '', action: 'accept', promptText: 'Jane', timestamp },
+    { type: 'alert', message: 'Hi', defaultValue: null, action: 'manual', promptText: null, timestamp }
+  ]), 'Dismissed confirm dialog "Delete?"; Accepted prompt dialog "Name?" with "Jane"; Left alert dialog "Hi" open for the user');
+});
+
+await test('Should reject invalid dialogAction and promptText', async () => {
+  validateDialogParams(undefined, undefined);
+  validateDialogParams('manual', 'text');
+  assert.throws(() => validateDialogParams('ok'), /Invalid dialogAction: ok\. Must be one of: accept, dismiss, manual/);
+  assert.throws(() => validateDialogParams(undefined, 42), /promptText must be a string/);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
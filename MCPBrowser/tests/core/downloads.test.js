@@ -0,0 +1,251 @@
+/**
+ * UNIT TESTS - Download tracking with a mock CDP session (NO browser required)
+ * Run with: node tests/core/downloads.test.js
+ */
+
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Route downloads to a temporary directory before the module picks its directory
+const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcpbrowser-downloads-test-'));
+process.env.MCPBROWSER_DOWNLOAD_DIR = downloadDir;
+
+const { enableDownloads, routeDownloads, getDownloadDir, listDownloads, getDownload, waitForDownload, getMimeType, isTextMimeType } = await import('../../src/core/downloads.js');
+
+console.log('🧪 Testing download tracking\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (err) {
+    console.log(`❌ ${description}`);
+    console.log(`   Error: ${err.message}`);
+    testsFailed++;
+  }
+}
+
+// Mock browser whose browser-target CDP session records commands and emits download events
+class MockSession extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+  async send(method, params) {
+    this.sent.push({ method, params });
+  }
+}
+
+const session = new MockSession();
+const mockBrowser = {
+  target: () => ({ createCDPSession: async () => session })
+};
+
+// Mock tab whose target ID is its main frame ID, with one iframe; its CDP session reports the
+// frame tree and can attach more frames
+class MockFrameSession extends EventEmitter {
+  async send(method) {
+    if (method === 'Page.getFrameTree') {
+      return { frameTree: { frame: { id: 'tab-1' }, childFrames: [{ frame: { id: 'tab-1-iframe' } }] } };
+    }
+    return {};
+  }
+  async detach() {
+    this.detached = true;
+  }
+}
+
+const frameSessions = [];
+const mockPage = {
+  createCDPSession: async () => {
+    const frameSession = new MockFrameSession();
+    frameSessions.push(frameSession);
+    return frameSession;
+  }
+};
+
+/**
+ * Simulate Chrome saving a file: announce it, write it under its GUID, report completion.
+ */
+function simulateDownload(guid, suggestedFilename, content) {
+  session.emit('Browser.downloadWillBegin', { frameId: 'tab-1', guid, url: `https://example.com/${suggestedFilename}`, suggestedFilename });
+  fs.writeFileSync(path.join(downloadDir, guid), content);
+  session.emit('Browser.downloadProgress', { guid, receivedBytes: content.length, totalBytes: content.length, state: 'completed' });
+}
+
+// ============================================================================
+// MIME type Tests
+// ============================================================================
+
+console.log('\n📋 Testing getMimeType() / isTextMimeType()');
+
+await test('Should guess MIME type from extension', async () => {
+  assert.strictEqual(getMimeType('report.CSV'), 'text/csv');
+  assert.strictEqual(getMimeType('archive.zip'), 'application/zip');
+  assert.strictEqual(getMimeType('noextension'), 'application/octet-stream');
+});
+
+await test('Should treat text and structured text formats as text', async () => {
+  assert.strictEqual(isTextMimeType('text/csv'), true);
+  assert.strictEqual(isTextMimeType('application/json'), true);
+  assert.strictEqual(isTextMimeType('application/zip'), false);
+});
+
+// ============================================================================
+// enableDownloads Tests
+// ============================================================================
+
+console.log('\n📋 Testing enableDownloads()');
+
+await test('Should keep the default download behavior until a tab is routed', async () => {
+  await enableDownloads(mockBrowser);
+  assert.strictEqual(getDownloadDir(), downloadDir);
+  assert.deepStrictEqual(session.sent[0], {
+    method: 'Browser.setDownloadBehavior',
+    params: { behavior: 'default', eventsEnabled: true }
+  });
+});
+
+await test('Should route downloads to the configured directory while a tab is routed', async () => {
+  session.sent = [];
+  const stopFirst = await routeDownloads(mockPage, 'tab-1');
+  const stopSecond = await routeDownloads(mockPage, 'tab-1');
+  assert.deepStrictEqual(session.sent, [{
+    method: 'Browser.setDownloadBehavior',
+    params: { behavior: 'allowAndName', downloadPath: downloadDir, eventsEnabled: true }
+  }]);
+
+  await stopFirst();
+  await stopFirst();
+  assert.strictEqual(session.sent.length, 1, 'Should stay routed while another action routes the tab');
+  await stopSecond();
+  assert.deepStrictEqual(session.sent[1].params, { behavior: 'default', eventsEnabled: true });
+  assert.strictEqual(frameSessions.length, 1, 'Should list the frames of a tab once while it is routed');
+  assert.strictEqual(frameSessions[0].detached, true, 'Should detach the frame session when routing stops');
+});
+
+await test('Should not throw when the browser target is unavailable', async () => {
+  await enableDownloads({ target: () => { throw new Error('Browser target is not found'); } });
+});
+
+// ============================================================================
+// Progress tracking Tests
+// ============================================================================
+
+console.log('\n📋 Testing download progress tracking');
+
+const stopRouting = await routeDownloads(mockPage, 'tab-1');
+
+await test('Should track an in-progress download', async () => {
+  session.emit('Browser.downloadWillBegin', { frameId: 'tab-1', guid: 'guid-1', url: 'https://example.com/big.zip', suggestedFilename: 'big.zip' });
+  session.emit('Browser.downloadProgress', { guid: 'guid-1', receivedBytes: 10, totalBytes: 100, state: 'inProgress' });
+
+  const download = getDownload('guid-1');
+  assert.strictEqual(download.state, 'inProgress');
+  assert.strictEqual(download.receivedBytes, 10);
+  assert.strictEqual(download.totalBytes, 100);
+  assert.strictEqual(download.path, null);
+  assert.strictEqual(download.mimeType, 'application/zip');
+  assert.strictEqual(download.tabId, 'tab-1');
+});
+
+await test('Should rename completed downloads to their file name', async () => {
+  simulateDownload('guid-2', 'report.csv', 'a,b\n1,2\n');
+
+  const download = getDownload('guid-2');
+  assert.strictEqual(download.state, 'completed');
+  assert.strictEqual(download.path, path.join(downloadDir, 'report.csv'));
+  assert.strictEqual(fs.readFileSync(download.path, 'utf8'), 'a,b\n1,2\n');
+  assert.ok(download.completedAt, 'Should have completedAt');
+});
+
+await test('Should not overwrite a file with the same name', async () => {
+  simulateDownload('guid-3', 'report.csv', 'newer');
+
+  const download = getDownload('guid-3');
+  assert.strictEqual(download.filename, 'report (1).csv');
+  assert.strictEqual(fs.readFileSync(path.join(downloadDir, 'report.csv'), 'utf8'), 'a,b\n1,2\n');
+});
+
+await test('Should keep suggested file names inside the download directory', async () => {
+  simulateDownload('guid-4', '../../escape.txt', 'x');
+
+  const download = getDownload('guid-4');
+  assert.strictEqual(path.dirname(download.path), downloadDir);
+  assert.strictEqual(download.filename, 'escape.txt');
+});
+
+await test('Should record canceled downloads', async () => {
+  session.emit('Browser.downloadWillBegin', { frameId: 'tab-1-iframe', guid: 'guid-5', url: 'https://example.com/x.pdf', suggestedFilename: 'x.pdf' });
+  session.emit('Browser.downloadProgress', { guid: 'guid-5', receivedBytes: 5, totalBytes: 50, state: 'canceled' });
+
+  assert.strictEqual(getDownload('guid-5').state, 'canceled');
+  assert.strictEqual(getDownload('guid-5').tabId, 'tab-1', 'Should attribute iframe downloads to their tab');
+});
+
+await test('Should attribute downloads of frames attached while routed to their tab', async () => {
+  frameSessions.at(-1).emit('Page.frameAttached', { frameId: 'tab-1-late-iframe', parentFrameId: 'tab-1' });
+  session.emit('Browser.downloadWillBegin', { frameId: 'tab-1-late-iframe', guid: 'guid-8', url: 'https://example.com/y.pdf', suggestedFilename: 'y.pdf' });
+  session.emit('Browser.downloadProgress', { guid: 'guid-8', receivedBytes: 0, totalBytes: 50, state: 'canceled' });
+
+  assert.strictEqual(getDownload('guid-8').tabId, 'tab-1');
+});
+
+await test('Should ignore downloads of tabs that are not routed', async () => {
+  session.emit('Browser.downloadWillBegin', { frameId: 'user-tab', guid: 'guid-6', url: 'https://example.com/mine.zip', suggestedFilename: 'mine.zip' });
+  await stopRouting();
+  session.emit('Browser.downloadWillBegin', { frameId: 'tab-1', guid: 'guid-7', url: 'https://example.com/late.zip', suggestedFilename: 'late.zip' });
+
+  assert.strictEqual(getDownload('guid-6'), null);
+  assert.strictEqual(getDownload('guid-7'), null);
+});
+
+await test('Should wait for a download to complete', async () => {
+  setTimeout(() => session.emit('Browser.downloadProgress', { guid: 'guid-1', receivedBytes: 100, totalBytes: 100, state: 'canceled' }), 300);
+  const download = await waitForDownload('guid-1', 5000);
+  assert.strictEqual(download.state, 'canceled');
+});
+
+await test('Should list downloads in start order and filter by start time and tab', async () => {
+  assert.deepStrictEqual(listDownloads().map(d => d.id), ['guid-1', 'guid-2', 'guid-3', 'guid-4', 'guid-5', 'guid-8']);
+  assert.deepStrictEqual(listDownloads({ since: Date.now() + 1000 }), []);
+  assert.strictEqual(listDownloads({ tabId: 'tab-1' }).length, 6);
+  assert.deepStrictEqual(listDownloads({ tabId: 'tab-2' }), []);
+  assert.strictEqual(getDownload('unknown'), null);
+});
+
+await test('Should remove the temporary download directory when the server exits', async () => {
+  const script = `
+    const { getDownloadDir } = await import(${JSON.stringify(new URL('../../src/core/downloads.js', import.meta.url).href)});
+    const dir = getDownloadDir();
+    (await import('fs')).writeFileSync(dir + '/report.csv', 'a,b');
+    console.log(dir);`;
+  const env = { ...process.env };
+  delete env.MCPBROWSER_DOWNLOAD_DIR;
+  const tempDir = execFileSync(process.execPath, ['--input-type=module', '-e', script], { env, encoding: 'utf8' }).trim();
+  assert.ok(tempDir.startsWith(path.join(os.tmpdir(), 'mcpbrowser-downloads-')), tempDir);
+  assert.strictEqual(fs.existsSync(tempDir), false);
+});
+
+fs.rmSync(downloadDir, { recursive: true, force: true });
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}`);
+console.log(`Tests failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+  process.exit(1);
+}
@@ -1,5 +1,5 @@
 import assert from 'assert';
-import { prepareHtml, cleanHtml, enrichHtml } from '../../src/core/html.js';
+import { prepareHtml, cleanHtml, enrichHtml, resolveUrl, htmlToMarkdown, htmlToText } from '../../src/core/html.js';
 
 console.log('🧪 Testing HTML processing functions\n');
 
@@ -481,6 +481,15 @@ test('enrichHtml: Should NOT remove script or style tags', () => {
   assert(result.includes('<style'), 'Should keep style tag');
 });
 
+// Test enrichHtml 10: Shared URL resolution
+test('resolveUrl: Should resolve relative, protocol-relative and fragment URLs', () => {
+  assert.strictEqual(resolveUrl('../guide', 'https://example.com/docs/api/'), 'https://example.com/docs/guide');
+  assert.strictEqual(resolveUrl('//cdn.example.com/a.js', 'https://example.com'), 'https://cdn.example.com/a.js');
+  assert.strictEqual(resolveUrl('#top', 'https://example.com/page'), 'https://example.com/page#top');
+  assert.strictEqual(resolveUrl('https://other.com/x', 'https://example.com'), 'https://other.com/x');
+  assert.strictEqual(resolveUrl('http://[bad', 'https://example.com'), null);
+});
+
 // ==================================================
 // Combined cleanHtml + enrichHtml Tests
 // ==================================================
@@ -517,6 +526,104 @@ test('Combined: prepareHtml should still work as before', () => {
   assert(result.includes('Link'), 'Should preserve content');
 });
 
+// ==================================================
+// htmlToMarkdown / htmlToText Tests
+// ==================================================
+
+console.log('\n📝 Testing htmlToMarkdown and htmlToText\n');
+
+test('htmlToMarkdown should convert headings and paragraphs', () => {
+  const result = htmlToMarkdown('<h1>Title</h1><p>First <strong>bold</strong> and <em>italic</em></p><h3>Sub</h3>');
+  assert.strictEqual(result, '# Title\n\nFirst **bold** and *italic*\n\n### Sub');
+});
+
+test('htmlToMarkdown should keep links and images with their URLs', () => {
+  const html = enrichHtml('<p><a href="/docs">Docs</a> <img src="/logo.png" alt="Logo"></p>', 'https://example.com');
+  const result = htmlToMarkdown(html);
+  assert.strictEqual(result, '[Docs](https://example.com/docs) ![Logo](https://example.com/logo.png)');
+});
+
+test('htmlToMarkdown should drop javascript: links but keep their text', () => {
+  const result = htmlToMarkdown('<a href="javascript:void(0)">Open menu</a>');
+  assert.strictEqual(result, 'Open menu');
+});
+
+test('htmlToMarkdown should convert nested and ordered lists', () => {
+  const result = htmlToMarkdown('<ul><li>One</li><li>Two<ul><li>Nested</li></ul></li></ul><ol start="3"><li>Three</li></ol>');
+  assert.strictEqual(result, '- One\n- Two\n  - Nested\n\n3. Three');
+});
+
+test('htmlToMarkdown should convert tables with header, colspan and rowspan', () => {
+  const html = '<table><thead><tr><th>Name</th><th>Q1</th><th>Q2</th></tr></thead>' +
+    '<tbody><tr><td rowspan="2">Team A</td><td colspan="2">10</td></tr><tr><td>3</td><td>4</td></tr></tbody></table>';
+  const result = htmlToMarkdown(html);
+  assert.strictEqual(result, [
+    '| Name | Q1 | Q2 |',
+    '| --- | --- | --- |',
+    '| Team A | 10 | |',
+    '| Team A | 3 | 4 |'
+  ].join('\n'));
+});
+
+test('htmlToMarkdown should escape pipes inside table cells', () => {
+  const result = htmlToMarkdown('<table><tr><th>a|b</th></tr><tr><td>c</td></tr></table>');
+  assert(result.includes('a\\|b'), 'Should escape pipe character');
+});
+
+test('htmlToMarkdown should preserve code block whitespace and language', () => {
+  const html = '<pre><code class="language-js">if (a) {\n    return 1;\n}</code></pre><p>Run <code>npm test</code></p>';
+  const result = htmlToMarkdown(html);
+  assert.strictEqual(result, '```js\nif (a) {\n    return 1;\n}\n```\n\nRun `npm test`');
+});
+
+test('htmlToMarkdown should skip scripts, styles and head', () => {
+  const html = '<html><head><title>T</title><style>p{}</style></head><body><script>x()</script><p>Body</p><noscript>No JS</noscript></body></html>';
+  assert.strictEqual(htmlToMarkdown(html), 'Body');
+});
+
+test('htmlToMarkdown should decode entities', () => {
+  assert.strictEqual(htmlToMarkdown('<p>Tom &amp; Jerry &#8212; &lt;3&nbsp;&#x41;</p>'), 'Tom & Jerry — <3 A');
+});
+
+test('htmlToMarkdown should quote blockquotes', () => {
+  assert.strictEqual(htmlToMarkdown('<blockquote><p>Line one</p><p>Line two</p></blockquote>'), '> Line one\n>\n> Line two');
+});
+
+test('htmlToMarkdown should escape markdown characters in text', () => {
+  const result = htmlToMarkdown('<p>Use *args and my_var in [brackets]</p><p>#1 seller</p><p>1. Not a list</p><p>Step 1. stays</p>');
+  assert.strictEqual(result, 'Use \\*args and my\\_var in \\[brackets\\]\n\n\\#1 seller\n\n1\\. Not a list\n\nStep 1. stays');
+});
+
+test('htmlToMarkdown should escape list markers only where they start a line', () => {
+  const result = htmlToMarkdown('<p><a href="/a">Home</a> - <a href="/b">About</a></p><ul><li># tag</li></ul><p>- dash</p>');
+  assert.strictEqual(result, '[Home](/a) - [About](/b)\n\n- \\# tag\n\n\\- dash');
+});
+
+test('htmlToMarkdown should escape brackets in link labels and image alt text', () => {
+  const result = htmlToMarkdown('<a href="https://example.com/a">See [1]</a> <a href="https://example.com/b" aria-label="Next ]"></a> <img src="https://example.com/i.png" alt="a]b">');
+  assert.strictEqual(result, '[See \\[1\\]](https://example.com/a) [Next \\]](https://example.com/b) ![a\\]b](https://example.com/i.png)');
+});
+
+test('htmlToMarkdown should wrap URLs with parentheses or spaces in angle brackets', () => {
+  const result = htmlToMarkdown('<a href="https://en.wikipedia.org/wiki/Foo_(bar)">Foo</a> <img src="https://example.com/my image.png" alt="Pic">');
+  assert.strictEqual(result, '[Foo](<https://en.wikipedia.org/wiki/Foo_(bar)>) ![Pic](<https://example.com/my image.png>)');
+});
+
+test('htmlToText should not escape markdown characters', () => {
+  assert.strictEqual(htmlToText('<p># 1. *a_b* [c]</p>'), '# 1. *a_b* [c]');
+});
+
+test('htmlToText should drop markup but keep structure', () => {
+  const html = '<h2>Title</h2><p>See <a href="https://example.com">site</a></p><ul><li>A</li><li>B</li></ul>' +
+    '<table><tr><th>K</th><th>V</th></tr><tr><td>x</td><td>1</td></tr></table>';
+  assert.strictEqual(htmlToText(html), 'Title\n\nSee site\n\n- A\n- B\n\nK\tV\nx\t1');
+});
+
+test('htmlToMarkdown and htmlToText should handle empty input', () => {
+  assert.strictEqual(htmlToMarkdown(''), '');
+  assert.strictEqual(htmlToText(null), '');
+});
+
 // ==================================================
 // Original prepareHtml Tests (for backward compatibility)
 // ==================================================
@@ -0,0 +1,221 @@
+/**
+ * UNIT TESTS - Network request log with a mock CDP session (NO browser required)
+ * Run with: node tests/core/network.test.js
+ */
+
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import { enableNetworkLog, hasNetworkLog, listNetworkRequests, clearNetworkLog, getResponseBody, MAX_NETWORK_ENTRIES } from '../../src/core/network.js';
+
+console.log('🧪 Testing network request log\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (err) {
+    console.log(`❌ ${description}`);
+    console.log(`   Error: ${err.message}`);
+    testsFailed++;
+  }
+}
+
+// Mock tab CDP session that records commands, emits network events and serves response bodies
+class MockSession extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+    this.bodies = new Map();
+  }
+  async send(method, params) {
+    this.sent.push({ method, params });
+    if (method === 'Network.getResponseBody') {
+      if (!this.bodies.has(params.requestId)) throw new Error('No resource with given identifier found');
+      return this.bodies.get(params.requestId);
+    }
+  }
+}
+
+/**
+ * Create a mock page whose network log is enabled.
+ * @returns {Promise<{page: Object, session: MockSession}>}
+ */
+async function createTrackedPage() {
+  const session = new MockSession();
+  const page = { createCDPSession: async () => session };
+  await enableNetworkLog(page);
+  return { page, session };
+}
+
+/**
+ * Simulate a complete request: sent at `start` seconds, headers after 20 ms, finished at `end`.
+ */
+function simulateRequest(session, requestId, { url, method = 'GET', type = 'XHR', status = 200, mimeType = 'application/json', start = 100, end = 100.25 }) {
+  session.emit('Network.requestWillBeSent', { requestId, request: { url, method }, timestamp: start, wallTime: 1700000000, type });
+  session.emit('Network.responseReceived', {
+    requestId,
+    response: { status, statusText: 'OK', mimeType, timing: { sendStart: 1, sendEnd: 2, receiveHeadersEnd: 22 } }
+  });
+  session.emit('Network.loadingFinished', { requestId, timestamp: end, encodedDataLength: 512 });
+}
+
+// ============================================================================
+// Recording Tests
+// ============================================================================
+
+console.log('\n📡 Testing enableNetworkLog() / listNetworkRequests()');
+
+await test('Should enable the Network domain on the tab session', async () => {
+  const { page, session } = await createTrackedPage();
+  assert.strictEqual(hasNetworkLog(page), true);
+  assert.strictEqual(session.sent[0].method, 'Network.enable');
+});
+
+await test('Should record a finished request with status, timing and size', async () => {
+  const { page, session } = await createTrackedPage();
+  simulateRequest(session, 'r1', { url: 'https://example.com/api/user' });
+
+  const [request] = listNetworkRequests(page);
+  assert.deepStrictEqual(request, {
+    id: 1,
+    url: 'https://example.com/api/user',
+    method: 'GET',
+    resourceType: 'xhr',
+    state: 'finished',
+    status: 200,
+    statusText: 'OK',
+    mimeType: 'application/json',
+    fromCache: false,
+    errorText: null,
+    startedAt: new Date(1700000000 * 1000).toISOString(),
+    durationMs: 250,
+    ttfbMs: 20,
+    encodedBytes: 512
+  });
+});
+
+await test('Should keep pending requests and record network errors', async () => {
+  const { page, session } = await createTrackedPage();
+  session.emit('Network.requestWillBeSent', { requestId: 'p', request: { url: 'https://example.com/slow', method: 'GET' }, timestamp: 1, type: 'Fetch' });
+  session.emit('Network.requestWillBeSent', { requestId: 'f', request: { url: 'https://down.example.com/', method: 'POST' }, timestamp: 1, type: 'Fetch' });
+  session.emit('Network.loadingFailed', { requestId: 'f', timestamp: 1.5, errorText: 'net::ERR_CONNECTION_REFUSED' });
+
+  const [pending, failed] = listNetworkRequests(page);
+  assert.strictEqual(pending.state, 'pending');
+  assert.strictEqual(pending.durationMs, null);
+  assert.strictEqual(failed.state, 'failed');
+  assert.strictEqual(failed.status, null);
+  assert.strictEqual(failed.errorText, 'net::ERR_CONNECTION_REFUSED');
+  assert.strictEqual(failed.durationMs, 500);
+});
+
+await test('Should record each redirect hop as its own request', async () => {
+  const { page, session } = await createTrackedPage();
+  session.emit('Network.requestWillBeSent', { requestId: 'd', request: { url: 'https://example.com/old', method: 'GET' }, timestamp: 10, type: 'Document' });
+  session.emit('Network.requestWillBeSent', {
+    requestId: 'd',
+    request: { url: 'https://example.com/new', method: 'GET' },
+    timestamp: 10.1,
+    type: 'Document',
+    redirectResponse: { status: 301, statusText: 'Moved Permanently', mimeType: 'text/html' }
+  });
+  session.emit('Network.responseReceived', { requestId: 'd', response: { status: 200, statusText: 'OK', mimeType: 'text/html' } });
+  session.emit('Network.loadingFinished', { requestId: 'd', timestamp: 10.3, encodedDataLength: 2048 });
+
+  const requests = listNetworkRequests(page);
+  assert.deepStrictEqual(requests.map(r => [r.url, r.status, r.state]), [
+    ['https://example.com/old', 301, 'finished'],
+    ['https://example.com/new', 200, 'finished']
+  ]);
+  assert.strictEqual(requests[1].durationMs, 200);
+});
+
+await test('Should mark cached responses and skip data URLs', async () => {
+  const { page, session } = await createTrackedPage();
+  session.emit('Network.requestWillBeSent', { requestId: 'i', request: { url: 'data:image/png;base64,AAAA', method: 'GET' }, timestamp: 1, type: 'Image' });
+  session.emit('Network.requestWillBeSent', { requestId: 'c', request: { url: 'https://example.com/app.js', method: 'GET' }, timestamp: 1, type: 'Script' });
+  session.emit('Network.requestServedFromCache', { requestId: 'c' });
+  session.emit('Network.responseReceived', { requestId: 'c', response: { status: 200, mimeType: 'text/javascript' } });
+
+  const requests = listNetworkRequests(page);
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].fromCache, true);
+  assert.strictEqual(requests[0].statusText, null);
+});
+
+await test('Should keep only the most recent requests', async () => {
+  const { page, session } = await createTrackedPage();
+  for (let i = 1; i <= MAX_NETWORK_ENTRIES + 5; i++) {
+    session.emit('Network.requestWillBeSent', { requestId: `r${i}`, request: { url: `https://example.com/${i}`, method: 'GET' }, timestamp: i, type: 'Image' });
+  }
+  // Events for a dropped request are ignored
+  session.emit('Network.loadingFinished', { requestId: 'r1', timestamp: 1000, encodedDataLength: 1 });
+
+  const requests = listNetworkRequests(page);
+  assert.strictEqual(requests.length, MAX_NETWORK_ENTRIES);
+  assert.strictEqual(requests[0].id, 6);
+  assert.strictEqual(requests.every(r => r.state === 'pending'), true);
+});
+
+await test('Should clear the log without resetting request ids', async () => {
+  const { page, session } = await createTrackedPage();
+  simulateRequest(session, 'a', { url: 'https://example.com/a' });
+  clearNetworkLog(page);
+  assert.deepStrictEqual(listNetworkRequests(page), []);
+
+  simulateRequest(session, 'b', { url: 'https://example.com/b' });
+  assert.deepStrictEqual(listNetworkRequests(page).map(r => r.id), [2]);
+});
+
+await test('Should not throw when the tab refuses a CDP session', async () => {
+  const page = { createCDPSession: async () => { throw new Error('Target closed'); } };
+  await enableNetworkLog(page);
+  assert.strictEqual(hasNetworkLog(page), false);
+  assert.deepStrictEqual(listNetworkRequests(page), []);
+  assert.deepStrictEqual(listNetworkRequests({}), []);
+});
+
+// ============================================================================
+// getResponseBody Tests
+// ============================================================================
+
+console.log('\n📄 Testing getResponseBody()');
+
+await test('Should return text bodies and cut them at maxLength', async () => {
+  const { page, session } = await createTrackedPage();
+  simulateRequest(session, 'j', { url: 'https://example.com/api/error', status: 401, mimeType: 'application/problem+json' });
+  session.bodies.set('j', { body: '{"error":"token expired"}', base64Encoded: false });
+  simulateRequest(session, 't', { url: 'https://example.com/readme.txt', mimeType: 'text/plain' });
+  session.bodies.set('t', { body: Buffer.from('héllo world').toString('base64'), base64Encoded: true });
+
+  assert.deepStrictEqual(await getResponseBody(page, 1, 1000), { body: '{"error":"token expired"}', truncated: false });
+  assert.deepStrictEqual(await getResponseBody(page, 2, 5), { body: 'héllo', truncated: true });
+});
+
+await test('Should return null for binary, pending and evicted bodies', async () => {
+  const { page, session } = await createTrackedPage();
+  simulateRequest(session, 'img', { url: 'https://example.com/logo.png', type: 'Image', mimeType: 'image/png' });
+  session.bodies.set('img', { body: 'AAAA', base64Encoded: true });
+  session.emit('Network.requestWillBeSent', { requestId: 'p', request: { url: 'https://example.com/api/slow', method: 'GET' }, timestamp: 1, type: 'Fetch' });
+  simulateRequest(session, 'gone', { url: 'https://example.com/api/old' });
+
+  for (const id of [1, 2, 3, 99]) {
+    assert.deepStrictEqual(await getResponseBody(page, id, 1000), { body: null, truncated: false });
+  }
+  assert.strictEqual(session.sent.filter(c => c.method === 'Network.getResponseBody').length, 1);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
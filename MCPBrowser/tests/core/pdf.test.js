@@ -0,0 +1,340 @@
+/**
+ * UNIT TESTS - PDF text extraction with PDFs built in memory (NO browser required)
+ * Run with: node tests/core/pdf.test.js
+ */
+
+import assert from 'assert';
+import zlib from 'zlib';
+import { EventEmitter } from 'events';
+import { extractPdfText, formatPdfText, countPdfPages, capturePdfResponses, MAX_INFLATED_PDF_BYTES } from '../../src/core/pdf.js';
+
+console.log('🧪 Testing PDF text extraction\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (err) {
+    console.log(`❌ ${description}`);
+    console.log(`   Error: ${err.message}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Build a PDF file from object bodies (object N is objects[N - 1])
+ * @param {Array<string|{dict: string, data: Buffer|string}>} objects - Object bodies, or stream dictionaries and data
+ * @param {string} trailer - Trailer dictionary, or null for files with an xref stream
+ * @returns {Buffer} The PDF file
+ */
+function buildPdf(objects, trailer) {
+  const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  objects.forEach((obj, i) => {
+    chunks.push(Buffer.from(`${i + 1} 0 obj\n`, 'latin1'));
+    if (typeof obj === 'string') {
+      chunks.push(Buffer.from(obj, 'latin1'));
+    } else {
+      const data = Buffer.from(obj.data, 'latin1');
+      chunks.push(Buffer.from(`<< ${obj.dict} /Length ${data.length} >>\nstream\n`, 'latin1'), data, Buffer.from('\nendstream', 'latin1'));
+    }
+    chunks.push(Buffer.from('\nendobj\n', 'latin1'));
+  });
+  if (trailer) {
+    chunks.push(Buffer.from(`trailer\n${trailer}\nstartxref\n0\n%%EOF\n`, 'latin1'));
+  }
+  return Buffer.concat(chunks);
+}
+
+const HELVETICA = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+// ==================================================
+// Basic documents
+// ==================================================
+
+console.log('\n📄 Testing basic documents\n');
+
+await test('Should extract page text and document info', async () => {
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 4 0 R >> >> >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+    HELVETICA,
+    { dict: '', data: 'BT /F1 12 Tf 72 700 Td (Hello \\(PDF\\) World) Tj 0 -14 Td (Caf\\351 \\223quoted\\224) Tj ET' },
+    '<< /Title (Release Spec) /Author <FEFF004A006F00EB> >>'
+  ], '<< /Size 7 /Root 1 0 R /Info 6 0 R >>');
+
+  const result = await extractPdfText(pdf);
+
+  assert.strictEqual(result.title, 'Release Spec');
+  assert.strictEqual(result.author, 'Joë');
+  assert.strictEqual(result.pageCount, 1);
+  assert.deepStrictEqual(result.pages, ['Hello (PDF) World\nCafé “quoted”']);
+});
+
+await test('Should keep page order and decompress Flate content', async () => {
+  const page = (text) => ({
+    dict: '/Filter /FlateDecode',
+    data: zlib.deflateSync(Buffer.from(`BT /F1 10 Tf 1 0 0 1 72 700 Tm [(${text}) -350 (next)] TJ 1 0 0 1 72 680 Tm [(Ker) 30 (ned)] TJ ET`, 'latin1'))
+  });
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [4 0 R 3 0 R] /Count 2 >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 6 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    '<< /Type /Page /Parent 2 0 R /Contents [7 0 R] /Resources << /Font << /F1 5 0 R >> >> >>',
+    HELVETICA,
+    page('Second'),
+    page('First')
+  ], '<< /Size 8 /Root 1 0 R >>');
+
+  const result = await extractPdfText(pdf);
+
+  assert.strictEqual(result.title, null);
+  assert.strictEqual(result.pageCount, 2);
+  assert.deepStrictEqual(result.pages, ['First next\nKerned', 'Second next\nKerned']);
+});
+
+// ==================================================
+// Fonts and encodings
+// ==================================================
+
+console.log('\n🔤 Testing fonts and encodings\n');
+
+await test('Should map two-byte codes through a ToUnicode CMap', async () => {
+  const cmap = [
+    '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+    '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+    '2 beginbfchar <0001> <0048> <0002> <0069> endbfchar',
+    '1 beginbfrange <0010> <0012> <0061> endbfrange',
+    '1 beginbfrange <0020> <0021> [<0021> <00660066>] endbfrange',
+    'endcmap CMapName currentdict /CMap defineresource pop end end'
+  ].join('\n');
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F0 5 0 R >> >> >>',
+    { dict: '', data: 'BT /F0 11 Tf 72 700 Td <00010002> Tj 0 -12 Td [<0010>-500<00110012>] TJ 0 -12 Td <00200021> Tj ET' },
+    '<< /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Inter /Encoding /Identity-H /ToUnicode 6 0 R /DescendantFonts [<< /Type /Font /Subtype /CIDFontType2 /BaseFont /ABCDEF+Inter /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor << /Type /FontDescriptor /FontName /ABCDEF+Inter /Flags 32 /FontBBox [0 0 1000 1000] /ItalicAngle 0 /Ascent 900 /Descent -200 /CapHeight 700 /StemV 80 >> >>] >>',
+    { dict: '/Filter /FlateDecode', data: zlib.deflateSync(Buffer.from(cmap)) }
+  ], '<< /Size 7 /Root 1 0 R >>');
+
+  assert.deepStrictEqual((await extractPdfText(pdf)).pages, ['Hi\na bc\n!ff']);
+});
+
+await test('Should apply /Differences glyph names', async () => {
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    { dict: '', data: 'BT /F1 12 Tf (\\001\\002\\003\\004) Tj ET' },
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Custom /Encoding << /Differences [1 /O /K /endash /uni2713] >> >>'
+  ], '<< /Size 6 /Root 1 0 R >>');
+
+  assert.deepStrictEqual((await extractPdfText(pdf)).pages, ['OK–✓']);
+});
+
+// ==================================================
+// Document structure
+// ==================================================
+
+console.log('\n🗂️ Testing document structure\n');
+
+await test('Should read objects from object streams with an xref stream trailer', async () => {
+  // Objects 6-8 are packed in object stream 1; object 9 is the xref stream holding the trailer keys
+  const packed = {
+    6: '<< /Type /Catalog /Pages 7 0 R >>',
+    7: '<< /Type /Pages /Kids [8 0 R] /Count 1 >>',
+    8: '<< /Type /Page /Parent 7 0 R /MediaBox [0 0 612 792] /Contents 3 0 R /Resources << /Font << /F1 4 0 R >> >> >>'
+  };
+  let offsets = '';
+  let body = '';
+  for (const [num, obj] of Object.entries(packed)) {
+    offsets += `${num} ${body.length} `;
+    body += obj + '\n';
+  }
+  const objects = buildPdf([
+    { dict: `/Type /ObjStm /N 3 /First ${offsets.length} /Filter /FlateDecode`, data: zlib.deflateSync(Buffer.from(offsets + body)) },
+    '<< /Title (Packed) >>',
+    { dict: '/Filter /ASCIIHexDecode', data: Buffer.from('BT /F1 12 Tf 72 700 Td (From object stream) Tj ET').toString('hex') + '>' },
+    HELVETICA
+  ], null);
+
+  // Xref stream entries (type, field 2, field 3) with widths [1 4 2]: free, in file at offset, or packed
+  const src = objects.toString('latin1');
+  const entries = Array.from({ length: 10 }, (_, num) => {
+    if (packed[num]) return [2, 1, Object.keys(packed).indexOf(String(num))];
+    const offset = src.indexOf(`\n${num} 0 obj\n`);
+    return offset === -1 ? [0, 0, 0] : [1, offset + 1, 0];
+  });
+  entries[9] = [1, objects.length, 0];
+  const table = Buffer.concat(entries.map(([type, field2, field3]) => {
+    const entry = Buffer.alloc(7);
+    entry.writeUInt8(type, 0);
+    entry.writeUInt32BE(field2, 1);
+    entry.writeUInt16BE(field3, 5);
+    return entry;
+  }));
+  const pdf = Buffer.concat([
+    objects,
+    Buffer.from(`9 0 obj\n<< /Type /XRef /Size 10 /Root 6 0 R /Info 2 0 R /W [1 4 2] /Length ${table.length} >>\nstream\n`, 'latin1'),
+    table,
+    Buffer.from(`\nendstream\nendobj\nstartxref\n${objects.length}\n%%EOF\n`, 'latin1')
+  ]);
+
+  const result = await extractPdfText(pdf);
+
+  assert.strictEqual(result.title, 'Packed');
+  assert.deepStrictEqual(result.pages, ['From object stream']);
+});
+
+await test('Should follow form XObjects and skip inline images', async () => {
+  const form = 'BT /F1 9 Tf 72 680 Td (Inside form) Tj ET';
+  const ascii85 = (data) => {
+    let out = '';
+    const bytes = Buffer.from(data, 'latin1');
+    for (let i = 0; i < bytes.length; i += 4) {
+      const chunk = Buffer.alloc(4);
+      bytes.copy(chunk, 0, i, i + 4);
+      let value = chunk.readUInt32BE(0);
+      const digits = [];
+      for (let j = 0; j < 5; j++) {
+        digits.unshift(String.fromCharCode(value % 85 + 33));
+        value = Math.floor(value / 85);
+      }
+      out += digits.slice(0, Math.min(4, bytes.length - i) + 1).join('');
+    }
+    return out + '~>';
+  };
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> /XObject << /Fm1 6 0 R >> >> >>',
+    { dict: '', data: 'BT /F1 12 Tf 72 700 Td (Before form) Tj ET /Fm1 Do BI /W 1 /H 1 /BPC 8 /CS /G ID \xff) EI BT /F1 12 Tf 72 660 Td (After) Tj ET' },
+    HELVETICA,
+    { dict: '/Type /XObject /Subtype /Form /BBox [0 0 600 800] /Filter /ASCII85Decode', data: ascii85(form) }
+  ], '<< /Size 7 /Root 1 0 R >>');
+
+  assert.deepStrictEqual((await extractPdfText(pdf)).pages, ['Before form\nInside form\nAfter']);
+});
+
+await test('Should count pages through nested page tree nodes', async () => {
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 3 >>',
+    '<< /Type /Pages /Parent 2 0 R /Kids [5 0 R 6 0 R] /Count 2 >>',
+    '<< /Type /Page /Parent 2 0 R >>',
+    '<< /Type /Page /Parent 3 0 R >>',
+    '<< /Type /Page /Parent 3 0 R >>'
+  ], '<< /Size 7 /Root 1 0 R >>');
+
+  assert.strictEqual(await countPdfPages(pdf), 3);
+  await assert.rejects(countPdfPages(Buffer.from('not a pdf')), /Not a PDF document/);
+});
+
+await test('Should mark where each page starts', async () => {
+  const text = formatPdfText({ title: null, author: null, pageCount: 2, pages: ['One', 'Two'] });
+  assert.strictEqual(text, '--- Page 1 ---\nOne\n\n--- Page 2 ---\nTwo');
+});
+
+// ==================================================
+// Navigation responses
+// ==================================================
+
+console.log('\n📥 Testing capturePdfResponses()\n');
+
+// Mock tab CDP session that pauses responses and records commands
+class MockSession extends EventEmitter {
+  constructor(bodies) {
+    super();
+    this.bodies = bodies;
+    this.sent = [];
+  }
+  async send(method, params) {
+    this.sent.push({ method, params });
+    if (method === 'Fetch.getResponseBody') {
+      return { body: this.bodies[params.requestId].toString('base64'), base64Encoded: true };
+    }
+  }
+  async detach() {
+    this.detached = true;
+  }
+}
+
+await test('Should keep PDF bodies from the navigation response and let every response continue', async () => {
+  const pdfBytes = Buffer.from('%PDF-1.7 fake');
+  const session = new MockSession({ pdf: pdfBytes });
+  const capture = await capturePdfResponses({ createCDPSession: async () => session }, 1000);
+  assert.deepStrictEqual(session.sent[0].params.patterns, [{ urlPattern: '*', resourceType: 'Document', requestStage: 'Response' }]);
+
+  const pause = (requestId, url, type, status = 200, length) => session.emit('Fetch.requestPaused', {
+    requestId,
+    request: { url },
+    responseStatusCode: status,
+    responseHeaders: [{ name: 'Content-Type', value: type }, ...(length ? [{ name: 'Content-Length', value: String(length) }] : [])]
+  });
+  pause('redirect', 'https://example.com/signed?token=1', 'text/html', 302);
+  pause('html', 'https://example.com/', 'text/html; charset=utf-8');
+  pause('pdf', 'https://example.com/report.pdf?token=1', 'application/pdf');
+  pause('big', 'https://example.com/big.pdf', 'application/pdf', 200, 5000);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const continued = session.sent.filter(c => c.method === 'Fetch.continueRequest').map(c => c.params.requestId);
+  assert.deepStrictEqual(continued.sort(), ['big', 'html', 'pdf', 'redirect']);
+  assert.deepStrictEqual(session.sent.filter(c => c.method === 'Fetch.getResponseBody').map(c => c.params.requestId), ['pdf']);
+
+  assert.deepStrictEqual(capture.getPdfBytes('https://example.com/report.pdf?token=1'), pdfBytes);
+  assert.throws(() => capture.getPdfBytes('https://example.com/big.pdf'), /5000 bytes, larger than the 1000 byte limit/);
+  assert.throws(() => capture.getPdfBytes('https://example.com/other.pdf'), /was not part of this navigation's response/);
+
+  await capture.stop();
+  assert.strictEqual(session.detached, true);
+});
+
+// ==================================================
+// Unsupported input
+// ==================================================
+
+console.log('\n🚫 Testing unsupported input\n');
+
+await test('Should reject data that is not a PDF', async () => {
+  await assert.rejects(extractPdfText(Buffer.from('<html></html>')), /Not a PDF document/);
+});
+
+await test('Should reject password-protected PDFs', async () => {
+  // O and U don't match the empty password, so a user password is needed to open the file
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [] /Count 0 >>',
+    `<< /Filter /Standard /V 2 /R 3 /Length 128 /P -4 /O <${'ab'.repeat(32)}> /U <${'cd'.repeat(32)}> >>`
+  ], `<< /Size 4 /Root 1 0 R /Encrypt 3 0 R /ID [<${'01'.repeat(16)}> <${'01'.repeat(16)}>] >>`);
+
+  await assert.rejects(extractPdfText(pdf), /Password-protected PDFs are not supported/);
+});
+
+await test('Should refuse PDFs whose streams decompress to too much data', async () => {
+  // 1 MB of zeros per 1 KB stream; enough streams to pass the limit
+  const bomb = zlib.deflateSync(Buffer.alloc(1024 * 1024), { level: 9 });
+  const streams = Array.from({ length: Math.ceil(MAX_INFLATED_PDF_BYTES / (1024 * 1024)) + 1 }, () => ({ dict: '/Filter /FlateDecode', data: bomb }));
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [] /Count 0 >>',
+    ...streams
+  ], '<< /Size 3 /Root 1 0 R >>');
+
+  assert.ok(pdf.length < MAX_INFLATED_PDF_BYTES / 100, 'The file itself should be small');
+  await assert.rejects(extractPdfText(pdf), /PDF streams decompress to more than \d+ bytes/);
+});
+
+// ==================================================
+// Summary
+// ==================================================
+
+console.log('\n==================================================');
+console.log(`✅ Tests Passed: ${testsPassed}`);
+console.log(`❌ Tests Failed: ${testsFailed}`);
+console.log('==================================================\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -11,6 +11,28 @@ import { ClickElementSuccessResponse } from '../../src/actions/click-element.js'
 import { TypeTextSuccessResponse } from '../../src/actions/type-text.js';
 import { CloseTabSuccessResponse } from '../../src/actions/close-tab.js';
 import { GetCurrentHtmlSuccessResponse } from '../../src/actions/get-current-html.js';
+import { GetInteractiveElementsSuccessResponse } from '../../src/actions/get-interactive-elements.js';
+import { WaitForElementSuccessResponse } from '../../src/actions/wait-for-element.js';
+import { TakeScreenshotSuccessResponse } from '../../src/actions/take-screenshot.js';
+import { SnapshotPageSuccessResponse } from '../../src/actions/snapshot-page.js';
+import { SelectOptionSuccessResponse } from '../../src/actions/select-option.js';
+import { PressKeySuccessResponse } from '../../src/actions/press-key.js';
+import { ScrollPageSuccessResponse } from '../../src/actions/scroll-page.js';
+import { HoverElementSuccessResponse } from '../../src/actions/hover-element.js';
+import { UploadFileSuccessResponse } from '../../src/actions/upload-file.js';
+import { ListDownloadsSuccessResponse } from '../../src/actions/list-downloads.js';
+import { GetDownloadSuccessResponse } from '../../src/actions/get-download.js';
+import { EvaluateScriptSuccessResponse } from '../../src/actions/evaluate-script.js';
+import { NavigateHistorySuccessResponse } from '../../src/actions/navigate-history.js';
+import { ListTabsSuccessResponse } from '../../src/actions/list-tabs.js';
+import { FillFormSuccessResponse } from '../../src/actions/fill-form.js';
+import { ExtractTablesSuccessResponse } from '../../src/actions/extract-tables.js';
+import { ExtractLinksSuccessResponse } from '../../src/actions/extract-links.js';
+import { SaveAsPdfSuccessResponse } from '../../src/actions/save-as-pdf.js';
+import { GetNetworkLogSuccessResponse } from '../../src/actions/get-network-log.js';
+import { GetConsoleLogsSuccessResponse } from '../../src/actions/get-console-logs.js';
+import { ManageCookiesSuccessResponse } from '../../src/actions/manage-cookies.js';
+import { ManageStorageSuccessResponse } from '../../src/actions/manage-storage.js';
 
 console.log('🧪 Testing Response Classes (MCP Spec Compliant)');
 console.log();
@@ -208,6 +230,513 @@ test('Response serializes to JSON correctly', () => {
   assert.deepStrictEqual(parsed.nextSteps, ['Use fetch_webpage to open new page']);
 });
 
+// ============================================================================
+// Tool response classes
+// ============================================================================
+
+/**
+ * Check one tool response class: build a valid response and compare the listed fields of its
+ * JSON and its text summary, then check that each invalid construction throws a TypeError.
+ * @param {Object} testCase
+ * @param {() => MCPResponse} testCase.create - Builds a valid response
+ * @param {Object} [testCase.json] - Expected values of fields in toJSON()
+ * @param {string|RegExp} [testCase.summary] - Expected getTextSummary(), exact or pattern
+ * @param {(response: MCPResponse) => void} [testCase.check] - Further assertions
+ * @param {Object<string, () => void>} [testCase.invalid] - Invalid constructions by what is wrong
+ */
+function checkResponse({ create, json = {}, summary, check, invalid = {} }) {
+  const response = create();
+  assert.ok(response instanceof MCPResponse, 'Should be instance of MCPResponse');
+
+  const actual = response.toJSON();
+  for (const [field, value] of Object.entries(json)) {
+    assert.deepStrictEqual(actual[field], value, `Unexpected ${field}`);
+  }
+
+  if (typeof summary === 'string') {
+    assert.strictEqual(response.getTextSummary(), summary);
+  } else if (summary) {
+    assert.match(response.getTextSummary(), summary);
+  }
+
+  check?.(response);
+
+  for (const [problem, construct] of Object.entries(invalid)) {
+    assert.throws(construct, TypeError, `Should throw TypeError for ${problem}`);
+  }
+}
+
+const download = {
+  id: 'guid-1', tabId: 'TAB1', url: 'https://example.com/report.csv', filename: 'report.csv', path: '/tmp/downloads/report.csv',
+  state: 'completed', receivedBytes: 12, totalBytes: 12, mimeType: 'text/csv',
+  startedAt: '2026-01-01T00:00:00.000Z', completedAt: '2026-01-01T00:00:01.000Z'
+};
+
+const dialog = {
+  type: 'confirm', message: 'Delete 3 items?', defaultValue: null,
+  action: 'dismiss', promptText: null, timestamp: '2024-01-01T00:00:00.000Z'
+};
+
+const networkRequest = (id, status, extra = {}) => ({
+  id, url: `https://example.com/api/${id}`, method: 'GET', resourceType: 'fetch', state: 'finished',
+  status, statusText: null, mimeType: 'application/json', fromCache: false, errorText: null,
+  startedAt: '2024-01-01T00:00:00.000Z', durationMs: 120, ttfbMs: 80, encodedBytes: 300, ...extra
+});
+
+const cookie = {
+  name: 'session', value: null, domain: '.example.com', path: '/', expires: null,
+  httpOnly: true, secure: true, sameSite: 'Lax', size: 39
+};
+
+const responseCases = [
+  {
+    name: 'GetInteractiveElementsSuccessResponse creates correct structure',
+    create: () => new GetInteractiveElementsSuccessResponse(
+      'https://example.com',
+      [{ tag: 'a', text: 'More', selector: 'a[href="https://iana.org"]', href: 'https://iana.org', type: null, name: null, id: null, hasOnClick: false, role: null }],
+      3,
+      ['Step 1']
+    ),
+    json: { count: 1, totalFound: 3 },
+    check: (response) => assert.strictEqual(response.toJSON().elements[0].selector, 'a[href="https://iana.org"]'),
+    invalid: {
+      'non-array elements': () => new GetInteractiveElementsSuccessResponse('https://example.com', 'not an array', 0, [])
+    }
+  },
+  {
+    name: 'WaitForElementSuccessResponse validates state and allows null html',
+    create: () => new WaitForElementSuccessResponse(
+      'https://example.com', 'Element #spinner reached state \'detached\' after 120ms', 'detached', 120, null, null, ['Next']
+    ),
+    json: { html: null, elapsedMs: 120 },
+    invalid: {
+      'unknown state': () => new WaitForElementSuccessResponse('https://example.com', 'Done', 'gone', 10, null, null, [])
+    }
+  },
+  {
+    name: 'TakeScreenshotSuccessResponse returns image content block',
+    create: () => new TakeScreenshotSuccessResponse('https://example.com', 'viewport', 'png', 800, 600, 'iVBORw0KGgo=', ['Next']),
+    check: (response) => {
+      const mcp = response.toMcpFormat();
+      assert.strictEqual(mcp.content.length, 2);
+      assert.strictEqual(mcp.content[0].type, 'text');
+      assert.deepStrictEqual(mcp.content[1], { type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/png' });
+      assert.strictEqual(mcp.structuredContent.width, 800);
+      assert.strictEqual(mcp.structuredContent.sizeBytes, 8);
+      assert.ok(!('data' in mcp.structuredContent), 'Image data should not be duplicated in structuredContent');
+
+      // Plain responses keep a single text block
+      const plain = new GetCurrentHtmlSuccessResponse('https://example.com', '<html></html>', []);
+      assert.strictEqual(plain.toMcpFormat().content.length, 1);
+    }
+  },
+  {
+    name: 'Page content responses default to html and validate outputFormat',
+    create: () => new GetCurrentHtmlSuccessResponse('https://example.com', '# Title', [], 'markdown'),
+    json: { outputFormat: 'markdown' },
+    check: () => assert.strictEqual(new FetchPageSuccessResponse('https://example.com', '<p>x</p>', []).toJSON().outputFormat, 'html'),
+    invalid: {
+      'unknown outputFormat': () => new ClickElementSuccessResponse('https://example.com', 'Clicked', null, [], 'pdf')
+    }
+  },
+  {
+    name: 'SnapshotPageSuccessResponse should carry the outline and ref count',
+    create: () => new SnapshotPageSuccessResponse(
+      'https://example.com',
+      'Example Domain',
+      '- heading "Example Domain" [level=1]\n- link "Learn more" [ref=e1]',
+      1,
+      ['Use click_element with ref']
+    ),
+    json: { title: 'Example Domain', refCount: 1 },
+    summary: /1 element refs/,
+    check: (response) => assert.match(response.toJSON().snapshot, /\[ref=e1\]/),
+    invalid: {
+      'missing snapshot': () => new SnapshotPageSuccessResponse('https://example.com', 'Title', null, 0, [])
+    }
+  },
+  {
+    name: 'SelectOptionSuccessResponse should carry selected options and optional HTML',
+    create: () => new SelectOptionSuccessResponse(
+      'https://example.com',
+      'Selected "Medium" in: #size',
+      [{ value: 'm', label: 'Medium', index: 1 }],
+      null,
+      ['Use click_element to submit the form'],
+      'markdown'
+    ),
+    json: { selected: [{ value: 'm', label: 'Medium', index: 1 }], html: null, outputFormat: 'markdown' },
+    invalid: {
+      'non-array selected': () => new SelectOptionSuccessResponse('https://example.com', 'Selected', 'm', null, [])
+    }
+  },
+  {
+    name: 'PressKeySuccessResponse should report the focused element',
+    create: () => new PressKeySuccessResponse(
+      'https://example.com', 'Pressed Tab on: focused element', 'button#go "Go"', null, ['Use press_key again']
+    ),
+    json: { focusedElement: 'button#go "Go"', html: null, outputFormat: 'html' },
+    invalid: {
+      'non-string focusedElement': () => new PressKeySuccessResponse('https://example.com', 'Pressed', 42, null, [])
+    }
+  },
+  {
+    name: 'ScrollPageSuccessResponse should report scroll progress',
+    create: () => new ScrollPageSuccessResponse(
+      'https://example.com',
+      'Scrolled to the end after 3 scrolls, no more content loaded (10 new elements)',
+      3,
+      10,
+      2400,
+      true,
+      null,
+      ['Use get_current_html to read the loaded content']
+    ),
+    json: { scrolls: 3, newNodes: 10, atEnd: true, outputFormat: 'html' },
+    invalid: {
+      'non-boolean atEnd': () => new ScrollPageSuccessResponse('https://example.com', 'Scrolled', 1, 0, 0, 'yes', null, [])
+    }
+  },
+  {
+    name: 'HoverElementSuccessResponse should report whether the DOM changed',
+    create: () => new HoverElementSuccessResponse(
+      'https://example.com', 'Hovered element: #nav-products', true, '<nav>...</nav>', ['Use click_element to click an item revealed by the hover']
+    ),
+    json: { domChanged: true, html: '<nav>...</nav>', outputFormat: 'html' },
+    invalid: {
+      'non-boolean domChanged': () => new HoverElementSuccessResponse('https://example.com', 'Hovered', 'yes', null, [])
+    }
+  },
+  {
+    name: 'UploadFileSuccessResponse should list the attached files',
+    create: () => new UploadFileSuccessResponse(
+      'https://example.com/tickets/new',
+      'Attached report.pdf to: input[type=file]',
+      [{ name: 'report.pdf', size: 2048 }],
+      null,
+      ['Use click_element to submit the form']
+    ),
+    json: { files: [{ name: 'report.pdf', size: 2048 }], html: null, outputFormat: 'html' },
+    invalid: {
+      'non-array files': () => new UploadFileSuccessResponse('https://example.com', 'Attached', 'report.pdf', null, [])
+    }
+  },
+  {
+    name: 'ListDownloadsSuccessResponse should include download directory and downloads',
+    create: () => new ListDownloadsSuccessResponse('/tmp/downloads', [download], ['Use get_download']),
+    json: { downloadDir: '/tmp/downloads', downloads: [download] },
+    summary: /report\.csv \[completed\]/,
+    invalid: {
+      'non-array downloads': () => new ListDownloadsSuccessResponse('/tmp/downloads', null, [])
+    }
+  },
+  {
+    name: 'GetDownloadSuccessResponse should include content and truncation flag',
+    create: () => new GetDownloadSuccessResponse(download, 'a,b\n1,2\n', false, ['Use list_downloads']),
+    json: { content: 'a,b\n1,2\n', truncated: false },
+    check: (response) => assert.strictEqual(response.toJSON().download.path, '/tmp/downloads/report.csv'),
+    invalid: {
+      'non-boolean truncated': () => new GetDownloadSuccessResponse(download, null, 'no', [])
+    }
+  },
+  {
+    name: 'EvaluateScriptSuccessResponse should hold either a result or an exception',
+    create: () => new EvaluateScriptSuccessResponse(
+      'https://example.com',
+      { type: 'number', subtype: null, className: null, description: '42', json: '42', truncated: false },
+      null,
+      ['Use get_current_html']
+    ),
+    json: {
+      result: { type: 'number', subtype: null, className: null, description: '42', json: '42', truncated: false },
+      exception: null
+    },
+    summary: 'Result (number): 42',
+    check: () => {
+      const thrown = new EvaluateScriptSuccessResponse('https://example.com', null, { message: 'TypeError: boom', lineNumber: 2, columnNumber: 5 }, []);
+      assert.strictEqual(thrown.getTextSummary(), 'Script threw: TypeError: boom (line 2)');
+    },
+    invalid: {
+      'neither result nor exception': () => new EvaluateScriptSuccessResponse('https://example.com', null, null, [])
+    }
+  },
+  {
+    name: 'NavigateHistorySuccessResponse should include previous and current URL',
+    create: () => new NavigateHistorySuccessResponse(
+      'https://example.com/list',
+      'https://example.com/list/item-3',
+      'Went back to: https://example.com/list',
+      null,
+      ['Use click_element to continue from this page']
+    ),
+    json: { currentUrl: 'https://example.com/list', previousUrl: 'https://example.com/list/item-3', html: null, outputFormat: 'html' },
+    invalid: {
+      'non-string previousUrl': () => new NavigateHistorySuccessResponse('https://example.com', null, 'Reloaded', null, [])
+    }
+  },
+  {
+    name: 'ListTabsSuccessResponse should list tabs with their state',
+    create: () => new ListTabsSuccessResponse(
+      [
+        { tabId: 'A1B2', hostname: 'example.com', isDefault: true, url: 'https://example.com/', title: 'Example Domain', closed: false, crashed: false, origin: 'created', lastUsedAt: '2026-01-01T00:00:00.000Z' },
+        { tabId: 'C3D4', hostname: 'mail.example.com', isDefault: true, url: 'https://mail.example.com/inbox', title: null, closed: true, crashed: false, origin: 'adopted', lastUsedAt: null }
+      ],
+      ['Use close_tab to close tabs you no longer need']
+    ),
+    check: (response) => {
+      const json = response.toJSON();
+      assert.strictEqual(json.tabs.length, 2);
+      assert.strictEqual(json.tabs[1].origin, 'adopted');
+
+      const summary = response.getTextSummary();
+      assert.ok(summary.includes('2 tab(s)'), 'Summary should count tabs');
+      assert.ok(summary.includes('[closed]'), 'Summary should flag closed tabs');
+      assert.ok(summary.includes('not used yet'), 'Summary should flag unused tabs');
+      assert.ok(summary.includes('[A1B2]'), 'Summary should show tab IDs');
+
+      assert.strictEqual(new ListTabsSuccessResponse([], []).getTextSummary(), 'No open tabs');
+    },
+    invalid: {
+      'non-array tabs': () => new ListTabsSuccessResponse(null, [])
+    }
+  },
+  {
+    name: 'FetchPageSuccessResponse should include the tab ID',
+    create: () => new FetchPageSuccessResponse('https://example.com/', '<html></html>', [], 'html', null, 'A1B2'),
+    json: { tabId: 'A1B2' },
+    summary: /tab A1B2/,
+    check: () => assert.strictEqual(new FetchPageSuccessResponse('https://example.com/', '', []).toJSON().tabId, null),
+    invalid: {
+      'non-string tabId': () => new FetchPageSuccessResponse('https://example.com/', '', [], 'html', null, 42)
+    }
+  },
+  {
+    name: 'FillFormSuccessResponse should report per-field results',
+    create: () => new FillFormSuccessResponse(
+      'https://example.com/signup',
+      'Filled 1 of 2 field(s); form not submitted: Not submitted because 1 field(s) failed',
+      [
+        { field: 'label "Email"', type: 'email', success: true, value: 'jane@example.com', error: null },
+        { field: 'name "country"', type: 'select', success: false, value: null, error: 'No option with label "Mars"' }
+      ],
+      false,
+      'Not submitted because 1 field(s) failed',
+      null,
+      ['Call fill_form again with only the failed fields']
+    ),
+    json: { submitted: false, outputFormat: 'html' },
+    summary: /- name "country": No option/,
+    check: (response) => assert.strictEqual(response.toJSON().fields.length, 2),
+    invalid: {
+      'non-boolean submitted': () => new FillFormSuccessResponse('https://example.com', 'Filled', [], 'yes', null, null, [])
+    }
+  },
+  {
+    name: 'ExtractTablesSuccessResponse should summarize tables',
+    create: () => new ExtractTablesSuccessResponse(
+      'https://example.com/report',
+      [
+        {
+          index: 1,
+          caption: 'Sales report',
+          headers: ['Region', 'Revenue'],
+          hasHeader: true,
+          rows: [['North', '100']],
+          rowCount: 3,
+          truncated: true,
+          csv: 'Region,Revenue\nNorth,100',
+          markdown: null
+        }
+      ],
+      1,
+      ['Use selector to extract a single table']
+    ),
+    json: { totalTables: 1 },
+    summary: /- Table 1 "Sales report": 2 columns, 3 rows \(showing 1\)/,
+    check: (response) => {
+      assert.strictEqual(response.toJSON().tables[0].csv, 'Region,Revenue\nNorth,100');
+      assert.strictEqual(
+        new ExtractTablesSuccessResponse('https://example.com', [], 0, []).getTextSummary(),
+        'No tables found on: https://example.com'
+      );
+    },
+    invalid: {
+      'non-array tables': () => new ExtractTablesSuccessResponse('https://example.com', null, 0, [])
+    }
+  },
+  {
+    name: 'ExtractLinksSuccessResponse should list links with their region',
+    create: () => new ExtractLinksSuccessResponse(
+      'https://example.com/docs/',
+      [
+        { href: 'https://example.com/docs/intro', text: 'Intro', rel: null, location: 'main' },
+        { href: 'https://example.com/about', text: '', rel: 'nofollow', location: 'footer' }
+      ],
+      12,
+      false,
+      ['Use fetch_webpage to open a link']
+    ),
+    json: { totalLinks: 12, truncated: false },
+    check: (response) => {
+      assert.strictEqual(response.toJSON().links.length, 2);
+      const summary = response.getTextSummary();
+      assert.ok(summary.includes('- [main] Intro → https://example.com/docs/intro'), summary);
+      assert.ok(summary.includes('- [footer] (no text) → https://example.com/about'), summary);
+    },
+    invalid: {
+      'non-boolean truncated': () => new ExtractLinksSuccessResponse('https://example.com', [], 0, 'no', [])
+    }
+  },
+  {
+    name: 'FetchPageSuccessResponse should include PDF info',
+    create: () => new FetchPageSuccessResponse(
+      'https://example.com/spec.pdf',
+      '--- Page 1 ---\nIntroduction',
+      ['Use close_tab when finished to free browser resources'],
+      'text',
+      null,
+      'TAB1',
+      { title: 'Spec', author: null, pageCount: 1 }
+    ),
+    json: { pdf: { title: 'Spec', author: null, pageCount: 1 } },
+    summary: 'Fetched PDF "Spec": https://example.com/spec.pdf (1 page(s))',
+    check: () => assert.strictEqual(new FetchPageSuccessResponse('https://example.com', '', []).toJSON().pdf, null),
+    invalid: {
+      'non-object pdf': () => new FetchPageSuccessResponse('https://example.com', '', [], 'text', null, null, 'Spec')
+    }
+  },
+  {
+    name: 'SaveAsPdfSuccessResponse should report the file and page count',
+    create: () => new SaveAsPdfSuccessResponse(
+      'https://example.com/release-notes', '/tmp/pdfs/Release notes.pdf', 3, 48213, ['Use close_tab when finished to free browser resources']
+    ),
+    json: { filePath: '/tmp/pdfs/Release notes.pdf', pageCount: 3, size: 48213 },
+    summary: 'Saved https://example.com/release-notes as PDF: /tmp/pdfs/Release notes.pdf (3 page(s), 48213 bytes)',
+    invalid: {
+      'non-number pageCount': () => new SaveAsPdfSuccessResponse('https://example.com', '/tmp/a.pdf', '3', 100, [])
+    }
+  },
+  {
+    name: 'GetNetworkLogSuccessResponse should list requests with status and timing',
+    create: () => new GetNetworkLogSuccessResponse(
+      'https://example.com/dashboard',
+      [networkRequest(4, 401), networkRequest(5, null, { state: 'failed', errorText: 'net::ERR_FAILED', durationMs: 5 })],
+      3,
+      12,
+      ['Use includeBodies with urlPattern to read the response of a specific API call']
+    ),
+    json: { totalMatched: 3, totalCaptured: 12 },
+    summary: 'last 2 of 3 request(s) for: https://example.com/dashboard (12 recorded)\n' +
+      '- #4 GET 401 [fetch] https://example.com/api/4 (120 ms)\n' +
+      '- #5 GET net::ERR_FAILED [fetch] https://example.com/api/5 (5 ms)',
+    invalid: {
+      'non-array requests': () => new GetNetworkLogSuccessResponse('https://example.com', {}, 0, 0, [])
+    }
+  },
+  {
+    name: 'GetConsoleLogsSuccessResponse should list messages with the next cursor',
+    create: () => new GetConsoleLogsSuccessResponse(
+      'https://example.com/checkout',
+      [
+        { id: 8, level: 'warning', source: 'console', text: 'Slow response', url: 'https://example.com/app.js', lineNumber: 12, columnNumber: 3, timestamp: '2024-01-01T00:00:00.000Z' },
+        { id: 9, level: 'error', source: 'exception', text: 'TypeError: x is undefined', url: null, lineNumber: null, columnNumber: null, timestamp: '2024-01-01T00:00:01.000Z' }
+      ],
+      2,
+      9,
+      ['Use get_console_logs with since: 9 after your next action to see only new messages']
+    ),
+    json: { cursor: 9 },
+    summary: '2 console message(s) for: https://example.com/checkout (cursor: 9)\n' +
+      '- [warning] Slow response (https://example.com/app.js:12)\n' +
+      '- [error exception] TypeError: x is undefined',
+    invalid: {
+      'non-number cursor': () => new GetConsoleLogsSuccessResponse('https://example.com', [], 0, '9', [])
+    }
+  },
+  {
+    name: 'ManageCookiesSuccessResponse should list cookies without values unless shown',
+    create: () => new ManageCookiesSuccessResponse('delete', [cookie], false, ['Use fetch_webpage to reload the site']),
+    json: { action: 'delete', valuesShown: false },
+    summary: 'Deleted 1 cookie(s):\n- session (.example.com/, httpOnly, secure, Lax; expires: session)',
+    check: (response) => {
+      assert.strictEqual(response.toJSON().cookies[0].value, null);
+      const shown = new ManageCookiesSuccessResponse('get', [{ ...cookie, value: 'abc' }], true, []);
+      assert.match(shown.getTextSummary(), /^1 cookie\(s\) found:\n- session = abc /);
+      assert.strictEqual(new ManageCookiesSuccessResponse('get', [], false, []).getTextSummary(), '0 cookie(s) found');
+    },
+    invalid: {
+      'non-boolean valuesShown': () => new ManageCookiesSuccessResponse('get', [], 'no', [])
+    }
+  },
+  {
+    name: 'ManageStorageSuccessResponse should list entries and IndexedDB databases',
+    create: () => new ManageStorageSuccessResponse(
+      'https://app.example.com/home',
+      'https://app.example.com',
+      'get',
+      'local',
+      [
+        { key: 'auth', value: null, size: 812, truncated: false },
+        { key: 'theme', value: 'dark', size: 4, truncated: false },
+        { key: 'state', value: '{"cart"', size: 2048, truncated: true }
+      ],
+      3,
+      [{ name: 'app-cache', version: 3, stores: [{ name: 'orders', count: 12 }, { name: 'meta', count: null }] }],
+      ['Use redact to only list keys and sizes']
+    ),
+    json: { origin: 'https://app.example.com' },
+    summary: '3 localStorage key(s) on https://app.example.com (3 key(s) in total)\n' +
+      '- auth (812 chars)\n' +
+      '- theme (4 chars): dark\n' +
+      '- state (2048 chars): {"cart"…\n' +
+      'IndexedDB:\n' +
+      '- app-cache v3: orders (12 records), meta (? records)',
+    check: (response) => {
+      const json = response.toJSON();
+      assert.strictEqual(json.entries.length, 3);
+      assert.strictEqual(json.indexedDB[0].stores.length, 2);
+    },
+    invalid: {
+      'non-array indexedDB': () => new ManageStorageSuccessResponse('https://example.com', 'https://example.com', 'get', 'local', [], 0, {}, [])
+    }
+  },
+  {
+    name: 'Responses of tools that answer dialogs should include them',
+    create: () => new ClickElementSuccessResponse('https://example.com', 'Clicked element: #delete', null, [], 'html', [], [dialog]),
+    json: { dialogs: [dialog] },
+    check: () => {
+      assert.deepStrictEqual(new ClickElementSuccessResponse('https://example.com', 'Clicked', null, []).toJSON().dialogs, []);
+
+      const responses = [
+        new PressKeySuccessResponse('https://example.com', 'Pressed Enter', null, null, [], 'html', [dialog]),
+        new FillFormSuccessResponse('https://example.com', 'Filled 1 of 1 field(s)', [], false, null, null, [], 'html', [dialog]),
+        new ScrollPageSuccessResponse('https://example.com', 'Scrolled', 1, 0, 0, false, null, [], 'html', [dialog]),
+        new UploadFileSuccessResponse('https://example.com', 'Attached', [], null, [], 'html', [dialog]),
+        new FetchPageSuccessResponse('https://example.com', '', [], 'html', null, null, null, [dialog])
+      ];
+      for (const response of responses) {
+        assert.deepStrictEqual(response.toJSON().dialogs, [dialog], response.constructor.name);
+      }
+
+      const evaluated = new EvaluateScriptSuccessResponse(
+        'https://example.com',
+        { type: 'boolean', subtype: null, className: null, description: 'false', json: 'false', truncated: false },
+        null,
+        [],
+        [dialog]
+      );
+      assert.strictEqual(evaluated.getTextSummary(), 'Result (boolean): false\nDismissed confirm dialog "Delete 3 items?"');
+    },
+    invalid: {
+      'non-array dialogs': () => new ClickElementSuccessResponse('https://example.com', 'Clicked', null, [], 'html', [], null)
+    }
+  }
+];
+
+for (const testCase of responseCases) {
+  test(testCase.name, () => checkResponse(testCase));
+}
+
 console.log();
 console.log('==================================================');
 console.log(`Tests passed: ${passed}`);
@@ -0,0 +1,191 @@
+/**
+ * UNIT TESTS - Pure helpers from src/utils.js (NO browser required)
+ * Run with: node tests/core/utils.test.js
+ */
+
+import assert from 'assert';
+import path from 'path';
+import { getImageDimensions, isPathInside, isDomainAllowed, formatCsv, formatMarkdownTable } from '../../src/utils.js';
+
+console.log('🧪 Testing utility functions\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✅ ${description}`);
+    testsPassed++;
+  } catch (err) {
+    console.log(`❌ ${description}`);
+    console.log(`   Error: ${err.message}`);
+    testsFailed++;
+  }
+}
+
+// ============================================================================
+// getImageDimensions Tests
+// ============================================================================
+
+console.log('\n📋 Testing getImageDimensions()');
+
+test('Should read PNG dimensions from IHDR', () => {
+  const png = Buffer.alloc(24);
+  png.writeUInt32BE(0x89504e47, 0);
+  png.writeUInt32BE(0x0d0a1a0a, 4);
+  png.writeUInt32BE(1280, 16);
+  png.writeUInt32BE(720, 20);
+  assert.deepStrictEqual(getImageDimensions(png), { width: 1280, height: 720 });
+});
+
+test('Should read JPEG dimensions from SOF0 after APP0 segment', () => {
+  const jpeg = Buffer.from([
+    0xff, 0xd8,                                     // SOI
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,             // APP0, length 4
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x02, 0x58, 0x03, 0x20, 0x03 // SOF0: height 600, width 800
+  ]);
+  assert.deepStrictEqual(getImageDimensions(new Uint8Array(jpeg)), { width: 800, height: 600 });
+});
+
+test('Should read JPEG dimensions from a progressive SOF2 frame', () => {
+  const jpeg = Buffer.from([
+    0xff, 0xd8,                                     // SOI
+    0xff, 0xc2, 0x00, 0x11, 0x08, 0x00, 0x10, 0x00, 0x20, 0x03 // SOF2: height 16, width 32
+  ]);
+  assert.deepStrictEqual(getImageDimensions(jpeg), { width: 32, height: 16 });
+});
+
+test('Should skip DHT segments whose marker falls in the SOF range', () => {
+  const jpeg = Buffer.from([
+    0xff, 0xd8,                                     // SOI
+    0xff, 0xc4, 0x00, 0x04, 0x00, 0x00,             // DHT, length 4 (0xc4 is not a frame)
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x02, 0x00, 0x03, 0x03 // SOF0: height 2, width 3
+  ]);
+  assert.deepStrictEqual(getImageDimensions(jpeg), { width: 3, height: 2 });
+});
+
+test('Should return null for unknown image format', () => {
+  assert.strictEqual(getImageDimensions(Buffer.from('GIF89a-not-supported')), null);
+});
+
+test('Should return null for truncated or malformed headers', () => {
+  const png = Buffer.alloc(20);
+  png.writeUInt32BE(0x89504e47, 0);
+  assert.strictEqual(getImageDimensions(png), null, 'PNG cut off before IHDR size');
+  assert.strictEqual(getImageDimensions(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04])), null, 'JPEG without a frame');
+  assert.strictEqual(getImageDimensions(Buffer.from([0xff, 0xd8, 0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09])), null, 'JPEG garbage after SOI');
+  assert.strictEqual(getImageDimensions(new Uint8Array(0)), null, 'Empty input');
+});
+
+// ============================================================================
+// isPathInside Tests
+// ============================================================================
+
+console.log('\n📋 Testing isPathInside()');
+
+const uploadRoot = path.resolve('/srv/uploads');
+
+test('Should accept files inside the directory', () => {
+  assert.strictEqual(isPathInside(uploadRoot, path.join(uploadRoot, 'report.pdf')), true);
+  assert.strictEqual(isPathInside(uploadRoot, path.join(uploadRoot, 'a', 'b.txt')), true);
+  assert.strictEqual(isPathInside(uploadRoot, path.join(uploadRoot, '..notes.txt')), true, 'Dot-prefixed names are not traversal');
+  assert.strictEqual(isPathInside(uploadRoot, path.join(uploadRoot, 'a', '..', 'b.txt')), true, '.. that stays inside');
+});
+
+test('Should accept the directory itself', () => {
+  assert.strictEqual(isPathInside(uploadRoot, uploadRoot), true);
+  assert.strictEqual(isPathInside(uploadRoot, `${uploadRoot}${path.sep}`), true);
+});
+
+test('Should reject .. escapes', () => {
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve(uploadRoot, '..', 'secret.txt')), false);
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve(uploadRoot, 'a', '..', '..', 'secret.txt')), false, 'Escape through a subdirectory');
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve(uploadRoot, '..')), false, 'Parent directory');
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve('/')), false, 'Filesystem root');
+});
+
+test('Should reject sibling directories that share the prefix', () => {
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve('/srv/uploads-other/x.txt')), false);
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve('/srv/uploads2')), false);
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve('/srv/uploads.bak/x.txt')), false);
+});
+
+test('Should reject unrelated absolute paths', () => {
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve('/etc/passwd')), false);
+  assert.strictEqual(isPathInside(uploadRoot, path.resolve('/srv/other/uploads/x.txt')), false, 'Same name elsewhere');
+});
+
+// ============================================================================
+// isDomainAllowed Tests
+// ============================================================================
+
+console.log('\n📋 Testing isDomainAllowed()');
+
+test('Should allow listed domains and their subdomains', () => {
+  const allowlist = ['example.com', ' *.corp.test '];
+  assert.strictEqual(isDomainAllowed('example.com', allowlist), true);
+  assert.strictEqual(isDomainAllowed('App.Example.com', allowlist), true);
+  assert.strictEqual(isDomainAllowed('a.b.example.com', allowlist), true, 'Nested subdomain');
+  assert.strictEqual(isDomainAllowed('wiki.corp.test', allowlist), true);
+  assert.strictEqual(isDomainAllowed('corp.test', allowlist), true, '*. entries cover the domain itself');
+  assert.strictEqual(isDomainAllowed('anything.org', ['*']), true, 'Wildcard allows every domain');
+});
+
+test('Should reject hostnames that only end with a listed domain', () => {
+  assert.strictEqual(isDomainAllowed('evil-example.com', ['example.com']), false);
+  assert.strictEqual(isDomainAllowed('notexample.com', ['example.com']), false);
+  assert.strictEqual(isDomainAllowed('evilcorp.test', ['*.corp.test']), false);
+});
+
+test('Should reject hostnames that merely contain a listed domain', () => {
+  assert.strictEqual(isDomainAllowed('example.com.evil.io', ['example.com']), false);
+  assert.strictEqual(isDomainAllowed('example.co', ['example.com']), false);
+  assert.strictEqual(isDomainAllowed('com', ['example.com']), false, 'Parent domain');
+});
+
+test('Should allow nothing with an empty allowlist', () => {
+  assert.strictEqual(isDomainAllowed('example.com', []), false);
+  assert.strictEqual(isDomainAllowed('example.com', ['']), false, 'Empty entries match nothing');
+  assert.strictEqual(isDomainAllowed('example.com', ['  ', '*.']), false, 'Blank and bare *. entries match nothing');
+});
+
+// ============================================================================
+// formatCsv / formatMarkdownTable Tests
+// ============================================================================
+
+console.log('\n📋 Testing formatCsv() / formatMarkdownTable()');
+
+test('Should quote CSV fields with commas, quotes and line breaks', () => {
+  const csv = formatCsv([['Name', 'Note'], ['Smith, Jane', 'said "hi"'], ['Lee', 'two\nlines']]);
+  assert.strictEqual(csv, 'Name,Note\n"Smith, Jane","said ""hi"""\nLee,"two\nlines"');
+});
+
+test('Should write empty CSV fields for missing values and stringify numbers', () => {
+  assert.strictEqual(formatCsv([['a', null, undefined, 3, ''], ['carriage\rreturn']]), 'a,,,3,\n"carriage\rreturn"');
+  assert.strictEqual(formatCsv([]), '');
+});
+
+test('Should render a markdown table with escaped pipes', () => {
+  const markdown = formatMarkdownTable(['Metric', 'Value'], [['a|b', '1']]);
+  assert.strictEqual(markdown, '| Metric | Value |\n| --- | --- |\n| a\\|b | 1 |');
+});
+
+test('Should keep markdown rows on one line and render missing cells empty', () => {
+  const markdown = formatMarkdownTable(['Name', 'Note'], [['Lee', 'two\r\nlines'], ['Kim', null]]);
+  assert.strictEqual(markdown, '| Name | Note |\n| --- | --- |\n| Lee | two lines |\n| Kim |  |');
+  assert.strictEqual(formatMarkdownTable(['Only'], []), '| Only |\n| --- |', 'Header without rows');
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '='.repeat(50));
+console.log(`Tests passed: ${testsPassed}`);
+console.log(`Tests failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+  process.exit(1);
+}
@@ -11,6 +11,13 @@ const unitTests = [
   'core/browser.test.js',  // Unit test with mocks
   'core/html.test.js',     // Unit test
   'core/page.test.js',     // Unit test
+  'core/downloads.test.js', // Unit test with mocks
+  'core/pdf.test.js',      // Unit test
+  'core/network.test.js',  // Unit test with mocks
+  'core/console-log.test.js', // Unit test with mocks
+  'core/dialogs.test.js', // Unit test with mocks
+  'core/utils.test.js',   // Unit test
+  'core/responses.test.js', // Unit test
   'tool-selection/tool-selection.test.js' // Tool description testing (no browser required)
 ];
 
@@ -20,6 +27,28 @@ const integrationTests = [
   'actions/type-text.test.js',
   'actions/close-tab.test.js',
   'actions/get-current-html.test.js',
+  'actions/get-interactive-elements.test.js',
+  'actions/wait-for-element.test.js',
+  'actions/take-screenshot.test.js',
+  'actions/snapshot-page.test.js',
+  'actions/select-option.test.js',
+  'actions/press-key.test.js',
+  'actions/scroll-page.test.js',
+  'actions/hover-element.test.js',
+  'actions/upload-file.test.js',
+  'actions/get-download.test.js',
+  'actions/list-downloads.test.js',
+  'actions/evaluate-script.test.js',
+  'actions/navigate-history.test.js',
+  'actions/list-tabs.test.js',
+  'actions/fill-form.test.js',
+  'actions/extract-tables.test.js',
+  'actions/extract-links.test.js',
+  'actions/save-as-pdf.test.js',
+  'actions/get-network-log.test.js',
+  'actions/get-console-logs.test.js',
+  'actions/manage-cookies.test.js',
+  'actions/manage-storage.test.js',
   'actions/fetch-page.test.js',
   'core/auth.test.js',
   'mcp-browser.test.js'
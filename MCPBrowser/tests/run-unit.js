@@ -10,7 +10,14 @@ const __dirname = dirname(__filename);
 const unitTests = [
   'core/browser.test.js',  // Tests browser management with mocks
   'core/html.test.js',     // Tests HTML processing (pure functions)
-  'core/page.test.js'      // Tests page operations with mocks
+  'core/page.test.js',     // Tests page operations with mocks
+  'core/downloads.test.js', // Tests download tracking with a mock CDP session
+  'core/pdf.test.js',      // Tests PDF text extraction (pure functions)
+  'core/network.test.js',  // Tests the network request log with a mock CDP session
+  'core/console-log.test.js', // Tests the console message log with a mock CDP session
+  'core/dialogs.test.js', // Tests dialog handling with a mock page
+  'core/utils.test.js',   // Tests pure helpers (image sizes, paths, domains, tables)
+  'core/responses.test.js' // Tests response classes of every tool
 ];
 
 console.log('🧪 Running Unit Tests (No Browser Required)');